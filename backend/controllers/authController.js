@@ -1,4 +1,16 @@
 const authService = require('../services/authService');
+const databaseService = require('../services/databaseService');
+const languageService = require('../services/languageService');
+
+// Préférences booléennes modifiables depuis l'interface
+const BOOLEAN_SETTINGS = [
+  'darkMode',
+  'smoothAnimations',
+  'compactMode',
+  'soundNotifications',
+  'autoSaveConversations',
+  'markdownFormatting',
+];
 
 /**
  * Contrôleur d'authentification
@@ -137,6 +149,56 @@ class AuthController {
     }
   }
 
+  /**
+   * Mise à jour des préférences de l'utilisateur connecté (langue, apparence, chat)
+   */
+  async updateSettings(req, res) {
+    try {
+      const data = {};
+
+      if (req.body.language !== undefined) {
+        const language = languageService.normalizeLanguage(req.body.language);
+        if (!language) {
+          return res.status(400).json({
+            success: false,
+            error: 'Langue non prise en charge',
+            message: `Langues disponibles : ${languageService.getSupportedLanguages().join(', ')}`,
+          });
+        }
+        data.language = language;
+      }
+
+      for (const key of BOOLEAN_SETTINGS) {
+        if (typeof req.body[key] === 'boolean') {
+          data[key] = req.body[key];
+        }
+      }
+
+      if (Object.keys(data).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Données manquantes',
+          message: 'Aucun paramètre à mettre à jour',
+        });
+      }
+
+      const settings = await databaseService.updateUserSettings(req.user.id, data);
+
+      return res.status(200).json({
+        success: true,
+        settings,
+      });
+    } catch (error) {
+      console.error('❌ Erreur contrôleur paramètres:', error.message);
+
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur serveur',
+        message: 'Une erreur est survenue lors de la mise à jour des paramètres',
+      });
+    }
+  }
+
   /**
    * Déconnexion (côté client principalement)
    */
@@ -3,7 +3,7 @@
  * 
  * Ce contrôleur intègre :
  * - Base de données SQLite avec Prisma pour la persistance
- * - Groq Cloud pour l'IA conversationnelle  
+ * - Fournisseurs LLM interchangeables (Groq, OpenAI-compatible, Ollama, mock) pour l'IA conversationnelle
  * - Service de documentation Odoo v17 pour le contexte
  * - Authentification JWT pour sécuriser les conversations
  */
@@ -11,292 +11,1424 @@
 const groqService = require('../services/groqService');
 const databaseService = require('../services/databaseService');
 const odooDocService = require('../services/odooDocService');
+const providers = require('../services/providers');
+const tokenBudgetService = require('../services/tokenBudgetService');
+const citationService = require('../services/citationService');
+const groundingService = require('../services/groundingService');
+const codeValidationService = require('../services/codeValidationService');
+const conversationSummaryService = require('../services/conversationSummaryService');
+const suggestionService = require('../services/suggestionService');
+const languageService = require('../services/languageService');
+const answerCacheService = require('../services/answerCacheService');
+const llmResilienceService = require('../services/llmResilienceService');
+const usageService = require('../services/usageService');
+const promptTemplateService = require('../services/promptTemplateService');
+const structuredAnswerService = require('../services/structuredAnswerService');
+const odooConnectorService = require('../services/odooConnectorService');
+const addonScaffoldService = require('../services/addonScaffoldService');
+const topicClassifierService = require('../services/topicClassifierService');
+const redactionService = require('../services/redactionService');
+const attachmentService = require('../services/attachmentService');
+
+// Nombre de messages d'historique chargés ; le budget de tokens décide ensuite de ce qui est envoyé
+const HISTORY_LOAD_LIMIT = 20;
+
+// Profil neutre des réponses mises en cache, partagées entre utilisateurs (même forme que analyzeUserPatterns)
+const ANONYMOUS_USER_PATTERNS = { totalQuestions: 0, topKeywords: [], preferredModules: [], questionComplexity: 0 };
+
+// Générations en cours, par utilisateur et conversation ("userId:conversationId"), pour l'annulation
+const inFlightGenerations = new Map();
+
+/**
+ * Middleware : refuse une génération quand l'utilisateur a épuisé son quota de tokens
+ * (journalier ou mensuel, selon son offre) avec une réponse 429 et l'en-tête Retry-After
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ * @param {Function} next - Suite de la chaîne Express
+ */
+async function enforceQuota(req, res, next) {
+  let exceeded;
+  try {
+    exceeded = await usageService.checkQuota(req.user);
+  } catch (error) {
+    // Un échec du décompte ne doit pas bloquer le chat
+    console.error('❌ Erreur vérification quota:', error);
+    return next();
+  }
+
+  if (!exceeded) return next();
+
+  const retryAfter = Math.max(1, Math.ceil((new Date(exceeded.resetAt).getTime() - Date.now()) / 1000));
+  console.warn(`⛔ Quota ${exceeded.period} atteint pour l'utilisateur ${req.user.id} (${exceeded.used}/${exceeded.limit} tokens)`);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Quota dépassé',
+    message: languageService.t(req.user.settings?.language, `errors.quota.${exceeded.period}`, {
+      limit: exceeded.limit,
+      resetDate: exceeded.resetAt.slice(0, 10)
+    }),
+    retryAfter,
+    quota: {
+      plan: usageService.getPlan(req.user),
+      ...exceeded
+    }
+  });
+}
+
+/**
+ * Consommation de tokens de l'utilisateur connecté : jour et mois en cours, quotas et détail par modèle
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function getUsage(req, res) {
+  try {
+    const usage = await usageService.getUsageSummary(req.user);
+    return res.json({ success: true, usage });
+  } catch (error) {
+    console.error('❌ Erreur récupération consommation:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer la consommation',
+    });
+  }
+}
 
 /**
  * Traite un message utilisateur et génère une réponse du chatbot
  * 
- * @param {Object} req - Objet de requête Express
- * @param {Object} res - Objet de réponse Express
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function sendMessage(req, res) {
+  const startTime = Date.now();
+  
+  try {
+    const { message, attachments = null, conversationId = null, provider = null, refresh = false, structured = false, addon = false, odooConnectionId = null } = req.body;
+    const userId = req.user.id; // Récupéré du middleware d'auth
+    
+    // Validation de la requête
+    const validationError = validateChatMessage(message, attachments) || validateProviderOverride(provider);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    // Question d'un côté, contenus collés et fichiers joints de l'autre
+    const input = attachmentService.prepare(message, attachments);
+    console.log(`📩 Question reçue de l'utilisateur ${userId}: "${input.question.substring(0, 100)}${input.question.length > 100 ? '...' : ''}"${formatAttachmentCount(input.attachments)}`);
+    
+    // 1. RÉCUPÉRER OU CRÉER LA CONVERSATION
+    const conversation = await resolveConversation(userId, conversationId, attachmentService.buildSearchText(input.question, input.attachments), odooConnectionId);
+    if (!conversation) {
+      return res.status(404).json(conversationNotFoundError());
+    }
+
+    const response = await processChatMessage({ userId, message: input.question, attachments: input.attachments, conversation, startTime, provider, refresh: refresh === true, structured: structured === true, addon: addon === true });
+    
+    res.json(response);
+    
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    
+    console.error('❌ Erreur lors du traitement du message:', error);
+    
+    sendErrorResponse(res, error, responseTime);
+  }
+}
+
+/**
+ * Variante streaming de sendMessage via Server-Sent Events
+ * 
+ * Événements émis :
+ * - `start`  : { conversationId } dès l'ouverture du flux (permet l'annulation)
+ * - `stage`  : { stage } parmi 'searching', 'generating', 'self_correcting', 'repairing_code'
+ * - `token`  : { delta } fragment de texte de la réponse en cours
+ * - `done`   : payload complet identique à celui de POST /api/chat
+ * - `error`  : payload d'erreur identique à celui de POST /api/chat
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function sendMessageStream(req, res) {
+  const startTime = Date.now();
+  const { message, attachments = null, conversationId = null, provider = null, refresh = false, structured = false, addon = false, odooConnectionId = null } = req.body;
+  const userId = req.user.id;
+
+  // Les erreurs de validation restent des réponses JSON classiques (avant l'ouverture du flux)
+  const validationError = validateChatMessage(message, attachments) || validateProviderOverride(provider);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  let input;
+  let conversation;
+  try {
+    // Question d'un côté, contenus collés et fichiers joints de l'autre
+    input = attachmentService.prepare(message, attachments);
+    conversation = await resolveConversation(userId, conversationId, attachmentService.buildSearchText(input.question, input.attachments), odooConnectionId);
+  } catch (error) {
+    console.error('❌ Erreur lors de la préparation de la question ou de la récupération de la conversation:', error);
+    return res.status(500).json(buildErrorPayload(error, Date.now() - startTime));
+  }
+
+  if (!conversation) {
+    return res.status(404).json(conversationNotFoundError());
+  }
+
+  console.log(`📡 Question reçue en streaming de l'utilisateur ${userId}: "${input.question.substring(0, 100)}${input.question.length > 100 ? '...' : ''}"${formatAttachmentCount(input.attachments)}`);
+
+  await streamChatPipeline(res, { userId, message: input.question, attachments: input.attachments, conversation, startTime, provider, refresh: refresh === true, structured: structured === true, addon: addon === true });
+}
+
+/**
+ * Régénère une réponse de l'assistant : la nouvelle réponse devient une version sœur
+ * de l'ancienne (même question parente) et la branche active bascule dessus
+ * 
+ * Body : { conversationId, messageId, provider?, structured?, addon? }
+ * Sans `structured` ni `addon`, la nouvelle réponse reprend le format de la réponse régénérée (guide, module ou Markdown).
+ * Répond en SSE si le client envoie `Accept: text/event-stream`, sinon en JSON.
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function regenerateMessage(req, res) {
+  const startTime = Date.now();
+  const { conversationId, messageId, provider = null, structured = null, addon = null } = req.body;
+  const userId = req.user.id;
+
+  const validationError = validateProviderOverride(provider);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  let target;
+  let question;
+  try {
+    target = await resolveBranchMessage(userId, conversationId, messageId);
+    question = target && target.message.parentId
+      ? await databaseService.getMessage(target.conversation.id, target.message.parentId)
+      : null;
+  } catch (error) {
+    console.error('❌ Erreur lors de la récupération du message à régénérer:', error);
+    return res.status(500).json(buildErrorPayload(error, Date.now() - startTime));
+  }
+
+  if (!target) {
+    return res.status(404).json(messageNotFoundError());
+  }
+
+  if (target.message.isUser || !question || !question.isUser) {
+    return res.status(400).json({
+      error: 'Message non régénérable',
+      message: 'Seule une réponse de l\'assistant à une question peut être régénérée'
+    });
+  }
+
+  console.log(`🔁 Régénération de la réponse ${target.message.id} (conversation ${target.conversation.id})`);
+
+  await respondWithChatPipeline(req, res, {
+    userId,
+    message: question.text,
+    attachments: question.attachments || [],
+    conversation: target.conversation,
+    startTime,
+    provider,
+    userMessage: question,
+    // Une régénération demande une nouvelle réponse : le cache est ignoré
+    refresh: true,
+    structured: typeof structured === 'boolean' ? structured : Boolean(target.message.guide),
+    addon: typeof addon === 'boolean' ? addon : Boolean(target.message.addon)
+  });
+}
+
+/**
+ * Modifie une question de l'utilisateur : la version modifiée est enregistrée comme
+ * version sœur de l'originale (nouvelle branche) puis une réponse est générée
+ * 
+ * Body : { conversationId, messageId, message, attachments?, provider?, structured?, addon? }
+ * Sans `attachments`, la version modifiée garde les pièces jointes de la question d'origine.
+ * Répond en SSE si le client envoie `Accept: text/event-stream`, sinon en JSON.
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function editMessage(req, res) {
+  const startTime = Date.now();
+  const { conversationId, messageId, message, attachments, provider = null, structured = false, addon = false } = req.body;
+  const userId = req.user.id;
+
+  const validationError = validateChatMessage(message, attachments) || validateProviderOverride(provider);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  let input;
+  let target;
+  try {
+    input = attachmentService.prepare(message, attachments);
+    target = await resolveBranchMessage(userId, conversationId, messageId);
+  } catch (error) {
+    console.error('❌ Erreur lors de la préparation de la question ou de la récupération du message à modifier:', error);
+    return res.status(500).json(buildErrorPayload(error, Date.now() - startTime));
+  }
+
+  if (!target) {
+    return res.status(404).json(messageNotFoundError());
+  }
+
+  if (!target.message.isUser) {
+    return res.status(400).json({
+      error: 'Message non modifiable',
+      message: 'Seules les questions de l\'utilisateur peuvent être modifiées'
+    });
+  }
+
+  console.log(`✏️ Modification de la question ${target.message.id} (conversation ${target.conversation.id})`);
+
+  const keptAttachments = attachments === undefined ? target.message.attachments || [] : [];
+
+  await respondWithChatPipeline(req, res, {
+    userId,
+    message: input.question,
+    attachments: [...input.attachments, ...keptAttachments],
+    conversation: target.conversation,
+    startTime,
+    provider,
+    parentId: target.message.parentId,
+    structured: structured === true,
+    addon: addon === true
+  });
+}
+
+/**
+ * Affiche une autre version d'un message : la branche active passe par ce message
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function activateMessage(req, res) {
+  try {
+    const { conversationId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const target = await resolveBranchMessage(userId, conversationId, messageId);
+    if (!target) {
+      return res.status(404).json({ success: false, ...messageNotFoundError() });
+    }
+
+    const branch = await databaseService.activateMessage(target.conversation.id, target.message.id);
+
+    return res.status(200).json({
+      success: true,
+      conversationId: target.conversation.id,
+      messages: branch.map(formatMessageForClient),
+    });
+  } catch (error) {
+    console.error('❌ Erreur changement de version du message:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'afficher cette version du message',
+    });
+  }
+}
+
+/**
+ * Enregistre les éléments cochés du guide pas à pas d'une réponse
+ * 
+ * Body : { checked: ["step-1", "validation-2", ...] }
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function updateGuideProgress(req, res) {
+  try {
+    const { conversationId, messageId } = req.params;
+    const { checked } = req.body;
+    const userId = req.user.id;
+
+    const target = await resolveBranchMessage(userId, conversationId, messageId);
+    if (!target) {
+      return res.status(404).json({ success: false, ...messageNotFoundError() });
+    }
+
+    if (!target.message.guide) {
+      return res.status(400).json({
+        success: false,
+        error: 'Guide absent',
+        message: 'Cette réponse n\'a pas de guide pas à pas'
+      });
+    }
+
+    const keys = structuredAnswerService.getChecklistKeys(target.message.guide);
+    if (!Array.isArray(checked) || checked.some(key => !keys.includes(key))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Éléments invalides',
+        message: `Le champ "checked" doit être une liste d'éléments du guide (${keys.join(', ')})`
+      });
+    }
+
+    const updated = await databaseService.updateGuideProgress(target.message.id, [...new Set(checked)]);
+
+    return res.status(200).json({
+      success: true,
+      messageId: updated.id,
+      guideProgress: updated.guideProgress
+    });
+  } catch (error) {
+    console.error('❌ Erreur enregistrement de la progression du guide:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'enregistrer la progression du guide'
+    });
+  }
+}
+
+/**
+ * Télécharge le module Odoo généré par une réponse, en archive ZIP
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function downloadAddon(req, res) {
+  try {
+    const { conversationId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const target = await resolveBranchMessage(userId, conversationId, messageId);
+    if (!target) {
+      return res.status(404).json({ success: false, ...messageNotFoundError() });
+    }
+
+    if (!target.message.addon) {
+      return res.status(404).json({
+        success: false,
+        error: 'Module absent',
+        message: 'Cette réponse n\'a pas généré de module'
+      });
+    }
+
+    const archive = addonScaffoldService.buildArchive(target.message.addon);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${target.message.addon.technicalName}.zip"`,
+      'Content-Length': archive.length
+    });
+    return res.status(200).send(archive);
+  } catch (error) {
+    console.error('❌ Erreur téléchargement du module généré:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de préparer l\'archive du module'
+    });
+  }
+}
+
+/**
+ * Renvoie les fichiers du module Odoo généré par une réponse, pour l'aperçu
+ * (les conversations n'en chargent que le nom et le résumé)
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function getAddonFiles(req, res) {
+  try {
+    const { conversationId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const conversation = await databaseService.getUserConversation(userId, parseInt(conversationId) || 0);
+    const files = conversation
+      ? await databaseService.getAddonFiles(conversation.id, parseInt(messageId) || 0)
+      : null;
+    if (!files) {
+      return res.status(404).json({ success: false, ...messageNotFoundError() });
+    }
+
+    return res.status(200).json({ success: true, files });
+  } catch (error) {
+    console.error('❌ Erreur récupération des fichiers du module:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les fichiers du module'
+    });
+  }
+}
+
+/**
+ * Renvoie les pièces jointes d'une question avec leur contenu d'origine
+ * (les conversations n'en chargent que les métadonnées)
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function getMessageAttachments(req, res) {
+  try {
+    const { conversationId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const conversation = await databaseService.getUserConversation(userId, parseInt(conversationId) || 0);
+    const attachments = conversation
+      ? await databaseService.getMessageAttachments(conversation.id, parseInt(messageId) || 0)
+      : null;
+    if (!attachments) {
+      return res.status(404).json({ success: false, ...messageNotFoundError() });
+    }
+
+    return res.status(200).json({ success: true, attachments });
+  } catch (error) {
+    console.error('❌ Erreur récupération des pièces jointes:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les pièces jointes'
+    });
+  }
+}
+
+/**
+ * Arrête la génération en cours sur une conversation
+ * 
+ * Body : { conversationId }
+ * Répond une fois la génération interrompue et le marqueur de réponse arrêtée enregistré.
+ * 
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function cancelGeneration(req, res) {
+  const { conversationId } = req.body;
+  const userId = req.user.id;
+
+  if (!conversationId) {
+    return res.status(400).json({
+      error: 'Conversation manquante',
+      message: 'Le champ "conversationId" est requis dans le body de la requête'
+    });
+  }
+
+  const generation = inFlightGenerations.get(`${userId}:${parseInt(conversationId)}`);
+  if (!generation) {
+    return res.status(200).json({ success: true, cancelled: false });
+  }
+
+  generation.abortController.abort();
+  await generation.finished;
+
+  return res.status(200).json({ success: true, cancelled: true });
+}
+
+/**
+ * Exécute le pipeline de chat et renvoie le résultat en SSE ou en JSON selon l'en-tête Accept
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ * @param {Object} pipelineParams - Paramètres de processChatMessage
+ */
+async function respondWithChatPipeline(req, res, pipelineParams) {
+  if ((req.get('Accept') || '').includes('text/event-stream')) {
+    return streamChatPipeline(res, pipelineParams);
+  }
+
+  try {
+    const response = await processChatMessage(pipelineParams);
+    res.json(response);
+  } catch (error) {
+    console.error('❌ Erreur lors du traitement du message:', error);
+    sendErrorResponse(res, error, Date.now() - pipelineParams.startTime);
+  }
+}
+
+/**
+ * Ouvre un flux SSE et y diffuse les étapes, fragments et le résultat du pipeline de chat
+ * @param {Object} res - Objet de réponse Express
+ * @param {Object} pipelineParams - Paramètres de processChatMessage (hors callbacks)
+ */
+async function streamChatPipeline(res, pipelineParams) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // La compression met les écritures en tampon : forcer l'envoi immédiat
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  // Un client qui se déconnecte (bouton Stop, navigation) annule la génération
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) disconnect.abort();
+  });
+
+  sendEvent('start', { conversationId: pipelineParams.conversation.id });
+
+  try {
+    const response = await processChatMessage({
+      ...pipelineParams,
+      signal: disconnect.signal,
+      onStage: (stage) => sendEvent('stage', { stage }),
+      onToken: (delta) => sendEvent('token', { delta })
+    });
+
+    sendEvent('done', response);
+  } catch (error) {
+    console.error('❌ Erreur lors du traitement du message (streaming):', error);
+    sendEvent('error', buildErrorPayload(error, Date.now() - pipelineParams.startTime));
+  } finally {
+    res.end();
+  }
+}
+
+/**
+ * Valide le contenu d'un message de chat et ses pièces jointes
+ * Une saisie plus longue que la question enregistrée est acceptée jusqu'à CHAT_MAX_INPUT_LENGTH :
+ * ses blocs collés deviennent une pièce jointe (voir attachmentService).
+ * @param {*} message - Valeur du champ "message" du body
+ * @param {*} [attachments] - Valeur du champ "attachments" du body
+ * @returns {Object|null} Payload d'erreur 400, ou null si le message est valide
+ */
+function validateChatMessage(message, attachments = null) {
+  const attachmentsError = attachmentService.validateAttachments(attachments);
+  if (attachmentsError) {
+    return {
+      error: 'Pièces jointes invalides',
+      message: attachmentsError
+    };
+  }
+
+  // Sans question, le contenu joint est analysé
+  const isBlank = message === undefined || message === null || (typeof message === 'string' && !message.trim());
+  if (isBlank && Array.isArray(attachments) && attachments.length > 0) {
+    return null;
+  }
+
+  if (!message) {
+    return {
+      error: 'Message manquant',
+      message: 'Le champ "message" est requis dans le body de la requête'
+    };
+  }
+  
+  if (typeof message !== 'string' || message.trim().length === 0) {
+    return {
+      error: 'Message invalide',
+      message: 'Le message doit être une chaîne de caractères non vide'
+    };
+  }
+
+  if (message.length > attachmentService.limits.inputLength) {
+    return {
+      error: 'Message trop long',
+      message: `Le message ne peut pas dépasser ${attachmentService.limits.inputLength} caractères : joignez les contenus plus longs en fichier`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Valide le fournisseur LLM demandé explicitement pour une requête
+ * @param {*} provider - Valeur du champ "provider" du body
+ * @returns {Object|null} Payload d'erreur 400, ou null si le choix est valide (ou absent)
+ */
+function validateProviderOverride(provider) {
+  if (provider === null || provider === undefined) {
+    return null;
+  }
+
+  if (!providers.isProviderOverrideAllowed()) {
+    return {
+      error: 'Fournisseur non modifiable',
+      message: 'Le choix du fournisseur IA par requête est désactivé sur ce serveur'
+    };
+  }
+
+  if (typeof provider !== 'string' || !providers.isKnownProvider(provider.toLowerCase())) {
+    return {
+      error: 'Fournisseur inconnu',
+      message: `Le fournisseur doit être l'un de : ${providers.getProviderNames().join(', ')}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Mention des pièces jointes d'une question dans les journaux
+ * @param {Array} attachments - Pièces jointes préparées
+ * @returns {string} " + 2 pièce(s) jointe(s)", vide sans pièce jointe
+ */
+function formatAttachmentCount(attachments) {
+  return attachments.length > 0 ? ` + ${attachments.length} pièce(s) jointe(s)` : '';
+}
+
+/**
+ * Récupère la conversation de l'utilisateur ou en crée une nouvelle
+ * @param {number} userId - ID de l'utilisateur
+ * @param {number|string|null} conversationId - ID de conversation demandé
+ * @param {string} message - Premier message (sert de titre aux nouvelles conversations)
+ * @param {number|string|null} [odooConnectionId] - Connexion Odoo d'une nouvelle conversation (ignorée si elle n'appartient pas à l'utilisateur)
+ * @returns {Promise<Object|null>} Conversation, ou null si elle n'appartient pas à l'utilisateur
+ */
+async function resolveConversation(userId, conversationId, message, odooConnectionId = null) {
+  if (conversationId) {
+    // Vérifier que la conversation appartient à l'utilisateur
+    return databaseService.getUserConversation(userId, parseInt(conversationId) || 0);
+  }
+
+  const connection = odooConnectionId
+    ? await databaseService.getOdooConnection(userId, parseInt(odooConnectionId) || 0)
+    : null;
+
+  // Créer une nouvelle conversation (titre provisoire, remplacé par un titre généré après le premier échange)
+  return databaseService.createConversation(userId, conversationSummaryService.buildFallbackTitle(message), connection ? connection.id : null);
+}
+
+/**
+ * Connexion Odoo choisie pour la conversation, prête pour odooConnectorService
+ * Une connexion illisible (clé de chiffrement changée, etc.) est ignorée : la réponse
+ * s'appuie alors sur la documentation seule.
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} conversation - Conversation
+ * @returns {Promise<Object|null>}
+ */
+async function resolveOdooConnection(userId, conversation) {
+  if (!conversation.odooConnectionId) return null;
+
+  try {
+    const profile = await databaseService.getOdooConnection(userId, conversation.odooConnectionId);
+    return profile ? odooConnectorService.fromProfile(profile) : null;
+  } catch (error) {
+    console.warn(`⚠️ Connexion Odoo ${conversation.odooConnectionId} inutilisable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Récupère un message d'une conversation appartenant à l'utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @param {number|string} conversationId - ID de la conversation
+ * @param {number|string} messageId - ID du message
+ * @returns {Promise<{conversation: Object, message: Object}|null>} null si introuvable
+ */
+async function resolveBranchMessage(userId, conversationId, messageId) {
+  if (!conversationId || !messageId) return null;
+
+  const conversation = await resolveConversation(userId, conversationId, '');
+  if (!conversation) return null;
+
+  const message = await databaseService.getMessage(conversation.id, parseInt(messageId));
+  return message ? { conversation, message } : null;
+}
+
+/**
+ * Payload d'erreur 404 pour un message introuvable
+ * @returns {Object} Payload d'erreur
+ */
+function messageNotFoundError() {
+  return {
+    error: 'Message non trouvé',
+    message: 'Le message demandé n\'existe pas ou ne vous appartient pas'
+  };
+}
+
+/**
+ * Payload d'erreur 404 pour une conversation introuvable
+ * @returns {Object} Payload d'erreur
+ */
+function conversationNotFoundError() {
+  return {
+    error: 'Conversation non trouvée',
+    message: 'La conversation demandée n\'existe pas ou ne vous appartient pas'
+  };
+}
+
+/**
+ * Construit le payload d'erreur technique avec la personnalité d'Adam
+ * `provider` et `model` indiquent la dernière cible LLM essayée, absents si l'erreur précède tout appel au modèle.
+ * @param {Error} error - Erreur rencontrée (`error.language` : langue de la réponse, français par défaut ;
+ *   `error.target` : { provider, model } posé par llmResilienceService)
+ * @param {number} responseTime - Temps écoulé en ms
+ * @returns {Object} Payload d'erreur
+ */
+function buildErrorPayload(error, responseTime) {
+  // Réponse d'erreur avec la personnalité d'Adam, dans la langue de la question si elle est connue
+  const errorResponse = languageService.t(error.language, 'errors.answer', { details: error.message });
+
+  return {
+    error: 'Erreur interne du serveur',
+    message: errorResponse,
+    timestamp: new Date().toISOString(),
+    responseTime: responseTime,
+    sources: [],
+    contextUsed: false,
+    ...(error.target ? { provider: error.target.provider, model: error.target.model } : {}),
+    messageLength: 0,
+    rejected: true,
+    reason: 'Erreur technique'
+  };
+}
+
+/**
+ * Envoie l'erreur d'un pipeline de chat : 503 avec Retry-After si tous les modèles sont
+ * indisponibles (disjoncteurs ouverts), 500 sinon
+ * @param {Object} res - Objet de réponse Express
+ * @param {Error} error - Erreur rencontrée
+ * @param {number} responseTime - Temps écoulé en ms
+ */
+function sendErrorResponse(res, error, responseTime) {
+  if (error.status === 503) {
+    if (error.retryAfterMs) res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    return res.status(503).json(buildErrorPayload(error, responseTime));
+  }
+  return res.status(500).json(buildErrorPayload(error, responseTime));
+}
+
+/**
+ * Pipeline complet de réponse : contexte, recherche documentaire, génération et persistance
+ * 
+ * Partagé par la route JSON et la route streaming. Seule la réponse finale de l'assistant
+ * est enregistrée en base, jamais les fragments intermédiaires.
+ * 
+ * La génération est annulable (POST /api/chat/cancel ou déconnexion du flux) : la question est
+ * conservée et un message de l'assistant marqué `isCancelled` remplace la réponse.
+ * 
+ * @param {Object} params - Paramètres du pipeline
+ * @param {number} params.userId - ID de l'utilisateur
+ * @param {string} params.message - Question de l'utilisateur (vide si elle se limite à des pièces jointes)
+ * @param {Array} [params.attachments] - Pièces jointes préparées (attachmentService.prepare)
+ * @param {Object} params.conversation - Conversation cible
+ * @param {number} params.startTime - Horodatage de réception de la requête
+ * @param {string|null} [params.provider] - Fournisseur LLM choisi pour cette requête
+ * @param {boolean} [params.refresh] - Ignorer le cache des réponses et générer une nouvelle réponse
+ * @param {boolean} [params.structured] - Demander la réponse sous forme de guide pas à pas (structuredAnswerService)
+ * @param {boolean} [params.addon] - Générer un module Odoo téléchargeable (addonScaffoldService), prioritaire sur `structured`
+ * @param {number|null} [params.parentId] - Parent du nouveau message utilisateur (édition) ;
+ *   non défini pour l'ajouter à la fin de la branche active
+ * @param {Object|null} [params.userMessage] - Message utilisateur existant à re-répondre (régénération)
+ * @param {AbortSignal} [params.signal] - Annulation déclenchée par l'appelant (déconnexion du client)
+ * @param {Function} [params.onStage] - Notifié à chaque étape du pipeline
+ * @param {Function} [params.onToken] - Reçoit les fragments de texte générés
+ * @returns {Promise<Object>} Payload de réponse pour le client
  */
-async function sendMessage(req, res) {
-  const startTime = Date.now();
-  
+async function processChatMessage(params) {
+  const abortController = new AbortController();
+  if (params.signal) {
+    if (params.signal.aborted) abortController.abort();
+    params.signal.addEventListener('abort', () => abortController.abort(), { once: true });
+  }
+
+  const generation = registerGeneration(params.userId, params.conversation.id, abortController);
+  const progress = { userMessage: params.userMessage || null, partialText: '', completions: [] };
+  let language = null;
+
   try {
-    const { message, conversationId = null } = req.body;
-    const userId = req.user.id; // Récupéré du middleware d'auth
-    
-    // Validation de la requête
-    if (!message) {
-      return res.status(400).json({
-        error: 'Message manquant',
-        message: 'Le champ "message" est requis dans le body de la requête'
-      });
-    }
-    
-    if (typeof message !== 'string' || message.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Message invalide',
-        message: 'Le message doit être une chaîne de caractères non vide'
-      });
+    language = await resolveAnswerLanguage(params.userId, params.message);
+    return await runChatPipeline({ ...params, language, signal: abortController.signal, progress });
+  } catch (error) {
+    if (!abortController.signal.aborted) {
+      // Message d'erreur affiché dans la langue de la question
+      error.language = language?.language;
+      throw error;
     }
+    return saveCancelledAnswer({ ...params, language }, progress, error.partialCompletion || null);
+  } finally {
+    generation.finish();
+  }
+}
 
-    if (message.length > 2000) {
-      return res.status(400).json({
-        error: 'Message trop long',
-        message: 'Le message ne peut pas dépasser 2000 caractères'
-      });
-    }
-    
-    console.log(`📩 Question reçue de l'utilisateur ${userId}: "${message.substring(0, 100)}${message.length > 100 ? '...' : ''}"`);
-    
-    // 1. RÉCUPÉRER OU CRÉER LA CONVERSATION
-    let conversation;
-    if (conversationId) {
-      // Vérifier que la conversation appartient à l'utilisateur
-      const conversations = await databaseService.getUserConversations(userId);
-      conversation = conversations.find(c => c.id === parseInt(conversationId));
-      
-      if (!conversation) {
-        return res.status(404).json({
-          error: 'Conversation non trouvée',
-          message: 'La conversation demandée n\'existe pas ou ne vous appartient pas'
-        });
-      }
-    } else {
-      // Créer une nouvelle conversation
-      const title = message.length > 50 ? message.substring(0, 47) + '...' : message;
-      conversation = await databaseService.createConversation(userId, title);
-    }
+/**
+ * Langue de la réponse : langue détectée dans la question, sinon préférence de l'utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} message - Question de l'utilisateur
+ * @returns {Promise<Object>} Résultat de languageService.resolveLanguage
+ */
+async function resolveAnswerLanguage(userId, message) {
+  let preferred = null;
+  try {
+    const settings = await databaseService.getUserSettings(userId);
+    preferred = settings?.language || null;
+  } catch (error) {
+    console.warn('⚠️ Préférence de langue indisponible:', error.message);
+  }
 
-    // 1.1. RÉCUPÉRER LE CONTEXTE CONVERSATIONNEL
-    console.log('🧠 Récupération du contexte conversationnel...');
-    const conversationHistory = await databaseService.getConversationHistory(conversation.id, 8);
-    const recentConversations = await databaseService.getRecentConversationsSummary(userId, 3);
-    const userPatterns = await databaseService.analyzeUserPatterns(userId);
+  const language = languageService.resolveLanguage(message, preferred);
+  if (language.detected && language.preferred && language.detected !== language.preferred) {
+    console.log(`🌐 Question en "${language.detected}" (préférence "${language.preferred}") : réponse en "${language.language}"`);
+  }
+  return language;
+}
 
-    console.log(`📚 Contexte: ${conversationHistory.length} messages précédents, ${userPatterns.preferredModules.length} modules préférés`);
+/**
+ * Enregistre une génération en cours pour pouvoir l'annuler depuis une autre requête
+ * Une nouvelle génération sur la même conversation remplace l'entrée précédente.
+ * @param {number} userId - ID de l'utilisateur
+ * @param {number} conversationId - ID de la conversation
+ * @param {AbortController} abortController - Contrôleur d'annulation de la génération
+ * @returns {{finish: Function}} Appelé une fois le pipeline terminé
+ */
+function registerGeneration(userId, conversationId, abortController) {
+  const key = `${userId}:${conversationId}`;
+  let finish;
+  const entry = {
+    abortController,
+    finished: new Promise(resolve => { finish = resolve; })
+  };
+  inFlightGenerations.set(key, entry);
 
-    // Ajouter le message utilisateur à la base de données
-    await databaseService.addMessage(conversation.id, {
-      text: message,
-      isUser: true,
-    });
-    
-    // 2. RECHERCHE AMÉLIORÉE DANS LA DOCUMENTATION ODOO
-    console.log('🔍 Recherche améliorée dans la documentation Odoo...');
-    let docSearchResult = null;
-    let relevantDocs = [];
-    let sourcesSummary = [];
-    
-    try {
-      // Utiliser la recherche améliorée avec contexte et synonymes
-      docSearchResult = await enhancedDocumentationSearch(message, conversationHistory, userPatterns);
-      
-      if (Array.isArray(docSearchResult)) {
-        // Ancien format: la fonction renvoie directement un tableau de documents
-        relevantDocs = docSearchResult;
-      } else if (docSearchResult && Array.isArray(docSearchResult.results)) {
-        // Nouveau format: { results: [...], sourcesSummary: [...] }
-        relevantDocs = docSearchResult.results;
-        if (Array.isArray(docSearchResult.sourcesSummary)) {
-          sourcesSummary = docSearchResult.sourcesSummary;
-        }
-      } else {
-        console.warn("⚠️ searchDocumentation n'a pas retourné un format attendu:", typeof docSearchResult);
-      }
-    } catch (error) {
-      console.error('❌ Erreur lors de la recherche documentation:', error);
-      relevantDocs = [];
+  return {
+    finish: () => {
+      if (inFlightGenerations.get(key) === entry) inFlightGenerations.delete(key);
+      finish();
     }
+  };
+}
 
-    console.log(`🔎 Documents pertinents trouvés: ${relevantDocs.length}`);
-    
-    // Log des modules préférés pour le debug
-    if (userPatterns.preferredModules.length > 0) {
-      console.log(`🎯 Modules préférés de l'utilisateur: ${userPatterns.preferredModules.join(', ')}`);
-    }
-    
-    // 3. SYSTÈME DE FALLBACK INTELLIGENT
-    let useGeneralKnowledge = false;
-    let fallbackReason = '';
-    
-    if (relevantDocs.length === 0) {
-      console.log('⚠️ Aucune documentation spécifique trouvée - Utilisation des connaissances générales');
-      
-      // Vérifier si la question concerne Odoo d'une manière générale
-      const odooKeywords = ['odoo', 'erp', 'crm', 'sales', 'purchase', 'inventory', 'accounting', 'hr', 'project', 'vente', 'achat', 'stock', 'comptabilité', 'paie', 'rh'];
-      const isOdooRelated = odooKeywords.some(keyword => 
-        message.toLowerCase().includes(keyword)
-      );
-      
-      // Vérifier si l'utilisateur fait référence au contexte précédent
-      const contextualPhrases = ['comme avant', 'précédemment', 'comme on a vu', 'suite', 'continue', 'aussi', 'en plus'];
-      const isContextual = contextualPhrases.some(phrase => 
-        message.toLowerCase().includes(phrase)
-      ) && conversationHistory.length > 1;
-      
-      // Utiliser les connaissances générales si la question concerne Odoo ou est contextuelle
-      if (isOdooRelated || isContextual || userPatterns.totalQuestions > 5) {
-        useGeneralKnowledge = true;
-        fallbackReason = isContextual 
-          ? 'Réponse basée sur le contexte conversationnel'
-          : 'Réponse basée sur les connaissances générales d\'Odoo';
-        console.log('✅ Fallback activé: Utilisation des connaissances générales d\'Odoo');
-      } else {
-        // Seulement rejeter si vraiment pas lié à Odoo
-        const responseTime = Date.now() - startTime;
-        
-        const friendlyResponse = buildRejectionResponse(userPatterns, conversationHistory);
-
-        // Ajouter la réponse de rejet à la base de données
-        await databaseService.addMessage(conversation.id, {
-          text: friendlyResponse,
-          isUser: false,
-          isError: false,
-        });
+/**
+ * Enregistre le marqueur d'une réponse arrêtée (texte déjà généré éventuel) et construit le payload
+ * Les tokens de l'appel interrompu (prompt et texte déjà reçu, estimés) sont inscrits au journal de
+ * consommation et, avec les appels terminés, sur le marqueur.
+ * @param {Object} params - Paramètres du pipeline
+ * @param {Object} progress - Avancement { userMessage, partialText, completions } au moment de l'annulation
+ * @param {Object|null} [partialCompletion] - Appel interrompu (groqService.createCompletion)
+ * @returns {Promise<Object>} Payload de réponse pour le client
+ */
+async function saveCancelledAnswer(params, progress, partialCompletion = null) {
+  const { userId, conversation, startTime, language } = params;
+  console.log(`⏹️ Génération annulée pour la conversation ${conversation.id}`);
 
-        return res.json({
-          success: true,
-          message: friendlyResponse,
-          conversationId: conversation.id,
-          timestamp: new Date().toISOString(),
-          responseTime: responseTime,
-          sources: [],
-          contextUsed: false,
-          rejected: true,
-          reason: 'Question non liée à Odoo selon l\'analyse contextuelle'
-        });
-      }
-    }
+  const completions = [...progress.completions];
+  if (partialCompletion) {
+    const cancelled = { ...partialCompletion, stage: 'cancelled', applied: false };
+    completions.push(cancelled);
+    usageService.recordCompletion({ userId, conversationId: conversation.id }, cancelled);
+  }
+  const usage = usageService.sumCompletions(completions);
+
+  const savedMarker = progress.userMessage
+    ? await databaseService.addMessage(conversation.id, {
+      text: progress.partialText,
+      isUser: false,
+      isError: false,
+      isCancelled: true,
+      language: language?.language ?? null,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      costUsd: usage.costUsd,
+      parentId: progress.userMessage.id,
+    })
+    : null;
+
+  return {
+    success: true,
+    cancelled: true,
+    message: progress.partialText,
+    conversationId: conversation.id,
+    messageId: savedMarker?.id ?? null,
+    userMessageId: progress.userMessage?.id ?? null,
+    timestamp: new Date().toISOString(),
+    responseTime: Date.now() - startTime,
+    sources: [],
+    language: language?.language ?? null,
+    rejected: false
+  };
+}
+
+/**
+ * Étapes du pipeline de chat (voir processChatMessage)
+ * @param {Object} params - Paramètres de processChatMessage, avec `signal` et `progress`
+ * @returns {Promise<Object>} Payload de réponse pour le client
+ */
+async function runChatPipeline({
+  userId,
+  message,
+  attachments = [],
+  conversation,
+  startTime,
+  provider = null,
+  refresh = false,
+  structured = false,
+  addon = false,
+  parentId = undefined,
+  userMessage = null,
+  language,
+  signal,
+  progress,
+  onStage: notifyStage = null,
+  onToken: notifyToken = null
+}) {
+  // Suivre le texte déjà généré pour le conserver en cas d'annulation
+  const onStage = (stage) => {
+    // Auto-correction et correction du code : la réponse est renvoyée en entier
+    if (stage === 'self_correcting' || stage === 'repairing_code') progress.partialText = '';
+    if (notifyStage) notifyStage(stage);
+  };
+  const onToken = (delta) => {
+    progress.partialText += delta;
+    if (notifyToken) notifyToken(delta);
+  };
+
+  // 1.1. RÉCUPÉRER LE CONTEXTE CONVERSATIONNEL (uniquement la branche à laquelle la question est rattachée)
+  console.log('🧠 Récupération du contexte conversationnel...');
+  const branchLeafId = userMessage ? userMessage.parentId : parentId;
+  // Les pièces jointes des questions précédentes y sont signalées, sans leur contenu
+  const conversationHistory = attachmentService.annotateHistory(
+    await databaseService.getConversationHistory(conversation.id, HISTORY_LOAD_LIMIT, branchLeafId)
+  );
+  const recentConversations = await databaseService.getRecentConversationsSummary(userId, 3);
+  // Mettre à jour en arrière-plan les résumés des autres conversations récentes
+  recentConversations
+    .filter(conv => conv.summaryStale && conv.id !== conversation.id && conv.messageCount > 0)
+    .forEach(conv => conversationSummaryService.refreshSummaryInBackground(conv.id, userId));
+  const userPatterns = await databaseService.analyzeUserPatterns(userId);
+
+  console.log(`📚 Contexte: ${conversationHistory.length} messages précédents, ${userPatterns.preferredModules.length} modules préférés`);
+
+  // Ajouter le message utilisateur à la base de données (sauf en régénération : il existe déjà)
+  const savedUserMessage = userMessage || await databaseService.addMessage(conversation.id, {
+    text: message,
+    isUser: true,
+    attachments: attachments.length > 0 ? attachments : null,
+    language: language.language,
+    parentId,
+  });
+  progress.userMessage = savedUserMessage;
+  const replyParentId = savedUserMessage ? savedUserMessage.id : undefined;
+  
+  // Question complétée de la ligne de titre des pièces jointes (exception d'un traceback...)
+  const searchText = attachmentService.buildSearchText(message, attachments);
+
+  // 2. RECHERCHE AMÉLIORÉE DANS LA DOCUMENTATION ODOO
+  console.log('🔍 Recherche améliorée dans la documentation Odoo...');
+  signal.throwIfAborted();
+  onStage('searching');
+  let docSearchResult = null;
+  let relevantDocs = [];
+  let sourcesSummary = [];
+  
+  try {
+    // Utiliser la recherche améliorée avec contexte et synonymes
+    docSearchResult = await enhancedDocumentationSearch(searchText, conversationHistory, userPatterns);
     
-    if (!useGeneralKnowledge) {
-      console.log(`✅ ${relevantDocs.length} documents pertinents trouvés - Recherche réussie`);
+    if (Array.isArray(docSearchResult)) {
+      // Ancien format: la fonction renvoie directement un tableau de documents
+      relevantDocs = docSearchResult;
+    } else if (docSearchResult && Array.isArray(docSearchResult.results)) {
+      // Nouveau format: { results: [...], sourcesSummary: [...] }
+      relevantDocs = docSearchResult.results;
+      if (Array.isArray(docSearchResult.sourcesSummary)) {
+        sourcesSummary = docSearchResult.sourcesSummary;
+      }
+    } else {
+      console.warn("⚠️ searchDocumentation n'a pas retourné un format attendu:", typeof docSearchResult);
     }
-    
-    // 4. CONSTRUCTION DU CONTEXTE
-    const context = relevantDocs.length > 0 
-      ? relevantDocs.map(doc => `${doc.title || 'Titre non disponible'}\n${doc.excerpt || 'Contenu non disponible'}`).join('\n\n')
-      : ''; // Contexte vide si utilisation des connaissances générales
-    
-    // 5. GÉNÉRATION DE LA RÉPONSE AVEC MÉMOIRE CONVERSATIONNELLE
-    const systemPrompt = buildEnhancedSystemPrompt(userPatterns, conversationHistory, recentConversations);
-    const userPrompt = buildContextualUserPrompt(message, context, conversationHistory, userPatterns);
-
-    // Options avancées pour la génération
-    const advancedOptions = {
-      enableSelfCorrection: relevantDocs.length > 0 || userPatterns.totalQuestions > 5, // Auto-correction pour utilisateurs expérimentés
-      useChainOfThought: true,
-      fewShotExamples: true
-    };
+  } catch (error) {
+    console.error('❌ Erreur lors de la recherche documentation:', error);
+    relevantDocs = [];
+  }
 
-    const reply = await groqService.generateResponse(userPrompt, systemPrompt, advancedOptions);
-    
+  console.log(`🔎 Documents pertinents trouvés: ${relevantDocs.length}`);
+  
+  // Log des modules préférés pour le debug
+  if (userPatterns.preferredModules.length > 0) {
+    console.log(`🎯 Modules préférés de l'utilisateur: ${userPatterns.preferredModules.join(', ')}`);
+  }
+  
+  // 3. SUJET DE LA QUESTION : classifieur local, demande de précision dans la bande d'incertitude
+  const topic = topicClassifierService.classify(searchText, {
+    history: conversationHistory,
+    documentsFound: relevantDocs.length,
+    odooAttachment: attachments.some(attachment => attachmentService.isOdooContent(attachment))
+  });
+  // Politique de masquage des données personnelles et secrets du domaine de l'utilisateur
+  const redactionPolicy = await redactionService.resolvePolicy(userId);
+  topicClassifierService.logDecision(topic, {
+    conversationId: conversation.id,
+    userId,
+    messageId: savedUserMessage?.id ?? null,
+    question: searchText,
+    language: language.language,
+    redactionPolicy
+  });
+
+  if (topic.decision !== 'accept') {
     const responseTime = Date.now() - startTime;
-    
-    // Analyser la qualité de la réponse
-    const qualityMetrics = groqService.analyzeResponseQuality(reply, message);
-    
-    console.log(`✅ Réponse générée en ${responseTime}ms - Qualité: ${Math.round(qualityMetrics.readabilityScore)}%`);
-    
-    // Ajouter la réponse du bot à la base de données
-    await databaseService.addMessage(conversation.id, {
-      text: reply,
+    const rejected = topic.decision === 'reject';
+
+    const friendlyResponse = rejected
+      ? buildRejectionResponse(userPatterns, conversationHistory, language.language)
+      : topicClassifierService.buildClarificationResponse(language.language);
+
+    // Ajouter la réponse de rejet ou la demande de précision à la base de données
+    signal.throwIfAborted();
+    const savedReply = await databaseService.addMessage(conversation.id, {
+      text: friendlyResponse,
       isUser: false,
-      sources: relevantDocs.map(doc => ({
-        title: doc.title || 'Titre non disponible',
-        filePath: doc.filePath || '',
-        section: doc.section || '',
-        subsection: doc.subsection || '',
-        excerpt: doc.excerpt || 'Contenu non disponible'
-      })),
       isError: false,
+      language: language.language,
+      parentId: replyParentId,
     });
-    
-    // 6. Enrichir la réponse avec des métadonnées améliorées
-    const response = {
+
+    return {
       success: true,
-      message: reply,
+      message: friendlyResponse,
       conversationId: conversation.id,
+      messageId: savedReply?.id ?? null,
+      userMessageId: savedUserMessage?.id ?? null,
       timestamp: new Date().toISOString(),
       responseTime: responseTime,
-      sources: relevantDocs.map(doc => ({
-        title: doc.title || 'Titre non disponible',
-        filePath: doc.filePath || '',
-        section: doc.section || '',
-        subsection: doc.subsection || '',
-        excerpt: doc.excerpt || 'Contenu non disponible'
-      })),
-      contextUsed: relevantDocs.length > 0,
-      memoryUsed: conversationHistory.length > 1,
-      fallbackUsed: useGeneralKnowledge,
-      fallbackReason: fallbackReason,
-      rejected: false,
-      userContext: {
-        preferredModules: userPatterns.preferredModules,
-        totalQuestions: userPatterns.totalQuestions,
-        conversationLength: conversationHistory.length
-      },
-      qualityMetrics: qualityMetrics,
-      advancedFeatures: {
-        selfCorrectionUsed: advancedOptions.enableSelfCorrection,
-        chainOfThoughtUsed: advancedOptions.useChainOfThought,
-        fewShotExamplesUsed: advancedOptions.fewShotExamples
-      }
+      sources: [],
+      language: language.language,
+      contextUsed: false,
+      rejected,
+      clarificationRequested: !rejected,
+      topic: formatTopicDecision(topic),
+      reason: rejected
+        ? 'Question non liée à Odoo selon le classifieur de sujet'
+        : 'Sujet de la question incertain : précision demandée'
     };
+  }
+
+  // Sans documentation trouvée, la réponse s'appuie sur les connaissances générales d'Odoo
+  const useGeneralKnowledge = relevantDocs.length === 0;
+  let fallbackReason = '';
+  if (useGeneralKnowledge) {
+    fallbackReason = topic.reason === 'context'
+      ? 'Réponse basée sur le contexte conversationnel'
+      : 'Réponse basée sur les connaissances générales d\'Odoo';
+    console.log('⚠️ Aucune documentation spécifique trouvée - Utilisation des connaissances générales');
+  }
+  
+  if (!useGeneralKnowledge) {
+    console.log(`✅ ${relevantDocs.length} documents pertinents trouvés - Recherche réussie`);
+  }
+  
+  // 4. CONSTRUCTION DU CONTEXTE (limitée à la part du budget de tokens réservée à la documentation)
+  const modelName = groqService.getProvider(provider).model;
+  const documentation = tokenBudgetService.fitDocumentation(relevantDocs, modelName);
+  const contextDocs = documentation.docs;
+  // Documents numérotés [1], [2]... pour que la réponse puisse les citer
+  const context = contextDocs.length > 0 
+    ? citationService.buildNumberedContext(contextDocs)
+    : ''; // Contexte vide si utilisation des connaissances générales
+  
+  // Extraits des pièces jointes retenus pour la question (part du budget de tokens réservée aux pièces jointes)
+  const question = message || languageService.t(language.language, 'attachments.defaultQuestion');
+  const attachmentSection = attachmentService.buildPromptSection(message, attachments, modelName);
+  attachmentSection.excerpts.forEach((excerpt, index) => {
+    console.log(`📎 Pièce jointe ${index + 1} (${attachments[index].kind}, ${attachments[index].lines} lignes) : ${excerpt.passages}/${excerpt.total} passages envoyés`);
+  });
+  
+  // 5. GÉNÉRATION DE LA RÉPONSE AVEC MÉMOIRE CONVERSATIONNELLE
+  // Templates de prompts actifs, ou variante de l'expérience en cours attribuée à l'utilisateur
+  const prompts = await promptTemplateService.resolvePromptSet(userId);
+  // Instance Odoo de l'utilisateur interrogeable par le modèle (outils en lecture seule)
+  const odooConnection = await resolveOdooConnection(userId, conversation);
+
+  // Cache des réponses : uniquement pour une question posée hors contexte, sans pièce jointe, sans
+  // données d'instance Odoo propres à l'utilisateur, ni module généré, ni données personnelles ou
+  // secrets (restitués dans la réponse) (voir answerCacheService)
+  const cacheable = conversationHistory.length === 0 && attachments.length === 0 && !odooConnection && !addon && !redactionService.containsSensitiveData(message, redactionPolicy);
+  // Une réponse partagée entre utilisateurs ne doit rien devoir au profil de l'un d'eux :
+  // sans modules préférés, sujets fréquents ni conversations récentes dans le prompt système
+  const promptPatterns = cacheable ? ANONYMOUS_USER_PATTERNS : userPatterns;
+  const systemPrompt = buildEnhancedSystemPrompt(promptPatterns, conversationHistory, cacheable ? [] : recentConversations, language.language, prompts);
+  const userPrompt = buildContextualUserPrompt(question, context, conversationHistory, promptPatterns, contextDocs.length, prompts, attachmentSection.text);
+
+  // Options avancées pour la génération
+  const advancedOptions = {
+    enableSelfCorrection: relevantDocs.length > 0 || promptPatterns.totalQuestions > 5, // Auto-correction pour utilisateurs expérimentés
+    useChainOfThought: true,
+    fewShotExamples: true
+  };
+
+  const cacheKey = cacheable
+    ? answerCacheService.buildKey({ question: message, docs: contextDocs, language: language.language, model: modelName, promptVersions: prompts.versions, structured })
+    : null;
+  const cachedAnswer = cacheKey && !refresh ? await answerCacheService.get(cacheKey) : null;
+
+  let reply;
+  // Modèle ayant produit le texte retenu (null en mode démonstration)
+  let generation = null;
+  // Tous les appels au modèle pour cette réponse, auto-correction comprise (consommation de tokens),
+  // partagés avec processChatMessage pour le marqueur d'une génération arrêtée
+  const completions = progress.completions;
+  // Appels d'outils de documentation demandés par le modèle
+  const toolCalls = [];
+  // Guide pas à pas validé (mode structuré)
+  let guide = null;
+  // Module Odoo généré et vérifié (mode module)
+  let generatedAddon = null;
+  // Vérification des blocs de code de la réponse, après l'éventuelle correction par le modèle
+  let codeCheck = null;
+  // Données masquées avant l'envoi au fournisseur (types, marqueurs et occurrences, sans les valeurs)
+  let redaction = null;
+  if (cachedAnswer) {
+    console.log(`♻️ Réponse servie depuis le cache (enregistrée le ${cachedAnswer.cachedAt})`);
+    onStage('generating');
+    if (notifyToken) onToken(cachedAnswer.text);
+    reply = cachedAnswer.text;
+    guide = cachedAnswer.guide || null;
+    codeCheck = cachedAnswer.codeCheck || null;
+    generation = cachedAnswer.model ? { provider: cachedAnswer.provider || null, model: cachedAnswer.model, attempts: 0, fallback: false } : null;
+  } else {
+    reply = await groqService.generateResponse(userPrompt, systemPrompt, {
+      ...advancedOptions,
+      provider,
+      language: language.language,
+      history: conversationHistory,
+      prompts,
+      signal,
+      onStage,
+      onCompletion: (completion) => {
+        completions.push(completion);
+        usageService.recordCompletion({ userId, conversationId: conversation.id }, completion);
+        if (completion.applied) generation = completion;
+      },
+      onToolCall: (toolCall) => toolCalls.push(toolCall),
+      odooConnection,
+      structured,
+      onGuide: (validGuide) => { guide = validGuide; },
+      addon,
+      onAddon: (validAddon) => { generatedAddon = validAddon; },
+      onCodeCheck: (result) => { codeCheck = result; },
+      redactionPolicy,
+      onRedaction: (summary) => { redaction = summary; },
+      // Sans client en streaming, inutile de demander un flux au fournisseur
+      onToken: notifyToken ? onToken : null
+    });
 
-    // Ajouter les informations de debug en développement
-    if (process.env.NODE_ENV === 'development') {
-      response.debug = {
-        searchTerms: message.toLowerCase().split(' ').slice(0, 5),
-        documentsFound: relevantDocs.length,
-        contextLength: context.length,
-        processingSteps: [
-          'Validation sujet Odoo',
-          'Recherche documentation GitHub',
-          'Vérification sources',
-          'Construction contexte',
-          'Génération IA avec personnalité Adam',
-          'Formatage réponse Markdown'
-        ]
-      };
+    // Les réponses de démonstration et de secours ne sont pas mises en cache
+    if (cacheKey && generation && !generation.fallback && reply && reply !== languageService.t(language.language, 'errors.emptyAnswer')) {
+      await answerCacheService.set(cacheKey, { text: reply, guide, codeCheck, provider: generation.provider, model: generation.model });
     }
-    
-    res.json(response);
-    
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    
-    console.error('❌ Erreur lors du traitement du message:', error);
-    
-    // Réponse d'erreur avec la personnalité d'Adam
-    const errorResponse = `Désolé, j'ai rencontré une difficulté technique. 😔
+  }
+  
+  // Vérifier les citations : retirer les marqueurs qui ne renvoient à aucune source
+  const citations = citationService.processCitations(reply, contextDocs.length);
+  if (citations.invalid.length > 0) {
+    console.warn(`⚠️ Citations sans source retirées de la réponse : ${citations.invalid.map(n => `[${n}]`).join(', ')}`);
+  }
+  reply = citations.text;
+  // Même traitement des citations pour les textes du guide
+  if (guide) {
+    guide = structuredAnswerService.mapTexts(guide, text => citationService.processCitations(text, contextDocs.length).text);
+  }
 
-**Ce qui s'est passé :**
-• Une erreur s'est produite lors du traitement de votre question
-• Je n'ai pas pu accéder à la documentation Odoo
+  // Vérifier les chemins de menu, modèles et champs cités par rapport à l'index de documentation
+  const grounding = groundingService.verifyAnswer(reply);
+  if (grounding.status === 'warning') {
+    const flagged = grounding.claims.filter(claim => claim.status !== 'verified').map(claim => claim.text);
+    console.warn(`⚠️ Éléments non confirmés par la documentation : ${flagged.join(' | ')}`);
+  }
 
-**Ce que vous pouvez faire :**
-• Reformulez votre question différemment
-• Vérifiez votre connexion internet
-• Contactez l'équipe technique si le problème persiste
+  // Réponses sans vérification du code à la génération (démonstration, guide, module, ancien cache)
+  if (!codeCheck) codeCheck = codeValidationService.checkAnswer(reply);
+  if (codeCheck.status === 'warning') {
+    console.warn(`⚠️ Blocs de code invalides dans la réponse : ${codeCheck.blocks.filter(block => !block.valid).map(block => block.index).join(', ')}`);
+  }
 
-Je reste à votre disposition pour vous aider avec Odoo ! 🚀
+  const responseTime = Date.now() - startTime;
+  
+  // Analyser la qualité de la réponse
+  const qualityMetrics = groqService.analyzeResponseQuality(reply, question);
+  
+  console.log(`✅ Réponse générée en ${responseTime}ms - Qualité: ${Math.round(qualityMetrics.readabilityScore)}%`);
+  
+  const sources = contextDocs.map((doc, index) => ({
+    index: index + 1,
+    cited: citations.cited.includes(index + 1),
+    title: doc.title || 'Titre non disponible',
+    filePath: doc.filePath || '',
+    section: doc.section || '',
+    subsection: doc.subsection || '',
+    excerpt: doc.excerpt || 'Contenu non disponible'
+  }));
 
-*Erreur technique : ${error.message}*`;
+  // Questions de suivi proposées sous la réponse
+  const suggestions = suggestionService.buildFollowUps({
+    question: searchText,
+    answer: reply,
+    sources,
+    preferredModules: userPatterns.preferredModules,
+    language: language.language
+  });
 
-    res.status(500).json({
-      error: 'Erreur interne du serveur',
-      message: errorResponse,
-      timestamp: new Date().toISOString(),
-      responseTime: responseTime,
-      sources: [],
-      contextUsed: false,
-      model: 'groq-llama3-70b',
-      messageLength: 0,
-      rejected: true,
-      reason: 'Erreur technique'
+  const usage = usageService.sumCompletions(completions);
+
+  // Ajouter la réponse du bot à la base de données (sauf si l'utilisateur a arrêté la génération entre-temps)
+  signal.throwIfAborted();
+  progress.partialText = reply;
+  const savedReply = await databaseService.addMessage(conversation.id, {
+    text: reply,
+    isUser: false,
+    sources,
+    grounding,
+    codeCheck,
+    suggestions,
+    language: language.language,
+    fromCache: Boolean(cachedAnswer),
+    provider: generation?.provider ?? null,
+    model: generation?.model ?? null,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    costUsd: usage.costUsd,
+    promptVersions: prompts.versions,
+    toolCalls,
+    guide,
+    addon: generatedAddon,
+    redaction,
+    experimentId: prompts.experiment?.id ?? null,
+    experimentVariant: prompts.experiment?.variant ?? null,
+    isError: false,
+    parentId: replyParentId,
+  });
+
+  if (cachedAnswer) {
+    databaseService.createAnalyticsEvent({
+      eventType: 'answer_cache_hit',
+      userId,
+      conversationId: conversation.id,
+      metadata: { messageId: savedReply?.id ?? null, language: language.language, model: cachedAnswer.model, cachedAt: cachedAnswer.cachedAt }
     });
   }
+  
+  // Premier échange d'une conversation : générer son titre en arrière-plan (sauf titre renommé)
+  const titlePending = conversationHistory.length === 0 && !userMessage && parentId === undefined && !conversation.titleEditedByUser;
+  if (titlePending) {
+    conversationSummaryService.generateTitleInBackground(conversation.id, searchText, reply, provider, language.language, redactionPolicy, userId);
+  }
+  
+  // 6. Enrichir la réponse avec des métadonnées améliorées
+  const response = {
+    success: true,
+    message: reply,
+    conversationId: conversation.id,
+    messageId: savedReply?.id ?? null,
+    userMessageId: savedUserMessage?.id ?? null,
+    timestamp: new Date().toISOString(),
+    responseTime: responseTime,
+    sources,
+    citations: {
+      cited: citations.cited,
+      invalid: citations.invalid
+    },
+    grounding,
+    codeCheck,
+    suggestions,
+    language: language.language,
+    llm: {
+      provider: generation?.provider ?? null,
+      model: generation?.model ?? null,
+      attempts: generation?.attempts ?? 0,
+      fallback: generation?.fallback ?? false
+    },
+    usage,
+    toolCalls,
+    guide,
+    guideProgress: [],
+    addon: generatedAddon,
+    redaction,
+    prompt: {
+      versions: prompts.versions,
+      experiment: prompts.experiment
+    },
+    cache: {
+      hit: Boolean(cachedAnswer),
+      cachedAt: cachedAnswer?.cachedAt ?? null,
+      refreshed: refresh && cacheKey !== null
+    },
+    titlePending,
+    contextUsed: relevantDocs.length > 0,
+    memoryUsed: conversationHistory.length > 0,
+    fallbackUsed: useGeneralKnowledge,
+    fallbackReason: fallbackReason,
+    rejected: false,
+    clarificationRequested: false,
+    topic: formatTopicDecision(topic),
+    userContext: {
+      preferredModules: userPatterns.preferredModules,
+      totalQuestions: userPatterns.totalQuestions,
+      conversationLength: conversationHistory.length
+    },
+    qualityMetrics: qualityMetrics,
+    advancedFeatures: {
+      selfCorrectionUsed: advancedOptions.enableSelfCorrection && !cachedAnswer,
+      chainOfThoughtUsed: advancedOptions.useChainOfThought,
+      fewShotExamplesUsed: advancedOptions.fewShotExamples
+    }
+  };
+
+  // Ajouter les informations de debug en développement
+  if (process.env.NODE_ENV === 'development') {
+    response.debug = {
+      searchTerms: message.toLowerCase().split(' ').slice(0, 5),
+      documentsFound: relevantDocs.length,
+      documentsSent: contextDocs.length,
+      documentationTokens: documentation.tokens,
+      languageDetection: language,
+      answerCacheKey: cacheKey,
+      contextLength: context.length,
+      processingSteps: [
+        'Validation sujet Odoo',
+        'Recherche documentation GitHub',
+        'Vérification sources',
+        'Construction contexte',
+        'Génération IA avec personnalité Adam',
+        'Formatage réponse Markdown'
+      ]
+    };
+  }
+  
+  return response;
+}
+
+/**
+ * Formate un message de la branche active pour le frontend
+ * @param {Object} msg - Message annoté par databaseService.buildActiveBranch
+ * @returns {Object} Message sérialisable
+ */
+function formatMessageForClient(msg) {
+  return {
+    id: msg.id,
+    text: msg.text,
+    isUser: msg.isUser,
+    timestamp: msg.timestamp,
+    sources: msg.sources || [],
+    grounding: msg.grounding || null,
+    codeCheck: msg.codeCheck || null,
+    suggestions: msg.suggestions || [],
+    guide: msg.guide || null,
+    guideProgress: msg.guideProgress || [],
+    addon: msg.addon || null,
+    redaction: msg.redaction || null,
+    attachments: msg.attachments || null,
+    language: msg.language || null,
+    fromCache: msg.fromCache || false,
+    model: msg.model || null,
+    isError: msg.isError || false,
+    isCancelled: msg.isCancelled || false,
+    parentId: msg.parentId ?? null,
+    siblingIds: msg.siblingIds || [msg.id],
+    siblingIndex: msg.siblingIndex ?? 0,
+  };
 }
 
 /**
@@ -311,14 +1443,8 @@ async function getConversations(req, res) {
     const formattedConversations = conversations.map(conv => ({
       id: conv.id,
       title: conv.title,
-      messages: conv.messages.map(msg => ({
-        id: msg.id,
-        text: msg.text,
-        isUser: msg.isUser,
-        timestamp: msg.timestamp,
-        sources: msg.sources || [],
-        isError: msg.isError || false,
-      })),
+      odooConnectionId: conv.odooConnectionId ?? null,
+      messages: conv.messages.map(formatMessageForClient),
       createdAt: conv.createdAt,
       updatedAt: conv.updatedAt,
     }));
@@ -339,17 +1465,17 @@ async function getConversations(req, res) {
 }
 
 /**
- * Met à jour une conversation (titre, etc.)
+ * Met à jour une conversation
+ * Body : { title?, odooConnectionId? } (odooConnectionId null : documentation seule)
  */
 async function updateConversation(req, res) {
   try {
     const { conversationId } = req.params;
-    const { title } = req.body;
+    const { title, odooConnectionId } = req.body;
     const userId = req.user.id;
 
     // Vérifier que la conversation appartient à l'utilisateur
-    const conversations = await databaseService.getUserConversations(userId);
-    const conversation = conversations.find(c => c.id === parseInt(conversationId));
+    const conversation = await databaseService.getUserConversation(userId, parseInt(conversationId) || 0);
     
     if (!conversation) {
       return res.status(404).json({
@@ -359,25 +1485,52 @@ async function updateConversation(req, res) {
       });
     }
 
-    // Mettre à jour la conversation
-    const updatedConversation = await databaseService.updateConversation(
-      parseInt(conversationId),
-      { title }
-    );
+    if (title === undefined && odooConnectionId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Requête invalide',
+        message: 'Aucun champ à modifier (title ou odooConnectionId)'
+      });
+    }
+
+    const updateData = {};
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Titre invalide',
+          message: 'Le titre de la conversation ne peut pas être vide'
+        });
+      }
+      // Un titre renommé n'est plus remplacé par le titre généré
+      updateData.title = title.trim();
+      updateData.titleEditedByUser = true;
+    }
+
+    if (odooConnectionId !== undefined) {
+      const connection = odooConnectionId === null
+        ? null
+        : await databaseService.getOdooConnection(userId, parseInt(odooConnectionId) || 0);
+      if (odooConnectionId !== null && !connection) {
+        return res.status(404).json({
+          success: false,
+          error: 'Connexion non trouvée',
+          message: 'La connexion Odoo demandée n\'existe pas ou ne vous appartient pas'
+        });
+      }
+      updateData.odooConnectionId = connection ? connection.id : null;
+    }
+
+    const updatedConversation = await databaseService.updateConversation(parseInt(conversationId), updateData);
 
     return res.status(200).json({
       success: true,
       conversation: {
         id: updatedConversation.id,
         title: updatedConversation.title,
-        messages: updatedConversation.messages.map(msg => ({
-          id: msg.id,
-          text: msg.text,
-          isUser: msg.isUser,
-          timestamp: msg.timestamp,
-          sources: msg.sources || [],
-          isError: msg.isError || false,
-        })),
+        odooConnectionId: updatedConversation.odooConnectionId ?? null,
+        messages: updatedConversation.messages.map(formatMessageForClient),
         updatedAt: updatedConversation.updatedAt,
       },
     });
@@ -392,6 +1545,80 @@ async function updateConversation(req, res) {
   }
 }
 
+/**
+ * Questions de démarrage par module Odoo, affichées avant le premier message
+ * Query : ?language=fr|en|ar (par défaut la langue des paramètres de l'utilisateur)
+ */
+async function getStarterQuestions(req, res) {
+  try {
+    const language = languageService.normalizeLanguage(req.query.language)
+      || languageService.normalizeLanguage((await databaseService.getUserSettings(req.user.id))?.language)
+      || 'fr';
+
+    return res.status(200).json({
+      success: true,
+      language,
+      modules: suggestionService.getStarterQuestions(language),
+    });
+  } catch (error) {
+    console.error('❌ Erreur questions de démarrage:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les questions suggérées',
+    });
+  }
+}
+
+/**
+ * Résumé structuré d'une conversation : problème, étapes recommandées, points en suspens
+ * Le résumé enregistré est réutilisé tant que la branche active n'a pas changé (`?refresh=true` pour le recalculer).
+ */
+async function getConversationSummary(req, res) {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    // Vérifier que la conversation appartient à l'utilisateur
+    const conversation = await databaseService.getUserConversation(userId, parseInt(conversationId) || 0);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation non trouvée',
+        message: 'La conversation demandée n\'existe pas ou ne vous appartient pas'
+      });
+    }
+
+    const { summary, cached } = await conversationSummaryService.getSummary(conversation, {
+      refresh: req.query.refresh === 'true'
+    });
+
+    return res.status(200).json({
+      success: true,
+      conversationId: conversation.id,
+      title: conversation.title,
+      summary: {
+        problem: summary.problem,
+        steps: summary.steps,
+        openQuestions: summary.openQuestions,
+        generatedBy: summary.generatedBy,
+        generatedAt: summary.generatedAt,
+      },
+      cached,
+    });
+  } catch (error) {
+    console.error('❌ Erreur résumé conversation:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de résumer la conversation',
+    });
+  }
+}
+
 /**
  * Supprime une conversation
  */
@@ -401,8 +1628,7 @@ async function deleteConversation(req, res) {
     const userId = req.user.id;
 
     // Vérifier que la conversation appartient à l'utilisateur
-    const conversations = await databaseService.getUserConversations(userId);
-    const conversation = conversations.find(c => c.id === parseInt(conversationId));
+    const conversation = await databaseService.getUserConversation(userId, parseInt(conversationId) || 0);
     
     if (!conversation) {
       return res.status(404).json({
@@ -438,10 +1664,11 @@ async function getHealthStatus(req, res) {
     const uptime = process.uptime();
     const groqStatus = await groqService.checkHealth();
     const dbStatus = await databaseService.healthCheck();
+    const llmResilience = llmResilienceService.getStatus();
     
     res.json({
       success: true,
-      status: 'healthy',
+      status: llmResilience.status,
       service: 'Odoo Chatbot API - Adam Expert',
       timestamp: new Date().toISOString(),
       uptime: Math.floor(uptime),
@@ -450,6 +1677,7 @@ async function getHealthStatus(req, res) {
       services: {
         groq: groqStatus,
         database: dbStatus,
+        llmResilience,
       },
       features: [
         'Authentification JWT sécurisée',
@@ -472,62 +1700,62 @@ async function getHealthStatus(req, res) {
   }
 }
 
+/**
+ * Décision du classifieur de sujet renvoyée au client
+ * @param {Object} topic - Résultat de topicClassifierService.classify()
+ * @returns {Object} { decision, probability, reason, classifier, modelVersion }
+ */
+function formatTopicDecision(topic) {
+  return {
+    decision: topic.decision,
+    probability: topic.probability,
+    reason: topic.reason,
+    classifier: topic.classifier,
+    modelVersion: topic.modelVersion
+  };
+}
+
 /**
  * Construit une réponse de rejet personnalisée et contextuelle
  * @param {Object} userPatterns - Patterns d'utilisation de l'utilisateur
  * @param {Array} conversationHistory - Historique de la conversation
+ * @param {string} [language] - Langue de la réponse (fr, en, ar)
  * @returns {string} Réponse de rejet personnalisée
  */
-function buildRejectionResponse(userPatterns, conversationHistory) {
-  let response = `Bonjour ! Je suis **Adam**, votre expert Odoo chez **Schwing Stetter Algérie**. 🚀\n\n`;
+function buildRejectionResponse(userPatterns, conversationHistory, language = 'fr') {
+  const t = (key, params) => languageService.t(language, `rejection.${key}`, params);
+  let response = `${t('greeting')}\n\n`;
   
   // Personnaliser selon l'historique
   if (userPatterns.totalQuestions > 0) {
-    response += `Je vois que nous avons déjà discuté de sujets Odoo ensemble. `;
+    response += t('returningUser');
     
     if (userPatterns.preferredModules.length > 0) {
-      response += `Vous semblez particulièrement intéressé(e) par : **${userPatterns.preferredModules.join(', ')}**.\n\n`;
+      response += `${t('preferredModules', { modules: userPatterns.preferredModules.join(', ') })}\n\n`;
     }
   }
   
-  response += `Je suis spécialisé dans **Odoo v17** et je peux vous aider avec :\n\n`;
-  response += `• **Modules Odoo** : CRM, Comptabilité, Ventes, Achats, Stock, RH, Projets, etc.\n`;
-  response += `• **Développement** : API, ORM, Vues, Templates, Extensions personnalisées\n`;
-  response += `• **Administration** : Installation, Configuration, Maintenance\n`;
-  response += `• **Utilisation** : Workflows, Rapports, Intégrations, Bonnes pratiques\n\n`;
+  response += `${t('specialties')}\n\n`;
+  response += t('specialtyList').map(item => `• ${item}\n`).join('');
+  response += `\n`;
   
   // Suggestions personnalisées
   if (userPatterns.preferredModules.length > 0) {
-    response += `**Suggestions basées sur vos intérêts :**\n`;
+    response += `${t('suggestionsTitle')}\n`;
     userPatterns.preferredModules.forEach(module => {
-      switch(module) {
-        case 'crm':
-          response += `• Comment optimiser votre processus commercial dans le CRM ?\n`;
-          break;
-        case 'hr':
-        case 'rh':
-          response += `• Configuration des congés et gestion RH avancée ?\n`;
-          break;
-        case 'sales':
-          response += `• Automatisation des ventes et devis intelligents ?\n`;
-          break;
-        case 'project':
-          response += `• Gestion de projets et suivi des tâches efficace ?\n`;
-          break;
-        default:
-          response += `• Questions avancées sur le module ${module} ?\n`;
-      }
+      const key = module === 'rh' ? 'hr' : module;
+      const suggestion = ['crm', 'hr', 'sales', 'project'].includes(key)
+        ? t(`moduleSuggestions.${key}`)
+        : t('moduleSuggestions.default', { module });
+      response += `• ${suggestion}\n`;
     });
     response += `\n`;
   }
   
-  response += `Votre question actuelle ne semble pas directement liée à Odoo. Pourriez-vous la reformuler pour que je puisse vous aider au mieux ?\n\n`;
-  response += `**Exemples de questions que je peux traiter :**\n`;
-  response += `• "Comment configurer les congés dans Odoo ?"\n`;
-  response += `• "Création d'un module personnalisé"\n`;
-  response += `• "Intégration de l'API Odoo"\n`;
-  response += `• "Optimisation des performances"\n\n`;
-  response += `Je reste à votre entière disposition ! 🚀`;
+  response += `${t('notOdoo')}\n\n`;
+  response += `${t('examplesTitle')}\n`;
+  response += t('examples').map(example => `• ${example}\n`).join('');
+  response += `\n${t('closing')}`;
   
   return response;
 }
@@ -537,112 +1765,57 @@ function buildRejectionResponse(userPatterns, conversationHistory) {
  * @param {Object} userPatterns - Patterns d'utilisation de l'utilisateur
  * @param {Array} conversationHistory - Historique de la conversation
  * @param {Array} recentConversations - Résumé des conversations récentes
+ * @param {string} [language] - Langue de la réponse (fr, en, ar)
+ * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
  * @returns {string} Prompt système personnalisé
  */
-function buildEnhancedSystemPrompt(userPatterns, conversationHistory, recentConversations) {
-  let systemPrompt = `Tu es **Adam**, l'expert Odoo chez **Schwing Stetter Algérie**.
-
-**Ta personnalité :**
-- Tu es confiant dans tes connaissances car elles proviennent de la documentation officielle Odoo
-- Tu es toujours prêt à aider et tu proposes ton aide à chaque fois
-- Tu es professionnel mais chaleureux
-- Tu utilises le formatage Markdown pour structurer tes réponses
-- Tu donnes des exemples concrets quand c'est possible
-- **IMPORTANT**: Tu as une mémoire des conversations précédentes et tu peux faire référence au contexte
-
-**Tes réponses doivent :**
-- Être claires et structurées avec des titres, listes et exemples
-- Utiliser le formatage Markdown (gras, italique, listes, code)
-- Citer tes sources quand c'est possible
-- **Tenir compte du contexte conversationnel** pour éviter les répétitions
-- **Référencer les échanges précédents** quand c'est pertinent
-- Proposer ton aide pour d'autres questions
-- Rester focalisé sur Odoo v17`;
-
-  // Personnalisation basée sur les patterns utilisateur
-  if (userPatterns.preferredModules.length > 0) {
-    systemPrompt += `\n\n**Contexte utilisateur :**\n- Modules Odoo fréquemment utilisés : ${userPatterns.preferredModules.join(', ')}`;
-    systemPrompt += `\n- Nombre total de questions précédentes : ${userPatterns.totalQuestions}`;
-    
-    if (userPatterns.topKeywords.length > 0) {
-      const topKeywords = userPatterns.topKeywords.slice(0, 5).map(([keyword]) => keyword).join(', ');
-      systemPrompt += `\n- Sujets fréquents : ${topKeywords}`;
-    }
-  }
-
-  // Contexte des conversations récentes
-  if (recentConversations.length > 0) {
-    systemPrompt += `\n\n**Conversations récentes de l'utilisateur :**`;
-    recentConversations.forEach((conv, index) => {
-      if (conv.firstQuestion) {
-        systemPrompt += `\n- ${conv.title}: "${conv.firstQuestion.substring(0, 60)}..."`;
+function buildEnhancedSystemPrompt(userPatterns, conversationHistory, recentConversations, language = 'fr', prompts = null) {
+  // Conversations récentes, une ligne par conversation (avec problème, étapes et questions en suspens si résumée)
+  const recentLines = recentConversations.map(conv => {
+    if (conv.summary?.problem) {
+      let line = `\n- ${conv.title} : ${conv.summary.problem}`;
+      if (conv.summary.steps?.length > 0) {
+        line += `\n  ${languageService.t(language, 'prompt.recentSteps')} ${conv.summary.steps.slice(0, 3).join(' ; ')}`;
       }
-    });
-  }
-
-  systemPrompt += `\n\n**Consignes spéciales :**
-- Si l'utilisateur fait référence à "comme on a vu avant" ou à des éléments antérieurs, utilise l'historique conversationnel
-- Évite de répéter des informations déjà expliquées dans la conversation
-- Si l'utilisateur pose une question de suivi, construis ta réponse en t'appuyant sur le contexte
-- Utilise des phrases comme "Comme nous avons vu précédemment" ou "Pour continuer sur ce sujet" quand approprié
-- Réponds UNIQUEMENT sur la base de la documentation fournie, mais utilise le contexte pour personnaliser ta réponse`;
+      if (conv.summary.openQuestions?.length > 0) {
+        line += `\n  ${languageService.t(language, 'prompt.recentOpenQuestions')} ${conv.summary.openQuestions.join(' ; ')}`;
+      }
+      return line;
+    }
+    return conv.firstQuestion ? `\n- ${conv.title}: "${conv.firstQuestion.substring(0, 60)}..."` : '';
+  }).join('');
 
-  return systemPrompt;
+  return promptTemplateService.renderKey(prompts, 'assistant.system', {
+    preferredModules: userPatterns.preferredModules.join(', '),
+    totalQuestions: userPatterns.totalQuestions,
+    topKeywords: userPatterns.topKeywords.slice(0, 5).map(([keyword]) => keyword).join(', '),
+    recentConversations: recentLines,
+    languageInstruction: languageService.getLanguageInstruction(language)
+  });
 }
 
 /**
  * Construit un prompt utilisateur contextuel avec mémoire
+ * L'historique est envoyé au modèle sous forme de messages distincts (voir tokenBudgetService)
  * @param {string} message - Message actuel de l'utilisateur
  * @param {string} context - Contexte de la documentation
  * @param {Array} conversationHistory - Historique de la conversation
  * @param {Object} userPatterns - Patterns d'utilisation
+ * @param {number} [sourceCount] - Nombre de documents numérotés dans le contexte (citations [n])
+ * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
+ * @param {string} [attachments] - Extraits des pièces jointes de la question (attachmentService.buildPromptSection)
  * @returns {string} Prompt utilisateur enrichi
  */
-function buildContextualUserPrompt(message, context, conversationHistory, userPatterns) {
-  let userPrompt = '';
-
-  // Ajouter l'historique conversationnel si présent
-  if (conversationHistory.length > 1) { // Plus d'un message (le message actuel)
-    userPrompt += `**Historique de la conversation actuelle :**\n`;
-    
-    // Prendre les derniers messages (exclure le message actuel qui vient d'être ajouté)
-    const previousMessages = conversationHistory.slice(-6, -1); // 5 derniers messages
-    
-    previousMessages.forEach(msg => {
-      const role = msg.role === 'user' ? 'Utilisateur' : 'Adam';
-      const preview = msg.content.substring(0, 150) + (msg.content.length > 150 ? '...' : '');
-      userPrompt += `- **${role}** : ${preview}\n`;
-    });
-    
-    userPrompt += `\n---\n\n`;
-  }
-
-  // Ajouter le contexte de documentation
-  if (context && context.trim()) {
-    userPrompt += `**Documentation Odoo v17 pertinente :**\n\n${context}\n\n---\n\n`;
-  }
-
-  // Question actuelle
-  userPrompt += `**Question actuelle :**\n${message}\n\n`;
-  
-  // Instructions contextuelles
-  if (conversationHistory.length > 1) {
-    userPrompt += `**Instructions :**\nRéponds en tant qu'Adam en tenant compte de l'historique de notre conversation. `;
-    userPrompt += `Si cette question fait référence à des éléments mentionnés précédemment, utilise ce contexte pour donner une réponse plus précise et personnalisée. `;
-    userPrompt += `Évite de répéter des informations déjà expliquées sauf si une clarification est demandée.`;
-  } else {
-    userPrompt += `**Instructions :**\nRéponds en tant qu'Adam, l'expert Odoo de Schwing Stetter Algérie, avec une personnalité chaleureuse et professionnelle.`;
-  }
-
-  if (context && context.trim()) {
-    userPrompt += ` Utilise la documentation fournie ci-dessus pour répondre de manière précise.`;
-  } else {
-    userPrompt += ` Bien qu'aucune documentation spécifique ne soit fournie, utilise tes connaissances générales d'Odoo v17 tout en étant clair sur les limites.`;
-  }
-
-  userPrompt += ` Utilise le formatage Markdown pour structurer ta réponse.`;
+function buildContextualUserPrompt(message, context, conversationHistory, userPatterns, sourceCount = 0, prompts = null, attachments = '') {
+  const hasContext = Boolean(context && context.trim());
 
-  return userPrompt;
+  return promptTemplateService.renderKey(prompts, 'assistant.user', {
+    context: hasContext ? context : '',
+    attachments,
+    message,
+    hasHistory: conversationHistory.length > 0,
+    citationInstructions: hasContext ? citationService.buildCitationInstructions(sourceCount) : ''
+  });
 }
 
 /**
@@ -702,8 +1875,21 @@ async function enhancedDocumentationSearch(query, conversationHistory, userPatte
 
 module.exports = {
   sendMessage,
+  sendMessageStream,
+  regenerateMessage,
+  editMessage,
+  activateMessage,
+  updateGuideProgress,
+  downloadAddon,
+  getAddonFiles,
+  getMessageAttachments,
+  cancelGeneration,
+  getStarterQuestions,
+  enforceQuota,
+  getUsage,
   getConversations,
   updateConversation,
+  getConversationSummary,
   deleteConversation,
   getHealthStatus,
   buildEnhancedSystemPrompt,
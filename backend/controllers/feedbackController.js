@@ -37,8 +37,7 @@ async function submitFeedback(req, res) {
     }
 
     // Vérifier que la conversation appartient à l'utilisateur
-    const conversations = await databaseService.getUserConversations(userId);
-    const conversation = conversations.find(c => c.id === parseInt(conversationId));
+    const conversation = await databaseService.getUserConversation(userId, parseInt(conversationId) || 0);
     
     if (!conversation) {
       return res.status(404).json({
@@ -141,6 +140,10 @@ async function getPerformanceMetrics(req, res) {
         mostSearchedTopics: feedbackMetrics.popularTopics,
         coverage: docMetrics.sections
       },
+      languageBreakdown: metrics.languageBreakdown,
+      answerCache: metrics.answerCache,
+      tokenUsage: metrics.tokenUsage,
+      promptExperiments: metrics.promptExperiments,
       trends: trends
     };
 
@@ -0,0 +1,264 @@
+/**
+ * Contrôleur des connexions Odoo des utilisateurs
+ *
+ * Ce contrôleur gère :
+ * - Liste, création, modification et suppression des connexions d'un utilisateur
+ * - Test d'une connexion (version du serveur et authentification)
+ *
+ * Les clés d'API sont chiffrées avant l'enregistrement (credentialCryptoService)
+ * et ne sont jamais renvoyées au client.
+ */
+
+const databaseService = require('../services/databaseService');
+const credentialCryptoService = require('../services/credentialCryptoService');
+const odooConnectorService = require('../services/odooConnectorService');
+
+const PROTOCOLS = ['jsonrpc', 'xmlrpc'];
+
+// Longueur maximale des champs texte d'une connexion
+const FIELD_LIMITS = { name: 100, url: 500, database: 100, username: 200, apiKey: 500 };
+
+/**
+ * Connexion renvoyée au client (sans la clé d'API)
+ * @param {Object} connection - Enregistrement OdooConnection
+ * @returns {Object}
+ */
+function formatConnectionForClient(connection) {
+  return {
+    id: connection.id,
+    name: connection.name,
+    url: connection.url,
+    database: connection.database,
+    username: connection.username,
+    protocol: connection.protocol,
+    lastTestedAt: connection.lastTestedAt,
+    lastTestStatus: connection.lastTestStatus,
+    lastTestMessage: connection.lastTestMessage,
+    createdAt: connection.createdAt,
+    updatedAt: connection.updatedAt,
+  };
+}
+
+/**
+ * Valide les champs d'une connexion
+ * @param {Object} body - Corps de la requête
+ * @param {boolean} partial - Modification : seuls les champs présents sont vérifiés
+ * @returns {{data: Object|null, error: string|null}} Champs à enregistrer (clé d'API en clair) ou erreur
+ */
+function validateConnectionInput(body, partial) {
+  const data = {};
+
+  for (const field of ['name', 'url', 'database', 'username', 'apiKey']) {
+    const value = body[field];
+    if (value === undefined && partial) continue;
+    if (typeof value !== 'string' || !value.trim()) {
+      return { data: null, error: `Le champ ${field} est requis` };
+    }
+    if (value.trim().length > FIELD_LIMITS[field]) {
+      return { data: null, error: `Le champ ${field} dépasse ${FIELD_LIMITS[field]} caractères` };
+    }
+    data[field] = value.trim();
+  }
+
+  if (data.url !== undefined) {
+    let url;
+    try {
+      url = new URL(data.url);
+    } catch (error) {
+      return { data: null, error: 'URL invalide (exemple : https://mon-entreprise.odoo.com)' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { data: null, error: 'L\'URL doit commencer par http:// ou https://' };
+    }
+    data.url = data.url.replace(/\/+$/, '');
+  }
+
+  if (body.protocol !== undefined || !partial) {
+    const protocol = body.protocol ?? 'jsonrpc';
+    if (!PROTOCOLS.includes(protocol)) {
+      return { data: null, error: `Protocole invalide (${PROTOCOLS.join(' ou ')})` };
+    }
+    data.protocol = protocol;
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Réponse 503 quand la clé de chiffrement du serveur n'est pas configurée
+ * @param {Object} res - Objet de réponse Express
+ * @returns {boolean} true si le chiffrement est disponible (sinon la réponse est envoyée)
+ */
+function ensureEncryptionConfigured(res) {
+  if (credentialCryptoService.isConfigured()) return true;
+  res.status(503).json({
+    success: false,
+    error: 'Chiffrement non configuré',
+    message: 'Le serveur ne peut pas enregistrer de clé d\'API : CREDENTIALS_ENCRYPTION_KEY est absente ou invalide'
+  });
+  return false;
+}
+
+/**
+ * Connexion de l'utilisateur désignée par l'URL, ou réponse 404
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ * @returns {Promise<Object|null>}
+ */
+async function findUserConnection(req, res) {
+  const connection = await databaseService.getOdooConnection(req.user.id, parseInt(req.params.connectionId, 10) || 0);
+  if (!connection) {
+    res.status(404).json({
+      success: false,
+      error: 'Connexion non trouvée',
+      message: 'La connexion demandée n\'existe pas ou ne vous appartient pas'
+    });
+  }
+  return connection;
+}
+
+/**
+ * Liste les connexions Odoo de l'utilisateur
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function listConnections(req, res) {
+  try {
+    const connections = await databaseService.getOdooConnections(req.user.id);
+    res.json({ success: true, connections: connections.map(formatConnectionForClient) });
+  } catch (error) {
+    console.error('❌ Erreur liste des connexions Odoo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les connexions Odoo'
+    });
+  }
+}
+
+/**
+ * Enregistre une connexion Odoo
+ * @param {Object} req - Objet de requête Express (body: { name, url, database, username, apiKey, protocol? })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function createConnection(req, res) {
+  const { data, error } = validateConnectionInput(req.body, false);
+  if (error) {
+    return res.status(400).json({ success: false, error: 'Connexion invalide', message: error });
+  }
+  if (!ensureEncryptionConfigured(res)) return;
+
+  try {
+    const { apiKey, ...fields } = data;
+    const connection = await databaseService.createOdooConnection(req.user.id, {
+      ...fields,
+      apiKeyEncrypted: credentialCryptoService.encrypt(apiKey),
+    });
+    res.status(201).json({ success: true, connection: formatConnectionForClient(connection) });
+  } catch (createError) {
+    console.error('❌ Erreur enregistrement de la connexion Odoo:', createError);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'enregistrer la connexion Odoo'
+    });
+  }
+}
+
+/**
+ * Modifie une connexion Odoo (la clé d'API n'est remplacée que si elle est fournie)
+ * @param {Object} req - Objet de requête Express (body: champs modifiés)
+ * @param {Object} res - Objet de réponse Express
+ */
+async function updateConnection(req, res) {
+  const { data, error } = validateConnectionInput(req.body, true);
+  if (error) {
+    return res.status(400).json({ success: false, error: 'Connexion invalide', message: error });
+  }
+  if (Object.keys(data).length === 0) {
+    return res.status(400).json({ success: false, error: 'Connexion invalide', message: 'Aucun champ à modifier' });
+  }
+  if (data.apiKey !== undefined && !ensureEncryptionConfigured(res)) return;
+
+  try {
+    const connection = await findUserConnection(req, res);
+    if (!connection) return;
+
+    const { apiKey, ...fields } = data;
+    const updated = await databaseService.updateOdooConnection(connection.id, apiKey === undefined
+      ? fields
+      : { ...fields, apiKeyEncrypted: credentialCryptoService.encrypt(apiKey) });
+    res.json({ success: true, connection: formatConnectionForClient(updated) });
+  } catch (updateError) {
+    console.error('❌ Erreur modification de la connexion Odoo:', updateError);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de modifier la connexion Odoo'
+    });
+  }
+}
+
+/**
+ * Supprime une connexion Odoo
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function deleteConnection(req, res) {
+  try {
+    const connection = await findUserConnection(req, res);
+    if (!connection) return;
+
+    await databaseService.deleteOdooConnection(connection.id);
+    res.json({ success: true, connectionId: connection.id });
+  } catch (error) {
+    console.error('❌ Erreur suppression de la connexion Odoo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de supprimer la connexion Odoo'
+    });
+  }
+}
+
+/**
+ * Teste une connexion Odoo et enregistre le résultat
+ * Un échec de connexion n'est pas une erreur de la requête : il est renvoyé dans `test`.
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function testConnection(req, res) {
+  if (!ensureEncryptionConfigured(res)) return;
+
+  try {
+    const connection = await findUserConnection(req, res);
+    if (!connection) return;
+
+    let test;
+    try {
+      const { serverVersion } = await odooConnectorService.testConnection(odooConnectorService.fromProfile(connection));
+      test = { status: 'ok', message: `Odoo ${serverVersion || '?'}` };
+    } catch (connectionError) {
+      test = { status: 'error', message: connectionError.message };
+    }
+
+    console.log(`🔌 Test de la connexion Odoo ${connection.id} : ${test.status} (${test.message})`);
+    const updated = await databaseService.recordOdooConnectionTest(connection.id, test);
+    res.json({ success: true, test, connection: formatConnectionForClient(updated) });
+  } catch (error) {
+    console.error('❌ Erreur test de la connexion Odoo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de tester la connexion Odoo'
+    });
+  }
+}
+
+module.exports = {
+  listConnections,
+  createConnection,
+  updateConnection,
+  deleteConnection,
+  testConnection
+};
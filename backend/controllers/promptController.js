@@ -0,0 +1,333 @@
+/**
+ * Contrôleur d'administration des templates de prompts
+ *
+ * Ce contrôleur gère :
+ * - Consultation des templates (version par défaut, versions enregistrées, version active)
+ * - Enregistrement d'une nouvelle version et activation d'une version
+ * - Expériences A/B entre plusieurs versions d'une même clé
+ */
+
+const databaseService = require('../services/databaseService');
+const promptTemplateService = require('../services/promptTemplateService');
+
+/**
+ * Vérifie que la clé de template existe
+ * @param {string} key - Clé du template
+ * @param {Object} res - Objet de réponse Express
+ * @returns {boolean} true si la clé est connue (sinon la réponse 404 est envoyée)
+ */
+function ensureKnownKey(key, res) {
+  if (promptTemplateService.isKnownKey(key)) return true;
+  res.status(404).json({
+    success: false,
+    error: 'Template inconnu',
+    message: `Clés disponibles : ${promptTemplateService.getKeys().join(', ')}`
+  });
+  return false;
+}
+
+/**
+ * Liste les templates avec leur version active
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function listTemplates(req, res) {
+  try {
+    const activeTemplates = await databaseService.getActivePromptTemplates();
+    const activeByKey = new Map(activeTemplates.map(template => [template.key, template]));
+
+    const templates = promptTemplateService.getKeys().map(key => {
+      const { description, variables } = promptTemplateService.getDefault(key);
+      return {
+        key,
+        description,
+        variables,
+        activeVersion: activeByKey.get(key)?.version || 0
+      };
+    });
+
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('❌ Erreur liste des templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les templates'
+    });
+  }
+}
+
+/**
+ * Détail d'un template : version par défaut et versions enregistrées
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function getTemplate(req, res) {
+  const { key } = req.params;
+  if (!ensureKnownKey(key, res)) return;
+
+  try {
+    const versions = await databaseService.getPromptTemplateVersions(key);
+    const defaultTemplate = promptTemplateService.getDefault(key);
+
+    res.json({
+      success: true,
+      template: {
+        key,
+        description: defaultTemplate.description,
+        variables: defaultTemplate.variables,
+        activeVersion: versions.find(version => version.isActive)?.version || 0,
+        versions: [
+          ...versions,
+          { version: 0, content: defaultTemplate.content, description: 'Version par défaut', isActive: !versions.some(version => version.isActive) }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erreur récupération du template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer le template'
+    });
+  }
+}
+
+/**
+ * Enregistre une nouvelle version d'un template
+ * @param {Object} req - Objet de requête Express (body: { content, description?, activate? })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function createTemplateVersion(req, res) {
+  const { key } = req.params;
+  if (!ensureKnownKey(key, res)) return;
+
+  const { content, description = null, activate = false } = req.body;
+  const validationError = promptTemplateService.validate(key, content);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Template invalide',
+      message: validationError
+    });
+  }
+
+  try {
+    const template = await databaseService.createPromptTemplateVersion(key, {
+      content,
+      description,
+      createdBy: req.user.id,
+      activate: Boolean(activate)
+    });
+    promptTemplateService.invalidate();
+
+    console.log(`📝 Template ${key} v${template.version} enregistré par l'utilisateur ${req.user.id}${template.isActive ? ' (actif)' : ''}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Erreur enregistrement du template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'enregistrer le template'
+    });
+  }
+}
+
+/**
+ * Active une version d'un template (0 : version par défaut)
+ * @param {Object} req - Objet de requête Express (body: { version })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function activateTemplateVersion(req, res) {
+  const { key } = req.params;
+  if (!ensureKnownKey(key, res)) return;
+
+  const version = parseInt(req.body.version, 10);
+  if (!Number.isInteger(version) || version < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Version invalide',
+      message: 'version doit être un entier positif (0 pour la version par défaut)'
+    });
+  }
+
+  try {
+    if (version > 0) {
+      const versions = await databaseService.getPromptTemplateVersions(key);
+      if (!versions.some(template => template.version === version)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version introuvable',
+          message: `Le template ${key} n'a pas de version ${version}`
+        });
+      }
+    }
+
+    await databaseService.activatePromptTemplateVersion(key, version);
+    promptTemplateService.invalidate();
+
+    console.log(`📝 Template ${key} : version ${version} activée par l'utilisateur ${req.user.id}`);
+    res.json({ success: true, key, activeVersion: version });
+  } catch (error) {
+    console.error('❌ Erreur activation du template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'activer la version'
+    });
+  }
+}
+
+/**
+ * Liste les expériences de prompts
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function listExperiments(req, res) {
+  try {
+    const experiments = await databaseService.getPromptExperiments();
+    res.json({ success: true, experiments });
+  } catch (error) {
+    console.error('❌ Erreur liste des expériences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les expériences'
+    });
+  }
+}
+
+/**
+ * Vérifie les variantes d'une expérience
+ * @param {string} templateKey - Clé du template testé
+ * @param {Array} variants - [{ name, version, weight? }]
+ * @returns {Promise<string|null>} Message d'erreur, null si les variantes sont valides
+ */
+async function validateVariants(templateKey, variants) {
+  if (!Array.isArray(variants) || variants.length < 2) {
+    return 'Au moins deux variantes sont requises';
+  }
+
+  const names = new Set();
+  for (const variant of variants) {
+    if (!variant || typeof variant.name !== 'string' || !variant.name.trim()) {
+      return 'Chaque variante doit avoir un nom';
+    }
+    if (names.has(variant.name)) return `Variante ${variant.name} en double`;
+    names.add(variant.name);
+
+    if (!Number.isInteger(variant.version) || variant.version < 0) {
+      return `Version invalide pour la variante ${variant.name}`;
+    }
+    if (variant.weight !== undefined && (typeof variant.weight !== 'number' || variant.weight <= 0)) {
+      return `Poids invalide pour la variante ${variant.name}`;
+    }
+  }
+
+  const versions = await databaseService.getPromptTemplateVersions(templateKey);
+  const missing = variants.find(variant => variant.version > 0 && !versions.some(template => template.version === variant.version));
+  return missing ? `Le template ${templateKey} n'a pas de version ${missing.version}` : null;
+}
+
+/**
+ * Démarre une expérience A/B sur une clé de template
+ * @param {Object} req - Objet de requête Express (body: { name, templateKey, variants })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function createExperiment(req, res) {
+  const { name, templateKey, variants } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Données manquantes',
+      message: 'name, templateKey et variants sont requis'
+    });
+  }
+  if (!ensureKnownKey(templateKey, res)) return;
+
+  try {
+    const validationError = await validateVariants(templateKey, variants);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Variantes invalides',
+        message: validationError
+      });
+    }
+
+    // Une seule expérience à la fois, pour que les résultats restent lisibles
+    const running = await databaseService.getRunningPromptExperiment();
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: 'Expérience en cours',
+        message: `L'expérience "${running.name}" doit être arrêtée avant d'en démarrer une autre`
+      });
+    }
+
+    const experiment = await databaseService.createPromptExperiment({
+      name: name.trim(),
+      templateKey,
+      variants: variants.map(({ name: variantName, version, weight }) => ({ name: variantName.trim(), version, weight: weight ?? 1 })),
+      createdBy: req.user.id
+    });
+    promptTemplateService.invalidate();
+
+    console.log(`🧪 Expérience "${experiment.name}" démarrée sur ${templateKey} (${experiment.variants.length} variantes)`);
+    res.status(201).json({ success: true, experiment });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'Nom déjà utilisé',
+        message: `Une expérience nommée "${name}" existe déjà`
+      });
+    }
+    console.error('❌ Erreur création de l\'expérience:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de démarrer l\'expérience'
+    });
+  }
+}
+
+/**
+ * Arrête une expérience ; les réponses déjà produites gardent leur variante
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function stopExperiment(req, res) {
+  try {
+    const experiment = await databaseService.stopPromptExperiment(parseInt(req.params.experimentId, 10));
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expérience introuvable',
+        message: 'Aucune expérience en cours avec cet identifiant'
+      });
+    }
+    promptTemplateService.invalidate();
+
+    console.log(`🧪 Expérience "${experiment.name}" arrêtée`);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    console.error('❌ Erreur arrêt de l\'expérience:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'arrêter l\'expérience'
+    });
+  }
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplateVersion,
+  activateTemplateVersion,
+  listExperiments,
+  createExperiment,
+  stopExperiment
+};
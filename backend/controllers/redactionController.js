@@ -0,0 +1,155 @@
+/**
+ * Contrôleur des politiques de masquage des données envoyées au fournisseur LLM
+ *
+ * Ce contrôleur gère :
+ * - Consultation des détecteurs disponibles et des politiques par domaine de messagerie
+ * - Enregistrement et suppression de la politique d'un domaine (« * » : tous les domaines sans politique)
+ * - Aperçu du texte envoyé au modèle pour un domaine
+ */
+
+const databaseService = require('../services/databaseService');
+const redactionService = require('../services/redactionService');
+
+// Longueur maximale du texte d'un aperçu
+const MAX_PREVIEW_LENGTH = 20000;
+
+/**
+ * Liste les détecteurs et les politiques enregistrées
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function listPolicies(req, res) {
+  try {
+    const policies = await databaseService.getRedactionPolicies();
+    res.json({
+      success: true,
+      enabled: redactionService.isEnabled(),
+      detectors: redactionService.getDetectors(),
+      defaultPolicy: redactionService.getDefaultPolicy(),
+      policies
+    });
+  } catch (error) {
+    console.error('❌ Erreur liste des politiques de masquage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les politiques de masquage'
+    });
+  }
+}
+
+/**
+ * Crée ou remplace la politique d'un domaine
+ * @param {Object} req - Objet de requête Express (params: { tenant }, body: { enabled, detectors, terms?, patterns? })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function savePolicy(req, res) {
+  const tenant = req.params.tenant.trim().toLowerCase();
+  const data = {
+    enabled: req.body.enabled,
+    detectors: req.body.detectors,
+    terms: req.body.terms ?? [],
+    patterns: req.body.patterns ?? []
+  };
+
+  const validationError = redactionService.validatePolicy(tenant, data);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Politique invalide',
+      message: validationError
+    });
+  }
+
+  try {
+    const policy = await databaseService.upsertRedactionPolicy(tenant, {
+      ...data,
+      terms: data.terms.map(term => term.trim()),
+      patterns: data.patterns.map(({ name, pattern }) => ({ name, pattern }))
+    }, req.user.id);
+    redactionService.invalidate();
+
+    console.log(`🛡️ Politique de masquage « ${tenant} » enregistrée par l'utilisateur ${req.user.id}`);
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('❌ Erreur enregistrement de la politique de masquage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'enregistrer la politique de masquage'
+    });
+  }
+}
+
+/**
+ * Supprime la politique d'un domaine (la politique « * » ou par défaut s'applique ensuite)
+ * @param {Object} req - Objet de requête Express (params: { tenant })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function deletePolicy(req, res) {
+  const tenant = req.params.tenant.trim().toLowerCase();
+
+  try {
+    const deleted = await databaseService.deleteRedactionPolicy(tenant);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Politique introuvable',
+        message: `Aucune politique de masquage pour « ${tenant} »`
+      });
+    }
+    redactionService.invalidate();
+
+    console.log(`🛡️ Politique de masquage « ${tenant} » supprimée par l'utilisateur ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Erreur suppression de la politique de masquage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de supprimer la politique de masquage'
+    });
+  }
+}
+
+/**
+ * Texte tel qu'il serait envoyé au modèle avec la politique d'un domaine
+ * @param {Object} req - Objet de requête Express (body: { text, tenant? })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function previewRedaction(req, res) {
+  const { text, tenant = null } = req.body;
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_PREVIEW_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: 'Texte invalide',
+      message: `Le champ "text" doit contenir de 1 à ${MAX_PREVIEW_LENGTH} caractères`
+    });
+  }
+
+  try {
+    const policy = await redactionService.getPolicy(tenant ? tenant.trim().toLowerCase() : null);
+    const session = redactionService.createSession(policy);
+    const redacted = session.redact(text);
+    res.json({
+      success: true,
+      policy: policy.tenant,
+      text: redacted,
+      redaction: session.summary()
+    });
+  } catch (error) {
+    console.error('❌ Erreur aperçu du masquage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de calculer l\'aperçu du masquage'
+    });
+  }
+}
+
+module.exports = {
+  listPolicies,
+  savePolicy,
+  deletePolicy,
+  previewRedaction
+};
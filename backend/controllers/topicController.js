@@ -0,0 +1,121 @@
+/**
+ * Contrôleur de relecture des décisions du classifieur de sujet
+ *
+ * Ce contrôleur gère :
+ * - Consultation du journal des décisions (acceptées, clarifications, refus)
+ * - Étiquetage d'une décision relue (odoo ou off_topic)
+ * - Export des questions relues au format des questions étiquetées (npm run topic:train -- --extra)
+ */
+
+const databaseService = require('../services/databaseService');
+const topicClassifierService = require('../services/topicClassifierService');
+
+const DECISIONS = ['accept', 'clarify', 'reject'];
+const LABELS = ['odoo', 'off_topic'];
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Liste les décisions, filtrables par type et par état de relecture
+ * @param {Object} req - Objet de requête Express (query: { decision?, reviewed?, limit?, offset? })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function listDecisions(req, res) {
+  const { decision = null, reviewed } = req.query;
+  if (decision && !DECISIONS.includes(decision)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Filtre invalide',
+      message: `decision doit valoir ${DECISIONS.join(', ')}`
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const result = await databaseService.getTopicDecisions({
+      decision,
+      reviewed: reviewed === undefined ? null : reviewed === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      thresholds: topicClassifierService.thresholds,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Erreur liste des décisions de sujet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible de récupérer les décisions'
+    });
+  }
+}
+
+/**
+ * Étiquette une décision relue ; label null annule la relecture
+ * @param {Object} req - Objet de requête Express (body: { label })
+ * @param {Object} res - Objet de réponse Express
+ */
+async function reviewDecision(req, res) {
+  const { label } = req.body;
+  if (label !== null && !LABELS.includes(label)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Étiquette invalide',
+      message: `label doit valoir ${LABELS.join(', ')} ou null`
+    });
+  }
+
+  try {
+    const decision = await databaseService.reviewTopicDecision(parseInt(req.params.decisionId, 10), label, req.user.id);
+    if (!decision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Décision introuvable',
+        message: 'Aucune décision avec cet identifiant'
+      });
+    }
+
+    console.log(`🏷️ Décision de sujet ${decision.id} relue par l'utilisateur ${req.user.id} : ${label ?? 'relecture annulée'}`);
+    res.json({ success: true, decision });
+  } catch (error) {
+    console.error('❌ Erreur relecture de la décision de sujet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'enregistrer la relecture'
+    });
+  }
+}
+
+/**
+ * Exporte les questions relues pour l'entraînement du classifieur
+ * @param {Object} req - Objet de requête Express
+ * @param {Object} res - Objet de réponse Express
+ */
+async function exportReviewed(req, res) {
+  try {
+    const questions = await databaseService.getReviewedTopicQuestions();
+    res.json({
+      description: 'Questions relues depuis le journal des décisions de sujet (npm run topic:train -- --extra <fichier>)',
+      questions
+    });
+  } catch (error) {
+    console.error('❌ Erreur export des questions relues:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: 'Impossible d\'exporter les questions relues'
+    });
+  }
+}
+
+module.exports = {
+  listDecisions,
+  reviewDecision,
+  exportReviewed
+};
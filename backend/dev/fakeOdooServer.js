@@ -0,0 +1,175 @@
+/**
+ * Faux serveur Odoo pour développer et vérifier le connecteur (odooConnectorService)
+ * sans instance réelle
+ *
+ * Expose /jsonrpc et /xmlrpc/2/<service> avec les services common (version, login)
+ * et object (execute_kw : fields_get, search_count, search_read, search, read) sur les
+ * données de dev/fakeOdooData.json. Les autres méthodes renvoient une erreur d'accès,
+ * comme une base où l'utilisateur n'a que des droits de lecture.
+ *
+ * Usage : npm run odoo:fake, puis ODOO_URL=http://localhost:8069 ODOO_DB=demo
+ * ODOO_USERNAME=admin ODOO_API_KEY=demo-api-key (ODOO_PROTOCOL=xmlrpc pour XML-RPC).
+ */
+
+const path = require('path');
+const express = require('express');
+const { parseMethodCall, serializeMethodResponse } = require('../services/odoo/xmlRpc');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, 'fakeOdooData.json');
+
+/**
+ * Évalue un domaine Odoo (notation préfixée, « & » implicite) sur un enregistrement
+ */
+const matchDomain = (record, domain) => {
+  const terms = [...domain];
+
+  const evaluateTerm = ([field, operator, value]) => {
+    const raw = record[field];
+    // Many2one : [id, nom] comparé par identifiant
+    const actual = Array.isArray(raw) ? raw[0] : raw;
+    const text = String(actual ?? '').toLowerCase();
+    switch (operator) {
+      case '=': return actual === value || (value === false && (actual === null || actual === undefined));
+      case '!=': return actual !== value;
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      case 'in': return value.includes(actual);
+      case 'not in': return !value.includes(actual);
+      case 'like':
+      case 'ilike': return text.includes(String(value).toLowerCase());
+      case 'not like':
+      case 'not ilike': return !text.includes(String(value).toLowerCase());
+      default: throw new Error(`Opérateur non pris en charge par le faux serveur : ${operator}`);
+    }
+  };
+
+  const evaluate = () => {
+    const term = terms.shift();
+    if (term === '!') return !evaluate();
+    if (term === '&') return evaluate() && evaluate();
+    if (term === '|') {
+      const left = evaluate();
+      const right = evaluate();
+      return left || right;
+    }
+    return evaluateTerm(term);
+  };
+
+  let result = true;
+  while (terms.length > 0) {
+    result = evaluate() && result;
+  }
+  return result;
+};
+
+/**
+ * Crée l'application Express du faux serveur
+ * @param {Object} [data] - Données (format de fakeOdooData.json)
+ * @returns {express.Application}
+ */
+const createFakeOdooServer = (data = require(DEFAULT_DATA_PATH)) => {
+  const app = express();
+
+  const accessError = (message) => Object.assign(new Error(message), { odooName: 'odoo.exceptions.AccessError' });
+
+  const authenticate = (database, uid, apiKey) => {
+    const user = data.users.find(item => item.id === uid && item.apiKey === apiKey);
+    if (database !== data.database || !user) throw accessError('Access Denied');
+  };
+
+  const searchRecords = (model, domain = []) => {
+    const usesActive = domain.some(term => Array.isArray(term) && term[0] === 'active');
+    return model.records
+      .filter(record => usesActive || !('active' in model.fields) || record.active)
+      .filter(record => matchDomain(record, domain));
+  };
+
+  const readFields = (model, modelName, records, fields) => {
+    const names = fields && fields.length > 0 ? fields : Object.keys(model.fields);
+    const unknown = names.find(name => !(name in model.fields));
+    if (unknown) throw new Error(`Invalid field '${unknown}' on model '${modelName}'`);
+    return records.map(record => Object.fromEntries([['id', record.id], ...names.map(name => [name, record[name] ?? false])]));
+  };
+
+  const services = {
+    common: {
+      version: () => data.version,
+      login: (database, login, apiKey) => {
+        const user = data.users.find(item => item.login === login && item.apiKey === apiKey);
+        return database === data.database && user ? user.id : false;
+      }
+    },
+    object: {
+      execute_kw: (database, uid, apiKey, modelName, method, args = [], kwargs = {}) => {
+        authenticate(database, uid, apiKey);
+        const model = data.models[modelName];
+        if (!model) throw new Error(`Object ${modelName} doesn't exist`);
+
+        switch (method) {
+          case 'fields_get':
+            return model.fields;
+          case 'search_count':
+            return searchRecords(model, args[0]).length;
+          case 'search':
+            return searchRecords(model, args[0]).map(record => record.id);
+          case 'read':
+            return readFields(model, modelName, model.records.filter(record => args[0].includes(record.id)), args[1] || kwargs.fields);
+          case 'search_read': {
+            const records = searchRecords(model, args[0] || kwargs.domain || [])
+              .slice(kwargs.offset || 0)
+              .slice(0, kwargs.limit || undefined);
+            return readFields(model, modelName, records, args[1] || kwargs.fields);
+          }
+          default:
+            throw accessError(`You are not allowed to call ${method} on ${modelName}`);
+        }
+      }
+    }
+  };
+
+  const dispatch = (service, method, args) => {
+    const handler = services[service]?.[method];
+    if (!handler) throw new Error(`Méthode ${service}.${method} inconnue`);
+    return handler(...args);
+  };
+
+  app.post('/jsonrpc', express.json(), (req, res) => {
+    const { id = null, params = {} } = req.body || {};
+    try {
+      res.json({ jsonrpc: '2.0', id, result: dispatch(params.service, params.method, params.args || []) });
+    } catch (error) {
+      res.json({
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: 200,
+          message: 'Odoo Server Error',
+          data: { name: error.odooName || 'builtins.ValueError', message: error.message, arguments: [error.message] }
+        }
+      });
+    }
+  });
+
+  app.post('/xmlrpc/2/:service', express.text({ type: '*/*' }), (req, res) => {
+    res.type('text/xml');
+    try {
+      const { method, params } = parseMethodCall(req.body);
+      res.send(serializeMethodResponse(dispatch(req.params.service, method, params)));
+    } catch (error) {
+      res.send(serializeMethodResponse(null, { code: error.odooName ? 3 : 1, message: error.message }));
+    }
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.ODOO_FAKE_PORT) || 8069;
+  createFakeOdooServer().listen(port, () => {
+    console.log(`🧪 Faux serveur Odoo sur http://localhost:${port} (base "demo", utilisateur "admin", clé "demo-api-key")`);
+  });
+}
+
+module.exports = { createFakeOdooServer };
@@ -0,0 +1,324 @@
+/**
+ * Évaluation hors ligne de la recherche documentaire et des réponses
+ *
+ * Usage (depuis backend/) :
+ *   npm run eval                                  Fournisseur mock, résultats dans eval/results/
+ *   npm run eval -- --provider recorded           Rejoue eval/recordings.json
+ *   npm run eval -- --label avant-scoring --k 1,3,5,10 --only hr-leave-types,sales-quotation
+ *   npm run eval -- --compare eval/results/a.json eval/results/b.json
+ *
+ * Les questions du jeu de référence passent par la même chaîne que le chat (recherche enrichie,
+ * budget de documentation, prompts par défaut, génération, citations, vérification) sans base
+ * de données ni réseau.
+ */
+
+// Pas de réindexation pendant une évaluation : le corpus doit rester le même d'un cas à l'autre
+process.env.DOC_UPDATE_INTERVAL = String(Number.MAX_SAFE_INTEGER);
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+
+// Pas de base de données pendant une évaluation : databaseService est remplacé avant le chargement des
+// services, sans client Prisma. Un appel échoue comme une base injoignable et les services gardent
+// leurs valeurs par défaut (prompts par défaut notamment).
+const databaseServicePath = require.resolve('../services/databaseService');
+const unavailableDatabase = new Module(databaseServicePath, module);
+unavailableDatabase.filename = databaseServicePath;
+unavailableDatabase.loaded = true;
+unavailableDatabase.exports = new Proxy({}, {
+  get: (target, property) => async () => {
+    throw new Error(`Base de données indisponible pendant l'évaluation (databaseService.${String(property)})`);
+  }
+});
+require.cache[databaseServicePath] = unavailableDatabase;
+
+const odooDocService = require('../services/odooDocService');
+const groqService = require('../services/groqService');
+const providers = require('../services/providers');
+const tokenBudgetService = require('../services/tokenBudgetService');
+const citationService = require('../services/citationService');
+const groundingService = require('../services/groundingService');
+const languageService = require('../services/languageService');
+const promptTemplateService = require('../services/promptTemplateService');
+const evaluationService = require('../services/evaluationService');
+const topicClassifierService = require('../services/topicClassifierService');
+const chatController = require('../controllers/chatController');
+
+const DEFAULT_GOLDEN_SET = path.join(__dirname, 'goldenSet.json');
+const DEFAULT_RESULTS_DIR = path.join(__dirname, 'results');
+const DEFAULT_KS = [1, 3, 5];
+// Nombre d'identifiants retournés conservés par cas dans les résultats
+const RETRIEVED_IDS_KEPT = 10;
+
+/**
+ * Lit les options de la ligne de commande
+ * @param {string[]} argv - Arguments
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = {
+    goldenSet: DEFAULT_GOLDEN_SET,
+    provider: 'mock',
+    label: null,
+    ks: DEFAULT_KS,
+    only: null,
+    out: DEFAULT_RESULTS_DIR,
+    compare: null,
+    verbose: false
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const next = () => {
+      if (index + 1 >= argv.length) throw new Error(`Valeur manquante pour ${arg}`);
+      return argv[++index];
+    };
+
+    switch (arg) {
+      case '--golden': options.goldenSet = path.resolve(next()); break;
+      case '--provider': options.provider = next(); break;
+      case '--label': options.label = next(); break;
+      case '--k': options.ks = next().split(',').map(value => parseInt(value, 10)).filter(value => value > 0); break;
+      case '--only': options.only = new Set(next().split(',')); break;
+      case '--out': options.out = path.resolve(next()); break;
+      case '--compare': options.compare = [path.resolve(next()), path.resolve(next())]; break;
+      case '--verbose': options.verbose = true; break;
+      default: throw new Error(`Option inconnue : ${arg}`);
+    }
+  }
+
+  if (!providers.isKnownProvider(options.provider)) {
+    throw new Error(`Fournisseur inconnu : ${options.provider} (${providers.getProviderNames().join(', ')})`);
+  }
+  if (options.ks.length === 0) throw new Error('--k attend des entiers positifs, par exemple 1,3,5');
+  return options;
+}
+
+/**
+ * Charge l'index de documentation local ; sans index, seuls les documents synthétiques sont utilisés
+ * @returns {Promise<Object>} { source, documents, lastUpdate }
+ */
+async function loadCorpus() {
+  await odooDocService.loadIndexFromCache();
+  let source = 'index';
+
+  if (odooDocService.documentationIndex.size === 0) {
+    console.warn('⚠️ Index de documentation absent (cache/odoo-docs) : évaluation sur les documents synthétiques uniquement');
+    console.warn('   Démarrez le serveur une fois avec la documentation clonée pour construire l\'index.');
+    await odooDocService.enrichDocumentationSources();
+    source = 'synthetic';
+  }
+
+  return {
+    source,
+    documents: odooDocService.documentationIndex.size,
+    lastUpdate: odooDocService.lastUpdate
+  };
+}
+
+/**
+ * Fait passer une question du jeu de référence par la chaîne du chat
+ * (mêmes étapes que runChatPipeline, pour un nouvel utilisateur sans historique)
+ * @param {Object} testCase - { id, question, language?, expectedDocIds, answer? }
+ * @param {Object} options - { provider, prompts, ks, indexedIds }
+ * @returns {Promise<Object>} Résultat du cas
+ */
+async function runCase(testCase, { provider, prompts, ks, indexedIds }) {
+  const history = [];
+  const userPatterns = { preferredModules: [], totalQuestions: 0, topKeywords: [] };
+  const language = languageService.resolveLanguage(testCase.question, testCase.language || null);
+
+  const search = await chatController.enhancedDocumentationSearch(testCase.question, history, userPatterns);
+  const relevantDocs = search.results || [];
+  const retrievedIds = relevantDocs.map(doc => doc.id);
+
+  const answer = {
+    text: '',
+    rejected: false,
+    topic: null,
+    language: language.language,
+    cited: [],
+    invalidCitations: [],
+    grounding: null,
+    toolCalls: [],
+    error: null
+  };
+
+  const topic = topicClassifierService.classify(testCase.question, { history, documentsFound: relevantDocs.length });
+  answer.topic = topic.decision;
+
+  if (topic.decision === 'reject') {
+    answer.rejected = true;
+    answer.text = chatController.buildRejectionResponse(userPatterns, history, language.language);
+  } else if (topic.decision === 'clarify') {
+    answer.text = topicClassifierService.buildClarificationResponse(language.language);
+  } else {
+    const model = groqService.getProvider(provider).model;
+    const contextDocs = tokenBudgetService.fitDocumentation(relevantDocs, model).docs;
+    const context = contextDocs.length > 0 ? citationService.buildNumberedContext(contextDocs) : '';
+
+    const systemPrompt = chatController.buildEnhancedSystemPrompt(userPatterns, history, [], language.language, prompts);
+    const userPrompt = chatController.buildContextualUserPrompt(testCase.question, context, history, userPatterns, contextDocs.length, prompts);
+
+    try {
+      const reply = await groqService.generateResponse(userPrompt, systemPrompt, {
+        enableSelfCorrection: relevantDocs.length > 0,
+        useChainOfThought: true,
+        fewShotExamples: true,
+        provider,
+        language: language.language,
+        history,
+        prompts,
+        onToolCall: (toolCall) => answer.toolCalls.push(toolCall)
+      });
+
+      const citations = citationService.processCitations(reply, contextDocs.length);
+      answer.text = citations.text;
+      answer.cited = citations.cited;
+      answer.invalidCitations = citations.invalid;
+      answer.grounding = groundingService.verifyAnswer(citations.text);
+    } catch (error) {
+      answer.error = error.message;
+    }
+  }
+
+  const checks = evaluationService.checkAnswer(answer, testCase.answer);
+
+  return {
+    id: testCase.id,
+    question: testCase.question,
+    language: language.language,
+    retrievedIds: retrievedIds.slice(0, RETRIEVED_IDS_KEPT),
+    retrieval: evaluationService.evaluateRetrieval(retrievedIds, testCase.expectedDocIds || [], indexedIds, ks),
+    answer: {
+      text: answer.text,
+      rejected: answer.rejected,
+      topic: answer.topic,
+      detectedLanguage: evaluationService.detectAnswerLanguage(answer.text),
+      cited: answer.cited,
+      invalidCitations: answer.invalidCitations,
+      grounding: answer.grounding ? { status: answer.grounding.status, summary: answer.grounding.summary } : null,
+      toolCalls: answer.toolCalls.map(({ step, name, arguments: args }) => ({ step, name, arguments: args })),
+      error: answer.error
+    },
+    checks,
+    passed: checks.every(check => check.passed)
+  };
+}
+
+/**
+ * Exécute le jeu de référence et enregistre les résultats
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {Promise<number>} Code de sortie
+ */
+async function runEvaluation(options) {
+  const goldenSetContent = fs.readFileSync(options.goldenSet, 'utf8');
+  const goldenSet = JSON.parse(goldenSetContent);
+  const cases = goldenSet.cases.filter(testCase => !options.only || options.only.has(testCase.id));
+  if (cases.length === 0) throw new Error('Aucun cas à évaluer');
+
+  const corpus = await loadCorpus();
+  const indexedIds = new Set(odooDocService.documentationIndex.keys());
+  const prompts = promptTemplateService.getDefaultPromptSet();
+  const provider = providers.getProvider(options.provider);
+
+  console.log(`🧪 Évaluation de ${cases.length} cas - fournisseur ${provider.name} (${provider.model}), corpus ${corpus.source} (${corpus.documents} documents)`);
+
+  // Les étapes du chat journalisent chaque recherche : silence pendant les cas, sauf --verbose
+  const log = console.log;
+  const results = [];
+  for (const testCase of cases) {
+    if (!options.verbose) console.log = () => {};
+    let result;
+    try {
+      result = await runCase(testCase, { provider: options.provider, prompts, ks: options.ks, indexedIds });
+    } finally {
+      console.log = log;
+    }
+    results.push(result);
+
+    const recall = result.retrieval ? `recall@${options.ks[options.ks.length - 1]}=${result.retrieval.recall[`@${options.ks[options.ks.length - 1]}`]}` : 'recherche non évaluée';
+    const failed = result.checks.filter(check => !check.passed).map(check => check.rule);
+    console.log(`${result.passed ? '✅' : '❌'} ${result.id} - ${recall}${failed.length > 0 ? ` - échecs : ${failed.join(', ')}` : ''}`);
+  }
+
+  const summary = evaluationService.summarize(results, options.ks);
+  const createdAt = new Date().toISOString();
+  const label = options.label || createdAt.replace(/[:.]/g, '-');
+  const output = {
+    label,
+    createdAt,
+    config: {
+      provider: provider.name,
+      model: provider.model,
+      goldenSet: path.relative(process.cwd(), options.goldenSet),
+      goldenSetHash: crypto.createHash('sha256').update(goldenSetContent).digest('hex').slice(0, 16),
+      ks: options.ks,
+      corpus,
+      promptVersions: prompts.versions
+    },
+    summary,
+    cases: results
+  };
+
+  fs.mkdirSync(options.out, { recursive: true });
+  const outputPath = path.join(options.out, `${label}.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2) + '\n');
+
+  console.log('\n📊 Recherche');
+  console.log(`   Cas évalués : ${summary.retrieval.evaluated} (${summary.retrieval.skipped} sans document attendu dans l'index)`);
+  Object.entries(summary.retrieval.recall).forEach(([key, value]) => console.log(`   recall${key} : ${value}`));
+  console.log(`   MRR : ${summary.retrieval.mrr}`);
+  console.log('📊 Réponses');
+  console.log(`   Réussis : ${summary.answers.passed}/${summary.answers.evaluated} (${summary.answers.passRate})`);
+  Object.entries(summary.answers.failedRules).forEach(([rule, count]) => console.log(`   ${rule} : ${count} échec(s)`));
+
+  if (provider.missingKeys?.size > 0) {
+    console.warn(`⚠️ ${provider.missingKeys.size} requête(s) sans réponse enregistrée : relancez avec LLM_RECORD_FROM=<fournisseur> pour les enregistrer`);
+  }
+
+  console.log(`\n💾 Résultats enregistrés : ${path.relative(process.cwd(), outputPath)}`);
+  return 0;
+}
+
+/**
+ * Compare deux fichiers de résultats
+ * @param {string[]} files - [référence, nouvelle exécution]
+ * @returns {number} Code de sortie
+ */
+function runComparison([beforePath, afterPath]) {
+  const before = JSON.parse(fs.readFileSync(beforePath, 'utf8'));
+  const after = JSON.parse(fs.readFileSync(afterPath, 'utf8'));
+  const comparison = evaluationService.compareRuns(before, after);
+
+  console.log(`🔀 ${before.label} → ${after.label}`);
+  comparison.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+  console.log('\n📊 Métriques');
+  for (const { name, before: valueBefore, after: valueAfter, delta } of comparison.metrics) {
+    const sign = delta > 0 ? '+' : '';
+    console.log(`   ${name.padEnd(10)} ${String(valueBefore).padStart(6)} → ${String(valueAfter).padEnd(6)} ${delta === null ? '' : `(${sign}${delta})`}`);
+  }
+
+  console.log(`\n📝 Cas modifiés : ${comparison.cases.length}`);
+  for (const { id, changes } of comparison.cases) {
+    console.log(`   ${id}`);
+    changes.forEach(change => console.log(`     - ${change}`));
+  }
+  return 0;
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const code = options.compare ? runComparison(options.compare) : await runEvaluation(options);
+    process.exit(code);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
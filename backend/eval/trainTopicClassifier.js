@@ -0,0 +1,183 @@
+/**
+ * Entraînement hors ligne du classifieur de sujet
+ *
+ * Usage (depuis backend/) :
+ *   npm run topic:train                                    Validation croisée puis écriture de services/topic/model.json
+ *   npm run topic:train -- --extra relues.json --verbose   Ajoute des questions relues (GET /api/admin/topic-decisions/export)
+ *   npm run topic:train -- --dry-run --folds 10            Validation croisée seule
+ *
+ * La validation croisée applique les seuils configurés (TOPIC_ACCEPT_THRESHOLD, TOPIC_REJECT_THRESHOLD)
+ * et compare le modèle à la liste de mots-clés historique.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const topicClassifiers = require('../services/topic');
+const { normalize } = require('../services/topic/features');
+const topicClassifierService = require('../services/topicClassifierService');
+
+const { NaiveBayesClassifier } = topicClassifiers;
+const DEFAULT_FOLDS = 5;
+const DECISIONS = ['accept', 'clarify', 'reject'];
+
+/**
+ * Lit les options de la ligne de commande
+ * @param {string[]} argv - Arguments
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = {
+    data: NaiveBayesClassifier.LABELLED_QUESTIONS_PATH,
+    extra: [],
+    folds: DEFAULT_FOLDS,
+    out: NaiveBayesClassifier.DEFAULT_MODEL_PATH,
+    dryRun: false,
+    verbose: false
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const next = () => {
+      if (index + 1 >= argv.length) throw new Error(`Valeur manquante pour ${arg}`);
+      return argv[++index];
+    };
+
+    switch (arg) {
+      case '--data': options.data = path.resolve(next()); break;
+      case '--extra': options.extra.push(path.resolve(next())); break;
+      case '--folds': options.folds = parseInt(next(), 10); break;
+      case '--out': options.out = path.resolve(next()); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--verbose': options.verbose = true; break;
+      default: throw new Error(`Option inconnue : ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.folds) || options.folds < 2) throw new Error('--folds attend un entier supérieur ou égal à 2');
+  return options;
+}
+
+/**
+ * Questions étiquetées ; une question répétée (même texte normalisé) garde la dernière étiquette,
+ * les fichiers --extra (relectures) l'emportent donc sur le jeu livré
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {Array<{text: string, label: string, language?: string}>}
+ */
+function loadExamples(options) {
+  const byText = new Map();
+  for (const file of [options.data, ...options.extra]) {
+    const questions = NaiveBayesClassifier.loadLabelledQuestions(file);
+    questions.forEach(question => byText.set(normalize(question.text).trim(), question));
+    console.log(`📄 ${path.relative(process.cwd(), file)} : ${questions.length} questions`);
+  }
+  return [...byText.values()];
+}
+
+/**
+ * Pli de validation d'une question, stable d'une exécution à l'autre
+ * @param {string} text - Question
+ * @param {number} folds - Nombre de plis
+ * @returns {number}
+ */
+function foldOf(text, folds) {
+  return parseInt(crypto.createHash('sha256').update(text).digest('hex').slice(0, 8), 16) % folds;
+}
+
+/**
+ * Validation croisée : chaque question est classée par un modèle entraîné sans elle
+ * @param {Array} examples - Questions étiquetées
+ * @param {number} folds - Nombre de plis
+ * @returns {Array<{example: Object, probability: number}>}
+ */
+function crossValidate(examples, folds) {
+  const predictions = [];
+  for (let fold = 0; fold < folds; fold++) {
+    const training = examples.filter(example => foldOf(example.text, folds) !== fold);
+    const held = examples.filter(example => foldOf(example.text, folds) === fold);
+    if (held.length === 0) continue;
+
+    const classifier = new NaiveBayesClassifier({ model: NaiveBayesClassifier.train(training) });
+    held.forEach(example => predictions.push({ example, probability: classifier.predict(example.text).probability }));
+  }
+  return predictions;
+}
+
+/**
+ * Répartition des décisions par étiquette
+ * @param {Array<{example: Object, probability: number}>} predictions - Prédictions
+ * @returns {Object} { odoo: { accept, clarify, reject, total }, off_topic: {...}, accuracy }
+ */
+function summarize(predictions) {
+  const summary = {};
+  let correct = 0;
+  for (const { example, probability } of predictions) {
+    summary[example.label] = summary[example.label] || { accept: 0, clarify: 0, reject: 0, total: 0 };
+    summary[example.label][topicClassifierService.decide(probability)]++;
+    summary[example.label].total++;
+    if ((probability >= 0.5) === (example.label === 'odoo')) correct++;
+  }
+  summary.accuracy = predictions.length > 0 ? correct / predictions.length : 0;
+  return summary;
+}
+
+/**
+ * Affiche la répartition des décisions d'un classifieur
+ * @param {string} name - Nom affiché
+ * @param {Object} summary - Résultat de summarize()
+ */
+function printSummary(name, summary) {
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  console.log(`\n${name} : exactitude ${percent(summary.accuracy)} (seuil 0,5)`);
+  for (const label of ['odoo', 'off_topic']) {
+    const row = summary[label];
+    if (!row) continue;
+    const cells = DECISIONS.map(decision => `${decision} ${String(row[decision]).padStart(3)} (${percent(row[decision] / row.total).padStart(6)})`);
+    console.log(`  ${label.padEnd(9)} ${cells.join('   ')}`);
+  }
+}
+
+/**
+ * Entraîne le classifieur et enregistre le modèle
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {number} Code de sortie
+ */
+function run(options) {
+  const examples = loadExamples(options);
+  const { accept, reject } = topicClassifierService.thresholds;
+  console.log(`🏷️ ${examples.length} questions, seuils : acceptation ≥ ${accept}, refus < ${reject}`);
+
+  const predictions = crossValidate(examples, options.folds);
+  printSummary(`Bayésien naïf (validation croisée, ${options.folds} plis)`, summarize(predictions));
+
+  const keywords = topicClassifiers.getClassifier('keywords');
+  printSummary('Mots-clés (historique)', summarize(examples.map(example => ({ example, probability: keywords.predict(example.text).probability }))));
+
+  if (options.verbose) {
+    const errors = predictions.filter(({ example, probability }) =>
+      topicClassifierService.decide(probability) !== (example.label === 'odoo' ? 'accept' : 'reject'));
+    console.log(`\nQuestions mal classées ou en clarification (${errors.length}) :`);
+    errors
+      .sort((a, b) => a.probability - b.probability)
+      .forEach(({ example, probability }) => console.log(`  ${probability.toFixed(3)}  ${example.label.padEnd(9)} ${example.text}`));
+  }
+
+  if (options.dryRun) return 0;
+
+  const model = NaiveBayesClassifier.train(examples);
+  fs.writeFileSync(options.out, JSON.stringify(model, null, 2) + '\n');
+  console.log(`\n💾 Modèle ${model.version} (${Object.keys(model.weights).length} caractéristiques) enregistré dans ${path.relative(process.cwd(), options.out)}`);
+  return 0;
+}
+
+function main() {
+  try {
+    process.exit(run(parseArgs(process.argv.slice(2))));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
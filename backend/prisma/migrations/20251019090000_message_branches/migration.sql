@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN "activeLeafId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "parentId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "messages_parentId_idx" ON "public"."messages"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."messages" ADD CONSTRAINT "messages_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "public"."messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill : chaîner les messages existants dans l'ordre chronologique
+UPDATE "public"."messages" AS m
+SET "parentId" = ordered."previousId"
+FROM (
+    SELECT "id", LAG("id") OVER (PARTITION BY "conversationId" ORDER BY "timestamp", "id") AS "previousId"
+    FROM "public"."messages"
+) AS ordered
+WHERE m."id" = ordered."id";
+
+-- Backfill : la branche active se termine sur le dernier message
+UPDATE "public"."conversations" AS c
+SET "activeLeafId" = (
+    SELECT m."id" FROM "public"."messages" AS m
+    WHERE m."conversationId" = c."id"
+    ORDER BY m."timestamp" DESC, m."id" DESC
+    LIMIT 1
+);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "isCancelled" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN "titleEditedByUser" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "summary" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "suggestions" JSONB;
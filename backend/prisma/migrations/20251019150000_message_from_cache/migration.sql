@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "fromCache" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "model" TEXT,
+ADD COLUMN "provider" TEXT;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "completionTokens" INTEGER,
+ADD COLUMN "costUsd" DOUBLE PRECISION,
+ADD COLUMN "promptTokens" INTEGER;
@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "public"."prompt_templates" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "description" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT false,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "prompt_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."prompt_experiments" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "templateKey" TEXT NOT NULL,
+    "variants" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "prompt_experiments_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "experimentId" INTEGER,
+ADD COLUMN "experimentVariant" TEXT,
+ADD COLUMN "promptVersions" JSONB;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_templates_key_version_key" ON "public"."prompt_templates"("key", "version");
+
+-- CreateIndex
+CREATE INDEX "prompt_templates_key_isActive_idx" ON "public"."prompt_templates"("key", "isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_experiments_name_key" ON "public"."prompt_experiments"("name");
+
+-- CreateIndex
+CREATE INDEX "prompt_experiments_status_idx" ON "public"."prompt_experiments"("status");
+
+-- CreateIndex
+CREATE INDEX "messages_experimentId_experimentVariant_idx" ON "public"."messages"("experimentId", "experimentVariant");
+
+-- AddForeignKey
+ALTER TABLE "public"."messages" ADD CONSTRAINT "messages_experimentId_fkey" FOREIGN KEY ("experimentId") REFERENCES "public"."prompt_experiments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "guide" JSONB,
+ADD COLUMN "guideProgress" JSONB;
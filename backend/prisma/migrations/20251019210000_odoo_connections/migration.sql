@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN "odooConnectionId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."odoo_connections" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "database" TEXT NOT NULL,
+    "username" TEXT NOT NULL,
+    "apiKeyEncrypted" TEXT NOT NULL,
+    "protocol" TEXT NOT NULL DEFAULT 'jsonrpc',
+    "lastTestedAt" TIMESTAMP(3),
+    "lastTestStatus" TEXT,
+    "lastTestMessage" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "odoo_connections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "odoo_connections_userId_idx" ON "public"."odoo_connections"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."conversations" ADD CONSTRAINT "conversations_odooConnectionId_fkey" FOREIGN KEY ("odooConnectionId") REFERENCES "public"."odoo_connections"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."odoo_connections" ADD CONSTRAINT "odoo_connections_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "public"."topic_decisions" (
+    "id" SERIAL NOT NULL,
+    "question" TEXT NOT NULL,
+    "language" TEXT,
+    "decision" TEXT NOT NULL,
+    "probability" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT NOT NULL,
+    "classifier" TEXT NOT NULL,
+    "modelVersion" TEXT NOT NULL,
+    "matched" JSONB,
+    "userId" INTEGER,
+    "messageId" INTEGER,
+    "reviewedLabel" TEXT,
+    "reviewedBy" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "conversationId" INTEGER NOT NULL,
+
+    CONSTRAINT "topic_decisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "topic_decisions_decision_createdAt_idx" ON "public"."topic_decisions"("decision", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "topic_decisions_reviewedLabel_idx" ON "public"."topic_decisions"("reviewedLabel");
+
+-- CreateIndex
+CREATE INDEX "topic_decisions_createdAt_idx" ON "public"."topic_decisions"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."topic_decisions" ADD CONSTRAINT "topic_decisions_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "public"."conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
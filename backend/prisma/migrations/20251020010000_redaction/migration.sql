@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "redaction" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."redaction_policies" (
+    "id" SERIAL NOT NULL,
+    "tenant" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "detectors" JSONB NOT NULL,
+    "terms" JSONB,
+    "patterns" JSONB,
+    "updatedBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "redaction_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "redaction_policies_tenant_key" ON "public"."redaction_policies"("tenant");
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "public"."usage_entries" (
+    "id" SERIAL NOT NULL,
+    "provider" TEXT,
+    "model" TEXT,
+    "stage" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "costUsd" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "estimated" BOOLEAN NOT NULL DEFAULT false,
+    "answer" BOOLEAN NOT NULL DEFAULT false,
+    "conversationId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "usage_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "usage_entries_userId_createdAt_idx" ON "public"."usage_entries"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "usage_entries_createdAt_idx" ON "public"."usage_entries"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."usage_entries" ADD CONSTRAINT "usage_entries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Reprise de la consommation déjà enregistrée sur les réponses
+INSERT INTO "public"."usage_entries" ("provider", "model", "stage", "promptTokens", "completionTokens", "costUsd", "answer", "conversationId", "createdAt", "userId")
+SELECT m."provider", m."model", 'generation', COALESCE(m."promptTokens", 0), COALESCE(m."completionTokens", 0), COALESCE(m."costUsd", 0), true, m."conversationId", m."timestamp", c."userId"
+FROM "public"."messages" m
+JOIN "public"."conversations" c ON c.id = m."conversationId"
+WHERE m."isUser" = false AND (m."promptTokens" IS NOT NULL OR m."completionTokens" IS NOT NULL);
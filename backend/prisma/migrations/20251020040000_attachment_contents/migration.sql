@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "attachmentContents" JSONB;
+
+-- Contenu d'origine des pièces jointes déplacé hors des métadonnées chargées avec les conversations
+UPDATE "public"."messages"
+SET "attachmentContents" = (
+      SELECT jsonb_agg(a.value -> 'content' ORDER BY a.ordinality)
+      FROM jsonb_array_elements("attachments") WITH ORDINALITY AS a
+    ),
+    "attachments" = (
+      SELECT jsonb_agg(a.value - 'content' ORDER BY a.ordinality)
+      FROM jsonb_array_elements("attachments") WITH ORDINALITY AS a
+    )
+WHERE jsonb_typeof("attachments") = 'array' AND jsonb_array_length("attachments") > 0;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN "addonContent" JSONB;
+
+-- Description et fichiers des modules générés déplacés hors des métadonnées chargées avec les conversations
+UPDATE "public"."messages"
+SET "addonContent" = jsonb_build_object('spec', "addon" -> 'spec', 'files', "addon" -> 'files'),
+    "addon" = jsonb_build_object('technicalName', "addon" -> 'technicalName', 'name', "addon" -> 'name', 'summary', "addon" -> 'summary')
+WHERE jsonb_typeof("addon") = 'object';
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const promptController = require('../controllers/promptController');
+const topicController = require('../controllers/topicController');
+const redactionController = require('../controllers/redactionController');
+const authService = require('../services/authService');
+
+/**
+ * Routes d'administration (utilisateurs listés dans ADMIN_EMAILS)
+ */
+
+// Authentification puis contrôle du rôle administrateur pour toutes les routes
+router.use(authService.authMiddleware());
+router.use(authService.adminMiddleware());
+
+/**
+ * @route GET /api/admin/prompts
+ * @desc Liste les templates de prompts et leur version active
+ * @access Admin
+ */
+router.get('/prompts', promptController.listTemplates);
+
+/**
+ * @route GET /api/admin/prompts/:key
+ * @desc Versions d'un template (la version 0 est celle du code)
+ * @access Admin
+ */
+router.get('/prompts/:key', promptController.getTemplate);
+
+/**
+ * @route POST /api/admin/prompts/:key
+ * @desc Enregistre une nouvelle version d'un template
+ * @access Admin
+ * @body {
+ *   content: string,
+ *   description?: string,
+ *   activate?: boolean
+ * }
+ */
+router.post('/prompts/:key', promptController.createTemplateVersion);
+
+/**
+ * @route PUT /api/admin/prompts/:key/active
+ * @desc Active une version d'un template (0 pour revenir à la version par défaut)
+ * @access Admin
+ * @body { version: number }
+ */
+router.put('/prompts/:key/active', promptController.activateTemplateVersion);
+
+/**
+ * @route GET /api/admin/experiments
+ * @desc Liste les expériences de prompts
+ * @access Admin
+ */
+router.get('/experiments', promptController.listExperiments);
+
+/**
+ * @route POST /api/admin/experiments
+ * @desc Démarre une expérience A/B sur un template
+ * @access Admin
+ * @body {
+ *   name: string,
+ *   templateKey: string,
+ *   variants: Array<{ name: string, version: number, weight?: number }>
+ * }
+ */
+router.post('/experiments', promptController.createExperiment);
+
+/**
+ * @route POST /api/admin/experiments/:experimentId/stop
+ * @desc Arrête une expérience
+ * @access Admin
+ */
+router.post('/experiments/:experimentId/stop', promptController.stopExperiment);
+
+/**
+ * @route GET /api/admin/topic-decisions
+ * @desc Journal des décisions du classifieur de sujet, les plus récentes d'abord
+ * @access Admin
+ * @query {
+ *   decision?: 'accept' | 'clarify' | 'reject',
+ *   reviewed?: 'true' | 'false',
+ *   limit?: number,
+ *   offset?: number
+ * }
+ */
+router.get('/topic-decisions', topicController.listDecisions);
+
+/**
+ * @route GET /api/admin/topic-decisions/export
+ * @desc Questions relues au format des questions étiquetées (npm run topic:train -- --extra)
+ * @access Admin
+ */
+router.get('/topic-decisions/export', topicController.exportReviewed);
+
+/**
+ * @route PUT /api/admin/topic-decisions/:decisionId/review
+ * @desc Étiquette une décision relue (null pour annuler la relecture)
+ * @access Admin
+ * @body { label: 'odoo' | 'off_topic' | null }
+ */
+router.put('/topic-decisions/:decisionId/review', topicController.reviewDecision);
+
+/**
+ * @route GET /api/admin/redaction-policies
+ * @desc Détecteurs disponibles et politiques de masquage par domaine de messagerie
+ * @access Admin
+ */
+router.get('/redaction-policies', redactionController.listPolicies);
+
+/**
+ * @route POST /api/admin/redaction-policies/preview
+ * @desc Texte tel qu'il serait envoyé au modèle avec la politique d'un domaine
+ * @access Admin
+ * @body { text: string, tenant?: string }
+ */
+router.post('/redaction-policies/preview', redactionController.previewRedaction);
+
+/**
+ * @route PUT /api/admin/redaction-policies/:tenant
+ * @desc Crée ou remplace la politique d'un domaine (« * » : domaines sans politique)
+ * @access Admin
+ * @body {
+ *   enabled: boolean,
+ *   detectors: string[],
+ *   terms?: string[],
+ *   patterns?: Array<{ name: string, pattern: string }>
+ * }
+ */
+router.put('/redaction-policies/:tenant', redactionController.savePolicy);
+
+/**
+ * @route DELETE /api/admin/redaction-policies/:tenant
+ * @desc Supprime la politique d'un domaine
+ * @access Admin
+ */
+router.delete('/redaction-policies/:tenant', redactionController.deletePolicy);
+
+module.exports = router;
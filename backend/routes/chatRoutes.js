@@ -19,11 +19,29 @@ router.post('/auth/logout', authController.logout);
 router.use('/auth/profile', authService.authMiddleware());
 router.get('/auth/profile', authController.getProfile);
 
+/**
+ * Préférences de l'utilisateur (protégées)
+ */
+router.use('/auth/settings', authService.authMiddleware());
+router.put('/auth/settings', authController.updateSettings);
+
 /**
  * Routes de chat (protégées par authentification JWT)
  */
 router.use('/chat', authService.authMiddleware());
-router.post('/chat', chatController.sendMessage);
+// Les routes qui appellent le modèle vérifient d'abord le quota de tokens
+router.post('/chat', chatController.enforceQuota, chatController.sendMessage);
+router.post('/chat/stream', chatController.enforceQuota, chatController.sendMessageStream);
+router.post('/chat/regenerate', chatController.enforceQuota, chatController.regenerateMessage);
+router.post('/chat/edit', chatController.enforceQuota, chatController.editMessage);
+router.post('/chat/cancel', chatController.cancelGeneration);
+router.get('/chat/starters', chatController.getStarterQuestions);
+
+/**
+ * Consommation de tokens et quotas (protégée)
+ */
+router.use('/usage', authService.authMiddleware());
+router.get('/usage', chatController.getUsage);
 
 /**
  * Routes de gestion des conversations (protégées)
@@ -31,7 +49,13 @@ router.post('/chat', chatController.sendMessage);
 router.use('/conversations', authService.authMiddleware());
 router.get('/conversations', chatController.getConversations);
 router.put('/conversations/:conversationId', chatController.updateConversation);
+router.get('/conversations/:conversationId/summary', chatController.getConversationSummary);
 router.delete('/conversations/:conversationId', chatController.deleteConversation);
+router.post('/conversations/:conversationId/messages/:messageId/activate', chatController.activateMessage);
+router.put('/conversations/:conversationId/messages/:messageId/guide-progress', chatController.updateGuideProgress);
+router.get('/conversations/:conversationId/messages/:messageId/addon', chatController.downloadAddon);
+router.get('/conversations/:conversationId/messages/:messageId/addon/files', chatController.getAddonFiles);
+router.get('/conversations/:conversationId/messages/:messageId/attachments', chatController.getMessageAttachments);
 
 /**
  * Routes de statut/santé de l'API (non protégées)
@@ -40,13 +64,16 @@ router.get('/health', async (req, res) => {
   try {
     const databaseService = require('../services/databaseService');
     const groqService = require('../services/groqService');
+    const llmResilienceService = require('../services/llmResilienceService');
     const packageInfo = require('../package.json');
     
     const dbHealth = await databaseService.healthCheck();
     const groqHealth = await groqService.checkHealth();
+    const llmResilience = llmResilienceService.getStatus();
     
     res.json({
-      status: 'healthy',
+      // Un disjoncteur ouvert signale un service dégradé (la chaîne de secours prend le relais)
+      status: llmResilience.status,
       service: `${packageInfo.name} v${packageInfo.version} - Adam Expert`,
       timestamp: new Date().toISOString(),
       uptime: Math.floor(process.uptime()),
@@ -54,7 +81,8 @@ router.get('/health', async (req, res) => {
       nodeVersion: process.version,
       services: {
         database: dbHealth,
-        ai: groqHealth
+        ai: groqHealth,
+        llmResilience
       },
       features: {
         authentication: 'JWT Bearer Token',
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const odooConnectionController = require('../controllers/odooConnectionController');
+const authService = require('../services/authService');
+
+/**
+ * Routes des connexions Odoo de l'utilisateur (outils en lecture seule sur sa base)
+ */
+
+// Middleware d'authentification pour toutes les routes
+router.use(authService.authMiddleware());
+
+/**
+ * @route GET /api/odoo-connections
+ * @desc Liste les connexions Odoo de l'utilisateur (sans les clés d'API)
+ * @access Private
+ */
+router.get('/', odooConnectionController.listConnections);
+
+/**
+ * @route POST /api/odoo-connections
+ * @desc Enregistre une connexion Odoo (clé d'API chiffrée)
+ * @access Private
+ * @body {
+ *   name: string,
+ *   url: string,
+ *   database: string,
+ *   username: string,
+ *   apiKey: string,
+ *   protocol?: string ('jsonrpc', 'xmlrpc')
+ * }
+ */
+router.post('/', odooConnectionController.createConnection);
+
+/**
+ * @route PUT /api/odoo-connections/:connectionId
+ * @desc Modifie une connexion Odoo (apiKey facultative : conservée si absente)
+ * @access Private
+ */
+router.put('/:connectionId', odooConnectionController.updateConnection);
+
+/**
+ * @route DELETE /api/odoo-connections/:connectionId
+ * @desc Supprime une connexion Odoo
+ * @access Private
+ */
+router.delete('/:connectionId', odooConnectionController.deleteConnection);
+
+/**
+ * @route POST /api/odoo-connections/:connectionId/test
+ * @desc Teste la connexion (version du serveur et authentification) et enregistre le résultat
+ * @access Private
+ */
+router.post('/:connectionId/test', odooConnectionController.testConnection);
+
+module.exports = router;
@@ -119,11 +119,15 @@ app.get('/', (req, res) => {
 // Routes API
 const authRoutes = require('./routes/authRoutes');
 const feedbackRoutes = require('./routes/feedbackRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const odooConnectionRoutes = require('./routes/odooConnectionRoutes');
 
 // Appliquer le rate limiting avant les routes
 app.use('/api/chat', chatLimiter, chatRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/odoo-connections', odooConnectionRoutes);
 app.use('/api', chatRoutes);
 
 // Middleware de gestion d'erreurs
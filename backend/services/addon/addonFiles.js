@@ -0,0 +1,255 @@
+/**
+ * Fichiers d'un module Odoo 17 à partir d'une description validée (addonScaffoldService)
+ *
+ * Arborescence produite :
+ *   <module>/__init__.py, __manifest__.py
+ *   <module>/models/__init__.py, <modèle>.py
+ *   <module>/security/security.xml (groupes déclarés), ir.model.access.csv
+ *   <module>/views/<modèle>_views.xml (liste, formulaire, recherche, action), menus.xml
+ */
+
+const MANIFEST_VERSION = '17.0.1.0.0';
+const INDENT = '    ';
+
+// Types de champ et classe fields.* correspondante
+const FIELD_CLASSES = {
+  char: 'Char',
+  text: 'Text',
+  html: 'Html',
+  integer: 'Integer',
+  float: 'Float',
+  boolean: 'Boolean',
+  date: 'Date',
+  datetime: 'Datetime',
+  selection: 'Selection',
+  many2one: 'Many2one',
+  one2many: 'One2many',
+  many2many: 'Many2many'
+};
+
+// Champs affichés sur plusieurs lignes : hors des colonnes de la liste et en onglet dans le formulaire
+const WIDE_TYPES = ['text', 'html', 'one2many', 'many2many'];
+
+const pyString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// library.book -> library_book ; LibraryBook pour le nom de classe
+const modelSlug = (modelName) => modelName.replace(/\./g, '_');
+const className = (modelName) => modelName.split(/[._]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+// Groupe du module ("group_manager") ou externe ("base.group_user") dans un identifiant de ligne
+const groupCsvKey = (group) => group.replace(/\./g, '_');
+
+const buildManifest = (addon, dataFiles) => {
+  const depends = addon.depends.map(pyString).join(', ');
+  const lines = [
+    '# -*- coding: utf-8 -*-',
+    '{',
+    `${INDENT}'name': ${pyString(addon.name)},`,
+    `${INDENT}'version': ${pyString(MANIFEST_VERSION)},`,
+    `${INDENT}'summary': ${pyString(addon.summary || addon.name)},`,
+    `${INDENT}'category': ${pyString(addon.category || 'Uncategorized')},`,
+    `${INDENT}'license': 'LGPL-3',`,
+    `${INDENT}'depends': [${depends}],`,
+    `${INDENT}'data': [`,
+    ...dataFiles.map(file => `${INDENT}${INDENT}${pyString(file)},`),
+    `${INDENT}],`,
+    `${INDENT}'installable': True,`,
+    `${INDENT}'application': True,`,
+    '}',
+    ''
+  ];
+  return lines.join('\n');
+};
+
+const buildFieldDeclaration = (field) => {
+  const args = [];
+  if (field.type === 'selection') {
+    args.push(`[${field.selection.map(option => `(${pyString(option.value)}, ${pyString(option.label)})`).join(', ')}]`);
+  } else if (['many2one', 'one2many', 'many2many'].includes(field.type)) {
+    args.push(pyString(field.relation));
+    if (field.type === 'one2many') args.push(pyString(field.inverse));
+  }
+  args.push(`string=${pyString(field.string)}`);
+  if (field.required) args.push('required=True');
+  if (field.type === 'selection' && field.required) args.push(`default=${pyString(field.selection[0].value)}`);
+  if (field.type === 'many2one') args.push(`ondelete=${pyString(field.required ? 'restrict' : 'set null')}`);
+  if (field.help) args.push(`help=${pyString(field.help)}`);
+  return `${INDENT}${field.name} = fields.${FIELD_CLASSES[field.type]}(${args.join(', ')})`;
+};
+
+const buildModelFile = (model) => {
+  const lines = [
+    '# -*- coding: utf-8 -*-',
+    'from odoo import fields, models',
+    '',
+    '',
+    `class ${className(model.name)}(models.Model):`,
+    `${INDENT}_name = ${pyString(model.name)}`,
+    `${INDENT}_description = ${pyString(model.description)}`
+  ];
+  const recName = model.fields.some(field => field.name === 'name') ? null : model.fields.find(field => field.type === 'char');
+  if (recName) lines.push(`${INDENT}_rec_name = ${pyString(recName.name)}`);
+  lines.push('', ...model.fields.map(buildFieldDeclaration), '');
+  return lines.join('\n');
+};
+
+const xmlDocument = (body) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<odoo>',
+  ...body,
+  '</odoo>',
+  ''
+].join('\n');
+
+const indent = (level, text) => `${INDENT.repeat(level)}${text}`;
+
+const viewRecord = (model, kind, archLines) => {
+  const slug = modelSlug(model.name);
+  return [
+    indent(1, `<record id="${slug}_view_${kind}" model="ir.ui.view">`),
+    indent(2, `<field name="name">${model.name}.view.${kind}</field>`),
+    indent(2, `<field name="model">${model.name}</field>`),
+    indent(2, '<field name="arch" type="xml">'),
+    ...archLines.map(line => indent(3, line)),
+    indent(2, '</field>'),
+    indent(1, '</record>'),
+    ''
+  ];
+};
+
+const buildViewsFile = (model) => {
+  const slug = modelSlug(model.name);
+  const fieldTag = (field) => `<field name="${field.name}"/>`;
+  const shortFields = model.fields.filter(field => !WIDE_TYPES.includes(field.type));
+  const wideFields = model.fields.filter(field => WIDE_TYPES.includes(field.type));
+
+  const tree = ['<tree>', ...shortFields.slice(0, 6).map(field => `${INDENT}${fieldTag(field)}`), '</tree>'];
+
+  const form = ['<form>', `${INDENT}<sheet>`, `${INDENT}${INDENT}<group>`,
+    ...shortFields.map(field => `${INDENT.repeat(3)}${fieldTag(field)}`),
+    `${INDENT}${INDENT}</group>`];
+  if (wideFields.length > 0) {
+    form.push(`${INDENT}${INDENT}<notebook>`);
+    wideFields.forEach(field => {
+      form.push(
+        `${INDENT.repeat(3)}<page string="${xmlEscape(field.string)}" name="${field.name}">`,
+        `${INDENT.repeat(4)}${fieldTag(field)}`,
+        `${INDENT.repeat(3)}</page>`
+      );
+    });
+    form.push(`${INDENT}${INDENT}</notebook>`);
+  }
+  form.push(`${INDENT}</sheet>`, '</form>');
+
+  const searchable = model.fields.filter(field => ['char', 'many2one', 'selection'].includes(field.type)).slice(0, 5);
+  const groupable = model.fields.filter(field => ['many2one', 'selection'].includes(field.type)).slice(0, 3);
+  const search = ['<search>', ...searchable.map(field => `${INDENT}${fieldTag(field)}`)];
+  if (groupable.length > 0) {
+    search.push(`${INDENT}<group expand="0" string="Group By">`);
+    groupable.forEach(field => {
+      search.push(`${INDENT}${INDENT}<filter name="group_by_${field.name}" string="${xmlEscape(field.string)}" context="{'group_by': '${field.name}'}"/>`);
+    });
+    search.push(`${INDENT}</group>`);
+  }
+  search.push('</search>');
+
+  return xmlDocument([
+    ...viewRecord(model, 'tree', tree),
+    ...viewRecord(model, 'form', form),
+    ...viewRecord(model, 'search', search),
+    indent(1, `<record id="${slug}_action" model="ir.actions.act_window">`),
+    indent(2, `<field name="name">${xmlEscape(model.description)}</field>`),
+    indent(2, `<field name="res_model">${model.name}</field>`),
+    indent(2, '<field name="view_mode">tree,form</field>'),
+    indent(2, `<field name="search_view_id" ref="${slug}_view_search"/>`),
+    indent(1, '</record>')
+  ]);
+};
+
+const buildMenusFile = (addon) => {
+  const lines = [indent(1, `<menuitem id="menu_root" name="${xmlEscape(addon.name)}" sequence="10"/>`), ''];
+  addon.menus.forEach((menu, index) => {
+    lines.push(indent(1, `<menuitem id="${modelSlug(menu.model)}_menu" name="${xmlEscape(menu.name)}" parent="menu_root" action="${modelSlug(menu.model)}_action" sequence="${(index + 1) * 10}"/>`));
+  });
+  return xmlDocument(lines);
+};
+
+const buildSecurityFile = (addon) => {
+  const categoryId = `module_category_${addon.technicalName}`;
+  const lines = [
+    indent(1, `<record id="${categoryId}" model="ir.module.category">`),
+    indent(2, `<field name="name">${xmlEscape(addon.name)}</field>`),
+    indent(1, '</record>'),
+    ''
+  ];
+  addon.groups.forEach(group => {
+    lines.push(
+      indent(1, `<record id="${group.id}" model="res.groups">`),
+      indent(2, `<field name="name">${xmlEscape(group.name)}</field>`),
+      indent(2, `<field name="category_id" ref="${categoryId}"/>`)
+    );
+    if (group.implies.length > 0) {
+      lines.push(indent(2, `<field name="implied_ids" eval="[${group.implies.map(ref => `(4, ref('${ref}'))`).join(', ')}]"/>`));
+    }
+    lines.push(indent(1, '</record>'), '');
+  });
+  return xmlDocument(lines.slice(0, -1));
+};
+
+const buildAccessFile = (addon) => {
+  const rows = ['id,name,model_id:id,group_id:id,perm_read,perm_write,perm_create,perm_unlink'];
+  addon.models.forEach(model => {
+    const slug = modelSlug(model.name);
+    model.access.forEach(access => {
+      const flag = (value) => (value ? '1' : '0');
+      rows.push([
+        `access_${slug}_${groupCsvKey(access.group)}`,
+        `${model.name}.${groupCsvKey(access.group)}`,
+        `model_${slug}`,
+        access.group,
+        flag(access.read), flag(access.write), flag(access.create), flag(access.unlink)
+      ].join(','));
+    });
+  });
+  return `${rows.join('\n')}\n`;
+};
+
+/**
+ * Fichiers du module, dans l'ordre de l'arborescence
+ * @param {Object} addon - Description normalisée (addonScaffoldService.normalize)
+ * @returns {Array<{path: string, content: string}>}
+ */
+const buildAddonFiles = (addon) => {
+  const root = addon.technicalName;
+  const viewFiles = addon.models.map(model => `views/${modelSlug(model.name)}_views.xml`);
+  const dataFiles = [
+    ...(addon.groups.length > 0 ? ['security/security.xml'] : []),
+    'security/ir.model.access.csv',
+    ...viewFiles,
+    'views/menus.xml'
+  ];
+
+  const files = [
+    { path: '__init__.py', content: '# -*- coding: utf-8 -*-\nfrom . import models\n' },
+    { path: '__manifest__.py', content: buildManifest(addon, dataFiles) },
+    {
+      path: 'models/__init__.py',
+      content: `# -*- coding: utf-8 -*-\n${addon.models.map(model => `from . import ${modelSlug(model.name)}`).join('\n')}\n`
+    },
+    ...addon.models.map(model => ({ path: `models/${modelSlug(model.name)}.py`, content: buildModelFile(model) })),
+    ...(addon.groups.length > 0 ? [{ path: 'security/security.xml', content: buildSecurityFile(addon) }] : []),
+    { path: 'security/ir.model.access.csv', content: buildAccessFile(addon) },
+    ...addon.models.map((model, index) => ({ path: viewFiles[index], content: buildViewsFile(model) })),
+    { path: 'views/menus.xml', content: buildMenusFile(addon) }
+  ];
+
+  return files.map(file => ({ ...file, path: `${root}/${file.path}` }));
+};
+
+module.exports = { buildAddonFiles, modelSlug, MANIFEST_VERSION, FIELD_CLASSES };
@@ -0,0 +1,353 @@
+/**
+ * Lecture de code Python (modèles d'un module, extraits cités dans les réponses)
+ *
+ * Aucun interpréteur Python n'est appelé : checkPythonSyntax contrôle la structure du code
+ * (chaînes terminées, parenthèses équilibrées, indentation des blocs, « : » des instructions
+ * composées, opérandes juxtaposés) sans couvrir toute la grammaire. parsePythonLiteral évalue
+ * un littéral (dictionnaire d'un __manifest__.py) sans rien exécuter.
+ * Les erreurs sont préfixées par la ligne concernée, comme celles de xmlDocument.js.
+ */
+
+const KEYWORDS = new Set([
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+  'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+  'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+  // Mots-clés contextuels (match/case, alias de type)
+  'match', 'case', 'type'
+]);
+// Instructions composées : la ligne contient un « : » qui ouvre le bloc
+const COMPOUND_KEYWORDS = new Set(['if', 'elif', 'else', 'for', 'while', 'def', 'class', 'try', 'except', 'finally', 'with', 'match', 'case']);
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+const CLOSING = new Set([')', ']', '}']);
+
+const STRING_START = /(?:[rRbBuUfF]|[rR][bBfF]|[bBfF][rR])?('''|"""|'|")/y;
+const NAME = /[A-Za-z_À-￿][\wÀ-￿]*/y;
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?[jJ]?)/y;
+const OPERATORS = [
+  '**=', '//=', '>>=', '<<=', '...', '->', ':=', '**', '//', '<<', '>>', '<=', '>=', '==', '!=',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@=',
+  '+', '-', '*', '/', '%', '@', '&', '|', '^', '~', '<', '>', '(', ')', '[', ']', '{', '}', ',', ':', '.', ';', '='
+];
+
+const lineMessage = (message, line) => `ligne ${line} : ${message}`;
+
+const pythonError = (message, line) => {
+  const error = new Error(lineMessage(message, line));
+  error.line = line;
+  return error;
+};
+
+const matchAt = (pattern, source, index) => {
+  pattern.lastIndex = index;
+  return pattern.exec(source);
+};
+
+/**
+ * Découpe le code en lignes logiques de jetons
+ * @param {string} source - Code Python
+ * @returns {Array<{indent: number, line: number, tokens: Array<{type: string, value: string, line: number}>}>}
+ *   type : name, number, string (value sans guillemets, prefix), op
+ * @throws {Error} Chaîne non terminée, parenthèse non fermée ou caractère inattendu
+ */
+const tokenizePython = (source) => {
+  const code = source.replace(/\r\n?/g, '\n');
+  const lines = [];
+  const brackets = [];
+  let current = null;
+  let line = 1;
+  let index = 0;
+  let atLineStart = true;
+
+  while (index < code.length) {
+    // Début de ligne logique : mesurer l'indentation (lignes vides et commentaires ignorés)
+    if (atLineStart && brackets.length === 0) {
+      let width = 0;
+      while (code[index] === ' ' || code[index] === '\t' || code[index] === '\f') {
+        width = code[index] === '\t' ? width + 8 - (width % 8) : width + 1;
+        index++;
+      }
+      atLineStart = false;
+      if (index < code.length && code[index] !== '\n' && code[index] !== '#') {
+        current = { indent: width, line, tokens: [] };
+        lines.push(current);
+      }
+      continue;
+    }
+
+    const char = code[index];
+    if (char === '\n') {
+      line++;
+      index++;
+      if (brackets.length === 0) {
+        atLineStart = true;
+        current = null;
+      }
+      continue;
+    }
+    if (char === '\\' && code[index + 1] === '\n') {
+      line++;
+      index += 2;
+      continue;
+    }
+    if (char === ' ' || char === '\t' || char === '\f') {
+      index++;
+      continue;
+    }
+    if (char === '#') {
+      while (index < code.length && code[index] !== '\n') index++;
+      continue;
+    }
+
+    const tokenLine = line;
+    const push = (type, value, extra = {}) => current.tokens.push({ type, value, line: tokenLine, ...extra });
+
+    const stringMatch = matchAt(STRING_START, code, index);
+    if (stringMatch) {
+      const quote = stringMatch[1];
+      const prefix = stringMatch[0].slice(0, -quote.length);
+      let position = index + stringMatch[0].length;
+      const start = position;
+      let closed = false;
+      while (position < code.length) {
+        if (code[position] === '\\') {
+          if (code[position + 1] === '\n') line++;
+          position += 2;
+          continue;
+        }
+        if (code.startsWith(quote, position)) {
+          closed = true;
+          break;
+        }
+        if (code[position] === '\n') {
+          if (quote.length === 1) break;
+          line++;
+        }
+        position++;
+      }
+      if (!closed) throw pythonError('chaîne de caractères non terminée', tokenLine);
+      push('string', code.slice(start, position), { prefix: prefix.toLowerCase() });
+      index = position + quote.length;
+      continue;
+    }
+
+    const nameMatch = matchAt(NAME, code, index);
+    if (nameMatch) {
+      push('name', nameMatch[0]);
+      index += nameMatch[0].length;
+      continue;
+    }
+
+    const numberMatch = /[\d.]/.test(char) ? matchAt(NUMBER, code, index) : null;
+    if (numberMatch && numberMatch[0] !== '.') {
+      push('number', numberMatch[0]);
+      index += numberMatch[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => code.startsWith(op, index));
+    if (!operator) throw pythonError(`caractère inattendu « ${char} »`, tokenLine);
+    if (OPENING[operator]) {
+      brackets.push({ char: operator, line: tokenLine });
+    } else if (CLOSING.has(operator)) {
+      const opening = brackets.pop();
+      if (!opening) throw pythonError(`« ${operator} » sans ouverture`, tokenLine);
+      if (OPENING[opening.char] !== operator) {
+        throw pythonError(`« ${operator} » inattendu (« ${OPENING[opening.char]} » attendu pour la ligne ${opening.line})`, tokenLine);
+      }
+    }
+    push('op', operator);
+    index += operator.length;
+  }
+
+  if (brackets.length > 0) {
+    const unclosed = brackets[brackets.length - 1];
+    throw pythonError(`« ${unclosed.char} » ouvert mais jamais fermé`, unclosed.line);
+  }
+  return lines;
+};
+
+const isOperand = (token) => token && (
+  (token.type === 'name' && !KEYWORDS.has(token.value)) ||
+  token.type === 'number' ||
+  token.type === 'string' ||
+  (token.type === 'op' && CLOSING.has(token.value))
+);
+
+// Vérifications propres à une ligne logique
+const checkLine = (logical) => {
+  const { tokens } = logical;
+  const errors = [];
+  let depth = 0;
+  let topLevelColon = false;
+
+  tokens.forEach((token, position) => {
+    const previous = tokens[position - 1];
+    if (token.type === 'op' && OPENING[token.value]) depth++;
+    if (token.type === 'op' && CLOSING.has(token.value)) depth--;
+    if (token.type === 'op' && token.value === ':' && depth === 0) topLevelColon = true;
+
+    // Deux opérandes juxtaposés (print "x", appel sans virgule...) ; chaînes adjacentes concaténées
+    const opensOperand = (token.type === 'name' && !KEYWORDS.has(token.value)) || token.type === 'number' || token.type === 'string';
+    if (opensOperand && isOperand(previous) && !(token.type === 'string' && previous.type === 'string')) {
+      errors.push(lineMessage(`syntaxe invalide près de « ${token.value.slice(0, 30)} »`, token.line));
+    }
+  });
+
+  let first = tokens[0];
+  if (first.type === 'name' && first.value === 'async' && tokens[1]) first = tokens[1];
+  const last = tokens[tokens.length - 1];
+  const endsWithColon = last.type === 'op' && last.value === ':';
+  const compound = first.type === 'name' && COMPOUND_KEYWORDS.has(first.value) &&
+    // match et case ne sont des mots-clés qu'en tête d'une instruction terminée par « : »
+    (!['match', 'case'].includes(first.value) || endsWithColon);
+
+  if (compound && !topLevelColon) {
+    errors.push(lineMessage(`« : » manquant après « ${first.value} »`, logical.line));
+  } else if (endsWithColon && !compound) {
+    errors.push(lineMessage('« : » inattendu en fin de ligne', last.line));
+  }
+
+  const next = tokens[tokens.indexOf(first) + 1];
+  if (first.value === 'def' && (!next || next.type !== 'name' || tokens[tokens.indexOf(first) + 2]?.value !== '(')) {
+    errors.push(lineMessage('définition de fonction mal formée (def nom(...):)', logical.line));
+  }
+  if (first.value === 'class' && (!next || next.type !== 'name')) {
+    errors.push(lineMessage('définition de classe mal formée (class Nom:)', logical.line));
+  }
+
+  return { errors, opensBlock: compound && endsWithColon };
+};
+
+/**
+ * Vérifie la syntaxe d'un code Python
+ * Un extrait peut commencer en retrait (méthode citée hors de sa classe).
+ * @param {string} source - Code Python
+ * @returns {string[]} Erreurs (préfixées par la ligne), vide si le code est valide
+ */
+const checkPythonSyntax = (source) => {
+  let lines;
+  try {
+    lines = tokenizePython(source).filter(logical => logical.tokens.length > 0);
+  } catch (error) {
+    return [error.message];
+  }
+  if (lines.length === 0) return [];
+
+  const errors = [];
+  let indents = [lines[0].indent];
+  let opener = null;
+
+  for (const logical of lines) {
+    const top = indents[indents.length - 1];
+    if (opener) {
+      if (logical.indent <= top) errors.push(lineMessage(`bloc indenté attendu après la ligne ${opener.line}`, logical.line));
+      else indents.push(logical.indent);
+    } else if (logical.indent > top) {
+      errors.push(lineMessage('indentation inattendue', logical.line));
+    } else if (logical.indent < top) {
+      indents = indents.filter(width => width <= logical.indent);
+      if (indents.length === 0) {
+        // Retrait inférieur à celui de la première ligne de l'extrait : nouveau niveau de base
+        indents = [logical.indent];
+      } else if (indents[indents.length - 1] !== logical.indent) {
+        errors.push(lineMessage('retrait incohérent avec les blocs précédents', logical.line));
+        indents.push(logical.indent);
+      }
+    }
+
+    const result = checkLine(logical);
+    errors.push(...result.errors);
+    opener = result.opensBlock ? logical : null;
+  }
+
+  if (opener) errors.push(lineMessage(`bloc indenté attendu après la ligne ${opener.line}`, opener.line));
+  return errors;
+};
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"', '\n': '' };
+
+const decodeString = (token) => {
+  if (token.prefix.includes('f')) throw pythonError('f-string non littérale', token.line);
+  if (token.prefix.includes('r')) return token.value;
+  return token.value.replace(/\\(.)/gs, (match, char) => (char in ESCAPES ? ESCAPES[char] : match));
+};
+
+/**
+ * Évalue un littéral Python : dictionnaire, liste, tuple, chaîne, nombre, True/False/None
+ * @param {string} source - Code contenant un seul littéral (commentaires autorisés)
+ * @returns {*} Valeur JavaScript équivalente (tuples en tableaux)
+ * @throws {Error} Syntaxe invalide, expression non littérale ou clé de dictionnaire en double
+ */
+const parsePythonLiteral = (source) => {
+  const tokens = tokenizePython(source).flatMap(logical => logical.tokens);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const lastLine = () => (tokens[tokens.length - 1]?.line ?? 1);
+  const expect = (value) => {
+    const token = tokens[position++];
+    if (!token || token.value !== value || token.type !== 'op') {
+      throw pythonError(`« ${value} » attendu${token ? ` au lieu de « ${token.value} »` : ''}`, token?.line ?? lastLine());
+    }
+  };
+
+  // Éléments séparés par des virgules jusqu'au délimiteur fermant (virgule finale acceptée)
+  const parseSequence = (closing, parseItem) => {
+    const items = [];
+    let trailingComma = false;
+    while (peek() && !(peek().type === 'op' && peek().value === closing)) {
+      items.push(parseItem());
+      trailingComma = false;
+      if (peek()?.type === 'op' && peek().value === ',') {
+        position++;
+        trailingComma = true;
+      } else {
+        break;
+      }
+    }
+    expect(closing);
+    return { items, trailingComma };
+  };
+
+  const parseValue = () => {
+    const token = tokens[position++];
+    if (!token) throw pythonError('valeur attendue', lastLine());
+
+    if (token.type === 'string') {
+      let value = decodeString(token);
+      while (peek()?.type === 'string') value += decodeString(tokens[position++]);
+      return value;
+    }
+    if (token.type === 'number') return Number(token.value.replace(/_/g, ''));
+    if (token.type === 'name' && token.value === 'True') return true;
+    if (token.type === 'name' && token.value === 'False') return false;
+    if (token.type === 'name' && token.value === 'None') return null;
+    if (token.type === 'op' && token.value === '-' && peek()?.type === 'number') return -Number(tokens[position++].value.replace(/_/g, ''));
+
+    if (token.type === 'op' && token.value === '[') return parseSequence(']', parseValue).items;
+    if (token.type === 'op' && token.value === '(') {
+      const { items, trailingComma } = parseSequence(')', parseValue);
+      return items.length === 1 && !trailingComma ? items[0] : items;
+    }
+    if (token.type === 'op' && token.value === '{') {
+      const result = {};
+      parseSequence('}', () => {
+        const keyToken = peek();
+        const key = parseValue();
+        if (typeof key !== 'string' && typeof key !== 'number') throw pythonError('clé de dictionnaire non littérale', keyToken.line);
+        if (Object.prototype.hasOwnProperty.call(result, key)) throw pythonError(`clé « ${key} » en double`, keyToken.line);
+        expect(':');
+        result[key] = parseValue();
+      });
+      return result;
+    }
+
+    throw pythonError(`valeur non littérale « ${token.value} »`, token.line);
+  };
+
+  const value = parseValue();
+  if (position < tokens.length) throw pythonError(`contenu inattendu après le littéral : « ${tokens[position].value} »`, tokens[position].line);
+  return value;
+};
+
+module.exports = { checkPythonSyntax, parsePythonLiteral, tokenizePython };
@@ -0,0 +1,139 @@
+/**
+ * Lecture stricte d'un document XML (vues, données et sécurité d'un module Odoo)
+ *
+ * Contrairement au lecteur XML-RPC (services/odoo/xmlRpc.js), les attributs sont conservés
+ * et le document doit être bien formé : une seule racine, balises fermées dans l'ordre,
+ * attributs entre guillemets et non dupliqués, « < » et « & » échappés dans le texte.
+ * Les erreurs indiquent la ligne concernée.
+ */
+
+const NAME = '[A-Za-z_][\\w.:-]*';
+const TOKEN_PATTERN = new RegExp(
+  `<\\?[\\s\\S]*?\\?>|<!--[\\s\\S]*?-->|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>|<!DOCTYPE[^>]*>|<(/?)(${NAME})((?:[^>"']|"[^"]*"|'[^']*')*?)(/?)>|<`,
+  'g'
+);
+const ATTRIBUTE_PATTERN = new RegExp(`\\s*(${NAME})\\s*=\\s*("[^"]*"|'[^']*')|\\s*(\\S+)`, 'g');
+const ENTITY_PATTERN = /&(?!(?:lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);)/i;
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const lineAt = (xml, index) => xml.slice(0, index).split('\n').length;
+
+const xmlError = (message, xml, index) => {
+  const line = lineAt(xml, index);
+  const error = new Error(`ligne ${line} : ${message}`);
+  error.line = line;
+  return error;
+};
+
+const parseAttributes = (source, xml, index) => {
+  const attributes = {};
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source))) {
+    const [, name, quoted, garbage] = match;
+    if (garbage) throw xmlError(`attribut mal formé « ${garbage} »`, xml, index);
+    if (name in attributes) throw xmlError(`attribut « ${name} » en double`, xml, index);
+    const value = quoted.slice(1, -1);
+    if (value.includes('<')) throw xmlError(`« < » non échappé dans l'attribut « ${name} »`, xml, index);
+    if (ENTITY_PATTERN.test(value)) throw xmlError(`« & » non échappé dans l'attribut « ${name} »`, xml, index);
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+};
+
+/**
+ * Lit un document XML
+ * @param {string} xml - Contenu du document
+ * @param {Object} [options]
+ * @param {boolean} [options.fragment] - Extrait pouvant contenir plusieurs éléments de premier niveau
+ *   (bloc de code d'une réponse) : le nœud #document est alors renvoyé
+ * @returns {Object} Racine { name, attributes, children, text, line }
+ * @throws {Error} Document mal formé (message préfixé par la ligne, propriété `line`)
+ */
+const parseXmlDocument = (xml, { fragment = false } = {}) => {
+  const document = { name: '#document', attributes: {}, children: [], text: '', line: 1 };
+  const stack = [document];
+  let position = 0;
+  let match;
+
+  const appendText = (text, index) => {
+    if (!text) return;
+    if (ENTITY_PATTERN.test(text)) throw xmlError('« & » non échappé dans le texte', xml, index);
+    const current = stack[stack.length - 1];
+    if (current === document) {
+      if (text.trim()) throw xmlError('texte en dehors de l\'élément racine', xml, index);
+      return;
+    }
+    current.text += decodeEntities(text);
+  };
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(xml))) {
+    appendText(xml.slice(position, match.index), position);
+    position = TOKEN_PATTERN.lastIndex;
+
+    const [token, closing, name, attributeSource, selfClosing] = match;
+    const current = stack[stack.length - 1];
+
+    if (token === '<') throw xmlError('« < » non échappé ou balise mal formée', xml, match.index);
+    if (token.startsWith('<![CDATA[')) {
+      if (current === document) throw xmlError('CDATA en dehors de l\'élément racine', xml, match.index);
+      current.text += token.slice(9, -3);
+      continue;
+    }
+    if (!name) continue;
+
+    if (closing) {
+      if (attributeSource.trim() || selfClosing) throw xmlError(`balise fermante </${name}> mal formée`, xml, match.index);
+      if (current === document || current.name !== name) {
+        throw xmlError(current === document
+          ? `balise </${name}> sans ouverture`
+          : `balise </${name}> inattendue (</${current.name}> attendue)`, xml, match.index);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (current === document && document.children.length > 0 && !fragment) {
+      throw xmlError(`second élément racine <${name}>`, xml, match.index);
+    }
+    const node = {
+      name,
+      attributes: parseAttributes(attributeSource, xml, match.index),
+      children: [],
+      text: '',
+      line: lineAt(xml, match.index)
+    };
+    current.children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+
+  appendText(xml.slice(position), position);
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw xmlError(`balise <${unclosed.name}> non fermée`, xml, xml.length);
+  }
+  if (document.children.length === 0) throw xmlError('aucun élément racine', xml, 0);
+
+  return fragment ? document : document.children[0];
+};
+
+/**
+ * Parcourt un arbre XML en profondeur
+ * @param {Object} node - Nœud renvoyé par parseXmlDocument
+ * @param {Function} visit - (nœud) => void
+ */
+const walkXml = (node, visit) => {
+  visit(node);
+  node.children.forEach(item => walkXml(item, visit));
+};
+
+module.exports = { parseXmlDocument, walkXml };
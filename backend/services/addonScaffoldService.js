@@ -0,0 +1,547 @@
+/**
+ * Service de génération de modules Odoo (squelettes d'addons)
+ *
+ * En mode « module », le modèle décrit le module attendu par un objet JSON : nom technique,
+ * modèles et champs, menus, groupes de sécurité et droits d'accès. La description est validée
+ * (ADDON_SCHEMA puis règles Odoo : noms techniques, types de champ, relations, références),
+ * les fichiers sont produits par services/addon/addonFiles.js puis vérifiés (XML bien formé,
+ * syntaxe Python, clés du manifeste, références XML et CSV définies, fichiers déclarés
+ * dans le manifeste) avant d'être enregistrés
+ * sur le message. L'archive ZIP est construite à la demande au téléchargement.
+ */
+
+const languageService = require('./languageService');
+const structuredAnswerService = require('./structuredAnswerService');
+const codeValidationService = require('./codeValidationService');
+const { buildAddonFiles, modelSlug, FIELD_CLASSES } = require('./addon/addonFiles');
+const { parseXmlDocument, walkXml } = require('./addon/xmlDocument');
+const { checkPythonSyntax } = require('./addon/pythonSource');
+const { createZipArchive } = require('./addon/zipArchive');
+
+const TECHNICAL_NAME_PATTERN = /^[a-z][a-z0-9_]{1,63}$/;
+const MODEL_NAME_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const EXTERNAL_ID_PATTERN = /^[a-z][a-z0-9_]*\.[a-z][a-z0-9_]*$/;
+
+// Champs gérés par l'ORM, qui ne peuvent pas être redéclarés
+const RESERVED_FIELDS = ['id', 'display_name', 'create_uid', 'create_date', 'write_uid', 'write_date', '__last_update'];
+const RELATIONAL_TYPES = ['many2one', 'one2many', 'many2many'];
+
+// En-tête attendu de ir.model.access.csv
+const ACCESS_CSV_HEADER = 'id,name,model_id:id,group_id:id,perm_read,perm_write,perm_create,perm_unlink';
+
+const textSchema = (maxLength, minLength = 1) => ({ type: 'string', minLength, maxLength });
+
+// Schéma d'une description de module (types, champs requis et limites de taille)
+const ADDON_SCHEMA = {
+  type: 'object',
+  required: ['technicalName', 'name', 'models'],
+  additionalProperties: false,
+  properties: {
+    technicalName: textSchema(64),
+    name: textSchema(100),
+    summary: { type: ['string', 'null'], maxLength: 300 },
+    category: { type: ['string', 'null'], maxLength: 100 },
+    depends: { type: 'array', maxItems: 20, items: textSchema(64) },
+    models: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['name', 'description', 'fields'],
+        additionalProperties: false,
+        properties: {
+          name: textSchema(64),
+          description: textSchema(100),
+          fields: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 40,
+            items: {
+              type: 'object',
+              required: ['name', 'type', 'string'],
+              additionalProperties: false,
+              properties: {
+                name: textSchema(63),
+                type: textSchema(20),
+                string: textSchema(100),
+                required: { type: 'boolean' },
+                relation: { type: ['string', 'null'], maxLength: 64 },
+                inverse: { type: ['string', 'null'], maxLength: 63 },
+                selection: {
+                  type: ['array', 'null'],
+                  maxItems: 30,
+                  items: {
+                    type: 'object',
+                    required: ['value', 'label'],
+                    additionalProperties: false,
+                    properties: { value: textSchema(64), label: textSchema(100) }
+                  }
+                },
+                help: { type: ['string', 'null'], maxLength: 500 }
+              }
+            }
+          },
+          access: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+              type: 'object',
+              required: ['group'],
+              additionalProperties: false,
+              properties: {
+                group: textSchema(128),
+                read: { type: 'boolean' },
+                write: { type: 'boolean' },
+                create: { type: 'boolean' },
+                unlink: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      }
+    },
+    menus: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['name', 'model'],
+        additionalProperties: false,
+        properties: { name: textSchema(100), model: textSchema(64) }
+      }
+    },
+    groups: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        additionalProperties: false,
+        properties: {
+          id: textSchema(64),
+          name: textSchema(100),
+          implies: { type: 'array', maxItems: 5, items: textSchema(128) }
+        }
+      }
+    }
+  }
+};
+
+// Exemple envoyé au modèle avec la consigne de format
+const ADDON_EXAMPLE = {
+  technicalName: 'library_management',
+  name: 'Bibliothèque',
+  summary: 'Gestion des livres et des emprunts',
+  category: 'Services',
+  depends: ['base'],
+  models: [
+    {
+      name: 'library.book',
+      description: 'Livre',
+      fields: [
+        { name: 'name', type: 'char', string: 'Titre', required: true },
+        { name: 'author_id', type: 'many2one', string: 'Auteur', relation: 'res.partner' },
+        { name: 'state', type: 'selection', string: 'État', required: true, selection: [{ value: 'available', label: 'Disponible' }, { value: 'borrowed', label: 'Emprunté' }] }
+      ],
+      access: [
+        { group: 'group_library_user', read: true, write: true, create: true, unlink: false },
+        { group: 'group_library_manager', read: true, write: true, create: true, unlink: true }
+      ]
+    }
+  ],
+  menus: [{ name: 'Livres', model: 'library.book' }],
+  groups: [
+    { id: 'group_library_user', name: 'Utilisateur', implies: ['base.group_user'] },
+    { id: 'group_library_manager', name: 'Responsable', implies: ['group_library_user'] }
+  ]
+};
+
+class AddonScaffoldService {
+  /**
+   * Schéma d'une description de module
+   * @returns {Object}
+   */
+  getSchema() {
+    return ADDON_SCHEMA;
+  }
+
+  /**
+   * Exemple de description sérialisé, inséré dans la consigne envoyée au modèle
+   * @returns {string}
+   */
+  getExample() {
+    return JSON.stringify(ADDON_EXAMPLE, null, 2);
+  }
+
+  /**
+   * Types de champ acceptés
+   * @returns {string[]}
+   */
+  getFieldTypes() {
+    return Object.keys(FIELD_CLASSES);
+  }
+
+  /**
+   * Lit et valide la description renvoyée par le modèle, puis produit et vérifie les fichiers
+   * Tolère un bloc de code ```json autour de l'objet.
+   * @param {string} content - Texte produit par le modèle
+   * @returns {{addon: Object|null, errors: string[]}} addon : { technicalName, name, summary, spec, files }
+   */
+  parse(content) {
+    const text = (content || '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return { addon: null, errors: ['aucun objet JSON dans la réponse'] };
+    }
+
+    let spec;
+    try {
+      spec = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return { addon: null, errors: [`JSON invalide : ${error.message}`] };
+    }
+
+    const schemaErrors = structuredAnswerService.validate(spec, ADDON_SCHEMA, 'module');
+    if (schemaErrors.length > 0) return { addon: null, errors: schemaErrors };
+
+    const normalized = this.normalize(spec);
+    const specErrors = this.checkSpec(normalized);
+    if (specErrors.length > 0) return { addon: null, errors: specErrors };
+
+    const files = buildAddonFiles(normalized);
+    const fileErrors = this.validateFiles(files, normalized);
+    if (fileErrors.length > 0) return { addon: null, errors: fileErrors };
+
+    return {
+      addon: {
+        technicalName: normalized.technicalName,
+        name: normalized.name,
+        summary: normalized.summary,
+        spec: normalized,
+        files
+      },
+      errors: []
+    };
+  }
+
+  /**
+   * Nettoie une description conforme au schéma : textes sans espaces superflus,
+   * dépendance à base, menus et droits d'accès par défaut
+   * @param {Object} spec - Description conforme à ADDON_SCHEMA
+   * @returns {Object}
+   */
+  normalize(spec) {
+    const clean = (value) => typeof value === 'string' && value.trim() ? value.trim() : null;
+    const groups = (spec.groups || []).map(group => ({
+      id: group.id.trim(),
+      name: group.name.trim(),
+      implies: (group.implies || []).map(ref => ref.trim())
+    }));
+    // Sans droits déclarés : accès complet pour les groupes du module, sinon pour les utilisateurs internes
+    const defaultAccess = (groups.length > 0 ? groups.map(group => group.id) : ['base.group_user'])
+      .map(group => ({ group, read: true, write: true, create: true, unlink: true }));
+
+    const models = spec.models.map(model => ({
+      name: model.name.trim(),
+      description: model.description.trim(),
+      fields: model.fields.map(field => ({
+        name: field.name.trim(),
+        type: field.type.trim().toLowerCase(),
+        string: field.string.trim(),
+        required: field.required === true,
+        relation: clean(field.relation),
+        inverse: clean(field.inverse),
+        selection: (field.selection || []).map(option => ({ value: option.value.trim(), label: option.label.trim() })),
+        help: clean(field.help)
+      })),
+      access: model.access && model.access.length > 0
+        ? model.access.map(access => ({
+          group: access.group.trim(),
+          read: access.read !== false,
+          write: access.write === true,
+          create: access.create === true,
+          unlink: access.unlink === true
+        }))
+        : defaultAccess
+    }));
+
+    return {
+      technicalName: spec.technicalName.trim(),
+      name: spec.name.trim(),
+      summary: clean(spec.summary),
+      category: clean(spec.category),
+      depends: [...new Set(['base', ...(spec.depends || []).map(name => name.trim())])],
+      models,
+      menus: spec.menus && spec.menus.length > 0
+        ? spec.menus.map(menu => ({ name: menu.name.trim(), model: menu.model.trim() }))
+        : models.map(model => ({ name: model.description, model: model.name })),
+      groups
+    };
+  }
+
+  /**
+   * Vérifie les règles Odoo d'une description normalisée
+   * @param {Object} addon - Description normalisée
+   * @returns {string[]} Erreurs, vide si la description est utilisable
+   */
+  checkSpec(addon) {
+    const errors = [];
+    const modelNames = addon.models.map(model => model.name);
+    const groupIds = addon.groups.map(group => group.id);
+    const fieldTypes = this.getFieldTypes();
+
+    if (!TECHNICAL_NAME_PATTERN.test(addon.technicalName)) {
+      errors.push(`module.technicalName : « ${addon.technicalName} » invalide (minuscules, chiffres et _)`);
+    }
+    addon.depends.filter(name => !TECHNICAL_NAME_PATTERN.test(name))
+      .forEach(name => errors.push(`module.depends : « ${name} » n'est pas un nom technique de module`));
+
+    const isKnownGroup = (ref) => groupIds.includes(ref) || EXTERNAL_ID_PATTERN.test(ref);
+
+    addon.groups.forEach((group, index) => {
+      const path = `module.groups[${index}]`;
+      if (!FIELD_NAME_PATTERN.test(group.id)) errors.push(`${path}.id : « ${group.id} » invalide (identifiant XML sans module)`);
+      if (groupIds.indexOf(group.id) !== index) errors.push(`${path}.id : « ${group.id} » en double`);
+      group.implies.filter(ref => !isKnownGroup(ref) || ref === group.id)
+        .forEach(ref => errors.push(`${path}.implies : groupe « ${ref} » inconnu`));
+      // Les groupes hérités doivent être déclarés avant (ordre du fichier security.xml)
+      group.implies.filter(ref => groupIds.indexOf(ref) > index)
+        .forEach(ref => errors.push(`${path}.implies : « ${ref} » doit être déclaré avant « ${group.id} »`));
+    });
+
+    addon.models.forEach((model, modelIndex) => {
+      const path = `module.models[${modelIndex}]`;
+      if (!MODEL_NAME_PATTERN.test(model.name)) {
+        errors.push(`${path}.name : « ${model.name} » invalide (exemple : library.book)`);
+      }
+      if (modelNames.indexOf(model.name) !== modelIndex) errors.push(`${path}.name : modèle « ${model.name} » en double`);
+
+      const fieldNames = model.fields.map(field => field.name);
+      model.fields.forEach((field, fieldIndex) => {
+        const fieldPath = `${path}.fields[${fieldIndex}]`;
+        if (!FIELD_NAME_PATTERN.test(field.name)) errors.push(`${fieldPath}.name : « ${field.name} » invalide`);
+        if (RESERVED_FIELDS.includes(field.name)) errors.push(`${fieldPath}.name : « ${field.name} » est un champ réservé de l'ORM`);
+        if (fieldNames.indexOf(field.name) !== fieldIndex) errors.push(`${fieldPath}.name : champ « ${field.name} » en double`);
+        if (!fieldTypes.includes(field.type)) {
+          errors.push(`${fieldPath}.type : « ${field.type} » non pris en charge (${fieldTypes.join(', ')})`);
+          return;
+        }
+
+        if (field.type === 'selection' && field.selection.length === 0) {
+          errors.push(`${fieldPath}.selection : au moins une option attendue`);
+        }
+        if (RELATIONAL_TYPES.includes(field.type)) {
+          if (!field.relation || !MODEL_NAME_PATTERN.test(field.relation)) {
+            errors.push(`${fieldPath}.relation : modèle lié requis pour un champ ${field.type}`);
+          } else if (field.type === 'many2one' && !field.name.endsWith('_id')) {
+            errors.push(`${fieldPath}.name : un champ many2one se termine par _id`);
+          } else if (field.type !== 'many2one' && !field.name.endsWith('_ids')) {
+            errors.push(`${fieldPath}.name : un champ ${field.type} se termine par _ids`);
+          }
+        }
+        if (field.type === 'one2many') {
+          const target = addon.models.find(item => item.name === field.relation);
+          if (!field.inverse) {
+            errors.push(`${fieldPath}.inverse : champ many2one inverse requis pour un one2many`);
+          } else if (target && !target.fields.some(item => item.name === field.inverse && item.type === 'many2one' && item.relation === model.name)) {
+            errors.push(`${fieldPath}.inverse : ${field.relation} n'a pas de champ many2one « ${field.inverse} » vers ${model.name}`);
+          }
+        }
+      });
+
+      model.access.filter(access => !isKnownGroup(access.group))
+        .forEach(access => errors.push(`${path}.access : groupe « ${access.group} » inconnu`));
+    });
+
+    const menuModels = addon.menus.map(menu => menu.model);
+    addon.menus.forEach((menu, index) => {
+      if (!modelNames.includes(menu.model)) errors.push(`module.menus[${index}].model : « ${menu.model} » n'est pas un modèle du module`);
+      if (menuModels.indexOf(menu.model) !== index) errors.push(`module.menus[${index}].model : un seul menu par modèle`);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Vérifie les fichiers produits avant l'enregistrement et l'archivage : XML bien formé,
+   * fichiers de données déclarés et présents, références XML définies avant usage,
+   * droits d'accès sur chaque modèle
+   * @param {Array<{path: string, content: string}>} files - Fichiers du module
+   * @param {Object} addon - Description normalisée
+   * @returns {string[]} Erreurs, vide si le module peut être archivé
+   */
+  validateFiles(files, addon) {
+    const errors = [];
+    const root = `${addon.technicalName}/`;
+    const byPath = new Map(files.map(file => [file.path.slice(root.length), file.content]));
+
+    for (const required of ['__init__.py', '__manifest__.py', 'models/__init__.py', 'security/ir.model.access.csv']) {
+      if (!byPath.has(required)) errors.push(`${required} : fichier manquant`);
+    }
+
+    // Fichiers de données dans l'ordre du manifeste
+    const manifest = byPath.get('__manifest__.py') || '';
+    const dataBlock = manifest.match(/'data':\s*\[([\s\S]*?)\]/);
+    const dataFiles = dataBlock ? [...dataBlock[1].matchAll(/'([^']+)'/g)].map(match => match[1]) : [];
+    dataFiles.filter(path => !byPath.has(path)).forEach(path => errors.push(`__manifest__.py : « ${path} » absent du module`));
+    [...byPath.keys()].filter(path => /\.(xml|csv)$/.test(path) && !dataFiles.includes(path))
+      .forEach(path => errors.push(`${path} : fichier non déclaré dans __manifest__.py`));
+
+    const modelInit = byPath.get('models/__init__.py') || '';
+    addon.models.forEach(model => {
+      if (!modelInit.includes(`from . import ${modelSlug(model.name)}`)) {
+        errors.push(`models/__init__.py : models/${modelSlug(model.name)}.py n'est pas importé`);
+      }
+    });
+
+    // Code Python : syntaxe des fichiers, clés et version du manifeste
+    [...byPath.entries()].filter(([path]) => path.endsWith('.py')).forEach(([path, content]) => {
+      checkPythonSyntax(content).forEach(error => errors.push(`${path} : ${error}`));
+    });
+    if (byPath.has('__manifest__.py')) errors.push(...codeValidationService.checkManifest(manifest));
+
+    // Identifiants XML définis au fil du chargement des données
+    const defined = new Set(addon.models.map(model => `model_${modelSlug(model.name)}`));
+    const checkRef = (path, ref) => {
+      if (ref && !ref.includes('.') && !defined.has(ref)) errors.push(`${path} : référence « ${ref} » non définie à ce stade`);
+    };
+
+    for (const path of dataFiles.filter(file => byPath.has(file))) {
+      const content = byPath.get(path);
+      if (path.endsWith('.csv')) {
+        errors.push(...this.validateAccessCsv(path, content, addon, checkRef));
+        continue;
+      }
+
+      let document;
+      try {
+        document = parseXmlDocument(content);
+      } catch (error) {
+        errors.push(`${path} : XML invalide (${error.message})`);
+        continue;
+      }
+      if (document.name !== 'odoo') errors.push(`${path} : élément racine <odoo> attendu`);
+
+      walkXml(document, node => {
+        const { id, ref, parent, action } = node.attributes;
+        [ref, parent, action].forEach(value => checkRef(path, value));
+        const evalRefs = [...(node.attributes.eval || '').matchAll(/ref\('([^']+)'\)/g)].map(match => match[1]);
+        evalRefs.forEach(value => checkRef(path, value));
+        if (id && (node.name === 'record' || node.name === 'menuitem')) {
+          if (defined.has(id)) errors.push(`${path} : identifiant « ${id} » défini deux fois`);
+          defined.add(id);
+        }
+        // Vues : seuls les champs du modèle peuvent être affichés
+        if (node.name === 'record' && node.attributes.model === 'ir.ui.view') {
+          const modelName = node.children.find(item => item.attributes.name === 'model')?.text.trim();
+          const model = addon.models.find(item => item.name === modelName);
+          const arch = node.children.find(item => item.attributes.name === 'arch');
+          if (model && arch) {
+            walkXml(arch, archNode => {
+              if (archNode !== arch && archNode.name === 'field' && !model.fields.some(field => field.name === archNode.attributes.name)) {
+                errors.push(`${path} : champ « ${archNode.attributes.name} » inconnu sur ${model.name}`);
+              }
+            });
+          }
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Vérifie ir.model.access.csv : en-tête, colonnes, modèles et groupes référencés
+   */
+  validateAccessCsv(path, content, addon, checkRef) {
+    const errors = [];
+    const [header, ...rows] = content.trim().split('\n');
+    if (header !== ACCESS_CSV_HEADER) errors.push(`${path} : en-tête attendu « ${ACCESS_CSV_HEADER} »`);
+
+    const covered = new Set();
+    rows.forEach((row, index) => {
+      const columns = row.split(',');
+      if (columns.length !== 8) {
+        errors.push(`${path} ligne ${index + 2} : 8 colonnes attendues, ${columns.length} trouvées`);
+        return;
+      }
+      const [, , modelRef, groupRef, ...perms] = columns;
+      checkRef(`${path} ligne ${index + 2}`, modelRef);
+      checkRef(`${path} ligne ${index + 2}`, groupRef);
+      if (perms.some(perm => perm !== '0' && perm !== '1')) errors.push(`${path} ligne ${index + 2} : droits attendus en 0 ou 1`);
+      covered.add(modelRef);
+    });
+
+    addon.models.filter(model => !covered.has(`model_${modelSlug(model.name)}`))
+      .forEach(model => errors.push(`${path} : aucun droit d'accès sur ${model.name}`));
+    return errors;
+  }
+
+  /**
+   * Arborescence texte des fichiers (├──, └──)
+   * @param {Array<{path: string}>} files - Fichiers du module
+   * @returns {string}
+   */
+  buildTree(files) {
+    const root = {};
+    files.forEach(file => {
+      let node = root;
+      file.path.split('/').forEach((part, index, parts) => {
+        node[part] = node[part] || (index === parts.length - 1 ? null : {});
+        node = node[part];
+      });
+    });
+
+    const lines = [];
+    const render = (node, prefix) => {
+      const entries = Object.entries(node);
+      entries.forEach(([name, childNode], index) => {
+        const last = index === entries.length - 1;
+        lines.push(`${prefix}${last ? '└── ' : '├── '}${name}${childNode ? '/' : ''}`);
+        if (childNode) render(childNode, `${prefix}${last ? '    ' : '│   '}`);
+      });
+    };
+    Object.entries(root).forEach(([name, childNode]) => {
+      lines.push(`${name}/`);
+      render(childNode, '');
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Version Markdown d'un module généré, utilisée comme texte de la réponse
+   * @param {Object} addon - Module ({ technicalName, name, summary, spec, files })
+   * @param {string} [language] - Langue des intitulés (fr, en, ar)
+   * @returns {string}
+   */
+  toMarkdown(addon, language = 'fr') {
+    const t = (key, params) => languageService.t(language, `addon.${key}`, params);
+    const lines = [`## 📦 ${addon.name} (\`${addon.technicalName}\`)`, ''];
+    if (addon.summary) lines.push(addon.summary, '');
+
+    lines.push(`**${t('models')}**`, '');
+    addon.spec.models.forEach(model => {
+      lines.push(`- \`${model.name}\` — ${model.description} (${model.fields.map(field => `\`${field.name}\``).join(', ')})`);
+    });
+    lines.push('', `**${t('tree')}**`, '', '```text', this.buildTree(addon.files), '```', '');
+
+    lines.push(`**${t('install')}**`, '');
+    lines.push(`1. ${t('installCopy', { technicalName: addon.technicalName })}`);
+    lines.push(`2. ${t('installUpdate', { name: addon.name })}`);
+    return lines.join('\n').trim();
+  }
+
+  /**
+   * Archive ZIP d'un module enregistré
+   * @param {Object} addon - Module ({ files })
+   * @returns {Buffer}
+   */
+  buildArchive(addon) {
+    return createZipArchive(addon.files);
+  }
+}
+
+module.exports = new AddonScaffoldService();
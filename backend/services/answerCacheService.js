@@ -0,0 +1,130 @@
+/**
+ * Cache des réponses du chatbot
+ *
+ * - Clé : question normalisée + documents retrouvés + langue + modèle + version de l'index
+ * - Seules les questions posées hors contexte (sans historique de conversation) sont mises en cache :
+ *   la réponse à une question de suivi dépend des échanges précédents
+ * - Le prompt d'une question mise en cache ne contient rien du profil de l'utilisateur (modules
+ *   préférés, conversations récentes) : la réponse est partagée entre utilisateurs
+ * - Le cache est vidé dès que l'index de documentation est reconstruit
+ * - Stockage via cacheService (Redis si REDIS_URL est défini, mémoire sinon)
+ */
+
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+const odooDocService = require('./odooDocService');
+
+const NAMESPACE = 'answers';
+
+// Durée de vie des réponses en cache (secondes), 0 pour désactiver le cache
+const ANSWER_CACHE_TTL = parseInt(process.env.ANSWER_CACHE_TTL ?? cacheService.TTL.answers, 10);
+
+// Formules de politesse sans effet sur la réponse attendue
+const FILLER_WORDS = new Set([
+  'bonjour', 'salut', 'svp', 'stp', 'merci', 'please', 'hello', 'hi', 'thanks', 'adam'
+]);
+
+class AnswerCacheService {
+  constructor() {
+    this.indexVersion = null;
+  }
+
+  /**
+   * Indique si le cache des réponses est activé
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return ANSWER_CACHE_TTL > 0;
+  }
+
+  /**
+   * Version de l'index de documentation ; change à chaque reconstruction
+   * @returns {string}
+   */
+  getIndexVersion() {
+    return `${odooDocService.documentationIndex.size}:${odooDocService.lastUpdate}`;
+  }
+
+  /**
+   * Normalise une question : casse, accents, ponctuation, espaces et formules de politesse
+   * "Comment configurer les congés ?" et "comment configurer les conges" donnent la même clé
+   * @param {string} question - Question de l'utilisateur
+   * @returns {string}
+   */
+  normalizeQuestion(question) {
+    return (question || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .split(' ')
+      .filter(word => word && !FILLER_WORDS.has(word))
+      .join(' ');
+  }
+
+  /**
+   * Construit la clé de cache d'une réponse
+   * @param {Object} params
+   * @param {string} params.question - Question de l'utilisateur
+   * @param {Array<Object>} params.docs - Documents envoyés au modèle (dans l'ordre des citations)
+   * @param {string} params.language - Langue de la réponse
+   * @param {string} params.model - Modèle utilisé
+   * @param {Object} [params.promptVersions] - Versions des templates de prompts ({ clé: version })
+   * @param {boolean} [params.structured] - Réponse demandée sous forme de guide structuré
+   * @returns {string}
+   */
+  buildKey({ question, docs, language, model, promptVersions = {}, structured = false }) {
+    const docIds = (docs || []).map(doc => doc.id || doc.filePath || doc.title);
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([this.normalizeQuestion(question), docIds, language, model, promptVersions, structured]))
+      .digest('hex')
+      .slice(0, 32);
+    return `${this.getIndexVersion()}:${hash}`;
+  }
+
+  /**
+   * Vide le cache si l'index de documentation a été reconstruit depuis le dernier accès
+   */
+  async checkIndexVersion() {
+    const version = this.getIndexVersion();
+    if (this.indexVersion !== null && this.indexVersion !== version) {
+      await this.invalidateAll();
+      console.log('🧹 Index de documentation reconstruit : cache des réponses vidé');
+    }
+    this.indexVersion = version;
+  }
+
+  /**
+   * Lit une réponse en cache
+   * @param {string} key - Clé construite par buildKey
+   * @returns {Promise<Object|null>} { text, guide, codeCheck, provider, model, cachedAt }
+   */
+  async get(key) {
+    if (!this.isEnabled()) return null;
+    await this.checkIndexVersion();
+    return cacheService.get(key, NAMESPACE);
+  }
+
+  /**
+   * Met une réponse en cache
+   * @param {string} key - Clé construite par buildKey
+   * @param {Object} entry - { text, guide, codeCheck, provider, model }
+   * @returns {Promise<boolean>}
+   */
+  async set(key, entry) {
+    if (!this.isEnabled()) return false;
+    await this.checkIndexVersion();
+    return cacheService.set(key, { ...entry, cachedAt: new Date().toISOString() }, ANSWER_CACHE_TTL, NAMESPACE);
+  }
+
+  /**
+   * Supprime toutes les réponses en cache
+   * @returns {Promise<boolean>}
+   */
+  async invalidateAll() {
+    return cacheService.invalidate('*', NAMESPACE);
+  }
+}
+
+module.exports = new AnswerCacheService();
@@ -0,0 +1,509 @@
+/**
+ * Service des pièces jointes et des longues saisies du chat
+ *
+ * - Une saisie qui dépasse CHAT_MAX_MESSAGE_LENGTH est scindée : le texte rédigé reste la question,
+ *   les blocs collés (code, traceback, journal, manifeste) deviennent une pièce jointe « texte collé »
+ * - Les fichiers texte joints et les blocs collés sont découpés en passages ; seuls les plus pertinents
+ *   pour la question entrent dans le prompt, classés avec le scoring de la recherche documentaire
+ *   (odooDocService.scorePassages) et limités à la part du budget de tokens réservée aux pièces jointes
+ * - Les contenus volumineux sont résumés (exception et pile d'appels, dépendances du manifeste,
+ *   enregistrements XML, modèles Python, niveaux du journal)
+ * - Le contenu d'origine est enregistré à part (Message.attachmentContents), jamais dans Message.text ;
+ *   les conversations ne chargent que les métadonnées (Message.attachments)
+ */
+
+const odooDocService = require('./odooDocService');
+const tokenBudgetService = require('./tokenBudgetService');
+
+// Longueur maximale de la question enregistrée comme texte du message
+const MAX_MESSAGE_LENGTH = parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH) || 2000;
+// Longueur maximale d'une saisie, blocs collés compris
+const MAX_INPUT_LENGTH = parseInt(process.env.CHAT_MAX_INPUT_LENGTH) || 100000;
+const MAX_ATTACHMENTS = parseInt(process.env.CHAT_MAX_ATTACHMENTS) || 5;
+const MAX_ATTACHMENT_LENGTH = parseInt(process.env.CHAT_MAX_ATTACHMENT_LENGTH) || 200000;
+const MAX_NAME_LENGTH = 255;
+
+const PASSAGE_LENGTH = 1500; // Taille visée d'un passage (caractères)
+const SUMMARY_MIN_LENGTH = 4000; // Contenus résumés au-delà de cette taille
+const HEADLINE_LENGTH = 200;
+const SUMMARY_LIST_LENGTH = 10;
+const HISTORY_NOTE_LENGTH = 120;
+
+// Lignes de code, de journal ou de traceback (une saisie rédigée en contient peu)
+const CODE_LINE = new RegExp([
+  '^\\s',
+  '^\\s*<\\/?[\\w:.-]+[\\s>/]',
+  '^\\s*(?:(?:def|class|import|from|return|raise|if|elif|else|for|while|try|except|with)\\b|@\\w|#)',
+  '^Traceback \\(most recent call last\\)',
+  '^[\\w.]+(?:Error|Exception|Warning)\\b',
+  '^\\d{4}-\\d{2}-\\d{2}[ T]\\d{2}:\\d{2}:\\d{2}',
+  '^\\s*[\'"][\\w.]+[\'"]\\s*:',
+  '^\\s*[{}\\[\\]()],?\\s*$',
+  '[;{}]\\s*$',
+  '^\\s*[\\w.]+\\s*=\\s*\\S'
+].join('|'));
+
+// Lignes où un passage peut commencer : ligne vide, classe, méthode, enregistrement XML, traceback, entrée du journal
+const BOUNDARY_LINE = /^\s*$|^(?:async\s+)?(?:class|def)\s|^ {2,4}(?:async\s+)?def\s|^\s*<(?:record|template|menuitem|function)\b|^Traceback|^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/;
+
+const EXCEPTION_LINE = /^\s*([\w.]+(?:Error|Exception|Warning|Interrupt|Exit)\b.*)$/;
+const LOG_LINE = /^\d{4}-\d{2}-\d{2} [\d:,.]+ \d+ (DEBUG|INFO|WARNING|ERROR|CRITICAL) /;
+// Lignes écartées de la ligne de titre : déclaration XML, racine <odoo>, encodage, ponctuation seule
+const SKIPPED_HEADLINE = /^\s*(?:<\?xml|<\/?(?:odoo|openerp|data)\b|#\s*-\*-|#!|[{}[\]()]+,?\s*$)/;
+
+// Langage des blocs de code du prompt selon la nature du contenu
+const FENCE_LANGUAGES = { python: 'python', manifest: 'python', xml: 'xml' };
+
+class AttachmentService {
+  constructor() {
+    this.limits = {
+      messageLength: MAX_MESSAGE_LENGTH,
+      inputLength: MAX_INPUT_LENGTH,
+      attachments: MAX_ATTACHMENTS,
+      attachmentLength: MAX_ATTACHMENT_LENGTH
+    };
+  }
+
+  /**
+   * Vérifie les pièces jointes reçues : fichiers texte { name, content } en nombre et taille limités
+   * @param {*} attachments - Valeur du champ "attachments" du body
+   * @returns {string|null} Message d'erreur, null si les pièces jointes sont valides (ou absentes)
+   */
+  validateAttachments(attachments) {
+    if (attachments === undefined || attachments === null) return null;
+    if (!Array.isArray(attachments)) return 'Le champ "attachments" doit être une liste de fichiers { name, content }';
+    if (attachments.length > MAX_ATTACHMENTS) return `${MAX_ATTACHMENTS} pièces jointes au maximum par message`;
+
+    for (const attachment of attachments) {
+      if (!attachment || typeof attachment.name !== 'string' || !attachment.name.trim() || attachment.name.length > MAX_NAME_LENGTH) {
+        return `Chaque pièce jointe doit avoir un nom de 1 à ${MAX_NAME_LENGTH} caractères`;
+      }
+      if (typeof attachment.content !== 'string' || !attachment.content.trim()) {
+        return `La pièce jointe « ${attachment.name} » est vide`;
+      }
+      if (attachment.content.length > MAX_ATTACHMENT_LENGTH) {
+        return `La pièce jointe « ${attachment.name} » dépasse ${MAX_ATTACHMENT_LENGTH} caractères`;
+      }
+      if (attachment.content.includes('\u0000')) {
+        return `La pièce jointe « ${attachment.name} » n'est pas un fichier texte`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sépare la question des contenus joints : blocs collés d'une longue saisie et fichiers
+   * @param {string} message - Saisie de l'utilisateur (validée)
+   * @param {Array|null} attachments - Fichiers { name, content } (validés)
+   * @returns {{question: string, attachments: Array}} Question (vide si la saisie n'est qu'un contenu collé)
+   *   et pièces jointes { name, source, kind, size, lines, content, headline, summary }
+   */
+  prepare(message, attachments = null) {
+    const { question, pasted } = this.splitMessage(message || '');
+    const prepared = [];
+
+    if (pasted) prepared.push(this.describe(null, 'paste', pasted));
+    (attachments || []).forEach(attachment => {
+      prepared.push(this.describe(attachment.name.trim(), 'file', attachment.content));
+    });
+
+    return { question, attachments: prepared };
+  }
+
+  /**
+   * Scinde une saisie trop longue : paragraphes rédigés d'un côté, code, traceback et journaux de l'autre
+   * Les paragraphes rédigés qui ne tiennent plus dans la question rejoignent le contenu collé.
+   * @param {string} message - Saisie de l'utilisateur
+   * @returns {{question: string, pasted: string|null}}
+   */
+  splitMessage(message) {
+    if (message.length <= MAX_MESSAGE_LENGTH) return { question: message.trim(), pasted: null };
+
+    const prose = [];
+    const pasted = [];
+    // Blocs de code délimités par ```, puis paragraphes du texte restant
+    for (const segment of message.split(/(```[^\n]*\n[\s\S]*?(?:```|$))/)) {
+      const fence = segment.match(/^```[^\n]*\n([\s\S]*?)(?:```)?$/);
+      if (fence) {
+        if (fence[1].trim()) pasted.push(fence[1].replace(/\s+$/, ''));
+        continue;
+      }
+      for (const paragraph of segment.split(/\n[ \t]*\n/)) {
+        if (!paragraph.trim()) continue;
+        if (this.looksPasted(paragraph)) {
+          pasted.push(paragraph.replace(/^[ \t]*\n|\s+$/g, ''));
+        } else {
+          prose.push(paragraph.trim());
+        }
+      }
+    }
+
+    let question = '';
+    const overflow = [];
+    for (const paragraph of prose) {
+      const candidate = question ? `${question}\n\n${paragraph}` : paragraph;
+      if (overflow.length === 0 && candidate.length <= MAX_MESSAGE_LENGTH) {
+        question = candidate;
+      } else {
+        overflow.push(paragraph);
+      }
+    }
+
+    return { question, pasted: [...pasted, ...overflow].join('\n\n') || null };
+  }
+
+  /**
+   * Indique si un paragraphe est un contenu collé plutôt qu'un texte rédigé
+   * @param {string} paragraph - Paragraphe de la saisie
+   * @returns {boolean}
+   */
+  looksPasted(paragraph) {
+    if (paragraph.length > MAX_MESSAGE_LENGTH) return true;
+    const lines = paragraph.split('\n').filter(line => line.trim());
+    const codeLines = lines.filter(line => CODE_LINE.test(line)).length;
+    return codeLines * 2 >= lines.length;
+  }
+
+  /**
+   * Décrit une pièce jointe : nature, taille, ligne de titre et résumé des contenus volumineux
+   * @param {string|null} name - Nom du fichier (null pour un texte collé)
+   * @param {string} source - 'file' ou 'paste'
+   * @param {string} content - Contenu d'origine
+   * @returns {Object}
+   */
+  describe(name, source, content) {
+    const normalized = content.replace(/\r\n?/g, '\n');
+    const kind = this.detectKind(name, normalized);
+    return {
+      name,
+      source,
+      kind,
+      size: normalized.length,
+      lines: normalized.split('\n').length,
+      content: normalized,
+      headline: this.buildHeadline(normalized, kind),
+      summary: normalized.length > SUMMARY_MIN_LENGTH ? this.summarize(normalized, kind) : null
+    };
+  }
+
+  /**
+   * Nature d'un contenu : traceback, manifest, xml, python, log ou text
+   * @param {string|null} name - Nom du fichier
+   * @param {string} content - Contenu
+   * @returns {string}
+   */
+  detectKind(name, content) {
+    const fileName = (name || '').toLowerCase();
+    const extension = fileName.includes('.') ? fileName.split('.').pop() : '';
+
+    if (/Traceback \(most recent call last\)/.test(content)) return 'traceback';
+    if (/(?:^|\/)__manifest__\.py$/.test(fileName)
+      || (/^\s*(?:#.*\n\s*)*\{/.test(content) && /['"]depends['"]\s*:/.test(content) && /['"]name['"]\s*:/.test(content))) {
+      return 'manifest';
+    }
+    if (extension === 'xml' || /^\s*<(?:\?xml|odoo|openerp|record|template|templates|form|tree|list|kanban|search)\b/.test(content)) return 'xml';
+    if (extension === 'py' || /^(?:from\s+\S+\s+import|import\s+\w|class\s+\w+\(|def\s+\w+\()/m.test(content)) return 'python';
+    if (extension === 'log' || content.split('\n').slice(0, 20).some(line => LOG_LINE.test(line))) return 'log';
+    return 'text';
+  }
+
+  /**
+   * Ligne qui résume le contenu : exception finale d'un traceback, première erreur d'un journal,
+   * sinon première ligne significative
+   * @param {string} content - Contenu
+   * @param {string} kind - Nature du contenu
+   * @returns {string}
+   */
+  buildHeadline(content, kind) {
+    const lines = content.split('\n').filter(line => line.trim());
+    let headline = lines.find(line => !SKIPPED_HEADLINE.test(line) && /\w{3}/.test(line)) || lines[0] || '';
+
+    if (kind === 'traceback') {
+      const exception = [...lines].reverse().find(line => EXCEPTION_LINE.test(line));
+      headline = exception ? exception.match(EXCEPTION_LINE)[1] : lines[lines.length - 1];
+    } else if (kind === 'log') {
+      headline = lines.find(line => /^\S+ \S+ \d+ (?:ERROR|CRITICAL) /.test(line)) || headline;
+    }
+
+    headline = headline.trim();
+    return headline.length > HEADLINE_LENGTH ? `${headline.slice(0, HEADLINE_LENGTH)}…` : headline;
+  }
+
+  /**
+   * Résumé d'un contenu volumineux, pour le modèle (les passages omis restent ainsi situés)
+   * @param {string} content - Contenu
+   * @param {string} kind - Nature du contenu
+   * @returns {string}
+   */
+  summarize(content, kind) {
+    const lines = content.split('\n');
+    const parts = [`${lines.length} lignes`];
+    // Listes limitées à SUMMARY_LIST_LENGTH éléments, le reste compté
+    const listed = (values) => values.length > SUMMARY_LIST_LENGTH
+      ? `${values.slice(0, SUMMARY_LIST_LENGTH).join(', ')}… (+${values.length - SUMMARY_LIST_LENGTH})`
+      : values.join(', ');
+    const countBy = (values) => {
+      const counts = new Map();
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      return listed([...counts].sort((a, b) => b[1] - a[1]).map(([value, count]) => `${value} (${count})`));
+    };
+
+    if (kind === 'traceback') {
+      const tracebacks = (content.match(/Traceback \(most recent call last\)/g) || []).length;
+      const frames = [...content.matchAll(/^\s*File "([^"]+)", line (\d+), in (\S+)/gm)];
+      parts.push(`exception : ${this.buildHeadline(content, kind)}`);
+      if (tracebacks > 1) parts.push(`${tracebacks} tracebacks`);
+      if (frames.length > 0) {
+        const lastFrames = frames.slice(-3).map(([, file, line, fn]) => `${file.split('/').slice(-2).join('/')}:${line} (${fn})`);
+        parts.push(`${frames.length} appels dans la pile, derniers : ${lastFrames.join(' → ')}`);
+      }
+    } else if (kind === 'manifest') {
+      const field = (key) => content.match(new RegExp(`['"]${key}['"]\\s*:\\s*['"]([^'"]*)['"]`));
+      const list = (key) => {
+        const match = content.match(new RegExp(`['"]${key}['"]\\s*:\\s*\\[([^\\]]*)\\]`));
+        return match ? [...match[1].matchAll(/['"]([^'"]+)['"]/g)].map(item => item[1]) : [];
+      };
+      if (field('name')) parts.push(`module : ${field('name')[1]}`);
+      if (field('version')) parts.push(`version : ${field('version')[1]}`);
+      if (list('depends').length > 0) parts.push(`dépendances : ${listed(list('depends'))}`);
+      if (list('data').length > 0) parts.push(`${list('data').length} fichiers de données`);
+    } else if (kind === 'xml') {
+      const models = [...content.matchAll(/<record\b[^>]*\bmodel=["']([\w.]+)["']/g)].map(match => match[1]);
+      const inherited = [...content.matchAll(/<field\s+name=["']inherit_id["']\s+ref=["']([\w.]+)["']/g)].map(match => match[1]);
+      const templates = (content.match(/<template\b/g) || []).length;
+      const menus = (content.match(/<menuitem\b/g) || []).length;
+      if (models.length > 0) parts.push(`${models.length} enregistrements : ${countBy(models)}`);
+      if (inherited.length > 0) parts.push(`vues héritées : ${listed([...new Set(inherited)])}`);
+      if (templates > 0) parts.push(`${templates} templates QWeb`);
+      if (menus > 0) parts.push(`${menus} menus`);
+    } else if (kind === 'python') {
+      const classes = [...content.matchAll(/^class\s+(\w+)/gm)].map(match => match[1]);
+      const models = [...content.matchAll(/^\s+_(?:name|inherit)\s*=\s*['"]([\w.]+)['"]/gm)].map(match => match[1]);
+      const fields = (content.match(/=\s*fields\.\w+\(/g) || []).length;
+      const methods = (content.match(/^\s+(?:async\s+)?def\s+\w+/gm) || []).length;
+      if (classes.length > 0) parts.push(`classes : ${listed(classes)}`);
+      if (models.length > 0) parts.push(`modèles : ${listed([...new Set(models)])}`);
+      if (fields > 0) parts.push(`${fields} champs`);
+      if (methods > 0) parts.push(`${methods} méthodes`);
+    } else if (kind === 'log') {
+      const levels = lines.map(line => line.match(LOG_LINE)).filter(Boolean).map(match => match[1]);
+      if (levels.length > 0) parts.push(`entrées : ${countBy(levels)}`);
+      const firstError = this.buildHeadline(content, kind);
+      if (levels.some(level => level === 'ERROR' || level === 'CRITICAL')) parts.push(`première erreur : ${firstError}`);
+    } else {
+      parts.push(`début : ${this.buildHeadline(content, kind)}`);
+    }
+
+    return parts.join(' ; ');
+  }
+
+  /**
+   * Découpe un contenu en passages d'environ PASSAGE_LENGTH caractères, coupés de préférence
+   * entre deux classes, méthodes, enregistrements XML ou entrées du journal
+   * @param {string} content - Contenu
+   * @returns {Array} Passages { startLine, endLine, text } (lignes numérotées à partir de 1)
+   */
+  splitPassages(content) {
+    const lines = content.split('\n');
+    const passages = [];
+    let current = [];
+    let length = 0;
+    let startLine = 1;
+
+    lines.forEach((line, index) => {
+      const boundary = BOUNDARY_LINE.test(line) && length >= PASSAGE_LENGTH / 2;
+      if (current.length > 0 && (boundary || length + line.length + 1 > PASSAGE_LENGTH)) {
+        passages.push({ startLine, endLine: index, text: current.join('\n') });
+        current = [];
+        length = 0;
+        startLine = index + 1;
+      }
+      // Ligne démesurée (JSON minifié...) : tronquée dans le passage, intacte dans la pièce jointe
+      const kept = line.length > PASSAGE_LENGTH ? `${line.slice(0, PASSAGE_LENGTH)} […]` : line;
+      current.push(kept);
+      length += kept.length + 1;
+    });
+    if (current.length > 0) passages.push({ startLine, endLine: lines.length, text: current.join('\n') });
+
+    return passages;
+  }
+
+  /**
+   * Passages retenus d'une pièce jointe dans un budget de tokens
+   *
+   * Le passage de tête (fin du contenu pour un traceback ou un journal, où se trouve l'erreur) est
+   * toujours retenu ; les autres sont ajoutés par score décroissant tant qu'ils tiennent.
+   *
+   * @param {Object} attachment - Pièce jointe préparée
+   * @param {string} query - Question de l'utilisateur
+   * @param {number} budget - Tokens disponibles pour les passages
+   * @param {string} model - Identifiant du modèle
+   * @returns {{passages: Array, total: number}} Passages retenus dans l'ordre du contenu
+   */
+  selectPassages(attachment, query, budget, model) {
+    const passages = this.splitPassages(attachment.content);
+    const pinned = attachment.kind === 'traceback' || attachment.kind === 'log' ? passages.length - 1 : 0;
+    const scores = odooDocService.scorePassages(query, passages.map(passage => ({
+      title: passage.text.split('\n').find(line => line.trim()) || '',
+      content: passage.text
+    })));
+
+    const order = passages
+      .map((passage, index) => index)
+      .filter(index => index !== pinned)
+      .sort((a, b) => scores[b] - scores[a] || a - b);
+
+    const selected = [];
+    let used = 0;
+    for (const index of [pinned, ...order]) {
+      const tokens = tokenBudgetService.countTokens(passages[index].text, model);
+      if (used + tokens <= budget) {
+        selected.push(passages[index]);
+        used += tokens;
+      } else if (index === pinned) {
+        // Passage de tête plus grand que le budget : tronqué en gardant le côté de l'erreur
+        const maxChars = Math.max(Math.floor(passages[index].text.length * budget / tokens), 200);
+        const text = pinned === 0 ? passages[index].text.slice(0, maxChars) : passages[index].text.slice(-maxChars);
+        selected.push({ ...passages[index], text });
+        used = budget;
+      }
+    }
+
+    return {
+      passages: selected.sort((a, b) => a.startLine - b.startLine),
+      total: passages.length
+    };
+  }
+
+  /**
+   * Section du prompt avec les pièces jointes : résumé et extraits retenus pour la question
+   *
+   * Le budget réservé aux pièces jointes est partagé entre elles ; une pièce jointe qui tient dans
+   * sa part est envoyée en entier, et la place qu'elle laisse profite aux suivantes.
+   *
+   * @param {string} question - Question de l'utilisateur
+   * @param {Array} attachments - Pièces jointes préparées
+   * @param {string} model - Identifiant du modèle
+   * @returns {{text: string, excerpts: Array}} Section du prompt (vide sans pièce jointe) et, par
+   *   pièce jointe, { passages, total, ranges }
+   */
+  buildPromptSection(question, attachments, model) {
+    if (!attachments || attachments.length === 0) return { text: '', excerpts: [] };
+
+    let remaining = tokenBudgetService.getAttachmentBudget(model);
+    const sections = new Array(attachments.length);
+    const excerpts = new Array(attachments.length);
+
+    // Les plus petites d'abord : leur reste de budget est redistribué aux plus grandes
+    const bySize = attachments.map((attachment, index) => index).sort((a, b) => attachments[a].size - attachments[b].size);
+    bySize.forEach((index, position) => {
+      const attachment = attachments[index];
+      const share = Math.floor(remaining / (bySize.length - position));
+      const summaryTokens = tokenBudgetService.countTokens(attachment.summary || '', model);
+      const query = [question, attachment.headline].filter(Boolean).join('\n');
+
+      let passages;
+      let total;
+      if (tokenBudgetService.countTokens(attachment.content, model) + summaryTokens <= share) {
+        passages = [{ startLine: 1, endLine: attachment.lines, text: attachment.content }];
+        total = 1;
+      } else {
+        ({ passages, total } = this.selectPassages(attachment, query, Math.max(share - summaryTokens, 0), model));
+      }
+
+      const section = this.formatAttachment(attachment, index + 1, passages, total);
+      sections[index] = section;
+      excerpts[index] = {
+        passages: passages.length,
+        total,
+        ranges: passages.map(passage => [passage.startLine, passage.endLine])
+      };
+      remaining = Math.max(remaining - tokenBudgetService.countTokens(section, model), 0);
+    });
+
+    return {
+      text: `**Contenu joint par l'utilisateur :**\n\n${sections.join('\n\n')}`,
+      excerpts
+    };
+  }
+
+  /**
+   * Met en forme une pièce jointe pour le prompt : en-tête, résumé et passages, lignes omises signalées
+   * @param {Object} attachment - Pièce jointe préparée
+   * @param {number} number - Numéro de la pièce jointe
+   * @param {Array} passages - Passages retenus dans l'ordre du contenu
+   * @param {number} total - Nombre de passages du contenu
+   * @returns {string}
+   */
+  formatAttachment(attachment, number, passages, total) {
+    const label = attachment.name || 'texte collé';
+    const lines = [`### Pièce jointe ${number} : ${label} (${attachment.kind}, ${attachment.lines} lignes)`];
+    if (attachment.summary) lines.push(`Résumé : ${attachment.summary}`);
+    if (passages.length < total) {
+      lines.push(`Extraits retenus pour la question : ${passages.length} passages sur ${total}`);
+    }
+
+    const body = [];
+    let nextLine = 1;
+    passages.forEach(passage => {
+      if (passage.startLine > nextLine) body.push(`[… lignes ${nextLine} à ${passage.startLine - 1} omises …]`);
+      body.push(passage.text);
+      nextLine = passage.endLine + 1;
+    });
+    if (nextLine <= attachment.lines) body.push(`[… lignes ${nextLine} à ${attachment.lines} omises …]`);
+
+    // Délimiteur plus long que toute suite d'accents graves du contenu
+    const text = body.join('\n');
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    lines.push(`${fence}${FENCE_LANGUAGES[attachment.kind] || 'text'}\n${text}\n${fence}`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Indique si une pièce jointe provient d'Odoo : traceback ou journal du serveur, fichier d'un module
+   * @param {Object} attachment - Pièce jointe préparée
+   * @returns {boolean}
+   */
+  isOdooContent(attachment) {
+    if (attachment.kind === 'manifest') return true;
+    return /\bodoo\b|\bopenerp\b|<odoo\b/i.test(attachment.content);
+  }
+
+  /**
+   * Texte servant à la recherche documentaire, au classifieur de sujet et au titre : la question
+   * et la ligne de titre de chaque pièce jointe (l'exception d'un traceback, par exemple)
+   * @param {string} question - Question de l'utilisateur (éventuellement vide)
+   * @param {Array|null} attachments - Pièces jointes préparées
+   * @returns {string}
+   */
+  buildSearchText(question, attachments) {
+    return [question, ...(attachments || []).map(attachment => attachment.headline)]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Signale les pièces jointes des questions précédentes dans l'historique envoyé au modèle
+   * (leur contenu n'est pas renvoyé : seule la question en cours reçoit des extraits)
+   * @param {Array} history - Historique { role, content, attachments }
+   * @returns {Array}
+   */
+  annotateHistory(history) {
+    return history.map(entry => {
+      if (entry.role !== 'user' || !Array.isArray(entry.attachments) || entry.attachments.length === 0) return entry;
+
+      const notes = entry.attachments.map(attachment => {
+        const headline = attachment.headline.length > HISTORY_NOTE_LENGTH
+          ? `${attachment.headline.slice(0, HISTORY_NOTE_LENGTH)}…`
+          : attachment.headline;
+        return `[Pièce jointe : ${attachment.name || 'texte collé'} (${attachment.kind}, ${attachment.lines} lignes) — ${headline}]`;
+      });
+      return { ...entry, content: [entry.content, ...notes].filter(Boolean).join('\n') };
+    });
+  }
+}
+
+module.exports = new AttachmentService();
@@ -203,6 +203,7 @@ class AuthService {
         id: user.id,
         email: user.email,
         pseudonyme: user.pseudonyme,
+        isPremium: user.isPremium,
         settings: user.settings,
       };
     } catch (error) {
@@ -239,6 +240,32 @@ class AuthService {
       }
     };
   }
+
+  /**
+   * Indique si l'utilisateur est administrateur (e-mail listé dans ADMIN_EMAILS)
+   */
+  isAdmin(user) {
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    return Boolean(user?.email) && adminEmails.includes(user.email.toLowerCase());
+  }
+
+  /**
+   * Middleware réservant une route aux administrateurs (à placer après authMiddleware)
+   */
+  adminMiddleware() {
+    return (req, res, next) => {
+      if (!this.isAdmin(req.user)) {
+        return res.status(403).json({
+          error: 'Accès refusé',
+          message: 'Cette action est réservée aux administrateurs',
+        });
+      }
+      next();
+    };
+  }
 }
 
 module.exports = new AuthService();
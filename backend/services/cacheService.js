@@ -30,7 +30,8 @@ class CacheService {
       documentation: 86400,   // 24 heures pour la documentation
       user: 600,              // 10 minutes pour les données utilisateur
       analytics: 60,          // 1 minute pour les analytics temps réel
-      export: 1800            // 30 minutes pour les exports
+      export: 1800,           // 30 minutes pour les exports
+      answers: 21600          // 6 heures pour les réponses du chatbot
     };
     
     // Statistiques du cache
@@ -51,8 +52,8 @@ class CacheService {
     this.isRedis = false;
     console.log('💾 Cache mémoire initialisé');
     
-    // Nettoyer les entrées expirées toutes les minutes
-    setInterval(() => this.cleanupExpiredEntries(), 60000);
+    // Nettoyer les entrées expirées toutes les minutes (sans empêcher l'arrêt du processus)
+    setInterval(() => this.cleanupExpiredEntries(), 60000).unref();
   }
   
   /**
@@ -157,10 +158,14 @@ class CacheService {
           await this.client.del(...keys);
         }
       } else {
-        // Cache mémoire
+        // Cache mémoire : mêmes jokers que Redis KEYS (* et ?)
+        const regex = new RegExp(`^${fullPattern
+          .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+          .replace(/\*/g, '.*')
+          .replace(/\?/g, '.')}$`);
         const keysToDelete = [];
         for (const key of this.client.keys()) {
-          if (key.includes(pattern)) {
+          if (regex.test(key)) {
             keysToDelete.push(key);
           }
         }
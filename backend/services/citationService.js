@@ -0,0 +1,82 @@
+/**
+ * Service de citations numérotées
+ *
+ * La documentation est envoyée au modèle sous forme de blocs numérotés ([1], [2]...)
+ * et le modèle cite ces numéros dans sa réponse. Le post-traitement vérifie que
+ * chaque marqueur pointe vers une source existante et retire les autres.
+ */
+
+// Marqueur de citation : [1] ou groupe [1, 3], hors liens Markdown [texte](url)
+// L'espace qui précède est capturé pour être retiré avec un marqueur invalide
+const CITATION_PATTERN = /([ \t]*)\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\](?!\()/g;
+
+// Blocs et extraits de code, dans lesquels les crochets ne sont pas des citations
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+
+class CitationService {
+  /**
+   * Construit le contexte documentaire numéroté envoyé au modèle
+   * @param {Array} docs - Documents retenus { title, excerpt, section }
+   * @returns {string} Contexte, vide si aucun document
+   */
+  buildNumberedContext(docs) {
+    return docs
+      .map((doc, index) => {
+        const section = doc.section ? ` (${doc.section})` : '';
+        return `[${index + 1}] ${doc.title || 'Titre non disponible'}${section}\n${doc.excerpt || 'Contenu non disponible'}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Consignes de citation ajoutées au prompt quand une documentation est fournie
+   * @param {number} sourceCount - Nombre de sources numérotées
+   * @returns {string}
+   */
+  buildCitationInstructions(sourceCount) {
+    if (sourceCount === 0) return '';
+    return ` Cite tes sources : après chaque affirmation ou étape de configuration tirée de la documentation, ajoute le numéro du document entre crochets, par exemple [1] ou [1, 2]. N'utilise que les numéros de 1 à ${sourceCount} et ne cite rien qui ne provienne pas de ces documents.`;
+  }
+
+  /**
+   * Vérifie les marqueurs de citation d'une réponse et retire ceux qui ne correspondent à aucune source
+   * @param {string} text - Réponse générée
+   * @param {number} sourceCount - Nombre de sources disponibles
+   * @returns {{text: string, cited: number[], invalid: number[]}} Texte nettoyé, sources citées et
+   *   numéros invalides retirés (sans doublons, triés)
+   */
+  processCitations(text, sourceCount) {
+    const cited = new Set();
+    const invalid = new Set();
+
+    const processSegment = (segment) => segment.replace(CITATION_PATTERN, (match, spacing, numbers) => {
+      const valid = numbers
+        .split(',')
+        .map(value => parseInt(value.trim(), 10))
+        .filter(number => {
+          const ok = number >= 1 && number <= sourceCount;
+          (ok ? cited : invalid).add(number);
+          return ok;
+        });
+
+      return valid.length > 0 ? spacing + valid.map(number => `[${number}]`).join('') : '';
+    });
+
+    // Traiter le texte hors code, en conservant les blocs de code tels quels
+    let result = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(CODE_PATTERN)) {
+      result += processSegment(text.slice(lastIndex, match.index)) + match[0];
+      lastIndex = match.index + match[0].length;
+    }
+    result += processSegment(text.slice(lastIndex));
+
+    return {
+      text: result,
+      cited: [...cited].sort((a, b) => a - b),
+      invalid: [...invalid].sort((a, b) => a - b)
+    };
+  }
+}
+
+module.exports = new CitationService();
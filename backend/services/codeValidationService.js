@@ -0,0 +1,279 @@
+/**
+ * Service de vérification des blocs de code des réponses
+ *
+ * Après génération, les blocs de code délimités (```xml, ```python...) sont extraits de la réponse
+ * et contrôlés avant que l'utilisateur ne les copie dans un module :
+ * - XML : document bien formé (services/addon/xmlDocument.js) et conventions des fichiers de données
+ *   Odoo 17 (<record model> ne contenant que des <field name>, arch des vues, attributs supprimés)
+ * - Python : syntaxe (services/addon/pythonSource.js)
+ * - __manifest__.py : clés connues, types des valeurs et version au format 17.0.x.y.z
+ * Les autres langages (bash, json, texte...) ne sont pas vérifiés.
+ */
+
+const { parseXmlDocument, walkXml } = require('./addon/xmlDocument');
+const { checkPythonSyntax, parsePythonLiteral } = require('./addon/pythonSource');
+
+// Bloc délimité, éventuellement en retrait (bloc dans un élément de liste)
+const CODE_BLOCK_PATTERN = /^([ \t]*)```([^\n`]*)\n([\s\S]*?)\n?[ \t]*```[ \t]*$/gm;
+const XML_LANGUAGES = new Set(['xml']);
+const PYTHON_LANGUAGES = new Set(['python', 'py', 'python3']);
+const MAX_BLOCKS = 10;
+const MAX_ERRORS_PER_BLOCK = 5;
+
+// Clés lues par Odoo 17 dans __manifest__.py, et celles de l'Odoo Apps Store
+const MANIFEST_KEYS = new Set([
+  'name', 'version', 'summary', 'description', 'author', 'maintainer', 'contributors', 'website',
+  'category', 'license', 'depends', 'data', 'demo', 'assets', 'installable', 'application',
+  'auto_install', 'external_dependencies', 'images', 'images_preview_theme', 'icon', 'sequence',
+  'pre_init_hook', 'post_init_hook', 'uninstall_hook', 'post_load', 'bootstrap', 'countries',
+  'web', 'cloc_exclude', 'configurator_snippets', 'new_page_templates', 'live_test_url',
+  'price', 'currency', 'support'
+]);
+// Clés supprimées ou renommées depuis les anciennes versions
+const LEGACY_MANIFEST_KEYS = {
+  update_xml: 'data',
+  init_xml: 'data',
+  demo_xml: 'demo',
+  qweb: 'assets',
+  js: 'assets',
+  css: 'assets',
+  active: 'auto_install'
+};
+const MANIFEST_LICENSES = new Set([
+  'GPL-2', 'GPL-2 or any later version', 'GPL-3', 'GPL-3 or any later version', 'AGPL-3', 'LGPL-3',
+  'Other OSI approved licence', 'OEEL-1', 'OPL-1', 'Other proprietary'
+]);
+const MANIFEST_VERSION_PATTERN = /^17\.0\.\d+\.\d+\.\d+$/;
+const MANIFEST_STRING_LISTS = ['depends', 'data', 'demo', 'images'];
+const MANIFEST_BOOLEANS = ['installable', 'application'];
+
+// Balises de données retirées d'Odoo 17 et leur remplacement
+const REMOVED_DATA_TAGS = {
+  act_window: '<record model="ir.actions.act_window">',
+  report: '<record model="ir.actions.report">'
+};
+// Attributs de vue supprimés dans Odoo 17 (expressions Python dans invisible, readonly, required)
+const REMOVED_VIEW_ATTRIBUTES = ['attrs', 'states'];
+
+class CodeValidationService {
+  /**
+   * Vérifie les blocs de code d'une réponse
+   * @param {string} text - Réponse en Markdown
+   * @returns {{status: string, blocks: Array, summary: Object, repaired: boolean, checkedAt: string}}
+   *   status : valid, warning (au moins un bloc en erreur) ou no_code (aucun bloc vérifiable) ;
+   *   blocks : { index, language, line, valid, errors } pour chaque bloc vérifié
+   */
+  checkAnswer(text) {
+    const blocks = this.extractCodeBlocks(text || '')
+      .filter(block => block.language)
+      .slice(0, MAX_BLOCKS)
+      .map(block => {
+        const errors = this.checkBlock(block);
+        return {
+          index: block.index,
+          language: block.language,
+          line: block.line,
+          valid: errors.length === 0,
+          errors: errors.slice(0, MAX_ERRORS_PER_BLOCK)
+        };
+      });
+
+    const summary = { valid: 0, invalid: 0 };
+    blocks.forEach(block => { summary[block.valid ? 'valid' : 'invalid']++; });
+
+    let status = 'valid';
+    if (blocks.length === 0) status = 'no_code';
+    else if (summary.invalid > 0) status = 'warning';
+
+    return {
+      status,
+      blocks,
+      summary,
+      repaired: false,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Extrait les blocs de code délimités d'une réponse
+   * @param {string} text - Réponse en Markdown
+   * @returns {Array<{index: number, info: string, language: string|null, content: string, line: number}>}
+   *   index : rang du bloc dans la réponse (à partir de 1) ; language : xml, python, manifest ou null (non vérifié)
+   */
+  extractCodeBlocks(text) {
+    const blocks = [];
+    for (const match of text.matchAll(CODE_BLOCK_PATTERN)) {
+      const [, indentation, info, body] = match;
+      // Retirer le retrait du bloc (bloc imbriqué dans une liste)
+      const content = indentation
+        ? body.split('\n').map(line => (line.startsWith(indentation) ? line.slice(indentation.length) : line.trimStart())).join('\n')
+        : body;
+      blocks.push({
+        index: blocks.length + 1,
+        info: info.trim(),
+        language: this.detectLanguage(info.trim().split(/\s+/)[0].toLowerCase(), content),
+        content,
+        line: text.slice(0, match.index).split('\n').length
+      });
+    }
+    return blocks;
+  }
+
+  /**
+   * Langage vérifiable d'un bloc, d'après l'étiquette du bloc ou, sans étiquette, son contenu
+   * @param {string} label - Étiquette du bloc (```xml -> xml)
+   * @param {string} content - Contenu du bloc
+   * @returns {string|null} xml, python, manifest ou null
+   */
+  detectLanguage(label, content) {
+    const code = content.trim();
+    // Sessions interactives (>>>) et sorties de commandes : pas du code source
+    if (!code || /^>>>/m.test(code)) return null;
+
+    if (XML_LANGUAGES.has(label) || (!label && code.startsWith('<'))) return 'xml';
+    if (PYTHON_LANGUAGES.has(label) || !label) {
+      if (this.isManifest(code)) return 'manifest';
+      if (PYTHON_LANGUAGES.has(label) || /^(?:(?:from|import|class|def)\b|@)/.test(code)) return 'python';
+    }
+    return null;
+  }
+
+  /**
+   * Indique si un code Python est le dictionnaire d'un __manifest__.py
+   * @param {string} code - Code sans espaces de début et de fin
+   * @returns {boolean}
+   */
+  isManifest(code) {
+    const literal = code.replace(/^(?:#[^\n]*\n\s*)+/, '');
+    return literal.startsWith('{') && literal.endsWith('}') && /['"](?:name|version|depends)['"]\s*:/.test(literal);
+  }
+
+  /**
+   * Erreurs d'un bloc selon son langage
+   * @param {Object} block - Bloc extrait (extractCodeBlocks)
+   * @returns {string[]}
+   */
+  checkBlock(block) {
+    if (block.language === 'xml') return this.checkXml(block.content);
+    if (block.language === 'manifest') {
+      const syntaxErrors = checkPythonSyntax(block.content);
+      return syntaxErrors.length > 0 ? syntaxErrors : this.checkManifest(block.content);
+    }
+    if (block.language === 'python') return checkPythonSyntax(block.content);
+    return [];
+  }
+
+  /**
+   * Vérifie un extrait XML : bien formé, puis conventions des données et vues Odoo 17
+   * @param {string} xml - Extrait (document complet ou éléments isolés)
+   * @returns {string[]}
+   */
+  checkXml(xml) {
+    let document;
+    try {
+      document = parseXmlDocument(xml, { fragment: true });
+    } catch (error) {
+      return [error.message];
+    }
+
+    const errors = [];
+    const ids = new Set();
+    const at = (node, message) => errors.push(`ligne ${node.line} : ${message}`);
+
+    walkXml(document, node => {
+      if (REMOVED_DATA_TAGS[node.name]) {
+        at(node, `<${node.name}> n'existe plus dans Odoo 17, utilisez ${REMOVED_DATA_TAGS[node.name]}`);
+      }
+      REMOVED_VIEW_ATTRIBUTES.filter(name => name in node.attributes).forEach(name => {
+        at(node, `attribut « ${name} » supprimé dans Odoo 17 : utilisez invisible, readonly ou required avec une expression`);
+      });
+
+      if (['record', 'menuitem', 'template'].includes(node.name) && node.attributes.id) {
+        if (ids.has(node.attributes.id)) at(node, `identifiant « ${node.attributes.id} » déjà utilisé`);
+        ids.add(node.attributes.id);
+      }
+      if (node.name === 'menuitem' && !node.attributes.id) at(node, '<menuitem> sans attribut id');
+
+      if (node.name !== 'record') return;
+      if (!node.attributes.model) at(node, '<record> sans attribut model');
+      node.children.forEach(child => {
+        if (child.name !== 'field') at(child, `<record> ne peut contenir que des <field> (<${child.name}> trouvé)`);
+        else if (!child.attributes.name) at(child, '<field> sans attribut name');
+      });
+
+      if (node.attributes.model === 'ir.ui.view') {
+        const arch = node.children.find(child => child.name === 'field' && child.attributes.name === 'arch');
+        if (!arch) at(node, 'vue ir.ui.view sans champ arch');
+        else if (arch.children.length > 0 && arch.attributes.type !== 'xml') at(arch, 'champ arch sans type="xml"');
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Vérifie le dictionnaire d'un __manifest__.py
+   * @param {string} source - Contenu du manifeste
+   * @returns {string[]}
+   */
+  checkManifest(source) {
+    let manifest;
+    try {
+      manifest = parsePythonLiteral(source);
+    } catch (error) {
+      return [`__manifest__.py : ${error.message}`];
+    }
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      return ['__manifest__.py : le manifeste doit être un dictionnaire'];
+    }
+
+    const errors = [];
+    const error = (message) => errors.push(`__manifest__.py : ${message}`);
+
+    Object.keys(manifest).forEach(key => {
+      if (LEGACY_MANIFEST_KEYS[key]) error(`clé « ${key} » obsolète, utilisez « ${LEGACY_MANIFEST_KEYS[key]} »`);
+      else if (!MANIFEST_KEYS.has(key)) error(`clé « ${key} » inconnue`);
+    });
+
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) error('clé « name » manquante');
+    if (manifest.version === undefined) {
+      error('clé « version » manquante (format 17.0.x.y.z)');
+    } else if (typeof manifest.version !== 'string' || !MANIFEST_VERSION_PATTERN.test(manifest.version)) {
+      error(`version « ${manifest.version} » invalide : format 17.0.x.y.z attendu (par exemple 17.0.1.0.0)`);
+    }
+    if (manifest.license !== undefined && !MANIFEST_LICENSES.has(manifest.license)) {
+      error(`licence « ${manifest.license} » inconnue (par exemple LGPL-3 ou OPL-1)`);
+    }
+
+    MANIFEST_STRING_LISTS.filter(key => key in manifest).forEach(key => {
+      const value = manifest[key];
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) error(`« ${key} » doit être une liste de chaînes`);
+    });
+    MANIFEST_BOOLEANS.filter(key => key in manifest).forEach(key => {
+      if (typeof manifest[key] !== 'boolean') error(`« ${key} » doit valoir True ou False`);
+    });
+    if ('assets' in manifest && (typeof manifest.assets !== 'object' || Array.isArray(manifest.assets) || manifest.assets === null)) {
+      error('« assets » doit être un dictionnaire de bundles');
+    }
+    if (Array.isArray(manifest.data)) {
+      manifest.data.filter(path => typeof path === 'string' && !/\.(xml|csv|sql)$/.test(path))
+        .forEach(path => error(`fichier de données « ${path} » : .xml, .csv ou .sql attendu`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Liste des erreurs d'une vérification, par bloc, pour la demande de correction au modèle
+   * @param {Object} codeCheck - Résultat de checkAnswer
+   * @returns {string}
+   */
+  formatErrors(codeCheck) {
+    return codeCheck.blocks
+      .filter(block => !block.valid)
+      .map(block => block.errors.map(error => `- Bloc ${block.index} (${block.language}) : ${error}`).join('\n'))
+      .join('\n');
+  }
+}
+
+module.exports = new CodeValidationService();
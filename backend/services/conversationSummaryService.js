@@ -0,0 +1,282 @@
+/**
+ * Service de titres et de résumés de conversations
+ *
+ * - Titre généré par le LLM en arrière-plan après le premier échange, sans écraser
+ *   un titre renommé par l'utilisateur
+ * - Résumé structuré (problème, étapes recommandées, points en suspens) calculé à la
+ *   demande et réutilisé comme contexte des conversations récentes
+ *
+ * Sans fournisseur LLM configuré, titre et résumé sont extraits du texte des messages.
+ * Les données personnelles et secrets sont masqués avant l'envoi au fournisseur (redactionService).
+ * Les tokens de ces appels sont inscrits au journal de consommation du propriétaire (usageService).
+ */
+
+const groqService = require('./groqService');
+const databaseService = require('./databaseService');
+const languageService = require('./languageService');
+const redactionService = require('./redactionService');
+const usageService = require('./usageService');
+
+const TITLE_MAX_LENGTH = 50;
+const TITLE_MAX_TOKENS = 30;
+const SUMMARY_MAX_TOKENS = 500;
+const SUMMARY_MAX_ITEMS = 6;
+const SUMMARY_MESSAGE_PREVIEW = 1200; // Caractères de chaque message envoyés pour le résumé
+const SUMMARY_MAX_MESSAGES = 20;
+
+class ConversationSummaryService {
+  constructor() {
+    // Résumés en cours de calcul, pour ne pas lancer deux fois le même
+    this.pendingSummaries = new Map();
+  }
+
+  /**
+   * Titre provisoire d'une nouvelle conversation : début du premier message
+   * @param {string} message - Premier message de l'utilisateur
+   * @returns {string}
+   */
+  buildFallbackTitle(message) {
+    return message.length > TITLE_MAX_LENGTH ? message.substring(0, TITLE_MAX_LENGTH - 3) + '...' : message;
+  }
+
+  /**
+   * Génère le titre d'une conversation en arrière-plan, après le premier échange
+   * Le titre n'est pas appliqué si l'utilisateur a renommé la conversation entre-temps.
+   * @param {number} conversationId - ID de la conversation
+   * @param {string} question - Première question
+   * @param {string} answer - Première réponse
+   * @param {string|null} [providerName] - Fournisseur LLM utilisé pour l'échange
+   * @param {string} [language] - Langue de l'échange, reprise pour le titre
+   * @param {Object|null} [redactionPolicy] - Politique de masquage de l'utilisateur (redactionService.resolvePolicy)
+   * @param {number|null} [userId] - Propriétaire de la conversation (journal de consommation)
+   * @returns {Promise<string|null>} Titre appliqué, ou null
+   */
+  async generateTitleInBackground(conversationId, question, answer, providerName = null, language = 'fr', redactionPolicy = null, userId = null) {
+    try {
+      const account = userId ? { userId, conversationId } : null;
+      const title = await this.generateTitle(question, answer, providerName, language, redactionPolicy, account);
+      if (!title) return null;
+
+      const applied = await databaseService.setGeneratedTitle(conversationId, title);
+      if (applied) console.log(`🏷️ Titre généré pour la conversation ${conversationId}: ${title}`);
+      return applied ? title : null;
+    } catch (error) {
+      console.warn(`⚠️ Génération du titre impossible pour la conversation ${conversationId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Demande au LLM un titre court pour un échange
+   * @param {string} question - Question de l'utilisateur
+   * @param {string} answer - Réponse de l'assistant
+   * @param {string|null} [providerName] - Fournisseur LLM
+   * @param {string} [language] - Langue du titre
+   * @param {Object|null} [redactionPolicy] - Politique de masquage, détecteurs intégrés par défaut
+   * @param {Object|null} [account] - { userId, conversationId } auquel imputer les tokens de l'appel
+   * @returns {Promise<string|null>} Titre nettoyé, null si aucun fournisseur n'est configuré
+   */
+  async generateTitle(question, answer, providerName = null, language = 'fr', redactionPolicy = null, account = null) {
+    const provider = groqService.getProvider(providerName);
+    if (!provider.isConfigured()) return null;
+
+    const redaction = redactionService.createSession(redactionPolicy);
+    const completion = await groqService.createCompletion(redaction.redactMessages([
+      {
+        role: 'system',
+        content: `Tu nommes des conversations de support Odoo. Réponds uniquement par un titre en ${languageService.getLanguageName(language)} de 3 à 7 mots, sans guillemets, sans ponctuation finale ni emoji.`
+      },
+      {
+        role: 'user',
+        content: `Question : ${question.substring(0, SUMMARY_MESSAGE_PREVIEW)}\n\nRéponse : ${answer.substring(0, SUMMARY_MESSAGE_PREVIEW)}`
+      }
+    ]), { max_tokens: TITLE_MAX_TOKENS, temperature: 0.2 }, null, provider.name);
+    if (account) usageService.recordCompletion(account, { ...completion, stage: 'title' });
+
+    return this.cleanTitle(redaction.restore(completion.content));
+  }
+
+  /**
+   * Nettoie le titre renvoyé par le modèle (guillemets, préfixe, ponctuation, longueur)
+   * @param {string} content - Texte brut
+   * @returns {string|null}
+   */
+  cleanTitle(content) {
+    const title = (content || '')
+      .split('\n')
+      .map(line => line.trim())
+      .find(Boolean);
+    if (!title) return null;
+
+    const cleaned = title
+      .replace(/^(?:titre|title)\s*:\s*/i, '')
+      .replace(/^[\s"'«*#]+|[\s"'»*.!?:;]+$/g, '')
+      .trim();
+
+    return cleaned ? this.buildFallbackTitle(cleaned) : null;
+  }
+
+  /**
+   * Résumé structuré d'une conversation, recalculé si la branche active a changé
+   * @param {Object} conversation - Conversation avec `id`, `activeLeafId`, `summary` et `messages` (branche active)
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Forcer un nouveau calcul
+   * @returns {Promise<{summary: Object, cached: boolean}>}
+   */
+  async getSummary(conversation, { refresh = false } = {}) {
+    if (!refresh && this.isSummaryFresh(conversation)) {
+      return { summary: conversation.summary, cached: true };
+    }
+
+    if (!this.pendingSummaries.has(conversation.id)) {
+      const pending = this.buildSummary(conversation)
+        .then(summary => databaseService.updateConversationSummary(conversation.id, summary).then(() => summary))
+        .finally(() => this.pendingSummaries.delete(conversation.id));
+      this.pendingSummaries.set(conversation.id, pending);
+    }
+
+    return { summary: await this.pendingSummaries.get(conversation.id), cached: false };
+  }
+
+  /**
+   * Recalcule en arrière-plan le résumé d'une conversation
+   * @param {number} conversationId - ID de la conversation
+   * @param {number} userId - Propriétaire de la conversation
+   */
+  refreshSummaryInBackground(conversationId, userId) {
+    if (this.pendingSummaries.has(conversationId)) return;
+
+    databaseService.getUserConversation(userId, conversationId)
+      .then(conversation => (conversation ? this.getSummary(conversation) : null))
+      .catch(error => {
+        console.warn(`⚠️ Résumé impossible pour la conversation ${conversationId}:`, error.message);
+      });
+  }
+
+  /**
+   * Indique si le résumé enregistré correspond à la branche active actuelle
+   * @param {Object} conversation - Conversation avec `summary` et `activeLeafId`
+   * @returns {boolean}
+   */
+  isSummaryFresh(conversation) {
+    return Boolean(conversation.summary) && conversation.summary.leafId === (conversation.activeLeafId ?? null);
+  }
+
+  /**
+   * Calcule le résumé d'une conversation (LLM, ou extraction si indisponible)
+   * @param {Object} conversation - Conversation avec `activeLeafId`
+   * @returns {Promise<Object>} { problem, steps, openQuestions, generatedBy, leafId, generatedAt }
+   */
+  async buildSummary(conversation) {
+    const messages = (await databaseService.getConversationBranch(conversation.id))
+      .filter(msg => !msg.isError && msg.text)
+      .slice(-SUMMARY_MAX_MESSAGES);
+
+    let content = null;
+    try {
+      content = await this.generateSummary(messages, await redactionService.resolvePolicy(conversation.userId), {
+        userId: conversation.userId,
+        conversationId: conversation.id
+      });
+    } catch (error) {
+      console.warn('⚠️ Résumé LLM indisponible, résumé extractif utilisé:', error.message);
+    }
+
+    return {
+      ...(content ? { ...content, generatedBy: 'llm' } : { ...this.buildExtractiveSummary(messages), generatedBy: 'extractive' }),
+      leafId: conversation.activeLeafId ?? null,
+      messageCount: messages.length,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Demande au LLM un résumé JSON de la conversation
+   * @param {Array} messages - Messages de la branche active
+   * @param {Object|null} [redactionPolicy] - Politique de masquage du propriétaire, détecteurs intégrés par défaut
+   * @param {Object|null} [account] - { userId, conversationId } auquel imputer les tokens de l'appel
+   * @returns {Promise<Object|null>} { problem, steps, openQuestions }, null sans fournisseur ou réponse illisible
+   */
+  async generateSummary(messages, redactionPolicy = null, account = null) {
+    const provider = groqService.getProvider();
+    if (!provider.isConfigured() || messages.length === 0) return null;
+
+    const transcript = messages
+      .map(msg => `${msg.isUser ? 'Utilisateur' : 'Adam'} : ${msg.text.substring(0, SUMMARY_MESSAGE_PREVIEW)}`)
+      .join('\n\n');
+
+    const redaction = redactionService.createSession(redactionPolicy);
+    const completion = await groqService.createCompletion(redaction.redactMessages([
+      {
+        role: 'system',
+        content: `Tu résumes des conversations de support Odoo v17. Réponds uniquement avec un objet JSON de la forme :
+{"problem": "problème de l'utilisateur en une phrase", "steps": ["étape recommandée", "..."], "openQuestions": ["point encore en suspens", "..."]}
+Les étapes reprennent les actions recommandées par l'assistant. Les points en suspens sont les questions sans réponse ou les actions que l'utilisateur doit encore confirmer. Utilise des listes vides si rien ne correspond.`
+      },
+      { role: 'user', content: transcript }
+    ]), { max_tokens: SUMMARY_MAX_TOKENS, temperature: 0.1 }, null, provider.name);
+    if (account?.userId) usageService.recordCompletion(account, { ...completion, stage: 'summary' });
+
+    return redaction.restoreDeep(this.parseSummary(completion.content));
+  }
+
+  /**
+   * Lit le JSON renvoyé par le modèle (éventuellement entouré de texte ou d'un bloc de code)
+   * @param {string} content - Réponse du modèle
+   * @returns {Object|null}
+   */
+  parseSummary(content) {
+    const json = (content || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+
+    try {
+      const parsed = JSON.parse(json[0]);
+      const toList = (value) => (Array.isArray(value) ? value : [])
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim())
+        .slice(0, SUMMARY_MAX_ITEMS);
+
+      if (typeof parsed.problem !== 'string' || !parsed.problem.trim()) return null;
+      return {
+        problem: parsed.problem.trim(),
+        steps: toList(parsed.steps),
+        openQuestions: toList(parsed.openQuestions)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Résumé sans LLM : première question, étapes listées dans la dernière réponse,
+   * et dernière question si elle est restée sans réponse
+   * @param {Array} messages - Messages de la branche active
+   * @returns {Object} { problem, steps, openQuestions }
+   */
+  buildExtractiveSummary(messages) {
+    const firstQuestion = messages.find(msg => msg.isUser);
+    const lastAnswer = [...messages].reverse().find(msg => !msg.isUser && !msg.isCancelled);
+    const lastMessage = messages[messages.length - 1];
+
+    const steps = lastAnswer
+      ? lastAnswer.text
+        .split('\n')
+        .map(line => line.match(/^\s*(?:\d+[.)]|[-•*])\s+(.+)$/))
+        .filter(Boolean)
+        .map(match => match[1].replace(/\*\*/g, '').trim())
+        .slice(0, SUMMARY_MAX_ITEMS)
+      : [];
+
+    const unanswered = lastMessage && (lastMessage.isUser || lastMessage.isCancelled)
+      ? [...messages].reverse().find(msg => msg.isUser)
+      : null;
+
+    return {
+      problem: firstQuestion ? firstQuestion.text.substring(0, 200) : '',
+      steps,
+      openQuestions: unanswered ? [unanswered.text.substring(0, 200)] : []
+    };
+  }
+}
+
+module.exports = new ConversationSummaryService();
@@ -0,0 +1,85 @@
+/**
+ * Chiffrement des secrets enregistrés en base (clés d'API des connexions Odoo)
+ *
+ * AES-256-GCM avec la clé serveur CREDENTIALS_ENCRYPTION_KEY (32 octets, en base64 ou en
+ * hexadécimal). Format stocké : v1:<iv>:<tag>:<données>, chaque partie en base64.
+ * Changer de clé rend illisibles les secrets déjà enregistrés : ils doivent être ressaisis.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const IV_LENGTH = 12;
+
+class CredentialCryptoService {
+  /**
+   * Clé de chiffrement lue dans l'environnement
+   * @returns {Buffer|null} 32 octets, null si la clé est absente ou invalide
+   */
+  getKey() {
+    const raw = (process.env.CREDENTIALS_ENCRYPTION_KEY || '').trim();
+    if (!raw) return null;
+
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    return key.length === 32 ? key : null;
+  }
+
+  /**
+   * Indique si une clé de chiffrement valide est configurée
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.getKey() !== null;
+  }
+
+  /**
+   * Chiffre un secret
+   * @param {string} plaintext - Secret en clair
+   * @returns {string} Secret chiffré (v1:iv:tag:données)
+   */
+  encrypt(plaintext) {
+    const key = this.requireKey();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), encrypted]
+      .map(part => typeof part === 'string' ? part : part.toString('base64'))
+      .join(':');
+  }
+
+  /**
+   * Déchiffre un secret
+   * @param {string} payload - Secret chiffré par encrypt()
+   * @returns {string} Secret en clair
+   * @throws {Error} Format inconnu, clé différente ou données altérées
+   */
+  decrypt(payload) {
+    const key = this.requireKey();
+    const [version, iv, tag, data] = String(payload).split(':');
+    if (version !== FORMAT_VERSION || !iv || !tag || data === undefined) {
+      throw new Error('Secret chiffré dans un format inconnu');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('Impossible de déchiffrer le secret (clé de chiffrement modifiée ?)');
+    }
+  }
+
+  requireKey() {
+    const key = this.getKey();
+    if (!key) {
+      const error = new Error('CREDENTIALS_ENCRYPTION_KEY absente ou invalide (32 octets en base64 ou hexadécimal)');
+      error.code = 'ENCRYPTION_NOT_CONFIGURED';
+      throw error;
+    }
+    return key;
+  }
+}
+
+module.exports = new CredentialCryptoService();
@@ -0,0 +1,173 @@
+/**
+ * Outils de documentation proposés au modèle (appel de fonctions)
+ *
+ * - search_documentation(query, section) : recherche ciblée dans l'index
+ * - get_document(id) : contenu d'un document trouvé par une recherche
+ * - list_sections() : sections et sous-sections de la documentation
+ *
+ * Les définitions suivent le format « tools » de l'API OpenAI (repris par Groq et Ollama).
+ * Les résultats sont tronqués pour rester dans la fenêtre de contexte du modèle.
+ */
+
+const odooDocService = require('./odooDocService');
+
+// Nombre de résultats renvoyés par une recherche
+const SEARCH_RESULT_LIMIT = 5;
+// Taille maximale du contenu renvoyé par get_document (caractères)
+const DOCUMENT_CONTENT_LIMIT = 4000;
+
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_documentation',
+      description: 'Recherche dans la documentation officielle Odoo 17. Renvoie les documents les plus pertinents (id, titre, section, extrait). Utilise des mots-clés précis, en anglais ou en français.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Mots-clés de la recherche, par exemple "time off allocation"' },
+          section: { type: 'string', description: 'Section ou sous-section à laquelle limiter la recherche (voir list_sections), facultatif' }
+        },
+        required: ['query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_document',
+      description: 'Renvoie le contenu d\'un document de la documentation à partir de son id (obtenu par search_documentation).',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Identifiant du document' }
+        },
+        required: ['id']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_sections',
+      description: 'Liste les sections et sous-sections de la documentation avec leur nombre de documents.',
+      parameters: { type: 'object', properties: {} }
+    }
+  }
+];
+
+class DocToolsService {
+  /**
+   * Définitions des outils à envoyer au modèle
+   * @returns {Array<Object>}
+   */
+  getDefinitions() {
+    return TOOL_DEFINITIONS;
+  }
+
+  /**
+   * Indique si les outils ont une documentation à interroger
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return odooDocService.documentationIndex.size > 0;
+  }
+
+  /**
+   * Consigne ajoutée au prompt système quand les outils sont proposés
+   * @param {number} maxSteps - Nombre maximum d'étapes d'appel d'outils
+   * @returns {string}
+   */
+  getInstructions(maxSteps) {
+    return `**Outils de documentation :** si la documentation fournie ne suffit pas pour répondre, appelle search_documentation avec des requêtes ciblées (plusieurs si nécessaire), puis get_document pour lire un document prometteur. Tu disposes d'au plus ${maxSteps} étapes d'appel d'outils avant de répondre. N'appelle pas d'outil si la documentation fournie suffit.`;
+  }
+
+  /**
+   * Exécute un appel d'outil demandé par le modèle
+   * @param {string} name - Nom de l'outil
+   * @param {Object} args - Arguments fournis par le modèle
+   * @returns {{result: Object, summary: Object}} Résultat envoyé au modèle et résumé pour le journal
+   */
+  execute(name, args = {}) {
+    switch (name) {
+      case 'search_documentation':
+        return this.searchDocumentation(args);
+      case 'get_document':
+        return this.getDocument(args);
+      case 'list_sections':
+        return this.listSections();
+      default:
+        throw new Error(`Outil inconnu : ${name}`);
+    }
+  }
+
+  searchDocumentation({ query, section = null }) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error('Le paramètre query est requis');
+    }
+
+    // La section peut désigner une section (applications) ou une sous-section (hr)
+    const { results } = odooDocService.searchDocumentation(query, { limit: section ? 50 : SEARCH_RESULT_LIMIT });
+    const documents = results
+      .filter(doc => !section || doc.section === section || doc.subsection === section)
+      .slice(0, SEARCH_RESULT_LIMIT)
+      .map(doc => ({
+        id: doc.id,
+        title: doc.title,
+        section: doc.section,
+        subsection: doc.subsection,
+        excerpt: doc.excerpt
+      }));
+
+    return {
+      result: { query, section, documents },
+      summary: { resultCount: documents.length, documentIds: documents.map(doc => doc.id) }
+    };
+  }
+
+  getDocument({ id }) {
+    const doc = typeof id === 'string' ? odooDocService.documentationIndex.get(id) : null;
+    if (!doc) {
+      return {
+        result: { error: `Document introuvable : ${id}` },
+        summary: { found: false, documentId: id ?? null }
+      };
+    }
+
+    const content = doc.content || '';
+    return {
+      result: {
+        id: doc.id,
+        title: doc.title,
+        section: doc.section,
+        subsection: doc.subsection,
+        content: content.substring(0, DOCUMENT_CONTENT_LIMIT),
+        truncated: content.length > DOCUMENT_CONTENT_LIMIT
+      },
+      summary: { found: true, documentId: doc.id }
+    };
+  }
+
+  listSections() {
+    const sections = new Map();
+    for (const doc of odooDocService.documentationIndex.values()) {
+      const section = sections.get(doc.section) || { section: doc.section, documents: 0, subsections: new Map() };
+      section.documents++;
+      if (doc.subsection) section.subsections.set(doc.subsection, (section.subsections.get(doc.subsection) || 0) + 1);
+      sections.set(doc.section, section);
+    }
+
+    const result = [...sections.values()].map(section => ({
+      section: section.section,
+      documents: section.documents,
+      subsections: Object.fromEntries(section.subsections)
+    }));
+
+    return {
+      result: { sections: result },
+      summary: { sectionCount: result.length }
+    };
+  }
+}
+
+module.exports = new DocToolsService();
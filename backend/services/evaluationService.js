@@ -0,0 +1,238 @@
+/**
+ * Service d'évaluation hors ligne de la recherche et des réponses
+ *
+ * - Recherche : recall@k et rang réciproque (MRR) par rapport aux documents attendus
+ *   d'un jeu de questions de référence (eval/goldenSet.json)
+ * - Réponses : règles vérifiables sans modèle (texte attendu ou interdit, citations,
+ *   éléments contredits par la documentation, langue, rejet hors sujet)
+ * - Comparaison de deux exécutions enregistrées (métriques et cas dont le résultat change)
+ *
+ * Les documents attendus absents de l'index local sont ignorés : un cas sans document
+ * attendu présent n'est pas compté dans les métriques de recherche.
+ */
+
+const languageService = require('./languageService');
+
+// Règles de réponse reconnues dans le jeu de référence
+const ANSWER_RULES = ['mustInclude', 'mustIncludeAny', 'mustNotInclude', 'minCitations', 'noInvalidCitations', 'noContradictions', 'language', 'rejected', 'minLength'];
+
+class EvaluationService {
+  /**
+   * Part des documents attendus retrouvés dans les k premiers résultats
+   * @param {string[]} retrievedIds - Identifiants retournés, dans l'ordre
+   * @param {string[]} expectedIds - Identifiants attendus (présents dans l'index)
+   * @param {number} k - Nombre de résultats considérés
+   * @returns {number} Valeur entre 0 et 1
+   */
+  recallAtK(retrievedIds, expectedIds, k) {
+    if (expectedIds.length === 0) return 0;
+    const topK = new Set(retrievedIds.slice(0, k));
+    return expectedIds.filter(id => topK.has(id)).length / expectedIds.length;
+  }
+
+  /**
+   * Inverse du rang du premier document attendu (0 s'il n'est pas retrouvé)
+   * @param {string[]} retrievedIds - Identifiants retournés, dans l'ordre
+   * @param {string[]} expectedIds - Identifiants attendus
+   * @returns {number}
+   */
+  reciprocalRank(retrievedIds, expectedIds) {
+    const expected = new Set(expectedIds);
+    const index = retrievedIds.findIndex(id => expected.has(id));
+    return index === -1 ? 0 : 1 / (index + 1);
+  }
+
+  /**
+   * Évalue la recherche d'un cas
+   * @param {string[]} retrievedIds - Identifiants retournés, dans l'ordre
+   * @param {string[]} expectedIds - Identifiants attendus par le jeu de référence
+   * @param {Set<string>} indexedIds - Identifiants présents dans l'index
+   * @param {number[]} ks - Valeurs de k
+   * @returns {Object|null} { expected, missingFromIndex, ranks, recall, reciprocalRank }, null si aucun document attendu n'est indexé
+   */
+  evaluateRetrieval(retrievedIds, expectedIds, indexedIds, ks) {
+    const expected = expectedIds.filter(id => indexedIds.has(id));
+    if (expected.length === 0) return null;
+
+    return {
+      expected,
+      missingFromIndex: expectedIds.filter(id => !indexedIds.has(id)),
+      ranks: Object.fromEntries(expected.map(id => {
+        const index = retrievedIds.indexOf(id);
+        return [id, index === -1 ? null : index + 1];
+      })),
+      recall: Object.fromEntries(ks.map(k => [`@${k}`, this.round(this.recallAtK(retrievedIds, expected, k))])),
+      reciprocalRank: this.round(this.reciprocalRank(retrievedIds, expected))
+    };
+  }
+
+  /**
+   * Vérifie une réponse avec les règles du cas
+   * @param {Object} answer - { text, rejected, language, cited, invalidCitations, grounding, error }
+   * @param {Object} [rules] - Règles du jeu de référence
+   * @returns {Array<{rule: string, passed: boolean, detail?: string}>}
+   */
+  checkAnswer(answer, rules = {}) {
+    const text = (answer.text || '').toLowerCase();
+    const checks = [];
+    const add = (rule, passed, detail = null) => checks.push(detail && !passed ? { rule, passed, detail } : { rule, passed });
+
+    // Toujours vérifié : une réponse a été produite
+    add('answered', !answer.error && text.trim().length > 0, answer.error || 'réponse vide');
+
+    for (const rule of Object.keys(rules)) {
+      if (!ANSWER_RULES.includes(rule)) {
+        add(rule, false, 'règle inconnue');
+      }
+    }
+
+    if (rules.mustInclude) {
+      const missing = rules.mustInclude.filter(term => !text.includes(term.toLowerCase()));
+      add('mustInclude', missing.length === 0, `absent : ${missing.join(', ')}`);
+    }
+    if (rules.mustIncludeAny) {
+      add('mustIncludeAny', rules.mustIncludeAny.some(term => text.includes(term.toLowerCase())), `aucun de : ${rules.mustIncludeAny.join(', ')}`);
+    }
+    if (rules.mustNotInclude) {
+      const found = rules.mustNotInclude.filter(term => text.includes(term.toLowerCase()));
+      add('mustNotInclude', found.length === 0, `présent : ${found.join(', ')}`);
+    }
+    if (rules.minCitations !== undefined) {
+      const cited = answer.cited?.length || 0;
+      add('minCitations', cited >= rules.minCitations, `${cited} source(s) citée(s) sur ${rules.minCitations} attendue(s)`);
+    }
+    if (rules.noInvalidCitations) {
+      const invalid = answer.invalidCitations || [];
+      add('noInvalidCitations', invalid.length === 0, `citations sans source : ${invalid.map(n => `[${n}]`).join(', ')}`);
+    }
+    if (rules.noContradictions) {
+      const contradicted = (answer.grounding?.claims || []).filter(claim => claim.status === 'contradicted');
+      add('noContradictions', contradicted.length === 0, `contredit : ${contradicted.map(claim => claim.text).join(' | ')}`);
+    }
+    if (rules.language) {
+      add('language', answer.language === rules.language, `langue ${answer.language} au lieu de ${rules.language}`);
+    }
+    if (rules.rejected !== undefined) {
+      add('rejected', Boolean(answer.rejected) === rules.rejected, rules.rejected ? 'question acceptée' : 'question rejetée');
+    }
+    if (rules.minLength !== undefined) {
+      add('minLength', text.length >= rules.minLength, `${text.length} caractères sur ${rules.minLength}`);
+    }
+
+    return checks;
+  }
+
+  /**
+   * Langue détectée dans le texte d'une réponse (information, non vérifiée par défaut)
+   * @param {string} text - Réponse
+   * @returns {string|null}
+   */
+  detectAnswerLanguage(text) {
+    return languageService.detectLanguage(text).language;
+  }
+
+  /**
+   * Synthèse d'une exécution
+   * @param {Array<Object>} cases - Résultats par cas (retrieval, checks, passed)
+   * @param {number[]} ks - Valeurs de k
+   * @returns {Object} { retrieval: { evaluated, skipped, recall, mrr }, answers: { evaluated, passed, passRate, failedRules } }
+   */
+  summarize(cases, ks) {
+    const retrievalCases = cases.filter(testCase => testCase.retrieval);
+    const mean = (values) => values.length > 0 ? this.round(values.reduce((total, value) => total + value, 0) / values.length) : null;
+
+    const failedRules = {};
+    cases.forEach(testCase => testCase.checks
+      .filter(check => !check.passed)
+      .forEach(check => { failedRules[check.rule] = (failedRules[check.rule] || 0) + 1; }));
+
+    const passed = cases.filter(testCase => testCase.passed).length;
+
+    return {
+      retrieval: {
+        evaluated: retrievalCases.length,
+        skipped: cases.length - retrievalCases.length,
+        recall: Object.fromEntries(ks.map(k => [`@${k}`, mean(retrievalCases.map(testCase => testCase.retrieval.recall[`@${k}`]))])),
+        mrr: mean(retrievalCases.map(testCase => testCase.retrieval.reciprocalRank))
+      },
+      answers: {
+        evaluated: cases.length,
+        passed,
+        passRate: cases.length > 0 ? this.round(passed / cases.length) : null,
+        failedRules
+      }
+    };
+  }
+
+  /**
+   * Compare deux exécutions enregistrées
+   * @param {Object} before - Résultats de référence
+   * @param {Object} after - Nouveaux résultats
+   * @returns {Object} { metrics: [{ name, before, after, delta }], cases: [{ id, changes: string[] }], warnings: string[] }
+   */
+  compareRuns(before, after) {
+    const warnings = [];
+    if (before.config?.corpus?.documents !== after.config?.corpus?.documents) {
+      warnings.push(`Corpus différent : ${before.config?.corpus?.documents} puis ${after.config?.corpus?.documents} documents`);
+    }
+    if (before.config?.goldenSetHash !== after.config?.goldenSetHash) {
+      warnings.push('Jeu de référence modifié entre les deux exécutions');
+    }
+
+    const metric = (name, valueBefore, valueAfter) => ({
+      name,
+      before: valueBefore ?? null,
+      after: valueAfter ?? null,
+      delta: valueBefore !== null && valueBefore !== undefined && valueAfter !== null && valueAfter !== undefined
+        ? this.round(valueAfter - valueBefore)
+        : null
+    });
+
+    const recallKeys = [...new Set([...Object.keys(before.summary.retrieval.recall), ...Object.keys(after.summary.retrieval.recall)])];
+    const metrics = [
+      ...recallKeys.map(key => metric(`recall${key}`, before.summary.retrieval.recall[key], after.summary.retrieval.recall[key])),
+      metric('mrr', before.summary.retrieval.mrr, after.summary.retrieval.mrr),
+      metric('passRate', before.summary.answers.passRate, after.summary.answers.passRate)
+    ];
+
+    const beforeCases = new Map(before.cases.map(testCase => [testCase.id, testCase]));
+    const cases = [];
+
+    for (const testCase of after.cases) {
+      const previous = beforeCases.get(testCase.id);
+      beforeCases.delete(testCase.id);
+      if (!previous) {
+        cases.push({ id: testCase.id, changes: ['nouveau cas'] });
+        continue;
+      }
+
+      const changes = [];
+      const rankBefore = previous.retrieval?.reciprocalRank ?? null;
+      const rankAfter = testCase.retrieval?.reciprocalRank ?? null;
+      if (rankBefore !== rankAfter) changes.push(`rang réciproque ${rankBefore} → ${rankAfter}`);
+
+      const previousChecks = new Map(previous.checks.map(check => [check.rule, check.passed]));
+      for (const check of testCase.checks) {
+        const passedBefore = previousChecks.get(check.rule);
+        if (passedBefore !== undefined && passedBefore !== check.passed) {
+          changes.push(`${check.rule} : ${check.passed ? 'réussi' : `échoué${check.detail ? ` (${check.detail})` : ''}`}`);
+        }
+      }
+      if (previous.answer?.text !== testCase.answer?.text) changes.push('texte de la réponse modifié');
+
+      if (changes.length > 0) cases.push({ id: testCase.id, changes });
+    }
+
+    for (const id of beforeCases.keys()) {
+      cases.push({ id, changes: ['cas supprimé'] });
+    }
+
+    return { metrics, cases, warnings };
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new EvaluationService();
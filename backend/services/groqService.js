@@ -1,89 +1,548 @@
-const Groq = require('groq-sdk');
 require('dotenv').config();
+const providers = require('./providers');
+const BaseProvider = require('./providers/baseProvider');
+const tokenBudgetService = require('./tokenBudgetService');
+const languageService = require('./languageService');
+const llmResilienceService = require('./llmResilienceService');
+const promptTemplateService = require('./promptTemplateService');
+const docToolsService = require('./docToolsService');
+const odooConnectorService = require('./odooConnectorService');
+const structuredAnswerService = require('./structuredAnswerService');
+const addonScaffoldService = require('./addonScaffoldService');
+const codeValidationService = require('./codeValidationService');
+const redactionService = require('./redactionService');
+
+// Appel d'outils (documentation, base Odoo connectée), activé par défaut pour les fournisseurs qui le prennent en charge
+const TOOLS_ENABLED = process.env.LLM_TOOLS_ENABLED !== 'false';
+// Nombre maximum d'étapes d'appels d'outils avant la réponse finale
+const TOOL_MAX_STEPS = parseInt(process.env.LLM_TOOL_MAX_STEPS, 10) || 3;
+// Appels d'outils exécutés par étape (les suivants reçoivent une erreur)
+const MAX_TOOL_CALLS_PER_STEP = 5;
+// Demande de correction des blocs de code invalides (XML, Python, manifeste), activée par défaut
+const CODE_REPAIR_ENABLED = process.env.LLM_CODE_REPAIR_ENABLED !== 'false';
 
 /**
- * Service Groq pour l'intégration LLM
+ * Service LLM (historiquement lié à Groq)
+ * 
+ * Les appels au modèle sont délégués au fournisseur configuré (LLM_PROVIDER)
+ * ou choisi par requête via `options.provider` : groq, openai, ollama, mock ou recorded.
  */
 class GroqService {
   constructor() {
-    this.apiKey = process.env.GROQ_API_KEY;
-    
-    if (this.apiKey) {
-      this.client = new Groq({
-        apiKey: this.apiKey
-      });
-    }
-    
-    this.model = process.env.GROQ_MODEL || 'llama3-70b-8192';
     this.maxTokens = 4000;
     this.temperature = 0.1; // Plus précis pour la documentation
   }
 
+  /**
+   * Résout le fournisseur à utiliser pour un appel
+   * @param {string} [providerName] - Fournisseur demandé, celui de l'environnement par défaut
+   * @returns {BaseProvider}
+   */
+  getProvider(providerName) {
+    return providers.getProvider(providerName);
+  }
+
   /**
    * Génère une réponse avec auto-correction et validation
    * @param {string} question - Question de l'utilisateur
    * @param {string} context - Contexte de la documentation Odoo
    * @param {Object} options - Options avancées
+   * @param {Function} [options.onToken] - Reçoit chaque fragment de texte (active le streaming)
+   * @param {Function} [options.onStage] - Notifié à chaque étape ('generating', 'self_correcting', 'repairing_code')
+   * @param {string} [options.provider] - Fournisseur LLM à utiliser (groq, openai, ollama, mock, recorded)
+   * @param {Array} [options.history] - Tours précédents { role, content }, envoyés comme messages distincts
+   * @param {AbortSignal} [options.signal] - Annule la génération et l'auto-correction
+   * @param {string} [options.language] - Langue de la réponse (fr, en, ar), français par défaut
+   * @param {Object} [options.prompts] - Jeu de prompts de la requête (promptTemplateService.resolvePromptSet)
+   * @param {Function} [options.onCompletion] - Reçoit le résultat de chaque appel au modèle, auto-correction comprise :
+   *   { provider, model, usage, attempts, fallback, stage, applied } (`applied` : texte retenu pour la réponse)
+   * @param {Function} [options.onToolCall] - Reçoit chaque appel d'outil exécuté { step, name, arguments, durationMs, ... }
+   * @param {boolean} [options.structured] - Demander un guide JSON (structuredAnswerService) ; s'il est invalide,
+   *   une réponse Markdown classique est générée à la place
+   * @param {Function} [options.onGuide] - Reçoit le guide validé du mode structuré
+   * @param {boolean} [options.addon] - Demander la description JSON d'un module Odoo à générer (addonScaffoldService),
+   *   avec une tentative de correction ; en cas d'échec, une réponse Markdown classique est générée à la place
+   * @param {Function} [options.onAddon] - Reçoit le module généré et vérifié { technicalName, name, summary, spec, files }
+   * @param {Object} [options.odooConnection] - Instance Odoo de la conversation pour les outils odoo_*
+   *   (odooConnectorService.fromProfile), celle de l'environnement par défaut
+   * @param {Function} [options.onCodeCheck] - Reçoit la vérification des blocs de code de la réponse
+   *   (codeValidationService.checkAnswer), après l'éventuelle demande de correction
+   * @param {Object} [options.redactionPolicy] - Politique de masquage (redactionService.resolvePolicy),
+   *   tous les détecteurs intégrés par défaut
+   * @param {Function} [options.onRedaction] - Reçoit le résumé des données masquées (redactionService), null si aucune
    * @returns {Promise<string>} - Réponse générée et validée
    */
   async generateResponse(question, context = '', options = {}) {
+    // Données personnelles et secrets remplacés par des marqueurs avant d'atteindre le fournisseur,
+    // valeurs d'origine restituées dans le texte transmis au client
+    const redaction = redactionService.createSession(options.redactionPolicy);
+    const stream = options.onToken ? redaction.createStreamRestorer(options.onToken) : null;
+    const restored = (callback) => callback ? (value) => callback(redaction.restoreDeep(value)) : null;
+
+    const text = await this.generateRedactedResponse(redaction.redact(question), redaction.redact(context), {
+      ...options,
+      history: redaction.redactMessages(options.history || []),
+      redaction,
+      onToken: stream ? stream.push : null,
+      onStage: (stage) => {
+        // Nouvelle étape : le texte retenu en attente d'un marqueur complet appartient à l'étape précédente
+        if (stream) stream.flush();
+        if (options.onStage) options.onStage(stage);
+      },
+      onGuide: restored(options.onGuide),
+      onAddon: restored(options.onAddon),
+      onCodeCheck: restored(options.onCodeCheck)
+    });
+
+    if (stream) stream.flush();
+    if (options.onRedaction) options.onRedaction(redaction.summary());
+    return redaction.restore(text);
+  }
+
+  /**
+   * Génère la réponse à partir de la question, du contexte et de l'historique déjà masqués
+   * @param {string} question - Question masquée
+   * @param {string} context - Contexte masqué
+   * @param {Object} options - Options de generateResponse, plus `redaction` (session de masquage
+   *   appliquée aux résultats d'outils)
+   * @returns {Promise<string>} - Réponse du modèle, avec ses marqueurs
+   */
+  async generateRedactedResponse(question, context = '', options = {}) {
+    const { onToken = null, onStage = null, onCompletion = null, provider: providerName = null, signal = null, language = 'fr' } = options;
+
     try {
-      // Si pas de clé API, retourner une réponse de démonstration
-      if (!this.apiKey || !this.client) {
-        console.log('⚠️ Pas de clé API Groq - Mode démonstration');
-        return this.getDemoResponse(question);
+      const provider = this.getProvider(providerName);
+
+      // Si le fournisseur n'est pas configuré, retourner une réponse de démonstration
+      if (!provider.isConfigured()) {
+        console.log(`⚠️ Fournisseur ${provider.name} non configuré - Mode démonstration`);
+        const demoResponse = this.getDemoResponse(question);
+        if (onStage) onStage('generating');
+        if (onToken) BaseProvider.emitInChunks(demoResponse, onToken, signal);
+        return demoResponse;
       }
 
-      const systemPrompt = this.buildSystemPrompt();
-      const userPrompt = this.buildUserPrompt(question, context);
+      const systemPrompt = this.buildSystemPrompt(language, options.prompts);
+      let userPrompt = this.buildUserPrompt(question, context, language, options.prompts);
+      if (options.addon) {
+        userPrompt += `\n\n${this.buildAddonInstructions(language, options.prompts)}`;
+      } else if (options.structured) {
+        userPrompt += `\n\n${this.buildStructuredInstructions(language, options.prompts)}`;
+      }
 
-      console.log('🤖 Groq - Génération de réponse...');
+      console.log(`🤖 ${provider.name} - Génération de réponse...`);
       console.log('📝 Question:', question.substring(0, 100) + '...');
       console.log('📚 Contexte:', context ? `${context.length} caractères` : 'Aucun');
 
-      const completion = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        model: this.model,
-        max_tokens: this.maxTokens,
+      if (onStage) onStage('generating');
+
+      // Historique multi-tours ajusté à la fenêtre de contexte du modèle
+      const budget = tokenBudgetService.buildMessages({
+        systemPrompt,
+        history: options.history || [],
+        userPrompt,
+        model: provider.model,
+        maxOutputTokens: this.maxTokens
+      });
+      console.log(`🧮 Budget tokens: ${budget.stats.promptTokens}/${budget.stats.contextWindow} (${budget.stats.historyMessagesSent} messages d'historique)`);
+
+      const generationParams = {
+        max_tokens: budget.maxOutputTokens,
         temperature: this.temperature,
         top_p: 0.9,
-        stream: false
-      });
+        signal
+      };
+      if (options.addon) {
+        const addon = await this.generateAddon(budget.messages, generationParams, { provider, onCompletion, language, prompts: options.prompts });
+        if (!addon) return this.generateRedactedResponse(question, context, { ...options, addon: false });
+
+        // Le texte Markdown du module (modèles, arborescence, installation) tient lieu de réponse
+        const text = addonScaffoldService.toMarkdown(addon, language);
+        if (onToken) BaseProvider.emitInChunks(text, onToken, signal);
+        if (options.onAddon) options.onAddon(addon);
+        return text;
+      }
+
+      if (options.structured) {
+        const guide = await this.generateGuide(budget.messages, generationParams, { provider, onCompletion });
+        if (!guide) return this.generateRedactedResponse(question, context, { ...options, structured: false });
 
-      let response = completion.choices[0]?.message?.content || 'Désolé, je n\'ai pas pu générer une réponse.';
+        // Le texte Markdown du guide tient lieu de réponse (citations, vérification, cache)
+        const text = structuredAnswerService.toMarkdown(guide, language);
+        if (onToken) BaseProvider.emitInChunks(text, onToken, signal);
+        if (options.onGuide) options.onGuide(guide);
+        return text;
+      }
+
+      const odooConnection = options.odooConnection || null;
+      const completion = this.canUseTools(provider, odooConnection)
+        ? await this.generateWithTools(budget.messages, generationParams, { provider, onToken, onStage, onCompletion, onToolCall: options.onToolCall, odooConnection, redaction: options.redaction })
+        : await this.createCompletion(budget.messages, generationParams, onToken, provider.name);
+      if (onCompletion) onCompletion({ ...completion, stage: 'generation', applied: true });
+
+      let response = completion.content || languageService.t(language, 'errors.emptyAnswer');
       
-      console.log('✅ Groq - Réponse initiale générée:', response.substring(0, 100) + '...');
+      console.log(`✅ ${provider.name} - Réponse initiale générée:`, response.substring(0, 100) + '...');
       
       // Auto-correction et validation si activée
       if (options.enableSelfCorrection && response.length > 100) {
         console.log('🔍 Application de l\'auto-correction...');
-        response = await this.applySelfCorrection(response, question, context);
+        signal?.throwIfAborted();
+        if (onStage) onStage('self_correcting');
+        response = await this.applySelfCorrection(response, question, context, { onToken, onCompletion, provider: provider.name, signal, language });
       }
+
+      // Blocs de code (XML, Python, manifeste) vérifiés avant d'être copiés dans un module
+      const checked = await this.repairCodeBlocks(response, budget.messages, generationParams, { provider, onToken, onStage, onCompletion, language, prompts: options.prompts });
+      if (options.onCodeCheck) options.onCodeCheck(checked.codeCheck);
       
-      return response;
+      return checked.text;
 
     } catch (error) {
-      console.error('❌ Erreur Groq:', error);
+      // Une annulation n'est pas une erreur du service : la laisser remonter telle quelle
+      if (signal?.aborted) throw error;
+
+      console.error('❌ Erreur LLM:', error);
       
-      if (error.status === 429) {
-        throw new Error('Limite de taux atteinte. Veuillez patienter quelques instants.');
+      let translated;
+      if (error.code === 'CIRCUIT_OPEN') {
+        translated = new Error(languageService.t(language, 'errors.unavailable'));
+        translated.status = 503;
+        translated.retryAfterMs = error.retryAfterMs;
+      } else if (error.status === 429) {
+        translated = new Error(languageService.t(language, 'errors.rateLimit'));
       } else if (error.status === 401) {
-        throw new Error('Clé API Groq invalide ou expirée.');
+        translated = new Error(languageService.t(language, 'errors.invalidKey'));
       } else if (error.status === 400) {
-        throw new Error('Requête invalide. Veuillez reformuler votre question.');
+        translated = new Error(languageService.t(language, 'errors.badRequest'));
       } else {
-        throw new Error('Erreur du service IA. Veuillez réessayer.');
+        translated = new Error(languageService.t(language, 'errors.service'));
+      }
+      // Fournisseur et modèle en échec (llmResilienceService), repris dans le payload d'erreur
+      translated.target = error.target;
+      throw translated;
+    }
+  }
+
+  /**
+   * Demande un guide JSON au modèle et le valide
+   * La sortie JSON n'est pas transmise en streaming : seul le guide validé est affiché.
+   * @param {Array} messages - Messages construits par tokenBudgetService
+   * @param {Object} params - Paramètres de génération (max_tokens, temperature, top_p, signal)
+   * @param {Object} callbacks - { provider, onCompletion }
+   * @returns {Promise<Object|null>} Guide normalisé, null si la sortie ne respecte pas le schéma
+   */
+  async generateGuide(messages, params, { provider, onCompletion }) {
+    let completion;
+    try {
+      completion = await this.createCompletion(messages, { ...params, responseFormat: 'json' }, null, provider.name);
+    } catch (error) {
+      // Sortie JSON refusée par le fournisseur (JSON mal formé, mode non pris en charge)
+      if (error.status !== 400 || params.signal?.aborted) throw error;
+      console.warn(`⚠️ ${provider.name} n'a pas produit de JSON valide (${error.message}), réponse Markdown générée à la place`);
+      return null;
+    }
+
+    const { guide, errors } = structuredAnswerService.parse(completion.content);
+
+    if (onCompletion) onCompletion({ ...completion, stage: 'structured', applied: Boolean(guide) });
+    if (!guide) {
+      console.warn(`⚠️ Guide structuré invalide (${errors.slice(0, 3).join(' ; ')}), réponse Markdown générée à la place`);
+    }
+    return guide;
+  }
+
+  /**
+   * Demande la description JSON d'un module au modèle, puis produit et vérifie ses fichiers
+   * Une description refusée est renvoyée une fois au modèle avec la liste des erreurs.
+   * @param {Array} messages - Messages construits par tokenBudgetService
+   * @param {Object} params - Paramètres de génération (max_tokens, temperature, top_p, signal)
+   * @param {Object} callbacks - { provider, onCompletion, language, prompts }
+   * @returns {Promise<Object|null>} Module généré, null si la description reste invalide
+   */
+  async generateAddon(messages, params, { provider, onCompletion, language, prompts }) {
+    let requestMessages = messages;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      let completion;
+      try {
+        completion = await this.createCompletion(requestMessages, { ...params, responseFormat: 'json' }, null, provider.name);
+      } catch (error) {
+        if (error.status !== 400 || params.signal?.aborted) throw error;
+        console.warn(`⚠️ ${provider.name} n'a pas produit de JSON valide (${error.message}), réponse Markdown générée à la place`);
+        return null;
+      }
+
+      const { addon, errors } = addonScaffoldService.parse(completion.content);
+      if (onCompletion) onCompletion({ ...completion, stage: 'addon', applied: Boolean(addon) });
+      if (addon) {
+        console.log(`📦 Module ${addon.technicalName} généré (${addon.files.length} fichiers, tentative ${attempt})`);
+        return addon;
+      }
+
+      console.warn(`⚠️ Description de module invalide, tentative ${attempt} (${errors.slice(0, 3).join(' ; ')})`);
+      requestMessages = [
+        ...messages,
+        { role: 'assistant', content: completion.content },
+        { role: 'user', content: this.buildAddonInstructions(language, prompts, errors) }
+      ];
+    }
+
+    return null;
+  }
+
+  /**
+   * Vérifie les blocs de code d'une réponse et renvoie une fois au modèle ceux qui sont invalides
+   * La réponse corrigée n'est pas transmise en streaming : elle n'est retenue que si elle contient
+   * moins de blocs en erreur sans en retirer, puis la réponse retenue est envoyée en entier.
+   * @param {string} text - Réponse générée
+   * @param {Array} messages - Messages de la génération (tokenBudgetService)
+   * @param {Object} params - Paramètres de génération (max_tokens, temperature, top_p, signal)
+   * @param {Object} callbacks - { provider, onToken, onStage, onCompletion, language, prompts }
+   * @returns {Promise<{text: string, codeCheck: Object}>} Réponse retenue et sa vérification
+   */
+  async repairCodeBlocks(text, messages, params, { provider, onToken, onStage, onCompletion, language, prompts }) {
+    const codeCheck = codeValidationService.checkAnswer(text);
+    if (codeCheck.status !== 'warning' || !CODE_REPAIR_ENABLED) return { text, codeCheck };
+
+    console.warn(`⚠️ ${codeCheck.summary.invalid} bloc(s) de code invalide(s), demande de correction`);
+    params.signal?.throwIfAborted();
+    if (onStage) onStage('repairing_code');
+
+    const repairMessages = [
+      ...messages,
+      { role: 'assistant', content: text },
+      { role: 'user', content: this.buildCodeRepairInstructions(codeCheck, language, prompts) }
+    ];
+    let completion;
+    try {
+      completion = await this.createCompletion(repairMessages, {
+        ...params,
+        max_tokens: tokenBudgetService.fitOutputTokens(repairMessages, provider.model, params.max_tokens)
+      }, null, provider.name);
+    } catch (error) {
+      if (params.signal?.aborted) throw error;
+      console.warn(`⚠️ Correction des blocs de code impossible (${error.message}), réponse conservée`);
+      completion = null;
+    }
+
+    const recheck = completion?.content ? codeValidationService.checkAnswer(completion.content) : null;
+    const applied = Boolean(recheck &&
+      recheck.summary.invalid < codeCheck.summary.invalid &&
+      recheck.blocks.length >= codeCheck.blocks.length);
+    if (completion && onCompletion) onCompletion({ ...completion, stage: 'code_repair', applied });
+    console.log(applied
+      ? `✅ Blocs de code corrigés (${recheck.summary.invalid} en erreur après correction)`
+      : '⚠️ Correction des blocs de code non retenue');
+
+    const result = applied
+      ? { text: completion.content, codeCheck: { ...recheck, repaired: true } }
+      : { text, codeCheck };
+    if (onToken) BaseProvider.emitInChunks(result.text, onToken, params.signal);
+    return result;
+  }
+
+  /**
+   * Indique si des outils peuvent être proposés au modèle
+   * @param {BaseProvider} provider - Fournisseur de la génération
+   * @param {Object|null} [odooConnection] - Instance Odoo de la conversation
+   * @returns {boolean}
+   */
+  canUseTools(provider, odooConnection = null) {
+    return TOOLS_ENABLED && provider.supportsTools() && this.getTools(odooConnection).length > 0;
+  }
+
+  /**
+   * Outils disponibles : documentation indexée et base Odoo connectée (odooConnectorService)
+   * @param {Object|null} [odooConnection] - Instance Odoo de la conversation
+   * @returns {Array<Object>} Définitions au format « tools »
+   */
+  getTools(odooConnection = null) {
+    return [
+      ...(docToolsService.isAvailable() ? docToolsService.getDefinitions() : []),
+      ...(odooConnectorService.isConfigured(odooConnection) ? odooConnectorService.getToolDefinitions() : [])
+    ];
+  }
+
+  /**
+   * Consignes d'utilisation des outils disponibles, ajoutées au prompt système
+   * @param {Object|null} [odooConnection] - Instance Odoo de la conversation
+   * @returns {string}
+   */
+  getToolInstructions(odooConnection = null) {
+    return [
+      docToolsService.isAvailable() ? docToolsService.getInstructions(TOOL_MAX_STEPS) : null,
+      odooConnectorService.isConfigured(odooConnection) ? odooConnectorService.getInstructions() : null
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Génère la réponse en laissant le modèle appeler les outils (documentation, base Odoo)
+   * 
+   * À chaque étape, le modèle répond ou demande des appels d'outils ; leurs résultats lui sont
+   * renvoyés. Au-delà de TOOL_MAX_STEPS étapes (ou si la fenêtre de contexte est pleine),
+   * une dernière génération sans outils produit la réponse.
+   * @param {Array} messages - Messages construits par tokenBudgetService
+   * @param {Object} params - Paramètres de génération (max_tokens, temperature, top_p, signal)
+   * @param {Object} callbacks - { provider, onToken, onStage, onCompletion, onToolCall, odooConnection, redaction }
+   * @returns {Promise<Object>} Complétion finale (même format que createCompletion)
+   */
+  async generateWithTools(messages, params, { provider, onToken, onStage, onCompletion, onToolCall, odooConnection = null, redaction = null }) {
+    const model = provider.model;
+    let conversation = messages.map((message, index) => index === 0 && message.role === 'system'
+      ? { ...message, content: `${message.content}\n\n${this.getToolInstructions(odooConnection)}` }
+      : message);
+
+    const tools = this.getTools(odooConnection);
+    for (let step = 1; step <= TOOL_MAX_STEPS; step++) {
+      // Garder la place de la réponse dans la fenêtre de contexte
+      if (tokenBudgetService.countMessagesTokens(conversation, model) + params.max_tokens > tokenBudgetService.getContextWindow(model)) break;
+
+      let completion;
+      try {
+        completion = await this.createCompletion(conversation, { ...params, tools }, null, provider.name);
+      } catch (error) {
+        // Modèle sans appel de fonctions : génération classique
+        if (error.status !== 400 || params.signal?.aborted) throw error;
+        console.warn(`⚠️ ${provider.name} refuse les outils (${error.message}), génération sans outils`);
+        return this.createCompletion(messages, params, onToken, provider.name);
+      }
+
+      if (completion.toolCalls.length === 0) {
+        // Réponse obtenue sans streaming : transmise au client par fragments
+        if (onToken && completion.content) BaseProvider.emitInChunks(completion.content, onToken, params.signal);
+        return completion;
       }
+
+      if (onCompletion) onCompletion({ ...completion, stage: 'tool_call', applied: false });
+      if (onStage) onStage('searching');
+
+      conversation = [...conversation, {
+        role: 'assistant',
+        content: completion.content || '',
+        tool_calls: completion.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      }];
+      const results = await Promise.all(completion.toolCalls.map((call, index) => index < MAX_TOOL_CALLS_PER_STEP
+        ? this.runToolCall(call, step, onToolCall, odooConnection, redaction)
+        : JSON.stringify({ error: `Limite de ${MAX_TOOL_CALLS_PER_STEP} appels par étape atteinte` })));
+      completion.toolCalls.forEach((call, index) => {
+        conversation.push({ role: 'tool', tool_call_id: call.id, content: results[index] });
+      });
+
+      params.signal?.throwIfAborted();
+      if (onStage) onStage('generating');
+    }
+
+    console.log(`🛠️ Limite de ${TOOL_MAX_STEPS} étapes d'outils atteinte, réponse finale sans outils`);
+    return this.createCompletion(conversation, {
+      ...params,
+      max_tokens: tokenBudgetService.fitOutputTokens(conversation, model, params.max_tokens)
+    }, onToken, provider.name);
+  }
+
+  /**
+   * Exécute un appel d'outil et le journalise
+   * @param {Object} call - Appel demandé { id, name, arguments }
+   * @param {number} step - Étape de la boucle d'outils
+   * @param {Function|null} onToolCall - Reçoit l'entrée de journal
+   * @param {Object|null} [odooConnection] - Instance Odoo de la conversation
+   * @param {Object|null} [redaction] - Session de masquage : marqueurs des arguments remplacés par leurs
+   *   valeurs avant l'exécution, résultat masqué avant d'être renvoyé au modèle
+   * @returns {Promise<string>} Résultat sérialisé pour le modèle
+   */
+  async runToolCall(call, step, onToolCall, odooConnection = null, redaction = null) {
+    const startedAt = Date.now();
+    const args = redaction ? redaction.restoreDeep(call.arguments) : call.arguments;
+    const entry = { step, name: call.name, arguments: args };
+    let content;
+
+    try {
+      const { result, summary } = odooConnectorService.hasTool(call.name)
+        ? await odooConnectorService.executeTool(call.name, args, odooConnection)
+        : docToolsService.execute(call.name, args);
+      content = JSON.stringify(result);
+      Object.assign(entry, summary);
+    } catch (error) {
+      content = JSON.stringify({ error: error.message });
+      entry.error = error.message;
     }
+
+    entry.durationMs = Date.now() - startedAt;
+    console.log(`🛠️ Étape ${step} - ${call.name}(${JSON.stringify(call.arguments)})${entry.error ? ` : ${entry.error}` : ''}`);
+    if (onToolCall) onToolCall(entry);
+    // Fiches de la base Odoo (partenaires, employés...) : masquées comme le reste du prompt
+    return redaction ? redaction.redact(content) : content;
+  }
+
+  /**
+   * Appelle l'API de complétion du fournisseur, en streaming si un callback de fragments est fourni
+   * @param {Array} messages - Messages à envoyer au modèle
+   * @param {Object} params - Paramètres de génération (max_tokens, temperature, top_p, signal)
+   * @param {Function|null} onToken - Callback appelé pour chaque fragment reçu
+   * @param {string|null} providerName - Fournisseur à utiliser (celui de l'environnement par défaut)
+   * @returns {Promise<string>} - Contenu complet généré
+   */
+  async createChatCompletion(messages, params = {}, onToken = null, providerName = null) {
+    const result = await this.createCompletion(messages, params, onToken, providerName);
+    return result.content;
+  }
+
+  /**
+   * Variante de createChatCompletion qui indique aussi le modèle ayant répondu et les tokens consommés
+   * Les erreurs transitoires sont retentées et la chaîne de secours utilisée (voir llmResilienceService).
+   * Une erreur d'annulation porte `partialCompletion` : tokens estimés du prompt et du texte déjà reçu.
+   * @returns {Promise<{content: string, provider: string, model: string, usage: Object|null, attempts: number, fallback: boolean}>}
+   */
+  async createCompletion(messages, params = {}, onToken = null, providerName = null) {
+    let streamedText = '';
+    const trackedOnToken = onToken
+      ? (delta) => {
+          streamedText += delta;
+          onToken(delta);
+        }
+      : null;
+
+    let result;
+    try {
+      result = await llmResilienceService.execute(messages, {
+        maxTokens: params.max_tokens,
+        temperature: params.temperature,
+        topP: params.top_p,
+        signal: params.signal,
+        tools: params.tools,
+        responseFormat: params.responseFormat
+      }, trackedOnToken, providerName);
+    } catch (error) {
+      // Génération arrêtée : le prompt et les fragments déjà transmis sont facturés par le fournisseur,
+      // leur estimation accompagne l'erreur (`partialCompletion`) pour le décompte des tokens
+      if (params.signal?.aborted) {
+        const provider = this.getProvider(providerName);
+        error.partialCompletion = {
+          provider: provider.name,
+          model: provider.model,
+          usage: {
+            promptTokens: tokenBudgetService.countMessagesTokens(messages, provider.model),
+            completionTokens: tokenBudgetService.countTokens(streamedText, provider.model),
+            estimated: true
+          }
+        };
+      }
+      throw error;
+    }
+
+    // Usage non renvoyé par le fournisseur (certains flux) : estimation pour le décompte des tokens
+    if (!result.usage) {
+      result.usage = {
+        promptTokens: tokenBudgetService.countMessagesTokens(messages, result.model),
+        completionTokens: tokenBudgetService.countTokens(result.content, result.model),
+        estimated: true
+      };
+    }
+    return result;
   }
 
   /**
@@ -234,153 +693,94 @@ Je reste à votre disposition ! 🚀`;
 
   /**
    * Construit le prompt système avec techniques avancées (Few-shot, Chain-of-thought)
+   * @param {string} [language] - Langue imposée à la réponse
+   * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
    */
-  buildSystemPrompt() {
-    return `Tu es Adam, un assistant IA expert en Odoo v17, utilisant des techniques de raisonnement avancées.
-
-**MÉTHODOLOGIE DE RÉPONSE (Chain-of-Thought) :**
-1. **ANALYSE** : Décompose la question en sous-problèmes
-2. **RECHERCHE** : Identifie les concepts Odoo pertinents  
-3. **RAISONNEMENT** : Explique étape par étape ta logique
-4. **SOLUTION** : Fournis une réponse structurée et actionnable
-5. **VALIDATION** : Propose des vérifications et tests
-
-**EXEMPLES DE RAISONNEMENT (Few-Shot Learning) :**
-
-**Exemple 1 - Question Configuration :**
-Question: "Comment configurer les congés ?"
-Raisonnement:
-1. ANALYSE: Configuration système RH → Module requis → Paramétrage → Workflow
-2. RECHERCHE: Module Timesheets/HR, types congés, employés, validation
-3. RAISONNEMENT: Ordre logique = Module → Types → Employés → Processus
-4. SOLUTION: Guide étape par étape avec navigation précise
-5. VALIDATION: Tests avec employé fictif, vérification workflow
-
-**Exemple 2 - Question Technique :**
-Question: "Erreur dans mon module personnalisé"
-Raisonnement:
-1. ANALYSE: Type erreur → Localisation → Cause possible → Solution
-2. RECHERCHE: Structure module, syntaxe, dépendances, logs
-3. RAISONNEMENT: Vérification systématique des éléments critiques
-4. SOLUTION: Diagnostic + correction + prévention
-5. VALIDATION: Test installation, fonctionnalités, logs propres
-
-**TON APPROCHE EXPERTE :**
-- **Décomposition systématique** des problèmes complexes
-- **Raisonnement explicite** de tes choix techniques
-- **Anticipation des problèmes** potentiels et solutions
-- **Validation méthodique** des solutions proposées
-- **Adaptation** selon le niveau technique détecté
-
-**TECHNIQUES SPÉCIALISÉES :**
-- **Few-shot** : Utilise les exemples similaires du contexte
-- **Chain-of-thought** : Montre ton raisonnement étape par étape
-- **Self-correction** : Vérifie la cohérence de tes réponses
-- **Meta-cognitive** : Explique pourquoi tu choisis une approche
-
-**FORMATS DE RÉPONSE ADAPTÉS :**
-- **Débutant** : Guide pas-à-pas avec captures conceptuelles
-- **Intermédiaire** : Explications techniques + bonnes pratiques  
-- **Expert** : Analyse approfondie + optimisations + alternatives
-
-**PRINCIPES QUALITÉ :**
-- Toujours expliquer le "pourquoi" avant le "comment"
-- Donner le contexte métier avant les détails techniques
-- Proposer plusieurs niveaux de solution (simple → avancé)
-- Anticiper les questions de suivi logiques`;
+  buildSystemPrompt(language = 'fr', prompts = null) {
+    return promptTemplateService.renderKey(prompts, 'generation.system', {
+      languageInstruction: languageService.getLanguageInstruction(language)
+    });
   }
 
   /**
    * Construit le prompt utilisateur avec techniques avancées et exemples few-shot
+   * @param {string} question - Question de l'utilisateur
+   * @param {string} context - Contexte documentaire
+   * @param {string} [language] - Langue imposée à la réponse
+   * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
    */
-  buildUserPrompt(question, context) {
-    let prompt = '';
-
-    // 1. CONTEXTE DOCUMENTAIRE
-    if (context && context.trim()) {
-      prompt += `**📚 DOCUMENTATION ODOO DISPONIBLE :**\n${context}\n\n`;
-    }
-
-    // 2. EXEMPLES FEW-SHOT ADAPTATIFS
-    prompt += this.buildFewShotExamples(question);
+  buildUserPrompt(question, context, language = 'fr', prompts = null) {
+    return promptTemplateService.renderKey(prompts, 'generation.user', {
+      context: context && context.trim() ? context : '',
+      fewShotExamples: this.buildFewShotExamples(question, prompts),
+      question,
+      // Les intitulés du template sont à traduire dans la langue de la réponse
+      answerLanguageReminder: languageService.t(language, 'prompt.answerLanguageReminder')
+    });
+  }
 
-    // 3. QUESTION ACTUELLE AVEC INSTRUCTIONS CHAIN-OF-THOUGHT
-    prompt += `---\n\n**🎯 QUESTION ACTUELLE :**\n"${question}"\n\n`;
-    
-    prompt += `**📋 INSTRUCTIONS DE RAISONNEMENT :**\n`;
-    prompt += `Applique la méthodologie Chain-of-Thought :\n\n`;
-    prompt += `1. **🔍 ANALYSE** : Décompose cette question en sous-problèmes\n`;
-    prompt += `2. **📖 RECHERCHE** : Identifie les concepts Odoo pertinents dans le contexte\n`;
-    prompt += `3. **🧠 RAISONNEMENT** : Explique ton raisonnement étape par étape\n`;
-    prompt += `4. **✅ SOLUTION** : Fournis une réponse structurée et actionnable\n`;
-    prompt += `5. **🔬 VALIDATION** : Propose des vérifications et tests\n\n`;
-
-    // 4. ADAPTATION SELON DISPONIBILITÉ DU CONTEXTE
-    if (context && context.trim()) {
-      prompt += `**⚠️ PRIORITÉ** : Base ta réponse principalement sur la documentation fournie ci-dessus. `;
-      prompt += `Si elle est incomplète, complète avec tes connaissances Odoo v17 en le précisant.\n\n`;
-    } else {
-      prompt += `**⚠️ CONTEXTE** : Aucune documentation spécifique fournie. `;
-      prompt += `Utilise tes connaissances générales d'Odoo v17 tout en suivant la méthodologie.\n\n`;
-    }
+  /**
+   * Consigne du mode structuré : guide JSON attendu et langue de rédaction
+   * @param {string} [language] - Langue imposée à la réponse
+   * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
+   */
+  buildStructuredInstructions(language = 'fr', prompts = null) {
+    return promptTemplateService.renderKey(prompts, 'generation.structured', {
+      schemaExample: structuredAnswerService.getExample(),
+      answerLanguageReminder: languageService.t(language, 'prompt.answerLanguageReminder')
+    });
+  }
 
-    // 5. FORMAT DE RÉPONSE STRUCTURÉ
-    prompt += `**📝 FORMAT ATTENDU :**\n`;
-    prompt += `Utilise cette structure dans ta réponse :\n`;
-    prompt += `- **🔍 Mon analyse** : [Décomposition du problème]\n`;
-    prompt += `- **💡 Ma solution** : [Réponse structurée avec étapes]\n`;
-    prompt += `- **✅ Validation** : [Tests et vérifications recommandés]\n`;
-    prompt += `- **🚀 Pour aller plus loin** : [Suggestions d'amélioration]\n\n`;
+  /**
+   * Consigne du mode module : description JSON attendue et, après un refus, erreurs à corriger
+   * @param {string} [language] - Langue des libellés du module
+   * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
+   * @param {string[]} [errors] - Erreurs de la description précédente
+   */
+  buildAddonInstructions(language = 'fr', prompts = null, errors = []) {
+    return promptTemplateService.renderKey(prompts, 'generation.addon', {
+      schemaExample: addonScaffoldService.getExample(),
+      fieldTypes: addonScaffoldService.getFieldTypes().join(', '),
+      correction: errors.slice(0, 10).map(error => `- ${error}`).join('\n'),
+      answerLanguageReminder: languageService.t(language, 'prompt.answerLanguageReminder')
+    });
+  }
 
-    return prompt;
+  /**
+   * Demande de correction des blocs de code invalides (template generation.codeRepair)
+   * @param {Object} codeCheck - Vérification de la réponse (codeValidationService.checkAnswer)
+   * @param {string} [language] - Langue de la réponse
+   * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
+   * @returns {string}
+   */
+  buildCodeRepairInstructions(codeCheck, language = 'fr', prompts = null) {
+    return promptTemplateService.renderKey(prompts, 'generation.codeRepair', {
+      errors: codeValidationService.formatErrors(codeCheck),
+      answerLanguageReminder: languageService.t(language, 'prompt.answerLanguageReminder')
+    });
   }
 
   /**
    * Génère des exemples few-shot adaptatifs selon le type de question
+   * @param {string} question - Question de l'utilisateur
+   * @param {Object} [prompts] - Jeu de prompts de la requête (versions par défaut si absent)
    */
-  buildFewShotExamples(question) {
+  buildFewShotExamples(question, prompts = null) {
     const questionLower = question.toLowerCase();
-    let examples = `**💡 EXEMPLES DE RAISONNEMENT SIMILAIRES :**\n\n`;
 
-    // Détection du type de question pour choisir les meilleurs exemples
+    // Détection du type de question pour choisir le bloc d'exemples du template
+    let category = 'general';
     if (questionLower.match(/configur|setup|install|paramètr/)) {
-      examples += `**Exemple - Configuration :**\n`;
-      examples += `Q: "Comment configurer les taxes de vente ?"\n`;
-      examples += `🔍 ANALYSE : Configuration fiscale → Paramètres comptables → Tests\n`;
-      examples += `💡 SOLUTION : Comptabilité > Configuration > Taxes > Nouvelle taxe\n`;
-      examples += `✅ VALIDATION : Test avec devis, vérification calculs\n\n`;
-
+      category = 'configuration';
     } else if (questionLower.match(/erreur|error|bug|problem|ne marche pas/)) {
-      examples += `**Exemple - Résolution d'erreur :**\n`;
-      examples += `Q: "Erreur lors de l'installation d'un module"\n`;
-      examples += `🔍 ANALYSE : Type erreur → Logs → Dépendances → Syntaxe\n`;
-      examples += `💡 SOLUTION : Vérification __manifest__.py + logs serveur\n`;
-      examples += `✅ VALIDATION : Installation propre + test fonctionnalités\n\n`;
-
+      category = 'error';
     } else if (questionLower.match(/développ|code|python|xml|api|module/)) {
-      examples += `**Exemple - Développement :**\n`;
-      examples += `Q: "Comment créer un champ calculé ?"\n`;
-      examples += `🔍 ANALYSE : Type calcul → Méthode compute → Dépendances\n`;
-      examples += `💡 SOLUTION : @api.depends + fonction compute + store si besoin\n`;
-      examples += `✅ VALIDATION : Test calcul + performance + mise à jour\n\n`;
-
+      category = 'development';
     } else if (questionLower.match(/workflow|processus|étape|flux/)) {
-      examples += `**Exemple - Processus métier :**\n`;
-      examples += `Q: "Workflow de validation des achats"\n`;
-      examples += `🔍 ANALYSE : Étapes → Rôles → Autorisations → Notifications\n`;
-      examples += `💡 SOLUTION : Configuration groupes + règles + automatisations\n`;
-      examples += `✅ VALIDATION : Test avec utilisateurs réels + cas limites\n\n`;
-
-    } else {
-      // Exemple générique
-      examples += `**Exemple - Question générale :**\n`;
-      examples += `Q: "Comment optimiser les performances ?"\n`;
-      examples += `🔍 ANALYSE : Goulots → Base données → Interface → Infrastructure\n`;
-      examples += `💡 SOLUTION : Index DB + cache + optimisation vues\n`;
-      examples += `✅ VALIDATION : Mesures performance + test charge\n\n`;
+      category = 'workflow';
     }
 
-    return examples;
+    return promptTemplateService.renderKey(prompts, 'generation.fewShot', { [category]: true });
   }
 
   /**
@@ -388,9 +788,15 @@ Raisonnement:
    * @param {string} initialResponse - Réponse initiale à corriger
    * @param {string} originalQuestion - Question originale
    * @param {string} context - Contexte documentaire
+   * @param {Object} options - Options de génération
+   * @param {Function} [options.onToken] - Reçoit chaque fragment de la réponse corrigée
+   * @param {Function} [options.onCompletion] - Reçoit le résultat de l'appel au modèle (stage 'self_correction')
+   * @param {string} [options.provider] - Fournisseur LLM à utiliser
+   * @param {AbortSignal} [options.signal] - Annule la correction en cours
+   * @param {string} [options.language] - Langue de la réponse à conserver
    * @returns {Promise<string>} - Réponse corrigée
    */
-  async applySelfCorrection(initialResponse, originalQuestion, context) {
+  async applySelfCorrection(initialResponse, originalQuestion, context, options = {}) {
     try {
       const correctionPrompt = `Tu es un validateur expert chargé d'améliorer une réponse sur Odoo v17.
 
@@ -420,30 +826,34 @@ ${originalQuestion}
 - Garde le même niveau de détail mais améliore la qualité
 - Utilise le formatage Markdown approprié
 - Conserve le ton professionnel et bienveillant d'Adam
+- Conserve les marqueurs de citation [1], [2]... à côté des affirmations qu'ils justifient
+- Rédige la réponse améliorée en ${languageService.getLanguageName(options.language)}, la langue de la question
 
 Fournis la réponse améliorée UNIQUEMENT, sans commentaires méta.`;
 
-      const correction = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: 'Tu es un expert en validation et amélioration de réponses techniques sur Odoo.'
-          },
-          {
-            role: 'user',
-            content: correctionPrompt
-          }
-        ],
-        model: this.model,
-        max_tokens: this.maxTokens,
+      const correctionMessages = [
+        {
+          role: 'system',
+          content: 'Tu es un expert en validation et amélioration de réponses techniques sur Odoo.'
+        },
+        {
+          role: 'user',
+          content: correctionPrompt
+        }
+      ];
+      const model = this.getProvider(options.provider).model;
+
+      const completion = await this.createCompletion(correctionMessages, {
+        max_tokens: tokenBudgetService.fitOutputTokens(correctionMessages, model, this.maxTokens),
         temperature: 0.2, // Plus conservateur pour la correction
         top_p: 0.8,
-        stream: false
-      });
-
-      const correctedResponse = correction.choices[0]?.message?.content;
+        signal: options.signal
+      }, options.onToken || null, options.provider || null);
+      const correctedResponse = completion.content;
+      const applied = Boolean(correctedResponse && correctedResponse.length > 50);
+      if (options.onCompletion) options.onCompletion({ ...completion, stage: 'self_correction', applied });
       
-      if (correctedResponse && correctedResponse.length > 50) {
+      if (applied) {
         console.log('✅ Auto-correction appliquée avec succès');
         return correctedResponse;
       } else {
@@ -452,6 +862,7 @@ Fournis la réponse améliorée UNIQUEMENT, sans commentaires méta.`;
       }
 
     } catch (error) {
+      if (options.signal?.aborted) throw error;
       console.error('❌ Erreur lors de l\'auto-correction:', error);
       return initialResponse; // Retourner la réponse originale en cas d'erreur
     }
@@ -501,33 +912,20 @@ Fournis la réponse améliorée UNIQUEMENT, sans commentaires méta.`;
   /**
    * Vérifie la santé du service Groq
    */
-  async checkHealth() {
+  async checkHealth(providerName = null) {
     try {
-      if (!this.apiKey || !this.client) {
+      const provider = this.getProvider(providerName);
+
+      if (!provider.isConfigured()) {
         return {
           status: 'demo',
+          provider: provider.name,
           model: 'Mode démonstration',
-          message: 'Clé API Groq non configurée - Mode démo actif'
+          message: `Fournisseur ${provider.name} non configuré - Mode démo actif`
         };
       }
 
-      const completion = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'user',
-            content: 'Ping'
-          }
-        ],
-        model: this.model,
-        max_tokens: 10,
-        temperature: 0
-      });
-
-      return {
-        status: 'healthy',
-        model: this.model,
-        response: completion.choices[0]?.message?.content || 'OK'
-      };
+      return await provider.checkHealth();
     } catch (error) {
       return {
         status: 'error',
@@ -539,14 +937,11 @@ Fournis la réponse améliorée UNIQUEMENT, sans commentaires méta.`;
   /**
    * Obtient les modèles disponibles
    */
-  async getAvailableModels() {
+  async getAvailableModels(providerName = null) {
     try {
-      const models = await this.client.models.list();
-      return models.data.map(model => ({
-        id: model.id,
-        name: model.id,
-        description: model.id
-      }));
+      const provider = this.getProvider(providerName);
+      if (!provider.isConfigured()) return [];
+      return await provider.listModels();
     } catch (error) {
       console.error('Erreur lors de la récupération des modèles:', error);
       return [];
@@ -0,0 +1,322 @@
+/**
+ * Service de vérification des réponses (grounding)
+ *
+ * Après génération, extrait de la réponse les chemins de menu, noms de modèles
+ * et noms de champs Odoo, puis les compare à l'index de documentation
+ * (`odooDocService.documentationIndex`). Chaque affirmation est marquée :
+ * - verified : présente dans la documentation
+ * - unverified : introuvable dans la documentation
+ * - contradicted : la documentation indique un autre chemin pour le même élément
+ */
+
+const odooDocService = require('./odooDocService');
+
+// Séparateurs de chemins de menu : "Ventes > Configuration", "Sales --> Settings", "A → B"
+const MENU_SEPARATOR = /\s*(?:-->|→|>)\s*/;
+const MENU_PATH_PATTERN = /(?:\*\*[^*\n]+?\*\*|[^\s>→*`"«»\n.,;:!?()[\]][^>→*`"«»\n.,;:!?()[\]]*)(?:\s*(?:-->|→|>)\s*(?:\*\*[^*\n]+?\*\*|[^\s>→*`"«»\n.,;:!?()[\]][^>→*`"«»\n.,;:!?()[\]]*))+/g;
+const DOC_MENU_PATTERN = /:menuselection:`([^`]+)`/g;
+
+// Noms techniques : modèles (sale.order) et champs (partner_id)
+const MODEL_PATTERN = /\b[a-z][a-z0-9_]+(?:\.[a-z][a-z0-9_]+)+\b/g;
+const MODEL_NAME = /^[a-z][a-z0-9_]+(?:\.[a-z][a-z0-9_]+)+$/;
+const FIELD_NAME = /^[a-z][a-z0-9]*(?:_[a-z0-9]+)+$/;
+const QUOTED_PATTERN = /['"]([a-z][a-z0-9_.]+)['"]/g;
+const CODE_BLOCK_PATTERN = /```[\s\S]*?(?:```|$)/g;
+const INLINE_CODE_PATTERN = /`([^`\n]+)`/g;
+
+// Faux positifs courants pour les noms de modèles (fichiers, domaines, objets Python)
+const NON_MODEL_SUFFIXES = new Set(['py', 'xml', 'csv', 'js', 'json', 'rst', 'md', 'txt', 'html', 'css', 'scss', 'png', 'jpg', 'svg', 'pdf', 'zip', 'com', 'org', 'net', 'io', 'fr', 'dz', 'sh']);
+const NON_MODEL_PREFIXES = new Set(['self', 'fields', 'models', 'api', 'env', 'request', 'http', 'odoo', 'os', 're', 'datetime', 'record', 'rec', 'vals', 'values', 'www', 'docs', 'apps']);
+
+// Mots d'introduction à retirer devant le premier élément d'un chemin
+const MENU_LEAD_WORDS = /^(?:(?:menu|allez|aller|ouvrez|ouvrir|naviguez|puis|via|dans|sous|sur|go|to|open|navigate|then|the)\s+)+/i;
+// Suite de phrase à couper après le dernier élément ("Paramètres pour activer...")
+const MENU_TRAILING_WORDS = /\s+(?:pour|puis|et|afin|avec|ou|and|then|to|for|or|with)\s.*$/i;
+const MAX_SEGMENT_WORDS = 5;
+const MAX_CLAIMS = 30;
+
+// Libellés de menus français courants, ramenés aux libellés anglais de la documentation
+const MENU_TRANSLATIONS = {
+  'applications': 'apps',
+  'ventes': 'sales',
+  'achats': 'purchase',
+  'comptabilite': 'accounting',
+  'facturation': 'invoicing',
+  'inventaire': 'inventory',
+  'fabrication': 'manufacturing',
+  'projet': 'project',
+  'feuilles de temps': 'timesheets',
+  'conges': 'time off',
+  'types de conges': 'time off types',
+  'allocations': 'allocations',
+  'employes': 'employees',
+  'recrutement': 'recruitment',
+  'notes de frais': 'expenses',
+  'point de vente': 'point of sale',
+  'site web': 'website',
+  'discussion': 'discuss',
+  'parametres': 'settings',
+  'parametres generaux': 'general settings',
+  'rapports': 'reporting',
+  'analyse': 'reporting',
+  'commandes': 'orders',
+  'devis': 'quotations',
+  'clients': 'customers',
+  'fournisseurs': 'vendors',
+  'produits': 'products',
+  'factures': 'invoices',
+  'paiements': 'payments',
+  'utilisateurs et societes': 'users & companies',
+  'utilisateurs': 'users',
+  'societes': 'companies',
+  'technique': 'technical',
+  'operations': 'operations'
+};
+
+class GroundingService {
+  constructor() {
+    this.vocabulary = null;
+    this.vocabularyIndex = null;
+    this.vocabularyKey = null;
+  }
+
+  /**
+   * Vérifie les affirmations d'une réponse par rapport à l'index de documentation
+   * @param {string} text - Réponse générée
+   * @returns {{status: string, claims: Array, summary: Object, checkedAt: string}}
+   *   status : verified, warning (au moins un élément non vérifié ou contredit),
+   *   no_claims (rien à vérifier) ou unavailable (index vide)
+   */
+  verifyAnswer(text) {
+    const vocabulary = this.getVocabulary();
+    const extracted = this.extractClaims(text || '');
+
+    const claims = [
+      ...(vocabulary.menus.length > 0 ? extracted.menus.map(claim => this.checkMenuPath(claim, vocabulary)) : []),
+      ...(vocabulary.models.size > 0 ? extracted.models.map(name => this.checkName('model', name, vocabulary.models)) : []),
+      ...(vocabulary.fields.size > 0 ? extracted.fields.map(name => this.checkName('field', name, vocabulary.fields)) : [])
+    ].slice(0, MAX_CLAIMS);
+
+    const summary = { verified: 0, unverified: 0, contradicted: 0 };
+    claims.forEach(claim => { summary[claim.status]++; });
+
+    const extractedCount = extracted.menus.length + extracted.models.length + extracted.fields.length;
+    let status = 'verified';
+    if (claims.length === 0) {
+      status = extractedCount > 0 ? 'unavailable' : 'no_claims';
+    } else if (summary.unverified > 0 || summary.contradicted > 0) {
+      status = 'warning';
+    }
+
+    return {
+      status,
+      claims,
+      summary,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Extrait les chemins de menu, modèles et champs cités dans une réponse
+   * @param {string} text - Réponse en Markdown
+   * @returns {{menus: Array<string[]>, models: string[], fields: string[]}}
+   */
+  extractClaims(text) {
+    const codeBlocks = text.match(CODE_BLOCK_PATTERN) || [];
+    const prose = text.replace(CODE_BLOCK_PATTERN, '\n');
+    const inlineCode = [...prose.matchAll(INLINE_CODE_PATTERN)].map(match => match[1].trim());
+    const plainProse = prose.replace(INLINE_CODE_PATTERN, ' ');
+
+    // Chemins de menu : uniquement dans le texte courant, ligne par ligne
+    const menus = [];
+    const seenMenus = new Set();
+    for (const line of plainProse.split('\n')) {
+      const content = line.replace(/^\s*(?:>\s*)+/, '');
+      for (const match of content.matchAll(MENU_PATH_PATTERN)) {
+        const segments = this.parseMenuPath(match[0]);
+        const key = segments && segments.map(segment => this.normalizeSegment(segment)).join(' > ');
+        if (segments && !seenMenus.has(key)) {
+          seenMenus.add(key);
+          menus.push(segments);
+        }
+      }
+    }
+
+    // Modèles : texte courant, extraits de code et chaînes des blocs de code
+    const models = new Set();
+    for (const match of plainProse.matchAll(MODEL_PATTERN)) {
+      if (this.isModelName(match[0], plainProse, match.index)) models.add(match[0]);
+    }
+    inlineCode.filter(code => MODEL_NAME.test(code) && this.isModelName(code)).forEach(code => models.add(code));
+    for (const block of codeBlocks) {
+      for (const match of block.matchAll(QUOTED_PATTERN)) {
+        if (MODEL_NAME.test(match[1]) && this.isModelName(match[1])) models.add(match[1]);
+      }
+    }
+
+    // Champs : seulement les extraits de code en ligne (`partner_id`)
+    const fields = new Set(inlineCode.filter(code => FIELD_NAME.test(code)));
+
+    return {
+      menus,
+      models: [...models],
+      fields: [...fields]
+    };
+  }
+
+  /**
+   * Découpe un chemin de menu détecté en éléments, ou null s'il ne ressemble pas à un menu
+   * @param {string} raw - Texte détecté ("Allez dans **Ventes** > **Configuration**")
+   * @returns {string[]|null}
+   */
+  parseMenuPath(raw) {
+    let parts = raw.split(MENU_SEPARATOR).map(part => part.trim());
+
+    // Chemin en gras : ne garder que la suite d'éléments en gras
+    if (parts[0].startsWith('**')) {
+      const end = parts.findIndex(part => !/^\*\*.+\*\*$/.test(part));
+      parts = end === -1 ? parts : parts.slice(0, end);
+    }
+
+    const segments = parts.map(part => part.replace(/\*\*/g, '').trim());
+    if (segments.length < 2) return null;
+
+    // Premier élément en texte libre : garder les derniers mots en majuscule ("Allez dans Ventes")
+    const lead = segments[0].match(/((?:[A-ZÀ-Ý][\wÀ-ÿ&'-]*\s*)+)$/);
+    segments[0] = lead ? lead[1].replace(MENU_LEAD_WORDS, '').trim() : '';
+    segments[segments.length - 1] = segments[segments.length - 1].replace(MENU_TRAILING_WORDS, '');
+
+    const valid = segments.every(segment =>
+      /^[A-ZÀ-Ý0-9]/.test(segment) && segment.split(/\s+/).length <= MAX_SEGMENT_WORDS
+    );
+    return valid ? segments : null;
+  }
+
+  /**
+   * Écarte les noms de fichiers, domaines et objets Python qui ressemblent à des modèles
+   * @param {string} name - Nom détecté
+   * @param {string} [text] - Texte d'origine, pour vérifier le contexte (URL, email)
+   * @param {number} [index] - Position du nom dans le texte
+   * @returns {boolean}
+   */
+  isModelName(name, text = '', index = 0) {
+    const parts = name.split('.');
+    if (NON_MODEL_PREFIXES.has(parts[0]) || NON_MODEL_SUFFIXES.has(parts[parts.length - 1])) return false;
+    const before = text.charAt(index - 1);
+    return before !== '/' && before !== '@';
+  }
+
+  /**
+   * Vérifie un chemin de menu par rapport aux chemins documentés
+   * @param {string[]} segments - Éléments du chemin cité
+   * @param {Object} vocabulary - Vocabulaire de la documentation
+   * @returns {Object} Affirmation vérifiée
+   */
+  checkMenuPath(segments, vocabulary) {
+    const normalized = segments.map(segment => this.normalizeSegment(segment));
+    const claim = { type: 'menu', text: segments.join(' > ') };
+
+    const documented = vocabulary.menus.find(menu => this.containsPath(menu.normalized, normalized));
+    if (documented) {
+      return { ...claim, status: 'verified', documented: documented.text };
+    }
+
+    // Le dernier élément existe ailleurs dans la documentation : le chemin cité est contredit
+    const target = normalized[normalized.length - 1];
+    const elsewhere = vocabulary.menus.find(menu => menu.normalized.includes(target));
+    if (elsewhere) {
+      return { ...claim, status: 'contradicted', documented: elsewhere.text };
+    }
+
+    return { ...claim, status: 'unverified' };
+  }
+
+  /**
+   * Vérifie un nom technique (modèle ou champ)
+   * @param {string} type - model ou field
+   * @param {string} name - Nom cité
+   * @param {Set<string>} known - Noms présents dans la documentation
+   * @returns {Object} Affirmation vérifiée
+   */
+  checkName(type, name, known) {
+    return { type, text: name, status: known.has(name) ? 'verified' : 'unverified' };
+  }
+
+  /**
+   * Indique si un chemin documenté contient le chemin cité (éléments consécutifs)
+   * @param {string[]} documented - Chemin documenté normalisé
+   * @param {string[]} claimed - Chemin cité normalisé
+   * @returns {boolean}
+   */
+  containsPath(documented, claimed) {
+    for (let start = 0; start + claimed.length <= documented.length; start++) {
+      if (claimed.every((segment, offset) => documented[start + offset] === segment)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Normalise un élément de menu : minuscules, sans accents, libellé anglais si connu
+   * @param {string} segment - Élément de menu
+   * @returns {string}
+   */
+  normalizeSegment(segment) {
+    const value = segment
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+app$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return MENU_TRANSLATIONS[value] || value;
+  }
+
+  /**
+   * Vocabulaire extrait de l'index de documentation, reconstruit quand l'index change
+   *
+   * Les documents synthétiques (FAQ générées) sont ignorés : ils ne font pas foi
+   * pour les chemins de menu.
+   *
+   * @returns {{menus: Array<{text: string, normalized: string[]}>, models: Set<string>, fields: Set<string>}}
+   */
+  getVocabulary() {
+    const index = odooDocService.documentationIndex;
+    const key = `${index.size}:${odooDocService.lastUpdate}`;
+    if (this.vocabulary && this.vocabularyIndex === index && this.vocabularyKey === key) {
+      return this.vocabulary;
+    }
+
+    const menus = new Map();
+    const models = new Set();
+    const fields = new Set();
+
+    for (const doc of index.values()) {
+      if (doc.metadata?.source === 'synthetic' || !doc.content) continue;
+
+      for (const match of doc.content.matchAll(DOC_MENU_PATTERN)) {
+        const segments = match[1].split('-->').map(segment => segment.trim()).filter(Boolean);
+        const normalized = segments.map(segment => this.normalizeSegment(segment));
+        const menuKey = normalized.join(' > ');
+        if (segments.length > 0 && !menus.has(menuKey)) {
+          menus.set(menuKey, { text: segments.join(' > '), normalized });
+        }
+      }
+
+      for (const match of doc.content.matchAll(MODEL_PATTERN)) {
+        if (this.isModelName(match[0], doc.content, match.index)) models.add(match[0]);
+      }
+
+      for (const match of doc.content.matchAll(/\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b/g)) {
+        fields.add(match[0]);
+      }
+    }
+
+    this.vocabulary = { menus: [...menus.values()], models, fields };
+    this.vocabularyIndex = index;
+    this.vocabularyKey = key;
+    console.log(`🔎 Vocabulaire de vérification: ${menus.size} chemins de menu, ${models.size} modèles, ${fields.size} champs`);
+    return this.vocabulary;
+  }
+}
+
+module.exports = new GroundingService();
@@ -0,0 +1,166 @@
+/**
+ * Service de langue des réponses
+ *
+ * - Détection de la langue d'une question (français, anglais, arabe) sans dépendance externe
+ * - Choix de la langue de réponse : langue détectée, sinon préférence de l'utilisateur
+ *   (UserSettings.language), sinon français
+ * - Textes des réponses générées par le serveur (refus, erreurs, suggestions) dans chaque langue
+ */
+
+const locales = {
+  fr: require('./locales/fr'),
+  en: require('./locales/en'),
+  ar: require('./locales/ar')
+};
+
+const SUPPORTED_LANGUAGES = ['fr', 'en', 'ar'];
+const DEFAULT_LANGUAGE = 'fr';
+
+// Noms des langues utilisés dans les prompts rédigés en français
+const LANGUAGE_NAMES = { fr: 'français', en: 'anglais', ar: 'arabe' };
+
+// Seuils de détection
+const ARABIC_SCRIPT_RATIO = 0.3; // Part minimale de lettres arabes
+const MIN_MARKERS = 2;           // Mots-outils minimum pour trancher entre français et anglais
+const MIN_CONFIDENCE = 0.6;
+
+const ARABIC_LETTER = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/;
+
+// Mots-outils fréquents dans les questions de chaque langue
+const FRENCH_MARKERS = new Set([
+  'le', 'la', 'les', 'des', 'du', 'de', 'un', 'une', 'et', 'est', 'pour', 'dans', 'sur', 'avec',
+  'comment', 'quoi', 'quel', 'quelle', 'quels', 'quelles', 'pourquoi', 'je', 'tu', 'il', 'nous',
+  'vous', 'ce', 'cette', 'ces', 'mon', 'ma', 'mes', 'ne', 'pas', 'que', 'qui', 'où', 'au', 'aux',
+  'faire', 'créer', 'configurer', 'peut', 'peux', 'puis', 'faut', 'mais', 'ou', 'sont', 'entre'
+]);
+const ENGLISH_MARKERS = new Set([
+  'the', 'a', 'an', 'and', 'is', 'are', 'for', 'in', 'on', 'with', 'how', 'what', 'which', 'why',
+  'i', 'you', 'it', 'we', 'this', 'that', 'these', 'those', 'my', 'not', 'do', 'does', 'can', 'to',
+  'of', 'create', 'configure', 'set', 'up', 'should', 'there', 'from', 'where', 'when', 'between',
+  'make', 'use', 'get', 'add', 'be', 'or', 'but', 'your'
+]);
+const FRENCH_ACCENTS = /[éèêëàâçùûôîïœ]/;
+
+class LanguageService {
+  /**
+   * Langues de réponse prises en charge
+   * @returns {string[]}
+   */
+  getSupportedLanguages() {
+    return SUPPORTED_LANGUAGES;
+  }
+
+  /**
+   * Ramène une valeur de préférence à une langue prise en charge
+   * @param {string|null} language - Code de langue ("fr", "en-US", "ar"...)
+   * @returns {string|null} Code pris en charge, null sinon
+   */
+  normalizeLanguage(language) {
+    const code = typeof language === 'string' ? language.trim().toLowerCase().split(/[-_]/)[0] : '';
+    return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+  }
+
+  /**
+   * Détecte la langue d'un texte
+   * @param {string} text - Question de l'utilisateur
+   * @returns {{language: string|null, confidence: number}} Langue null si le texte ne permet pas de trancher
+   */
+  detectLanguage(text) {
+    const letters = (text || '').match(/\p{L}/gu) || [];
+    if (letters.length === 0) return { language: null, confidence: 0 };
+
+    const arabicRatio = letters.filter(letter => ARABIC_LETTER.test(letter)).length / letters.length;
+    if (arabicRatio >= ARABIC_SCRIPT_RATIO) {
+      return { language: 'ar', confidence: Number(arabicRatio.toFixed(2)) };
+    }
+
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    let french = 0;
+    let english = 0;
+    for (const word of words) {
+      // Élisions françaises : "l'api", "d'un", "qu'est"
+      const base = word.includes('\'') ? word.split('\'').pop() : word;
+      if (/^(?:l|d|qu|j|n|s|c)'/.test(word)) french++;
+      if (FRENCH_MARKERS.has(base)) french++;
+      if (ENGLISH_MARKERS.has(base)) english++;
+      if (FRENCH_ACCENTS.test(word)) french++;
+    }
+
+    const total = french + english;
+    if (total < MIN_MARKERS) return { language: null, confidence: 0 };
+
+    const language = french >= english ? 'fr' : 'en';
+    const confidence = Math.max(french, english) / total;
+    return confidence >= MIN_CONFIDENCE
+      ? { language, confidence: Number(confidence.toFixed(2)) }
+      : { language: null, confidence: Number(confidence.toFixed(2)) };
+  }
+
+  /**
+   * Choisit la langue de réponse : celle de la question si elle est reconnue,
+   * sinon la préférence de l'utilisateur, sinon le français
+   * @param {string} text - Question de l'utilisateur
+   * @param {string|null} preferred - UserSettings.language
+   * @returns {{language: string, detected: string|null, preferred: string|null, source: string, confidence: number}}
+   */
+  resolveLanguage(text, preferred = null) {
+    const preferredLanguage = this.normalizeLanguage(preferred);
+    const detection = this.detectLanguage(text);
+
+    if (detection.language) {
+      return {
+        language: detection.language,
+        detected: detection.language,
+        preferred: preferredLanguage,
+        source: 'detected',
+        confidence: detection.confidence
+      };
+    }
+
+    return {
+      language: preferredLanguage || DEFAULT_LANGUAGE,
+      detected: null,
+      preferred: preferredLanguage,
+      source: preferredLanguage ? 'settings' : 'default',
+      confidence: detection.confidence
+    };
+  }
+
+  /**
+   * Nom d'une langue, pour les prompts rédigés en français
+   * @param {string} language - Code de langue
+   * @returns {string}
+   */
+  getLanguageName(language) {
+    return LANGUAGE_NAMES[this.normalizeLanguage(language) || DEFAULT_LANGUAGE];
+  }
+
+  /**
+   * Consigne de langue à ajouter au prompt système, rédigée dans la langue cible
+   * @param {string} language - Code de langue
+   * @returns {string}
+   */
+  getLanguageInstruction(language) {
+    return this.t(language, 'prompt.answerLanguage');
+  }
+
+  /**
+   * Texte traduit d'une réponse générée par le serveur
+   * Les valeurs `{nom}` sont remplacées par `params.nom`. Une clé absente de la langue
+   * demandée est lue dans le catalogue français.
+   * @param {string} language - Code de langue
+   * @param {string} key - Clé pointée ("errors.rateLimit", "rejection.examples")
+   * @param {Object} [params] - Valeurs à insérer
+   * @returns {string|Array|Object}
+   */
+  t(language, key, params = {}) {
+    const lookup = (catalog) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+    const value = lookup(locales[this.normalizeLanguage(language) || DEFAULT_LANGUAGE]) ?? lookup(locales[DEFAULT_LANGUAGE]);
+
+    if (value === undefined) return key;
+    if (typeof value !== 'string') return value;
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+}
+
+module.exports = new LanguageService();
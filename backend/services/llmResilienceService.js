@@ -0,0 +1,383 @@
+/**
+ * Service de résilience des appels LLM
+ *
+ * - Nouvelles tentatives bornées avec backoff exponentiel et jitter, en respectant `retry-after`
+ * - Disjoncteur par cible (fournisseur + modèle) : après plusieurs échecs consécutifs,
+ *   la cible n'est plus appelée pendant un délai de refroidissement, puis un appel test est autorisé
+ * - Chaîne de secours (LLM_FALLBACK_CHAIN) : modèles ou fournisseurs essayés dans l'ordre
+ *   quand la cible principale échoue ou que son disjoncteur est ouvert
+ *
+ * Une génération en streaming n'est jamais relancée une fois qu'un fragment a été transmis au client.
+ */
+
+const providers = require('./providers');
+
+// Nombre de nouvelles tentatives sur la même cible (hors premier appel)
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES ?? 2, 10);
+// Délai de base du backoff exponentiel et délai maximal entre deux tentatives (ms)
+const RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS ?? 500, 10);
+const RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS ?? 10000, 10);
+// Échecs consécutifs avant ouverture du disjoncteur, et durée d'ouverture (ms)
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.LLM_BREAKER_FAILURE_THRESHOLD ?? 5, 10);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS ?? 60000, 10);
+
+// Erreurs réseau transitoires (axios, SDK Groq)
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND']);
+const NETWORK_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError']);
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class LlmResilienceService {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * Lit la chaîne de secours : "groq:llama-3.1-8b-instant,openai,mock"
+   * Chaque entrée est un fournisseur, suivi éventuellement de ":" et d'un modèle
+   * (seul le premier ":" sépare, les modèles Ollama comme "llama3:8b" restent intacts)
+   * @returns {Array<{provider: string, model: string|null}>}
+   */
+  getFallbackChain() {
+    return (process.env.LLM_FALLBACK_CHAIN || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        const provider = (separator === -1 ? entry : entry.slice(0, separator)).toLowerCase();
+        const model = separator === -1 ? null : entry.slice(separator + 1).trim() || null;
+        return { provider, model };
+      })
+      .filter(({ provider }) => {
+        if (providers.isKnownProvider(provider)) return true;
+        console.warn(`⚠️ LLM_FALLBACK_CHAIN : fournisseur inconnu ignoré (${provider})`);
+        return false;
+      });
+  }
+
+  /**
+   * Cibles à essayer dans l'ordre : fournisseur demandé puis chaîne de secours, sans doublon
+   * @param {string|null} providerName - Fournisseur principal (celui de l'environnement par défaut)
+   * @returns {Array<{provider: BaseProvider, model: string, key: string}>}
+   */
+  buildCandidates(providerName = null) {
+    const primary = providers.getProvider(providerName);
+    const targets = [{ provider: primary.name, model: null }, ...this.getFallbackChain()];
+
+    const candidates = [];
+    for (const target of targets) {
+      const provider = providers.getProvider(target.provider);
+      const model = target.model || provider.model;
+      const key = `${provider.name}:${model}`;
+      if (candidates.some(candidate => candidate.key === key)) continue;
+      // Un fournisseur de secours non configuré est ignoré ; le principal est toujours tenté
+      if (candidates.length > 0 && !provider.isConfigured()) continue;
+      candidates.push({ provider, model, key });
+    }
+    return candidates;
+  }
+
+  /**
+   * Appelle le modèle avec nouvelles tentatives, disjoncteur et chaîne de secours
+   * @param {Array} messages - Messages { role, content }
+   * @param {Object} params - Paramètres du fournisseur (maxTokens, temperature, topP, signal, tools, responseFormat)
+   * @param {Function|null} onToken - Callback de streaming
+   * @param {string|null} providerName - Fournisseur principal
+   * @returns {Promise<{content: string, provider: string, model: string, usage: Object|null, toolCalls: Array, attempts: number, fallback: boolean}>}
+   */
+  async execute(messages, params = {}, onToken = null, providerName = null) {
+    const candidates = this.buildCandidates(providerName);
+    let attempts = 0;
+    let streamed = false;
+    let lastError = null;
+
+    const trackedOnToken = onToken
+      ? (delta) => {
+          streamed = true;
+          onToken(delta);
+        }
+      : null;
+
+    for (const [index, candidate] of candidates.entries()) {
+      // Une cible de secours sans appel de fonctions ne peut pas reprendre une requête avec outils
+      if (params.tools && !candidate.provider.supportsTools()) continue;
+      if (!this.allowRequest(candidate.key)) {
+        console.warn(`⛔ Disjoncteur ouvert pour ${candidate.key}, cible ignorée`);
+        continue;
+      }
+
+      for (let retry = 0; retry <= MAX_RETRIES; retry++) {
+        attempts++;
+        try {
+          const result = await candidate.provider.chat(messages, { ...params, model: candidate.model }, trackedOnToken);
+          this.recordSuccess(candidate.key);
+          if (index > 0) console.log(`🛟 Réponse produite par la cible de secours ${candidate.key}`);
+          return {
+            content: result.content,
+            provider: candidate.provider.name,
+            model: result.model || candidate.model,
+            usage: result.usage || null,
+            toolCalls: result.toolCalls || [],
+            attempts,
+            fallback: index > 0
+          };
+        } catch (error) {
+          // Cible en échec, pour le payload d'erreur renvoyé au client
+          error.target = { provider: candidate.provider.name, model: candidate.model };
+          if (params.signal?.aborted) {
+            this.releaseProbe(candidate.key);
+            throw error;
+          }
+
+          lastError = error;
+          const kind = this.classifyError(error);
+
+          // Requête invalide : une autre cible échouerait de la même façon
+          if (kind === 'fatal') {
+            this.releaseProbe(candidate.key);
+            throw error;
+          }
+
+          this.recordFailure(candidate.key, error);
+
+          // Des fragments ont déjà été envoyés : relancer dupliquerait le texte côté client
+          if (streamed) throw error;
+
+          const delay = kind === 'retryable' ? this.getRetryDelay(error, retry) : null;
+          if (delay === null || retry === MAX_RETRIES || !this.allowRequest(candidate.key)) {
+            console.warn(`⚠️ ${candidate.key} en échec (${error.status || error.code || error.message}), passage à la cible suivante`);
+            break;
+          }
+
+          console.warn(`🔁 ${candidate.key} en échec (${error.status || error.code || error.message}), nouvelle tentative dans ${delay}ms`);
+          await this.wait(delay, params.signal);
+        }
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    // Aucune cible appelée : tous les disjoncteurs sont ouverts
+    const error = new Error('Tous les modèles sont temporairement indisponibles');
+    error.status = 503;
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfterMs = this.getShortestCooldown(candidates);
+    throw error;
+  }
+
+  /**
+   * Classe une erreur de fournisseur
+   * - retryable : 408, 409, 429, 5xx ou erreur réseau, à retenter sur la même cible
+   * - fallback : clé invalide, accès refusé ou modèle introuvable, inutile de retenter
+   * - fatal : requête invalide, propagée sans essayer d'autre cible
+   * @param {Error} error - Erreur normalisée (champ `status` si réponse HTTP)
+   * @returns {'retryable'|'fallback'|'fatal'}
+   */
+  classifyError(error) {
+    const status = error.status;
+    if (status === 408 || status === 409 || status === 429 || status >= 500) return 'retryable';
+    if (status === 401 || status === 403 || status === 404) return 'fallback';
+    if (status >= 400) return 'fatal';
+    if (NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_NAMES.has(error.name)) return 'retryable';
+    return 'fallback';
+  }
+
+  /**
+   * Délai avant la prochaine tentative
+   * `retry-after` (ou `retry-after-ms`) est respecté ; au-delà du délai maximal, la cible est abandonnée.
+   * Sinon backoff exponentiel avec jitter complet : aléatoire entre 0 et base × 2^tentative.
+   * @param {Error} error - Erreur reçue
+   * @param {number} retry - Numéro de la tentative échouée (0 pour le premier appel)
+   * @returns {number|null} Délai en ms, null s'il ne faut pas retenter cette cible
+   */
+  getRetryDelay(error, retry) {
+    // Erreurs du SDK Groq : `headers` ; erreurs axios : `response.headers`
+    const retryAfterMs = this.parseRetryAfter(error.headers || error.response?.headers);
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= RETRY_MAX_DELAY_MS ? retryAfterMs : null;
+    }
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** retry);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Lit les en-têtes `retry-after-ms` et `retry-after` (secondes ou date HTTP)
+   * @param {Object|undefined} headers - En-têtes de la réponse (objet simple ou AxiosHeaders)
+   * @returns {number|null} Délai en ms
+   */
+  parseRetryAfter(headers) {
+    if (!headers) return null;
+    const read = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+    const milliseconds = parseFloat(read('retry-after-ms'));
+    if (Number.isFinite(milliseconds) && milliseconds >= 0) return Math.ceil(milliseconds);
+
+    const value = read('retry-after');
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = parseFloat(value);
+    if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Attend avant une nouvelle tentative, interrompu par l'annulation de la génération
+   * @param {number} ms - Durée
+   * @param {AbortSignal} [signal] - Signal d'annulation
+   */
+  wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * État du disjoncteur d'une cible (créé à la demande)
+   * @param {string} key - "fournisseur:modèle"
+   * @returns {Object}
+   */
+  getBreaker(key) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, {
+        state: BREAKER_STATES.CLOSED,
+        consecutiveFailures: 0,
+        openedAt: null,
+        // Appel test en cours (semi-ouvert) : les autres requêtes attendent son résultat
+        probeInFlight: false,
+        lastError: null,
+        lastFailureAt: null
+      });
+    }
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Indique si une cible peut être appelée ; un disjoncteur ouvert passe en semi-ouvert
+   * une fois le refroidissement écoulé et ne laisse passer qu'un appel test à la fois,
+   * les autres requêtes sont refusées jusqu'à son résultat
+   * @param {string} key - "fournisseur:modèle"
+   * @returns {boolean}
+   */
+  allowRequest(key) {
+    const breaker = this.getBreaker(key);
+    if (breaker.state === BREAKER_STATES.CLOSED) return true;
+
+    if (breaker.state === BREAKER_STATES.OPEN) {
+      if (Date.now() - breaker.openedAt < BREAKER_COOLDOWN_MS) return false;
+      breaker.state = BREAKER_STATES.HALF_OPEN;
+      console.log(`🟡 Disjoncteur semi-ouvert pour ${key}, appel test autorisé`);
+    }
+
+    if (breaker.probeInFlight) return false;
+    breaker.probeInFlight = true;
+    return true;
+  }
+
+  /**
+   * Libère l'appel test sans conclure (annulation ou requête invalide) : la requête suivante refera le test
+   * @param {string} key - "fournisseur:modèle"
+   */
+  releaseProbe(key) {
+    this.getBreaker(key).probeInFlight = false;
+  }
+
+  /**
+   * Referme le disjoncteur après un appel réussi
+   * @param {string} key - "fournisseur:modèle"
+   */
+  recordSuccess(key) {
+    const breaker = this.getBreaker(key);
+    if (breaker.state !== BREAKER_STATES.CLOSED) {
+      console.log(`🟢 Disjoncteur refermé pour ${key}`);
+    }
+    breaker.state = BREAKER_STATES.CLOSED;
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.probeInFlight = false;
+  }
+
+  /**
+   * Compte un échec ; ouvre le disjoncteur au seuil, ou immédiatement si l'appel test échoue
+   * @param {string} key - "fournisseur:modèle"
+   * @param {Error} error - Erreur reçue
+   */
+  recordFailure(key, error) {
+    const breaker = this.getBreaker(key);
+    breaker.consecutiveFailures++;
+    breaker.lastError = error.status ? `${error.status} ${error.message}` : error.message;
+    breaker.lastFailureAt = new Date().toISOString();
+    breaker.probeInFlight = false;
+
+    const shouldOpen = breaker.state === BREAKER_STATES.HALF_OPEN
+      || (breaker.state === BREAKER_STATES.CLOSED && breaker.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD);
+
+    if (shouldOpen) {
+      breaker.state = BREAKER_STATES.OPEN;
+      breaker.openedAt = Date.now();
+      console.warn(`🔴 Disjoncteur ouvert pour ${key} pendant ${BREAKER_COOLDOWN_MS}ms (${breaker.consecutiveFailures} échecs consécutifs)`);
+    }
+  }
+
+  /**
+   * Délai avant la réouverture la plus proche parmi des cibles
+   * @param {Array<{key: string}>} candidates - Cibles
+   * @returns {number} Délai en ms
+   */
+  getShortestCooldown(candidates) {
+    const remaining = candidates
+      .map(({ key }) => this.getBreaker(key))
+      .filter(breaker => breaker.state === BREAKER_STATES.OPEN)
+      .map(breaker => Math.max(0, BREAKER_COOLDOWN_MS - (Date.now() - breaker.openedAt)));
+    return remaining.length > 0 ? Math.min(...remaining) : 0;
+  }
+
+  /**
+   * État des disjoncteurs et de la configuration, pour /api/health et /api/status
+   * @returns {Object}
+   */
+  getStatus() {
+    const breakers = [...this.breakers.entries()].map(([key, breaker]) => ({
+      target: key,
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      lastError: breaker.lastError,
+      lastFailureAt: breaker.lastFailureAt,
+      reopensInMs: breaker.state === BREAKER_STATES.OPEN
+        ? Math.max(0, BREAKER_COOLDOWN_MS - (Date.now() - breaker.openedAt))
+        : null
+    }));
+
+    return {
+      status: breakers.some(breaker => breaker.state === BREAKER_STATES.OPEN) ? 'degraded' : 'healthy',
+      breakers,
+      fallbackChain: this.getFallbackChain().map(({ provider, model }) => (model ? `${provider}:${model}` : provider)),
+      retry: {
+        maxRetries: MAX_RETRIES,
+        baseDelayMs: RETRY_BASE_DELAY_MS,
+        maxDelayMs: RETRY_MAX_DELAY_MS
+      },
+      breaker: {
+        failureThreshold: BREAKER_FAILURE_THRESHOLD,
+        cooldownMs: BREAKER_COOLDOWN_MS
+      }
+    };
+  }
+}
+
+module.exports = new LlmResilienceService();
@@ -0,0 +1,122 @@
+/**
+ * Textes des réponses générées par le serveur - arabe
+ */
+module.exports = {
+  prompt: {
+    answerLanguage: '**لغة الإجابة:** أجب باللغة العربية الفصحى فقط، مهما كانت لغة الوثائق أو هذه التعليمات. احتفظ بأسماء القوائم والنماذج والحقول في Odoo كما تظهر في الواجهة.',
+    answerLanguageReminder: 'اكتب إجابتك كاملة باللغة العربية.',
+    // Libellés des conversations récentes résumées (prompt système)
+    recentSteps: 'الخطوات الموصى بها:',
+    recentOpenQuestions: 'أسئلة معلّقة:'
+  },
+  errors: {
+    rateLimit: 'تم بلوغ الحد الأقصى للطلبات. يرجى الانتظار قليلًا.',
+    invalidKey: 'مفتاح واجهة برمجة مزوّد الذكاء الاصطناعي غير صالح أو منتهي الصلاحية.',
+    badRequest: 'طلب غير صالح. يرجى إعادة صياغة سؤالك.',
+    service: 'خطأ في خدمة الذكاء الاصطناعي. يرجى المحاولة مرة أخرى.',
+    unavailable: 'خدمة الذكاء الاصطناعي غير متاحة مؤقتًا. يرجى المحاولة بعد لحظات.',
+    quota: {
+      daily: 'لقد بلغت حصتك اليومية البالغة {limit} رمز. تتجدد الحصة عند منتصف الليل (UTC).',
+      monthly: 'لقد بلغت حصتك الشهرية البالغة {limit} رمز. تتجدد الحصة في {resetDate}.'
+    },
+    emptyAnswer: 'عذرًا، لم أتمكن من إنشاء إجابة.',
+    answer: `عذرًا، واجهت مشكلة تقنية. 😔
+
+**ما الذي حدث:**
+• حدث خطأ أثناء معالجة سؤالك
+• لم أتمكن من الوصول إلى وثائق Odoo
+
+**ما يمكنك فعله:**
+• أعد صياغة سؤالك بطريقة أخرى
+• تحقق من اتصالك بالإنترنت
+• تواصل مع الفريق التقني إذا استمرت المشكلة
+
+ما زلت في خدمتك لمساعدتك في Odoo! 🚀
+
+*خطأ تقني: {details}*`
+  },
+  rejection: {
+    greeting: 'مرحبًا! أنا **آدم**، خبير Odoo لديكم في **Schwing Stetter Algérie**. 🚀',
+    returningUser: 'أرى أننا ناقشنا مواضيع Odoo معًا من قبل. ',
+    preferredModules: 'يبدو أنك مهتم بشكل خاص بـ: **{modules}**.',
+    specialties: 'أنا متخصص في **Odoo v17** ويمكنني مساعدتك في:',
+    specialtyList: [
+      '**تطبيقات Odoo**: إدارة العملاء، المحاسبة، المبيعات، المشتريات، المخزون، الموارد البشرية، المشاريع، إلخ.',
+      '**التطوير**: واجهة API، ‏ORM، العروض، القوالب، الوحدات المخصصة',
+      '**الإدارة**: التثبيت، الإعداد، الصيانة',
+      '**الاستخدام**: سير العمل، التقارير، التكاملات، أفضل الممارسات'
+    ],
+    suggestionsTitle: '**اقتراحات بناءً على اهتماماتك:**',
+    moduleSuggestions: {
+      crm: 'كيف تحسّن مسار المبيعات في إدارة العملاء (CRM)؟',
+      hr: 'إعداد الإجازات والإدارة المتقدمة للموارد البشرية؟',
+      sales: 'أتمتة المبيعات وعروض الأسعار الذكية؟',
+      project: 'إدارة المشاريع ومتابعة المهام بكفاءة؟',
+      default: 'أسئلة متقدمة حول تطبيق {module}؟'
+    },
+    notOdoo: 'لا يبدو أن سؤالك الحالي مرتبط مباشرة بـ Odoo. هل يمكنك إعادة صياغته حتى أتمكن من مساعدتك بشكل أفضل؟',
+    examplesTitle: '**أمثلة على أسئلة يمكنني الإجابة عنها:**',
+    examples: [
+      '"كيف أُعدّ الإجازات في Odoo؟"',
+      '"إنشاء وحدة مخصصة"',
+      '"التكامل مع واجهة Odoo البرمجية"',
+      '"تحسين الأداء"'
+    ],
+    closing: 'أنا في خدمتك دائمًا! 🚀'
+  },
+  clarification: {
+    intro: 'لست متأكداً من أن سؤالك يتعلق بـ Odoo. 🤔',
+    request: 'هل يمكنك تحديد التطبيق المعني (المبيعات، المخزون، المحاسبة، الموارد البشرية...) أو ما تحاول القيام به في Odoo؟',
+    examplesTitle: '**على سبيل المثال:**',
+    examples: [
+      '"كيف ألغي أمر التسليم في المخزون؟"',
+      '"كيف أضيف حقلاً إلى نموذج جهات الاتصال؟"'
+    ]
+  },
+  suggestions: {
+    detailStep: 'هل يمكنك شرح خطوة «{topic}» بالتفصيل؟',
+    sourceTopic: 'ماذا تقول الوثائق عن «{title}»؟',
+    relatedModule: 'ما علاقة هذا بتطبيق {module}؟',
+    pitfalls: 'ما الأخطاء الشائعة التي يجب تجنبها؟',
+    example: 'هل يمكنك إعطاء مثال عملي؟',
+    starter: 'كيف يعمل «{topic}» في Odoo 17؟'
+  },
+  guide: {
+    analysis: 'تحليلي',
+    steps: 'الخطوات',
+    expectedResult: 'النتيجة المتوقعة:',
+    validation: 'التحقق',
+    furtherReading: 'للمزيد'
+  },
+  addon: {
+    models: 'النماذج',
+    tree: 'شجرة الملفات',
+    install: 'التثبيت',
+    installCopy: 'انسخ المجلد `{technicalName}` إلى أحد مجلدات `addons_path` ثم أعد تشغيل الخادم',
+    installUpdate: 'في وضع المطوّر، حدّث قائمة التطبيقات ثم ثبّت «{name}»'
+  },
+  attachments: {
+    defaultQuestion: 'حلّل المحتوى المرفق: اشرح ما يحتويه، وإذا كان يشير إلى خطأ فاذكر سببه المحتمل وطريقة إصلاحه.'
+  },
+  modules: {
+    crm: 'إدارة العملاء',
+    sales: 'المبيعات',
+    purchase: 'المشتريات',
+    inventory: 'المخزون',
+    inventory_and_mrp: 'المخزون والتصنيع',
+    manufacturing: 'التصنيع',
+    accounting: 'المحاسبة',
+    finance: 'المالية',
+    hr: 'الموارد البشرية',
+    project: 'المشاريع',
+    services: 'الخدمات',
+    website: 'الموقع الإلكتروني',
+    websites: 'المواقع الإلكترونية',
+    ecommerce: 'التجارة الإلكترونية',
+    marketing: 'التسويق',
+    productivity: 'الإنتاجية',
+    general: 'عام',
+    developer: 'التطوير',
+    administration: 'الإدارة'
+  }
+};
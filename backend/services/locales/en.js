@@ -0,0 +1,122 @@
+/**
+ * Textes des réponses générées par le serveur - anglais
+ */
+module.exports = {
+  prompt: {
+    answerLanguage: '**Response language:** Answer only in English, whatever the language of the documentation or of these instructions. Keep Odoo menu, model and field names exactly as they appear in the interface.',
+    answerLanguageReminder: 'Write your whole answer in English.',
+    // Libellés des conversations récentes résumées (prompt système)
+    recentSteps: 'Recommended steps:',
+    recentOpenQuestions: 'Open questions:'
+  },
+  errors: {
+    rateLimit: 'Rate limit reached. Please wait a moment.',
+    invalidKey: 'The AI provider API key is invalid or expired.',
+    badRequest: 'Invalid request. Please rephrase your question.',
+    service: 'AI service error. Please try again.',
+    unavailable: 'The AI service is temporarily unavailable. Please try again in a moment.',
+    quota: {
+      daily: 'You have reached your daily quota of {limit} tokens. It resets at midnight (UTC).',
+      monthly: 'You have reached your monthly quota of {limit} tokens. It resets on {resetDate}.'
+    },
+    emptyAnswer: 'Sorry, I could not generate an answer.',
+    answer: `Sorry, I ran into a technical problem. 😔
+
+**What happened:**
+• An error occurred while processing your question
+• I could not access the Odoo documentation
+
+**What you can do:**
+• Rephrase your question
+• Check your internet connection
+• Contact the technical team if the problem persists
+
+I'm still here to help you with Odoo! 🚀
+
+*Technical error: {details}*`
+  },
+  rejection: {
+    greeting: 'Hello! I\'m **Adam**, your Odoo expert at **Schwing Stetter Algérie**. 🚀',
+    returningUser: 'I see we have already discussed Odoo topics together. ',
+    preferredModules: 'You seem particularly interested in: **{modules}**.',
+    specialties: 'I specialize in **Odoo v17** and can help you with:',
+    specialtyList: [
+      '**Odoo apps**: CRM, Accounting, Sales, Purchase, Inventory, HR, Projects, etc.',
+      '**Development**: API, ORM, Views, Templates, Custom modules',
+      '**Administration**: Installation, Configuration, Maintenance',
+      '**Daily use**: Workflows, Reports, Integrations, Best practices'
+    ],
+    suggestionsTitle: '**Suggestions based on your interests:**',
+    moduleSuggestions: {
+      crm: 'How can you streamline your sales pipeline in CRM?',
+      hr: 'Time off configuration and advanced HR management?',
+      sales: 'Sales automation and smart quotations?',
+      project: 'Efficient project management and task tracking?',
+      default: 'Advanced questions about the {module} app?'
+    },
+    notOdoo: 'Your question does not seem to be directly related to Odoo. Could you rephrase it so I can help you best?',
+    examplesTitle: '**Examples of questions I can answer:**',
+    examples: [
+      '"How do I configure time off in Odoo?"',
+      '"Creating a custom module"',
+      '"Integrating with the Odoo API"',
+      '"Improving performance"'
+    ],
+    closing: 'I\'m at your disposal! 🚀'
+  },
+  clarification: {
+    intro: 'I am not sure your question is about Odoo. 🤔',
+    request: 'Could you tell me which application it concerns (Sales, Inventory, Accounting, HR...) or what you are trying to do in Odoo?',
+    examplesTitle: '**For example:**',
+    examples: [
+      '"How do I cancel a delivery order in Inventory?"',
+      '"How do I add a field to the contact form view?"'
+    ]
+  },
+  suggestions: {
+    detailStep: 'Can you go into more detail on "{topic}"?',
+    sourceTopic: 'What does the documentation say about "{title}"?',
+    relatedModule: 'How does this relate to the {module} app?',
+    pitfalls: 'What are the common mistakes to avoid?',
+    example: 'Can you give a concrete example?',
+    starter: 'How does "{topic}" work in Odoo 17?'
+  },
+  guide: {
+    analysis: 'My analysis',
+    steps: 'Steps',
+    expectedResult: 'Expected result:',
+    validation: 'Validation',
+    furtherReading: 'Going further'
+  },
+  addon: {
+    models: 'Models',
+    tree: 'File tree',
+    install: 'Installation',
+    installCopy: 'Copy the `{technicalName}` folder into a directory of your `addons_path` and restart the server',
+    installUpdate: 'In developer mode, update the apps list then install "{name}"'
+  },
+  attachments: {
+    defaultQuestion: 'Analyze the attached content: explain what it contains and, if it reports an error, its likely cause and how to fix it.'
+  },
+  modules: {
+    crm: 'CRM',
+    sales: 'Sales',
+    purchase: 'Purchase',
+    inventory: 'Inventory',
+    inventory_and_mrp: 'Inventory & Manufacturing',
+    manufacturing: 'Manufacturing',
+    accounting: 'Accounting',
+    finance: 'Finance',
+    hr: 'Human Resources',
+    project: 'Project',
+    services: 'Services',
+    website: 'Website',
+    websites: 'Websites',
+    ecommerce: 'eCommerce',
+    marketing: 'Marketing',
+    productivity: 'Productivity',
+    general: 'General',
+    developer: 'Development',
+    administration: 'Administration'
+  }
+};
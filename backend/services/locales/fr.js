@@ -0,0 +1,122 @@
+/**
+ * Textes des réponses générées par le serveur - français
+ */
+module.exports = {
+  prompt: {
+    answerLanguage: '**Langue de réponse :** Réponds uniquement en français, quelle que soit la langue de la documentation fournie. Garde les noms de menus, de modèles et de champs Odoo tels qu\'ils apparaissent dans l\'interface.',
+    answerLanguageReminder: 'Rédige toute ta réponse en français.',
+    // Libellés des conversations récentes résumées (prompt système)
+    recentSteps: 'Étapes recommandées :',
+    recentOpenQuestions: 'En suspens :'
+  },
+  errors: {
+    rateLimit: 'Limite de taux atteinte. Veuillez patienter quelques instants.',
+    invalidKey: 'Clé API du fournisseur IA invalide ou expirée.',
+    badRequest: 'Requête invalide. Veuillez reformuler votre question.',
+    service: 'Erreur du service IA. Veuillez réessayer.',
+    unavailable: 'Le service IA est temporairement indisponible. Veuillez réessayer dans quelques instants.',
+    quota: {
+      daily: 'Vous avez atteint votre quota journalier de {limit} tokens. Il sera renouvelé à minuit (UTC).',
+      monthly: 'Vous avez atteint votre quota mensuel de {limit} tokens. Il sera renouvelé le {resetDate}.'
+    },
+    emptyAnswer: 'Désolé, je n\'ai pas pu générer une réponse.',
+    answer: `Désolé, j'ai rencontré une difficulté technique. 😔
+
+**Ce qui s'est passé :**
+• Une erreur s'est produite lors du traitement de votre question
+• Je n'ai pas pu accéder à la documentation Odoo
+
+**Ce que vous pouvez faire :**
+• Reformulez votre question différemment
+• Vérifiez votre connexion internet
+• Contactez l'équipe technique si le problème persiste
+
+Je reste à votre disposition pour vous aider avec Odoo ! 🚀
+
+*Erreur technique : {details}*`
+  },
+  rejection: {
+    greeting: 'Bonjour ! Je suis **Adam**, votre expert Odoo chez **Schwing Stetter Algérie**. 🚀',
+    returningUser: 'Je vois que nous avons déjà discuté de sujets Odoo ensemble. ',
+    preferredModules: 'Vous semblez particulièrement intéressé(e) par : **{modules}**.',
+    specialties: 'Je suis spécialisé dans **Odoo v17** et je peux vous aider avec :',
+    specialtyList: [
+      '**Modules Odoo** : CRM, Comptabilité, Ventes, Achats, Stock, RH, Projets, etc.',
+      '**Développement** : API, ORM, Vues, Templates, Extensions personnalisées',
+      '**Administration** : Installation, Configuration, Maintenance',
+      '**Utilisation** : Workflows, Rapports, Intégrations, Bonnes pratiques'
+    ],
+    suggestionsTitle: '**Suggestions basées sur vos intérêts :**',
+    moduleSuggestions: {
+      crm: 'Comment optimiser votre processus commercial dans le CRM ?',
+      hr: 'Configuration des congés et gestion RH avancée ?',
+      sales: 'Automatisation des ventes et devis intelligents ?',
+      project: 'Gestion de projets et suivi des tâches efficace ?',
+      default: 'Questions avancées sur le module {module} ?'
+    },
+    notOdoo: 'Votre question actuelle ne semble pas directement liée à Odoo. Pourriez-vous la reformuler pour que je puisse vous aider au mieux ?',
+    examplesTitle: '**Exemples de questions que je peux traiter :**',
+    examples: [
+      '"Comment configurer les congés dans Odoo ?"',
+      '"Création d\'un module personnalisé"',
+      '"Intégration de l\'API Odoo"',
+      '"Optimisation des performances"'
+    ],
+    closing: 'Je reste à votre entière disposition ! 🚀'
+  },
+  clarification: {
+    intro: 'Je ne suis pas certain que votre question concerne Odoo. 🤔',
+    request: 'Pouvez-vous préciser l\'application concernée (Ventes, Stock, Comptabilité, RH...) ou ce que vous cherchez à faire dans Odoo ?',
+    examplesTitle: '**Par exemple :**',
+    examples: [
+      '"Comment annuler un bon de livraison dans Stock ?"',
+      '"Comment ajouter un champ à la vue formulaire des contacts ?"'
+    ]
+  },
+  suggestions: {
+    detailStep: 'Pouvez-vous détailler l\'étape « {topic} » ?',
+    sourceTopic: 'Que dit la documentation sur « {title} » ?',
+    relatedModule: 'Comment relier ce point au module {module} ?',
+    pitfalls: 'Quelles sont les erreurs fréquentes à éviter ?',
+    example: 'Pouvez-vous donner un exemple concret ?',
+    starter: 'Comment fonctionne « {topic} » dans Odoo 17 ?'
+  },
+  guide: {
+    analysis: 'Mon analyse',
+    steps: 'Étapes',
+    expectedResult: 'Résultat attendu :',
+    validation: 'Validation',
+    furtherReading: 'Pour aller plus loin'
+  },
+  addon: {
+    models: 'Modèles',
+    tree: 'Arborescence',
+    install: 'Installation',
+    installCopy: 'Copiez le dossier `{technicalName}` dans un répertoire de votre `addons_path` et redémarrez le serveur',
+    installUpdate: 'En mode développeur, mettez à jour la liste des applications puis installez « {name} »'
+  },
+  attachments: {
+    defaultQuestion: 'Analyse le contenu joint : explique ce qu\'il contient et, s\'il signale une erreur, sa cause probable et comment la corriger.'
+  },
+  modules: {
+    crm: 'CRM',
+    sales: 'Ventes',
+    purchase: 'Achats',
+    inventory: 'Inventaire',
+    inventory_and_mrp: 'Inventaire et fabrication',
+    manufacturing: 'Fabrication',
+    accounting: 'Comptabilité',
+    finance: 'Finance',
+    hr: 'Ressources humaines',
+    project: 'Projet',
+    services: 'Services',
+    website: 'Site web',
+    websites: 'Sites web',
+    ecommerce: 'eCommerce',
+    marketing: 'Marketing',
+    productivity: 'Productivité',
+    general: 'Général',
+    developer: 'Développement',
+    administration: 'Administration'
+  }
+};
@@ -0,0 +1,115 @@
+const axios = require('axios');
+const { serializeMethodCall, parseMethodResponse } = require('./xmlRpc');
+
+// Méthodes de modèle autorisées : lecture seule
+const READ_METHODS = ['fields_get', 'search_count', 'search_read'];
+
+/**
+ * Client RPC d'une instance Odoo en lecture seule
+ *
+ * Deux protocoles, mêmes services (common, object) :
+ * - jsonrpc : POST /jsonrpc { service, method, args }
+ * - xmlrpc  : POST /xmlrpc/2/<service>
+ *
+ * Seules les méthodes de READ_METHODS peuvent être appelées sur les modèles ;
+ * l'utilisateur Odoo du connecteur reste soumis à ses propres droits d'accès.
+ */
+class OdooRpcClient {
+  /**
+   * @param {Object} config - { url, database, username, apiKey, protocol: 'jsonrpc'|'xmlrpc', timeout }
+   */
+  constructor(config = {}) {
+    this.url = (config.url || '').replace(/\/+$/, '');
+    this.database = config.database;
+    this.username = config.username;
+    this.apiKey = config.apiKey;
+    this.protocol = config.protocol === 'xmlrpc' ? 'xmlrpc' : 'jsonrpc';
+    this.timeout = parseInt(config.timeout) || 15000;
+    this.uid = null;
+    this.requestId = 0;
+  }
+
+  /**
+   * Appelle une méthode d'un service RPC
+   * @param {string} service - common ou object
+   * @param {string} method - Méthode du service
+   * @param {Array} args - Paramètres positionnels
+   * @returns {Promise<*>}
+   */
+  async call(service, method, args = []) {
+    try {
+      if (this.protocol === 'xmlrpc') {
+        const { data } = await axios.post(`${this.url}/xmlrpc/2/${service}`, serializeMethodCall(method, args), {
+          timeout: this.timeout,
+          headers: { 'Content-Type': 'text/xml' },
+          responseType: 'text'
+        });
+        return parseMethodResponse(data);
+      }
+
+      const { data } = await axios.post(`${this.url}/jsonrpc`, {
+        jsonrpc: '2.0',
+        method: 'call',
+        params: { service, method, args },
+        id: ++this.requestId
+      }, { timeout: this.timeout });
+
+      if (data.error) {
+        const error = new Error(data.error.data?.message || data.error.message || 'Erreur JSON-RPC');
+        error.code = data.error.code;
+        throw error;
+      }
+      return data.result;
+    } catch (error) {
+      if (error.response) {
+        error.message = `Odoo a répondu ${error.response.status} (${this.url})`;
+      } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.code === 'ECONNABORTED') {
+        error.message = `Instance Odoo injoignable (${this.url}) : ${error.code}`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Version du serveur Odoo (sans authentification)
+   * @returns {Promise<Object>} { server_version, server_version_info, ... }
+   */
+  version() {
+    return this.call('common', 'version');
+  }
+
+  /**
+   * Authentifie l'utilisateur du connecteur (identifiant conservé pour les appels suivants)
+   * @returns {Promise<number>} Identifiant de l'utilisateur Odoo
+   */
+  async authenticate() {
+    const uid = await this.call('common', 'login', [this.database, this.username, this.apiKey]);
+    if (!uid) {
+      const error = new Error('Authentification Odoo refusée : vérifiez la base, l\'identifiant et la clé d\'API');
+      error.code = 'ODOO_AUTH_FAILED';
+      throw error;
+    }
+    this.uid = uid;
+    return uid;
+  }
+
+  /**
+   * Appelle une méthode de lecture sur un modèle (execute_kw)
+   * @param {string} model - Modèle Odoo (hr.leave.type)
+   * @param {string} method - Méthode de READ_METHODS
+   * @param {Array} [args] - Paramètres positionnels
+   * @param {Object} [kwargs] - Paramètres nommés
+   * @returns {Promise<*>}
+   */
+  async executeKw(model, method, args = [], kwargs = {}) {
+    if (!READ_METHODS.includes(method)) {
+      throw new Error(`Méthode ${method} refusée : le connecteur Odoo est en lecture seule`);
+    }
+    if (!this.uid) await this.authenticate();
+    return this.call('object', 'execute_kw', [this.database, this.uid, this.apiKey, model, method, args, kwargs]);
+  }
+}
+
+OdooRpcClient.READ_METHODS = READ_METHODS;
+
+module.exports = OdooRpcClient;
@@ -0,0 +1,182 @@
+/**
+ * Encodage et lecture des messages XML-RPC (protocole /xmlrpc/2 d'Odoo)
+ *
+ * Types pris en charge : int, i4, i8, boolean, double, string, nil, array, struct,
+ * dateTime.iso8601 et base64 (lus comme chaînes).
+ */
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+/**
+ * Arbre minimal d'un document XML : { name, children, text }
+ * Suffisant pour XML-RPC (pas d'attributs, pas de contenu mixte significatif).
+ */
+const parseXml = (xml) => {
+  const root = { name: '#document', children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w.:-]*)[^>]*?(\/?)>/g;
+  let position = 0;
+  let match;
+
+  while ((match = tagPattern.exec(xml))) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(xml.slice(position, match.index));
+    position = tagPattern.lastIndex;
+
+    const [, cdata, closing, name, selfClosing] = match;
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (!name) {
+      continue;
+    } else if (closing) {
+      if (current.name !== name || stack.length === 1) {
+        throw new Error(`XML-RPC invalide : balise </${name}> inattendue`);
+      }
+      stack.pop();
+    } else {
+      const node = { name, children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`XML-RPC invalide : balise <${stack[stack.length - 1].name}> non fermée`);
+  }
+  return root;
+};
+
+const child = (node, name) => node?.children.find(item => item.name === name) || null;
+
+const encodeValue = (value) => {
+  if (value === null || value === undefined) return '<nil/>';
+  if (typeof value === 'boolean') return `<boolean>${value ? 1 : 0}</boolean>`;
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? `<int>${value}</int>` : `<double>${value}</double>`;
+  }
+  if (typeof value === 'string') return `<string>${escapeXml(value)}</string>`;
+  if (value instanceof Date) return `<dateTime.iso8601>${value.toISOString()}</dateTime.iso8601>`;
+  if (Array.isArray(value)) {
+    return `<array><data>${value.map(item => `<value>${encodeValue(item)}</value>`).join('')}</data></array>`;
+  }
+  const members = Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => `<member><name>${escapeXml(key)}</name><value>${encodeValue(item)}</value></member>`);
+  return `<struct>${members.join('')}</struct>`;
+};
+
+const decodeValue = (valueNode) => {
+  // <value>texte</value> sans type : chaîne
+  const typed = valueNode.children[0];
+  if (!typed) return valueNode.text;
+
+  switch (typed.name) {
+    case 'int':
+    case 'i4':
+    case 'i8':
+      return parseInt(typed.text.trim(), 10);
+    case 'boolean':
+      return typed.text.trim() === '1';
+    case 'double':
+      return parseFloat(typed.text.trim());
+    case 'string':
+    case 'dateTime.iso8601':
+    case 'base64':
+      return typed.text;
+    case 'nil':
+      return null;
+    case 'array':
+      return (child(typed, 'data')?.children || [])
+        .filter(item => item.name === 'value')
+        .map(decodeValue);
+    case 'struct':
+      return Object.fromEntries(typed.children
+        .filter(member => member.name === 'member')
+        .map(member => [child(member, 'name')?.text ?? '', decodeValue(child(member, 'value'))]));
+    default:
+      throw new Error(`XML-RPC invalide : type ${typed.name} non pris en charge`);
+  }
+};
+
+const decodeParams = (paramsNode) => (paramsNode?.children || [])
+  .filter(param => param.name === 'param')
+  .map(param => decodeValue(child(param, 'value')));
+
+const encodeParams = (params) =>
+  `<params>${params.map(param => `<param><value>${encodeValue(param)}</value></param>`).join('')}</params>`;
+
+/**
+ * Requête XML-RPC
+ * @param {string} method - Méthode appelée (login, execute_kw...)
+ * @param {Array} params - Paramètres positionnels
+ * @returns {string}
+ */
+const serializeMethodCall = (method, params = []) =>
+  `<?xml version="1.0"?><methodCall><methodName>${escapeXml(method)}</methodName>${encodeParams(params)}</methodCall>`;
+
+/**
+ * Réponse XML-RPC (résultat ou erreur)
+ * @param {*} result - Valeur renvoyée
+ * @param {{code: number, message: string}|null} [fault] - Erreur à renvoyer à la place du résultat
+ * @returns {string}
+ */
+const serializeMethodResponse = (result, fault = null) => fault
+  ? `<?xml version="1.0"?><methodResponse><fault><value>${encodeValue({ faultCode: fault.code, faultString: fault.message })}</value></fault></methodResponse>`
+  : `<?xml version="1.0"?><methodResponse>${encodeParams([result])}</methodResponse>`;
+
+/**
+ * Lit une requête XML-RPC
+ * @param {string} xml - Corps de la requête
+ * @returns {{method: string, params: Array}}
+ */
+const parseMethodCall = (xml) => {
+  const call = child(parseXml(xml), 'methodCall');
+  if (!call) throw new Error('XML-RPC invalide : methodCall attendu');
+  return {
+    method: child(call, 'methodName')?.text.trim() || '',
+    params: decodeParams(child(call, 'params'))
+  };
+};
+
+/**
+ * Lit une réponse XML-RPC
+ * @param {string} xml - Corps de la réponse
+ * @returns {*} Valeur renvoyée
+ * @throws {Error} Erreur XML-RPC (fault), avec `code` et `faultString`
+ */
+const parseMethodResponse = (xml) => {
+  const response = child(parseXml(xml), 'methodResponse');
+  if (!response) throw new Error('XML-RPC invalide : methodResponse attendu');
+
+  const fault = child(response, 'fault');
+  if (fault) {
+    const { faultCode, faultString } = decodeValue(child(fault, 'value')) || {};
+    // Odoo renvoie la trace Python complète : le message est sur sa dernière ligne
+    const lines = String(faultString || 'Erreur XML-RPC').split('\n').map(line => line.trim()).filter(Boolean);
+    const error = new Error(lines[0].startsWith('Traceback') ? lines[lines.length - 1] : lines[0]);
+    error.code = faultCode;
+    error.faultString = faultString;
+    throw error;
+  }
+
+  return decodeParams(child(response, 'params'))[0];
+};
+
+module.exports = {
+  serializeMethodCall,
+  serializeMethodResponse,
+  parseMethodCall,
+  parseMethodResponse
+};
@@ -0,0 +1,368 @@
+/**
+ * Connecteur en lecture seule vers une instance Odoo (JSON-RPC ou XML-RPC)
+ *
+ * Donne au modèle des outils pour répondre à partir de la base réelle de l'entreprise :
+ * - odoo_list_modules(search) : modules installés
+ * - odoo_get_fields(model) : champs d'un modèle (fields_get)
+ * - odoo_count_records(model, domain) : nombre d'enregistrements
+ * - odoo_search_records(model, domain, fields, limit) : recherche d'enregistrements
+ *
+ * La connexion utilisée est celle de la conversation (profil OdooConnection de l'utilisateur),
+ * sinon celle de l'environnement (ODOO_URL...).
+ *
+ * Les modèles interrogeables sont limités à une liste autorisée (ODOO_ALLOWED_MODELS) et
+ * seules des méthodes de lecture sont appelées (voir OdooRpcClient). Les domaines de
+ * recherche sont validés avant l'envoi.
+ */
+
+const OdooRpcClient = require('./odoo/odooRpcClient');
+const credentialCryptoService = require('./credentialCryptoService');
+
+// Modèles de configuration interrogeables par défaut
+const DEFAULT_ALLOWED_MODELS = [
+  'res.company', 'res.currency', 'res.country', 'res.lang',
+  'hr.department', 'hr.job', 'hr.leave.type', 'resource.calendar',
+  'product.category', 'uom.uom', 'uom.category', 'product.pricelist',
+  'account.journal', 'account.tax', 'account.payment.term', 'account.fiscal.position',
+  'stock.warehouse', 'stock.location', 'stock.picking.type', 'stock.route',
+  'crm.stage', 'crm.team', 'project.project', 'project.task.type',
+  'mrp.workcenter', 'mail.activity.type'
+];
+
+const ALLOWED_MODELS = process.env.ODOO_ALLOWED_MODELS
+  ? process.env.ODOO_ALLOWED_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_MODELS;
+
+// Opérateurs de domaine acceptés
+const DOMAIN_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'like', 'not like', 'ilike', 'not ilike', '=like', '=ilike', 'in', 'not in', 'child_of', 'parent_of'];
+const DOMAIN_LOGIC = ['&', '|', '!'];
+const MAX_DOMAIN_TERMS = 10;
+
+// Limites des résultats renvoyés au modèle
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 25;
+const MAX_SEARCH_FIELDS = 15;
+const MAX_FIELDS_RETURNED = 150;
+const MAX_MODULES_RETURNED = 300;
+
+const FIELD_NAME_PATTERN = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/;
+const MODEL_NAME_PATTERN = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/;
+
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'odoo_list_modules',
+      description: 'Liste les modules (applications) installés dans la base Odoo de l\'utilisateur.',
+      parameters: {
+        type: 'object',
+        properties: {
+          search: { type: 'string', description: 'Filtre sur le nom technique ou le nom du module, par exemple "timesheet", facultatif' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'odoo_get_fields',
+      description: 'Renvoie les champs d\'un modèle de la base Odoo de l\'utilisateur (nom, libellé, type, relation).',
+      parameters: {
+        type: 'object',
+        properties: {
+          model: { type: 'string', description: 'Nom technique du modèle, par exemple "hr.leave.type"' }
+        },
+        required: ['model']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'odoo_count_records',
+      description: 'Compte les enregistrements d\'un modèle de la base Odoo de l\'utilisateur, éventuellement filtrés par un domaine Odoo.',
+      parameters: {
+        type: 'object',
+        properties: {
+          model: { type: 'string', description: 'Nom technique du modèle' },
+          domain: { type: 'array', description: 'Domaine Odoo, par exemple [["active", "=", true]], facultatif', items: {} }
+        },
+        required: ['model']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'odoo_search_records',
+      description: 'Recherche des enregistrements d\'un modèle de la base Odoo de l\'utilisateur et renvoie les champs demandés.',
+      parameters: {
+        type: 'object',
+        properties: {
+          model: { type: 'string', description: 'Nom technique du modèle' },
+          domain: { type: 'array', description: 'Domaine Odoo, facultatif', items: {} },
+          fields: { type: 'array', description: 'Champs à renvoyer (display_name par défaut)', items: { type: 'string' } },
+          limit: { type: 'integer', description: `Nombre maximum d'enregistrements (${SEARCH_DEFAULT_LIMIT} par défaut, ${SEARCH_MAX_LIMIT} au plus)` }
+        },
+        required: ['model']
+      }
+    }
+  }
+];
+
+const TOOL_NAMES = TOOL_DEFINITIONS.map(tool => tool.function.name);
+
+class OdooConnectorService {
+  constructor() {
+    // Clients par instance et utilisateur Odoo (l'authentification est conservée)
+    this.clients = new Map();
+  }
+
+  /**
+   * Connexion définie par l'environnement (ODOO_URL, ODOO_DB, ODOO_USERNAME, ODOO_API_KEY)
+   * @returns {Object|null} { url, database, username, apiKey, protocol, timeout }
+   */
+  getDefaultConnection() {
+    const { ODOO_URL, ODOO_DB, ODOO_USERNAME, ODOO_API_KEY } = process.env;
+    if (!ODOO_URL || !ODOO_DB || !ODOO_USERNAME || !ODOO_API_KEY) return null;
+    return {
+      url: ODOO_URL,
+      database: ODOO_DB,
+      username: ODOO_USERNAME,
+      apiKey: ODOO_API_KEY,
+      protocol: process.env.ODOO_PROTOCOL || 'jsonrpc',
+      timeout: process.env.ODOO_TIMEOUT_MS
+    };
+  }
+
+  /**
+   * Connexion d'un profil enregistré par un utilisateur (clé d'API déchiffrée)
+   * @param {Object} profile - Enregistrement OdooConnection
+   * @returns {Object} { url, database, username, apiKey, protocol, timeout }
+   */
+  fromProfile(profile) {
+    return {
+      url: profile.url,
+      database: profile.database,
+      username: profile.username,
+      apiKey: credentialCryptoService.decrypt(profile.apiKeyEncrypted),
+      protocol: profile.protocol,
+      timeout: process.env.ODOO_TIMEOUT_MS
+    };
+  }
+
+  /**
+   * Vérifie une connexion : version du serveur puis authentification
+   * @param {Object} connection - Connexion à tester
+   * @returns {Promise<{serverVersion: string, uid: number}>}
+   */
+  async testConnection(connection) {
+    // Client dédié : le test ne doit pas réutiliser une authentification en cache
+    const client = new OdooRpcClient(connection);
+    const version = await client.version();
+    const uid = await client.authenticate();
+    return { serverVersion: version?.server_version || null, uid };
+  }
+
+  /**
+   * Indique si une instance Odoo est configurée
+   * @param {Object} [connection] - Connexion à utiliser, celle de l'environnement par défaut
+   * @returns {boolean}
+   */
+  isConfigured(connection = null) {
+    return Boolean(connection || this.getDefaultConnection());
+  }
+
+  /**
+   * Client RPC d'une connexion
+   * @param {Object} [connection] - Connexion à utiliser, celle de l'environnement par défaut
+   * @returns {OdooRpcClient}
+   */
+  getClient(connection = null) {
+    const config = connection || this.getDefaultConnection();
+    if (!config) throw new Error('Aucune instance Odoo configurée');
+
+    const key = [config.protocol, config.url, config.database, config.username, config.apiKey].join('|');
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new OdooRpcClient(config));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * Modèles interrogeables avec les outils
+   * @returns {string[]}
+   */
+  getAllowedModels() {
+    return ALLOWED_MODELS;
+  }
+
+  /**
+   * Définitions des outils à envoyer au modèle
+   * @returns {Array<Object>}
+   */
+  getToolDefinitions() {
+    return TOOL_DEFINITIONS;
+  }
+
+  /**
+   * Indique si un outil appartient au connecteur
+   * @param {string} name - Nom de l'outil
+   * @returns {boolean}
+   */
+  hasTool(name) {
+    return TOOL_NAMES.includes(name);
+  }
+
+  /**
+   * Consigne ajoutée au prompt système quand les outils du connecteur sont proposés
+   * @returns {string}
+   */
+  getInstructions() {
+    return `**Base Odoo de l'utilisateur :** les outils odoo_* interrogent en lecture seule la base Odoo de l'entreprise (modules installés, champs d'un modèle, comptage et recherche d'enregistrements). Modèles interrogeables : ${ALLOWED_MODELS.join(', ')}. Utilise-les quand la question porte sur la configuration réelle de la base, et précise alors que l'information vient de la base de l'utilisateur (« dans votre base, ... »).`;
+  }
+
+  /**
+   * Exécute un appel d'outil demandé par le modèle
+   * @param {string} name - Nom de l'outil
+   * @param {Object} args - Arguments fournis par le modèle
+   * @param {Object} [connection] - Connexion à utiliser, celle de l'environnement par défaut
+   * @returns {Promise<{result: Object, summary: Object}>} Résultat envoyé au modèle et résumé pour le journal
+   */
+  async executeTool(name, args = {}, connection = null) {
+    const client = this.getClient(connection);
+    switch (name) {
+      case 'odoo_list_modules':
+        return this.listModules(client, args);
+      case 'odoo_get_fields':
+        return this.getFields(client, args);
+      case 'odoo_count_records':
+        return this.countRecords(client, args);
+      case 'odoo_search_records':
+        return this.searchRecords(client, args);
+      default:
+        throw new Error(`Outil inconnu : ${name}`);
+    }
+  }
+
+  async listModules(client, { search = null }) {
+    const domain = [['state', '=', 'installed']];
+    if (typeof search === 'string' && search.trim()) {
+      domain.push('|', ['name', 'ilike', search.trim()], ['shortdesc', 'ilike', search.trim()]);
+    }
+
+    const modules = await client.executeKw('ir.module.module', 'search_read', [domain], {
+      fields: ['name', 'shortdesc', 'latest_version'],
+      order: 'name',
+      limit: MAX_MODULES_RETURNED
+    });
+
+    return {
+      result: {
+        search,
+        modules: modules.map(module => ({ name: module.name, title: module.shortdesc, version: module.latest_version || null }))
+      },
+      summary: { resultCount: modules.length }
+    };
+  }
+
+  async getFields(client, { model }) {
+    this.assertModelAllowed(model);
+
+    const fields = await client.executeKw(model, 'fields_get', [], {
+      attributes: ['string', 'type', 'required', 'relation', 'selection']
+    });
+
+    const entries = Object.entries(fields);
+    return {
+      result: {
+        model,
+        fields: entries.slice(0, MAX_FIELDS_RETURNED).map(([field, attributes]) => ({
+          name: field,
+          label: attributes.string,
+          type: attributes.type,
+          required: Boolean(attributes.required),
+          ...(attributes.relation ? { relation: attributes.relation } : {}),
+          ...(Array.isArray(attributes.selection) ? { selection: attributes.selection.map(([value]) => value) } : {})
+        })),
+        truncated: entries.length > MAX_FIELDS_RETURNED
+      },
+      summary: { model, fieldCount: entries.length }
+    };
+  }
+
+  async countRecords(client, { model, domain = [] }) {
+    this.assertModelAllowed(model);
+    const validDomain = this.validateDomain(domain);
+
+    const count = await client.executeKw(model, 'search_count', [validDomain]);
+    return {
+      result: { model, domain: validDomain, count },
+      summary: { model, count }
+    };
+  }
+
+  async searchRecords(client, { model, domain = [], fields = ['display_name'], limit = SEARCH_DEFAULT_LIMIT }) {
+    this.assertModelAllowed(model);
+    const validDomain = this.validateDomain(domain);
+
+    if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_SEARCH_FIELDS
+      || fields.some(field => typeof field !== 'string' || !FIELD_NAME_PATTERN.test(field))) {
+      throw new Error(`Le paramètre fields doit être une liste de 1 à ${MAX_SEARCH_FIELDS} noms de champs`);
+    }
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+
+    const records = await client.executeKw(model, 'search_read', [validDomain], { fields, limit: safeLimit });
+    return {
+      result: { model, domain: validDomain, records },
+      summary: { model, resultCount: records.length, recordIds: records.map(record => record.id) }
+    };
+  }
+
+  /**
+   * Vérifie qu'un modèle fait partie de la liste autorisée
+   * @param {string} model - Nom technique du modèle
+   */
+  assertModelAllowed(model) {
+    if (typeof model !== 'string' || !MODEL_NAME_PATTERN.test(model)) {
+      throw new Error('Le paramètre model est requis (nom technique, par exemple "hr.leave.type")');
+    }
+    if (!ALLOWED_MODELS.includes(model)) {
+      throw new Error(`Modèle ${model} non autorisé (voir les modèles interrogeables dans les consignes)`);
+    }
+  }
+
+  /**
+   * Valide un domaine de recherche Odoo : opérateurs logiques et conditions [champ, opérateur, valeur]
+   * @param {Array} domain - Domaine fourni par le modèle
+   * @returns {Array} Domaine validé
+   */
+  validateDomain(domain) {
+    if (domain === null || domain === undefined) return [];
+    if (!Array.isArray(domain)) throw new Error('Le domaine doit être une liste');
+    if (domain.length > MAX_DOMAIN_TERMS) throw new Error(`Le domaine est limité à ${MAX_DOMAIN_TERMS} éléments`);
+
+    const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+    return domain.map((term, index) => {
+      if (DOMAIN_LOGIC.includes(term)) return term;
+      if (!Array.isArray(term) || term.length !== 3) {
+        throw new Error(`Domaine, élément ${index + 1} : [champ, opérateur, valeur] ou opérateur logique attendu`);
+      }
+
+      const [field, operator, value] = term;
+      if (typeof field !== 'string' || !FIELD_NAME_PATTERN.test(field)) {
+        throw new Error(`Domaine, élément ${index + 1} : nom de champ invalide`);
+      }
+      if (!DOMAIN_OPERATORS.includes(operator)) {
+        throw new Error(`Domaine, élément ${index + 1} : opérateur ${operator} non pris en charge`);
+      }
+      if (!isScalar(value) && !(Array.isArray(value) && value.every(isScalar))) {
+        throw new Error(`Domaine, élément ${index + 1} : valeur invalide`);
+      }
+      return [field, operator, value];
+    });
+  }
+}
+
+module.exports = new OdooConnectorService();
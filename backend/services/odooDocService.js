@@ -978,6 +978,38 @@ class OdooDocumentationService {
     return content.substring(0, 200) + '...';
   }
 
+  /**
+   * Classe des passages hors index (pièces jointes) avec le scoring de la recherche documentaire
+   * @param {string} query - Question de l'utilisateur
+   * @param {Array} passages - Passages { title, content }
+   * @returns {number[]} Score de chaque passage, dans l'ordre reçu
+   */
+  scorePassages(query, passages) {
+    // Termes réduits aux lettres et chiffres : ils servent aussi d'expression régulière
+    const searchTerms = this.preprocessSearchTerms(query)
+      .map(term => term.replace(/[^\p{L}\p{N}_-]/gu, ''))
+      .filter(term => term.length > 2);
+    const queryType = this.detectQueryType(query);
+
+    return passages.map(passage => {
+      const doc = {
+        title: passage.title || '',
+        content: passage.content,
+        description: '',
+        section: '',
+        subsection: '',
+        wordCount: passage.content.split(/\s+/).length
+      };
+      return this.calculateAdaptiveScore(doc, searchTerms, query, queryType, {
+        titleLower: doc.title.toLowerCase(),
+        contentLower: doc.content.toLowerCase(),
+        descLower: '',
+        isHRQuery: queryType.includes('hr'),
+        contextualTerms: []
+      });
+    });
+  }
+
   /**
    * Obtient les statistiques de la documentation
    */
@@ -0,0 +1,234 @@
+/**
+ * Service des templates de prompts versionnés
+ *
+ * - Chaque clé (assistant.system, generation.user...) a une version par défaut dans le code
+ *   (version 0, services/prompts/defaultTemplates.js) et des versions enregistrées en base
+ * - La version active d'une clé est utilisée pour tous les utilisateurs, sauf pendant une expérience
+ * - Une expérience répartit les utilisateurs entre plusieurs versions d'une même clé (variantes A/B) ;
+ *   l'affectation est stable (hachage de l'utilisateur) et enregistrée sur chaque réponse
+ * - Les versions actives et l'expérience en cours sont gardées en mémoire quelques secondes
+ */
+
+const crypto = require('crypto');
+const databaseService = require('./databaseService');
+const DEFAULT_TEMPLATES = require('./prompts/defaultTemplates');
+
+// Durée de conservation des templates actifs en mémoire (ms)
+const TEMPLATE_CACHE_TTL_MS = 30 * 1000;
+
+const TAG_PATTERN = /\{\{([#^/]?)(\w+)\}\}/g;
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+class PromptTemplateService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Clés de templates connues
+   * @returns {string[]}
+   */
+  getKeys() {
+    return Object.keys(DEFAULT_TEMPLATES);
+  }
+
+  /**
+   * Indique si une clé de template existe
+   * @param {string} key - Clé du template
+   * @returns {boolean}
+   */
+  isKnownKey(key) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, key);
+  }
+
+  /**
+   * Template par défaut d'une clé
+   * @param {string} key - Clé du template
+   * @returns {{description: string, variables: string[], content: string}}
+   */
+  getDefault(key) {
+    return DEFAULT_TEMPLATES[key];
+  }
+
+  /**
+   * Jeu de prompts par défaut (version 0 de chaque clé), sans expérience
+   * Utilisé quand la base n'est pas joignable et par les appels hors pipeline de chat
+   * @returns {Object} { templates: { clé: contenu }, versions: { clé: 0 }, experiment: null }
+   */
+  getDefaultPromptSet() {
+    const keys = this.getKeys();
+    return {
+      templates: Object.fromEntries(keys.map(key => [key, DEFAULT_TEMPLATES[key].content])),
+      versions: Object.fromEntries(keys.map(key => [key, 0])),
+      experiment: null
+    };
+  }
+
+  /**
+   * Vérifie la syntaxe d'un template : variables connues et blocs correctement fermés
+   * @param {string} key - Clé du template
+   * @param {string} content - Contenu proposé
+   * @returns {string|null} Message d'erreur, null si le template est valide
+   */
+  validate(key, content) {
+    if (typeof content !== 'string' || !content.trim()) {
+      return 'Le contenu du template est requis';
+    }
+
+    const allowed = new Set(DEFAULT_TEMPLATES[key].variables);
+    const openSections = [];
+
+    for (const [, type, name] of content.matchAll(TAG_PATTERN)) {
+      if (!allowed.has(name)) {
+        return `Variable inconnue {{${name}}} ; variables disponibles : ${[...allowed].join(', ')}`;
+      }
+      if (type === '#' || type === '^') {
+        openSections.push(name);
+      } else if (type === '/') {
+        if (openSections.pop() !== name) return `Bloc {{/${name}}} sans ouverture correspondante`;
+      }
+    }
+
+    return openSections.length > 0 ? `Bloc {{#${openSections.pop()}}} non fermé` : null;
+  }
+
+  /**
+   * Remplit un template
+   * Les blocs sont résolus avant les variables : une valeur contenant "{{...}}" (question de
+   * l'utilisateur, documentation) est insérée telle quelle, jamais interprétée.
+   * @param {string} content - Contenu du template
+   * @param {Object} variables - Valeurs des variables (un bloc est affiché si sa valeur est non vide)
+   * @returns {string}
+   */
+  render(content, variables = {}) {
+    const isFilled = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+    const resolveSections = (text) => text.replace(SECTION_PATTERN, (match, type, name, body) => {
+      const show = type === '#' ? isFilled(variables[name]) : !isFilled(variables[name]);
+      return show ? resolveSections(body) : '';
+    });
+
+    return resolveSections(content).replace(TAG_PATTERN, (match, type, name) => {
+      if (type) return '';
+      const value = variables[name];
+      return value === undefined || value === null || value === false || value === true ? '' : String(value);
+    });
+  }
+
+  /**
+   * Remplit le template d'une clé dans un jeu de prompts (version par défaut si absent)
+   * @param {Object|null} promptSet - Jeu de prompts de la requête (resolvePromptSet)
+   * @param {string} key - Clé du template
+   * @param {Object} variables - Valeurs des variables
+   * @returns {string}
+   */
+  renderKey(promptSet, key, variables) {
+    const content = promptSet?.templates?.[key] ?? DEFAULT_TEMPLATES[key].content;
+    return this.render(content, variables);
+  }
+
+  /**
+   * Versions actives et expérience en cours, gardées en mémoire TEMPLATE_CACHE_TTL_MS
+   * @returns {Promise<{active: Map<string, Object>, experiment: Object|null}>}
+   */
+  async loadActiveState() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) return this.cache;
+
+    const [activeTemplates, runningExperiment] = await Promise.all([
+      databaseService.getActivePromptTemplates(),
+      databaseService.getRunningPromptExperiment()
+    ]);
+
+    // Contenu de chaque variante de l'expérience (version 0 : template par défaut)
+    let experiment = null;
+    if (runningExperiment) {
+      const versions = await databaseService.getPromptTemplateVersions(runningExperiment.templateKey);
+      experiment = {
+        ...runningExperiment,
+        variants: runningExperiment.variants.map(variant => ({
+          ...variant,
+          content: variant.version === 0
+            ? DEFAULT_TEMPLATES[runningExperiment.templateKey]?.content
+            : versions.find(template => template.version === variant.version)?.content
+        })).filter(variant => variant.content)
+      };
+      if (experiment.variants.length === 0) experiment = null;
+    }
+
+    this.cache = {
+      active: new Map(activeTemplates.map(template => [template.key, template])),
+      experiment
+    };
+    this.cacheExpiresAt = Date.now() + TEMPLATE_CACHE_TTL_MS;
+    return this.cache;
+  }
+
+  /**
+   * Oublie les templates gardés en mémoire (après une modification par un administrateur)
+   */
+  invalidate() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Variante d'une expérience attribuée à un utilisateur, stable d'une requête à l'autre
+   * @param {Object} experiment - Expérience { id, variants: [{ name, version, weight }] }
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Object} Variante choisie
+   */
+  assignVariant(experiment, userId) {
+    const variants = experiment.variants;
+    const totalWeight = variants.reduce((total, variant) => total + (variant.weight ?? 1), 0);
+    const hash = crypto.createHash('sha256').update(`${experiment.id}:${userId}`).digest();
+    let bucket = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+    for (const variant of variants) {
+      bucket -= variant.weight ?? 1;
+      if (bucket < 0) return variant;
+    }
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Jeu de prompts à utiliser pour une requête : versions actives, et variante de l'expérience
+   * en cours pour cet utilisateur
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} { templates, versions, experiment: { id, name, templateKey, variant } | null }
+   */
+  async resolvePromptSet(userId) {
+    const promptSet = this.getDefaultPromptSet();
+
+    let state;
+    try {
+      state = await this.loadActiveState();
+    } catch (error) {
+      console.warn('⚠️ Templates de prompts indisponibles, versions par défaut utilisées:', error.message);
+      return promptSet;
+    }
+
+    for (const [key, template] of state.active) {
+      if (!this.isKnownKey(key)) continue;
+      promptSet.templates[key] = template.content;
+      promptSet.versions[key] = template.version;
+    }
+
+    const { experiment } = state;
+    if (experiment && this.isKnownKey(experiment.templateKey)) {
+      const variant = this.assignVariant(experiment, userId);
+      promptSet.templates[experiment.templateKey] = variant.content;
+      promptSet.versions[experiment.templateKey] = variant.version;
+      promptSet.experiment = {
+        id: experiment.id,
+        name: experiment.name,
+        templateKey: experiment.templateKey,
+        variant: variant.name
+      };
+    }
+
+    return promptSet;
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,136 @@
+/**
+ * Classe de base des fournisseurs LLM
+ * 
+ * Chaque fournisseur expose la même interface :
+ * - chat(messages, params, onToken) -> { content, model, usage, toolCalls? }
+ * - checkHealth() -> { status, provider, model, ... }
+ * - listModels() -> [{ id, name, description }]
+ * - isConfigured() -> booléen
+ * - supportsTools() -> booléen (appel de fonctions)
+ */
+class BaseProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Indique si le fournisseur dispose de la configuration nécessaire
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Indique si le fournisseur accepte des outils (params.tools)
+   * @returns {boolean}
+   */
+  supportsTools() {
+    return false;
+  }
+
+  /**
+   * Génère une complétion de chat
+   * @param {Array} messages - Messages { role, content }
+   * @param {Object} params - Paramètres de génération
+   * @param {number} [params.maxTokens] - Nombre maximum de tokens générés
+   * @param {number} [params.temperature] - Température
+   * @param {number} [params.topP] - Top-p
+   * @param {string} [params.model] - Modèle à utiliser à la place du modèle par défaut
+   * @param {AbortSignal} [params.signal] - Interrompt la requête en cours
+   * @param {Array} [params.tools] - Outils proposés au modèle (format OpenAI), sans streaming
+   * @param {string} [params.responseFormat] - 'json' pour imposer un objet JSON en sortie
+   * @param {Function|null} onToken - Callback de streaming, appelé pour chaque fragment
+   * @returns {Promise<{content: string, model: string, usage: Object|null, toolCalls?: Array}>}
+   *   toolCalls : appels d'outils demandés par le modèle [{ id, name, arguments }]
+   */
+  async chat(messages, params = {}, onToken = null) {
+    throw new Error(`chat() non implémenté pour le fournisseur ${this.name}`);
+  }
+
+  /**
+   * Vérifie la disponibilité du fournisseur avec une requête minimale
+   * @returns {Promise<Object>} Statut de santé
+   */
+  async checkHealth() {
+    try {
+      const result = await this.chat([{ role: 'user', content: 'Ping' }], { maxTokens: 10, temperature: 0 });
+      return {
+        status: 'healthy',
+        provider: this.name,
+        model: result.model || this.model,
+        response: result.content || 'OK'
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        provider: this.name,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Liste les modèles disponibles
+   * @returns {Promise<Array>}
+   */
+  async listModels() {
+    return [{ id: this.model, name: this.model, description: this.model }];
+  }
+
+  /**
+   * Convertit les appels d'outils au format OpenAI ({ id, function: { name, arguments } })
+   * @param {Array} [toolCalls] - Appels renvoyés par l'API
+   * @returns {Array<{id: string, name: string, arguments: Object}>}
+   */
+  static parseToolCalls(toolCalls) {
+    return (toolCalls || []).map((call, index) => {
+      let args = call.function?.arguments ?? {};
+      if (typeof args === 'string') {
+        try {
+          args = args.trim() ? JSON.parse(args) : {};
+        } catch (error) {
+          // Arguments illisibles : transmis tels quels, l'outil renverra une erreur au modèle
+          args = { raw: args };
+        }
+      }
+      return { id: call.id || `call_${index}`, name: call.function?.name, arguments: args };
+    });
+  }
+
+  /**
+   * Normalise une erreur HTTP pour exposer un champ `status` comme le SDK Groq
+   * @param {Error} error - Erreur d'origine (axios ou SDK)
+   * @returns {Error} Erreur avec `status` renseigné si disponible
+   */
+  normalizeError(error) {
+    // Les annulations (AbortSignal) sont propagées telles quelles
+    if (error.status || error.name === 'AbortError' || error.name === 'CanceledError') return error;
+
+    const normalized = new Error(error.response?.data?.error?.message || error.response?.data?.error || error.message);
+    normalized.status = error.response?.status;
+    // En-têtes (retry-after) et code réseau utilisés pour décider d'une nouvelle tentative
+    normalized.headers = error.response?.headers;
+    normalized.code = error.code;
+    normalized.provider = this.name;
+    normalized.cause = error;
+    return normalized;
+  }
+
+  /**
+   * Émet un texte déjà complet par fragments (simulation de streaming)
+   * @param {string} text - Texte à découper
+   * @param {Function} onToken - Callback appelé pour chaque fragment
+   * @param {AbortSignal} [signal] - Arrête l'émission si la génération est annulée
+   */
+  static emitInChunks(text, onToken, signal = null) {
+    const chunks = text.match(/\S+\s*|\s+/g) || [];
+    for (const chunk of chunks) {
+      signal?.throwIfAborted();
+      onToken(chunk);
+    }
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,86 @@
+const Groq = require('groq-sdk');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Fournisseur Groq Cloud (SDK officiel groq-sdk)
+ */
+class GroqProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('groq', config.model || process.env.GROQ_MODEL || 'llama3-70b-8192');
+    this.apiKey = config.apiKey || process.env.GROQ_API_KEY;
+
+    if (this.apiKey) {
+      this.client = new Groq({
+        apiKey: this.apiKey,
+        // Les nouvelles tentatives sont gérées par llmResilienceService (backoff, disjoncteur, secours)
+        maxRetries: 0
+      });
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey && this.client);
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  async chat(messages, params = {}, onToken = null) {
+    const model = params.model || this.model;
+    const request = {
+      messages,
+      model,
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+      top_p: params.topP
+    };
+    if (params.tools) request.tools = params.tools;
+    if (params.responseFormat === 'json') request.response_format = { type: 'json_object' };
+
+    if (!onToken || params.tools) {
+      const completion = await this.client.chat.completions.create({ ...request, stream: false }, { signal: params.signal });
+      const message = completion.choices[0]?.message;
+      return {
+        content: message?.content || '',
+        model: completion.model || model,
+        usage: completion.usage
+          ? { promptTokens: completion.usage.prompt_tokens, completionTokens: completion.usage.completion_tokens }
+          : null,
+        toolCalls: BaseProvider.parseToolCalls(message?.tool_calls)
+      };
+    }
+
+    const stream = await this.client.chat.completions.create({ ...request, stream: true }, { signal: params.signal });
+
+    let content = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      // Groq renvoie l'usage dans le dernier fragment (champ x_groq)
+      if (chunk.x_groq?.usage) {
+        usage = {
+          promptTokens: chunk.x_groq.usage.prompt_tokens,
+          completionTokens: chunk.x_groq.usage.completion_tokens
+        };
+      }
+    }
+
+    return { content, model, usage };
+  }
+
+  async listModels() {
+    const models = await this.client.models.list();
+    return models.data.map(model => ({
+      id: model.id,
+      name: model.id,
+      description: model.id
+    }));
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,88 @@
+const GroqProvider = require('./groqProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+const RecordedProvider = require('./recordedProvider');
+
+/**
+ * Registre des fournisseurs LLM disponibles
+ * 
+ * Le fournisseur par défaut est défini par LLM_PROVIDER (groq par défaut).
+ * Un fournisseur peut aussi être choisi par requête si LLM_ALLOW_PROVIDER_OVERRIDE
+ * l'autorise (activé par défaut hors production).
+ */
+const PROVIDER_CLASSES = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider,
+  recorded: RecordedProvider
+};
+
+const instances = new Map();
+
+/**
+ * Liste des noms de fournisseurs connus
+ * @returns {string[]}
+ */
+function getProviderNames() {
+  return Object.keys(PROVIDER_CLASSES);
+}
+
+/**
+ * Indique si un nom de fournisseur est connu
+ * @param {string} name - Nom du fournisseur
+ * @returns {boolean}
+ */
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDER_CLASSES, name);
+}
+
+/**
+ * Nom du fournisseur configuré pour l'environnement
+ * @returns {string}
+ */
+function getDefaultProviderName() {
+  const name = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+  if (!isKnownProvider(name)) {
+    console.warn(`⚠️ LLM_PROVIDER inconnu (${name}), utilisation de groq`);
+    return 'groq';
+  }
+  return name;
+}
+
+/**
+ * Indique si le choix du fournisseur par requête est autorisé
+ * @returns {boolean}
+ */
+function isProviderOverrideAllowed() {
+  if (process.env.LLM_ALLOW_PROVIDER_OVERRIDE !== undefined) {
+    return process.env.LLM_ALLOW_PROVIDER_OVERRIDE === 'true';
+  }
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Retourne l'instance (mise en cache) d'un fournisseur
+ * @param {string} [name] - Nom du fournisseur, celui de l'environnement par défaut
+ * @returns {BaseProvider}
+ */
+function getProvider(name) {
+  const providerName = (name || getDefaultProviderName()).toLowerCase();
+  if (!isKnownProvider(providerName)) {
+    throw new Error(`Fournisseur LLM inconnu : ${providerName}`);
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, new PROVIDER_CLASSES[providerName]());
+  }
+  return instances.get(providerName);
+}
+
+module.exports = {
+  getProvider,
+  getProviderNames,
+  getDefaultProviderName,
+  isKnownProvider,
+  isProviderOverrideAllowed
+};
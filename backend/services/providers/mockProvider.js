@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./baseProvider');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'mockResponses.json');
+
+/**
+ * Fournisseur simulé, déterministe, piloté par un fichier de fixtures
+ * 
+ * Permet de faire tourner tout le pipeline de chat sans réseau (tests, CI, démos).
+ * Une fixture est choisie si tous les mots-clés d'une entrée `match` figurent
+ * dans le dernier message utilisateur ; sinon `defaultResponse` est renvoyée.
+ * Si des outils sont proposés, une fixture avec `toolCalls` demande d'abord ces appels,
+ * puis renvoie sa réponse une fois les résultats des outils reçus.
+ * En sortie JSON (`responseFormat: 'json'`), le champ `addon` ou `guide` de la fixture est renvoyé sérialisé.
+ */
+class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('mock', config.model || 'mock-fixtures');
+    this.fixturesPath = config.fixturesPath || process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES_PATH;
+    // Délai optionnel entre fragments pour simuler une génération lente (tests d'annulation)
+    this.chunkDelayMs = parseInt(config.chunkDelayMs || process.env.LLM_MOCK_DELAY_MS) || 0;
+    this.fixtures = null;
+  }
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  /**
+   * Sélectionne la fixture correspondant au dernier message utilisateur
+   * @param {Array} messages - Messages { role, content }
+   * @returns {Object|null} Fixture, null pour la réponse par défaut
+   */
+  resolveFixture(messages) {
+    const fixtures = this.loadFixtures();
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const text = (lastUserMessage?.content || '').toLowerCase();
+
+    return (fixtures.responses || []).find(entry =>
+      (entry.match || []).every(keyword => text.includes(keyword.toLowerCase()))
+    ) || null;
+  }
+
+  /**
+   * Sélectionne la réponse correspondant au dernier message utilisateur
+   * @param {Array} messages - Messages { role, content }
+   * @returns {string} Réponse de la fixture
+   */
+  resolveResponse(messages) {
+    const fixture = this.resolveFixture(messages);
+    return fixture ? fixture.response : this.loadFixtures().defaultResponse;
+  }
+
+  /**
+   * Estimation simple du nombre de tokens (≈ 4 caractères par token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async chat(messages, params = {}, onToken = null) {
+    params.signal?.throwIfAborted();
+
+    // Appels d'outils de la fixture, tant qu'aucun résultat d'outil n'a suivi la question
+    const fixture = this.resolveFixture(messages);
+    const lastUserIndex = messages.map(message => message.role).lastIndexOf('user');
+    const toolsAnswered = messages.slice(lastUserIndex + 1).some(message => message.role === 'tool');
+    if (params.tools && fixture?.toolCalls && !toolsAnswered) {
+      return {
+        content: '',
+        model: this.model,
+        usage: {
+          promptTokens: messages.reduce((total, message) => total + this.estimateTokens(message.content), 0),
+          completionTokens: 0
+        },
+        toolCalls: fixture.toolCalls.map((call, index) => ({ id: `mock_call_${index}`, name: call.name, arguments: call.arguments || {} }))
+      };
+    }
+
+    const jsonFixture = fixture?.addon || fixture?.guide;
+    let content = params.responseFormat === 'json' && jsonFixture
+      ? JSON.stringify(jsonFixture)
+      : this.resolveResponse(messages);
+    if (params.maxTokens && this.estimateTokens(content) > params.maxTokens) {
+      content = content.slice(0, params.maxTokens * 4);
+    }
+
+    if (onToken && this.chunkDelayMs > 0) {
+      for (const chunk of content.match(/\S+\s*|\s+/g) || []) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+        params.signal?.throwIfAborted();
+        onToken(chunk);
+      }
+    } else if (onToken) {
+      BaseProvider.emitInChunks(content, onToken, params.signal);
+    }
+
+    return {
+      content,
+      model: this.model,
+      usage: {
+        promptTokens: messages.reduce((total, message) => total + this.estimateTokens(message.content), 0),
+        completionTokens: this.estimateTokens(content)
+      }
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Fournisseur Ollama pour un LLM local (API native /api/chat)
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('ollama', config.model || process.env.OLLAMA_MODEL || 'llama3');
+    this.baseUrl = (config.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.timeout = parseInt(config.timeout || process.env.LLM_TIMEOUT_MS) || 120000;
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  /**
+   * Adapte les messages au format Ollama : arguments des appels d'outils en objet, sans identifiant
+   */
+  toOllamaMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') return { role: 'tool', content: message.content };
+      if (!message.tool_calls) return message;
+      return {
+        role: message.role,
+        content: message.content || '',
+        tool_calls: BaseProvider.parseToolCalls(message.tool_calls).map(call => ({
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      };
+    });
+  }
+
+  /**
+   * Convertit les compteurs Ollama au format d'usage commun
+   */
+  extractUsage(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+    return {
+      promptTokens: data.prompt_eval_count || 0,
+      completionTokens: data.eval_count || 0
+    };
+  }
+
+  async chat(messages, params = {}, onToken = null) {
+    const model = params.model || this.model;
+    const body = {
+      model,
+      messages: this.toOllamaMessages(messages),
+      // Les appels d'outils sont demandés sans streaming
+      stream: Boolean(onToken) && !params.tools,
+      options: {
+        temperature: params.temperature,
+        top_p: params.topP,
+        num_predict: params.maxTokens
+      }
+    };
+    if (params.tools) body.tools = params.tools;
+    if (params.responseFormat === 'json') body.format = 'json';
+
+    try {
+      if (!body.stream) {
+        const { data } = await axios.post(`${this.baseUrl}/api/chat`, body, { timeout: this.timeout, signal: params.signal });
+        return {
+          content: data.message?.content || '',
+          model: data.model || model,
+          usage: this.extractUsage(data),
+          toolCalls: BaseProvider.parseToolCalls(data.message?.tool_calls)
+        };
+      }
+
+      const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: params.signal
+      });
+
+      // Ollama renvoie un objet JSON par ligne (NDJSON)
+      let content = '';
+      let usage = null;
+      let buffer = '';
+
+      for await (const raw of response.data) {
+        buffer += raw.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+
+          const chunk = JSON.parse(line);
+          if (chunk.error) {
+            throw new Error(chunk.error);
+          }
+          const delta = chunk.message?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          if (chunk.done) {
+            usage = this.extractUsage(chunk);
+          }
+        }
+      }
+
+      return { content, model, usage };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  async listModels() {
+    try {
+      const { data } = await axios.get(`${this.baseUrl}/api/tags`, { timeout: this.timeout });
+      return (data.models || []).map(model => ({
+        id: model.name,
+        name: model.name,
+        description: model.details?.parameter_size || model.name
+      }));
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+}
+
+module.exports = OllamaProvider;
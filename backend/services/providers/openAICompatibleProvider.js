@@ -0,0 +1,123 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Fournisseur pour toute API compatible OpenAI (/v1/chat/completions)
+ * Fonctionne avec OpenAI, Azure OpenAI (via proxy), vLLM, LM Studio, LocalAI, etc.
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('openai', config.model || process.env.OPENAI_MODEL || 'gpt-4o-mini');
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+    this.timeout = parseInt(config.timeout || process.env.LLM_TIMEOUT_MS) || 120000;
+  }
+
+  /**
+   * Une clé n'est requise que pour l'API OpenAI publique ; les serveurs locaux s'en passent
+   */
+  isConfigured() {
+    return Boolean(this.apiKey) || !this.baseUrl.includes('api.openai.com');
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async chat(messages, params = {}, onToken = null) {
+    const model = params.model || this.model;
+    const body = {
+      model,
+      messages,
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+      top_p: params.topP,
+      // Les appels d'outils sont demandés sans streaming
+      stream: Boolean(onToken) && !params.tools
+    };
+    if (params.tools) body.tools = params.tools;
+    if (params.responseFormat === 'json') body.response_format = { type: 'json_object' };
+
+    try {
+      if (!body.stream) {
+        const { data } = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+          headers: this.buildHeaders(),
+          timeout: this.timeout,
+          signal: params.signal
+        });
+        const message = data.choices?.[0]?.message;
+        return {
+          content: message?.content || '',
+          model: data.model || model,
+          usage: data.usage
+            ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens }
+            : null,
+          toolCalls: BaseProvider.parseToolCalls(message?.tool_calls)
+        };
+      }
+
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.buildHeaders(),
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: params.signal
+      });
+
+      let content = '';
+      let usage = null;
+      let buffer = '';
+
+      for await (const raw of response.data) {
+        buffer += raw.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') continue;
+
+          const chunk = JSON.parse(payload);
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          if (chunk.usage) {
+            usage = { promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens };
+          }
+        }
+      }
+
+      return { content, model, usage };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  async listModels() {
+    try {
+      const { data } = await axios.get(`${this.baseUrl}/models`, {
+        headers: this.buildHeaders(),
+        timeout: this.timeout
+      });
+      return (data.data || []).map(model => ({
+        id: model.id,
+        name: model.id,
+        description: model.owned_by || model.id
+      }));
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+
+const DEFAULT_RECORDINGS_PATH = path.join(__dirname, '..', '..', 'eval', 'recordings.json');
+
+/**
+ * Fournisseur rejouant des réponses enregistrées
+ * 
+ * Chaque réponse est indexée par l'empreinte des messages envoyés (rôle, contenu, appels
+ * d'outils) et des outils proposés : un prompt ou une documentation différente donne une autre clé. Sans LLM_RECORD_FROM,
+ * une requête inconnue échoue (aucun appel réseau) ; avec LLM_RECORD_FROM=groq par exemple,
+ * elle est transmise à ce fournisseur et sa réponse est ajoutée au fichier.
+ */
+class RecordedProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('recorded', config.model || 'recorded');
+    this.recordingsPath = config.recordingsPath || process.env.LLM_RECORDINGS_PATH || DEFAULT_RECORDINGS_PATH;
+    this.recordFrom = config.recordFrom || process.env.LLM_RECORD_FROM || null;
+    this.recordings = null;
+    // Clés demandées sans réponse enregistrée (rapportées par l'évaluation)
+    this.missingKeys = new Set();
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  loadRecordings() {
+    if (!this.recordings) {
+      this.recordings = fs.existsSync(this.recordingsPath)
+        ? JSON.parse(fs.readFileSync(this.recordingsPath, 'utf8'))
+        : { responses: {} };
+    }
+    return this.recordings;
+  }
+
+  saveRecordings() {
+    fs.mkdirSync(path.dirname(this.recordingsPath), { recursive: true });
+    fs.writeFileSync(this.recordingsPath, JSON.stringify(this.recordings, null, 2) + '\n');
+  }
+
+  /**
+   * Empreinte d'une requête
+   * @param {Array} messages - Messages { role, content, tool_calls?, tool_call_id? }
+   * @param {Array} [tools] - Outils proposés
+   * @returns {string}
+   */
+  getKey(messages, tools = null) {
+    const request = messages.map(message => message.tool_calls || message.tool_call_id
+      ? [message.role, message.content, message.tool_calls || null, message.tool_call_id || null]
+      : [message.role, message.content]);
+    if (tools) request.push((tools || []).map(tool => tool.function?.name));
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(request))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  async chat(messages, params = {}, onToken = null) {
+    params.signal?.throwIfAborted();
+
+    const recordings = this.loadRecordings();
+    const key = this.getKey(messages, params.tools);
+    let recording = recordings.responses[key];
+
+    if (!recording) {
+      if (!this.recordFrom) {
+        this.missingKeys.add(key);
+        // 422 : erreur définitive, ni relancée ni comptée par le disjoncteur
+        const error = new Error(`Aucune réponse enregistrée pour cette requête (${key})`);
+        error.status = 422;
+        error.code = 'RECORDING_MISSING';
+        throw error;
+      }
+
+      // Chargé ici : le registre des fournisseurs importe ce module
+      const source = require('./index').getProvider(this.recordFrom);
+      const result = await source.chat(messages, { ...params, model: undefined }, null);
+      recording = {
+        content: result.content,
+        model: result.model || source.model,
+        usage: result.usage || null,
+        ...(result.toolCalls?.length > 0 ? { toolCalls: result.toolCalls } : {}),
+        recordedAt: new Date().toISOString()
+      };
+      recordings.responses[key] = recording;
+      this.saveRecordings();
+    }
+
+    if (onToken && !params.tools) BaseProvider.emitInChunks(recording.content, onToken, params.signal);
+
+    return {
+      content: recording.content,
+      model: recording.model || this.model,
+      usage: recording.usage,
+      toolCalls: recording.toolCalls || []
+    };
+  }
+}
+
+module.exports = RecordedProvider;
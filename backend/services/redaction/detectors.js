@@ -0,0 +1,125 @@
+/**
+ * Détecteurs de données personnelles et de secrets (voir redactionService)
+ *
+ * Chaque détecteur fournit une expression régulière globale : la valeur masquée est le premier
+ * groupe capturant renseigné (la correspondance entière sinon). `validate` écarte les faux
+ * positifs et `type` donne le préfixe du marqueur envoyé au modèle ([EMAIL_3F9A]).
+ * L'ordre compte : en cas de chevauchement, le détecteur cité en premier l'emporte.
+ */
+
+// Mot d'un nom propre : Karim, Jean-Pierre, N'Diaye, DUPONT
+const NAME_WORD = "\\p{Lu}(?:[\\p{Ll}'’]+(?:-\\p{Lu}[\\p{Ll}'’]+)?|\\p{Lu}+)";
+
+// Mots capitalisés qui désignent Odoo ou ses applications, jamais une personne
+const NOT_NAMES = new Set([
+  'odoo', 'enterprise', 'community', 'studio', 'online', 'sh', 'portal', 'portail', 'website', 'crm',
+  'sales', 'ventes', 'vente', 'inventory', 'inventaire', 'stock', 'purchase', 'achats', 'achat',
+  'accounting', 'comptabilité', 'facturation', 'invoicing', 'manufacturing', 'fabrication', 'mrp',
+  'project', 'projet', 'payroll', 'paie', 'employees', 'employés', 'helpdesk', 'discuss', 'pos',
+  'point', 'api', 'xml', 'rpc', 'json', 'python', 'postgresql', 'admin', 'administrator',
+  'administrateur', 'demo', 'test', 'sas', 'sarl', 'eurl', 'spa', 'ltd', 'inc'
+]);
+
+/**
+ * Première lettre insensible à la casse (le drapeau i rendrait \p{Lu} insensible lui aussi)
+ * @param {string[]} words - Mots en minuscules
+ * @returns {string} Alternative pour une expression régulière
+ */
+function anyCaseInitial(words) {
+  return words.map(word => `[${word[0].toUpperCase()}${word[0]}]${word.slice(1)}`).join('|');
+}
+
+/**
+ * Vérifie la clé de contrôle d'un IBAN (ISO 13616, modulo 97)
+ * @param {string} value - IBAN, espaces compris
+ * @returns {boolean}
+ */
+function isValidIban(value) {
+  const iban = value.replace(/\s+/g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+/**
+ * Un nom propre ne contient aucun mot du vocabulaire d'Odoo
+ * @param {string} value - Nom détecté
+ * @returns {boolean}
+ */
+function isPersonName(value) {
+  return value.split(/[\s-]+/).every(word => !NOT_NAMES.has(word.toLowerCase()));
+}
+
+const DETECTORS = [
+  {
+    name: 'private_key',
+    type: 'SECRET',
+    description: 'Clés privées (bloc PEM)',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  {
+    name: 'password',
+    type: 'PASSWORD',
+    description: 'Mots de passe : password=, admin_passwd, db_password, « mot de passe : », identifiants dans une URL',
+    pattern: new RegExp([
+      // Identifiants d'une URL de connexion (postgresql://odoo:secret@hôte)
+      '\\b[a-z][a-z0-9+.-]*://[^\\s:/@]+:([^\\s@/]+)@',
+      // Clé suivie d'une valeur (odoo.conf, JSON, Python, texte libre)
+      '(?:\\b\\w*(?:password|passwd|pwd)|\\bmot de passe|\\bmdp|كلمة (?:ال)?(?:مرور|سر))["\']?\\s*(?::|=>?|\\b(?:est|is)\\b)\\s*["\']?([^\\s"\',;]{3,})'
+    ].join('|'), 'giu')
+  },
+  {
+    name: 'api_key',
+    type: 'API_KEY',
+    description: 'Clés d\'API et jetons : clés Odoo (40 caractères hexadécimaux), gsk_, sk-, ghp_, AKIA, JWT, Bearer, api_key=',
+    pattern: new RegExp([
+      '\\b(?:gsk_[A-Za-z0-9]{20,}|sk-(?:proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35})',
+      '\\beyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+      '\\b[0-9a-f]{40}\\b',
+      '\\b(?:Bearer|Basic)\\s+([A-Za-z0-9._~+/-]{16,}=*)',
+      '\\b\\w*(?:api[_-]?key|apikey|secret|token)["\']?\\s*(?::|=>?)\\s*["\']?([^\\s"\',;]{8,})'
+    ].join('|'), 'gi')
+  },
+  {
+    name: 'iban',
+    type: 'IBAN',
+    description: 'IBAN (clé de contrôle vérifiée)',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: isValidIban
+  },
+  {
+    name: 'email',
+    type: 'EMAIL',
+    description: 'Adresses e-mail',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    name: 'phone',
+    type: 'PHONE',
+    description: 'Numéros de téléphone internationaux (+213, 0033) et nationaux à 9 ou 10 chiffres',
+    pattern: /(?<![\w+.])(?:(?:\+|00)[1-9]\d{0,2}[\s.-]?(?:\(0\)[\s.-]?)?\d{1,4}(?:[\s.-]?\d{2,4}){2,4}|0[1-9](?:[\s.-]?\d{2}){4}|0\d{2}(?:[\s.-]\d{2}){3})(?![\w]|[.,]\d)/g,
+    validate: value => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    }
+  },
+  {
+    name: 'person',
+    type: 'PERSON',
+    description: 'Noms de personnes précédés d\'une civilité (M., Mme, Mr) ou d\'un rôle (employé, client, collègue...)',
+    pattern: new RegExp([
+      `(?<![\\p{L}])(?:M\\.|MM\\.|Mme|Mlle|Monsieur|Madame|Mademoiselle|Mr\\.?|Mrs\\.?|Ms\\.?|Dr\\.?)\\s+(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`,
+      `(?<![\\p{L}])(?:${anyCaseInitial([
+        'employée', 'employé', 'employee', 'salariée', 'salarié', 'collaboratrice', 'collaborateur', 'collègue',
+        'colleague', 'cliente', 'client', 'customer', 'fournisseur', 'supplier', 'vendor', 'commerciale',
+        'commercial', 'comptable', 'accountant', 'manager', 'responsable', 'utilisatrice', 'utilisateur', 'user'
+      ])})s?\\s+(?:(?:nommée?|appelée?|named|called)\\s+)?(${NAME_WORD}(?:\\s+${NAME_WORD}){1,2})`,
+      `(?<![\\p{L}])(?:${anyCaseInitial(['je m\'appelle', 'je m’appelle', 'my name is'])})\\s+(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`
+    ].join('|'), 'gu'),
+    validate: isPersonName
+  }
+];
+
+module.exports = DETECTORS;
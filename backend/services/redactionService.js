@@ -0,0 +1,448 @@
+/**
+ * Masquage des données personnelles et des secrets avant l'envoi au fournisseur LLM
+ *
+ * - Les détecteurs (services/redaction/detectors.js) repèrent e-mails, téléphones, IBAN, clés d'API,
+ *   mots de passe et noms de personnes ; une politique par domaine de messagerie choisit les détecteurs
+ *   actifs et ajoute ses termes et expressions (noms d'employés, matricules...)
+ * - Chaque valeur est remplacée par un marqueur stable ([EMAIL_3F9A]) : la même valeur donne toujours
+ *   le même marqueur (HMAC), le modèle peut donc raisonner sur « la même adresse » sans la connaître
+ * - Les valeurs d'origine sont restituées dans la réponse, y compris pendant le streaming
+ * - Seuls le type, le marqueur et le nombre d'occurrences sont enregistrés sur le message, jamais les valeurs
+ *
+ * Politique appliquée : celle du domaine de l'utilisateur, sinon celle de « * », sinon tous les
+ * détecteurs intégrés. LLM_REDACTION_ENABLED=false désactive le masquage.
+ */
+
+const crypto = require('crypto');
+const vm = require('vm');
+const databaseService = require('./databaseService');
+const DETECTORS = require('./redaction/detectors');
+
+const REDACTION_ENABLED = process.env.LLM_REDACTION_ENABLED !== 'false';
+// Clé des marqueurs : sans REDACTION_SECRET ni JWT_SECRET, les marqueurs ne sont stables que jusqu'au redémarrage
+const PLACEHOLDER_SECRET = process.env.REDACTION_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+// Durée de conservation des politiques en mémoire (ms)
+const POLICY_CACHE_TTL_MS = 30 * 1000;
+
+const DEFAULT_TENANT = '*';
+const TENANT_PATTERN = /^(?:\*|[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})$/;
+const PATTERN_NAME = /^[a-z][a-z0-9_]{1,29}$/;
+const MAX_TERMS = 500;
+const MAX_TERM_LENGTH = 100;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+// Essai d'une expression d'administrateur sur des textes défavorables : durée maximale (ms)
+const PATTERN_TRIAL_TIMEOUT_MS = 50;
+const PATTERN_TRIAL_INPUTS = [
+  `${'a'.repeat(5000)}!`,
+  `${'1'.repeat(5000)}x`,
+  `${' '.repeat(5000)}x`,
+  `${'aA1-_.@ '.repeat(625)}!`
+];
+
+// Marqueur complet, et début de marqueur coupé entre deux fragments du streaming
+const PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9_]*_[0-9A-F]{4,8}\]/g;
+const PARTIAL_PLACEHOLDER = /^\[[A-Z0-9_]{0,40}$/;
+
+/**
+ * Échappe un texte pour l'insérer dans une expression régulière
+ * @param {string} text - Texte littéral
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Détecte un groupe répété qui contient lui-même une répétition (« (a+)+ », « (\d*){2,} ») ou une
+ * référence arrière : constructions à retour arrière exponentiel sur un texte qui ne correspond pas
+ * @param {string} source - Expression régulière
+ * @returns {boolean}
+ */
+function hasNestedRepetition(source) {
+  if (/\\(?:[1-9]|k<)/.test(source)) return true;
+
+  const groups = []; // Pour chaque groupe ouvert : contient une répétition
+  let inClass = false;
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeatsInside = groups.pop() ?? false;
+      const repeated = '*+{'.includes(source[index + 1] || '?');
+      if (repeated && repeatsInside) return true;
+      if (groups.length > 0 && repeatsInside) groups[groups.length - 1] = true;
+    } else if ('*+{'.includes(char) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Essaie une expression sur des textes défavorables, avec une durée bornée
+ * @param {RegExp} pattern - Expression compilée
+ * @returns {boolean} true si chaque essai se termine à temps
+ */
+function runsInBoundedTime(pattern) {
+  try {
+    vm.runInNewContext('inputs.forEach(input => pattern.test(input))', { pattern, inputs: PATTERN_TRIAL_INPUTS }, { timeout: PATTERN_TRIAL_TIMEOUT_MS });
+    return true;
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Session de masquage d'une génération : le même marqueur pour la même valeur dans tous les messages
+ * envoyés (prompts, historique, résultats d'outils) et la table inverse pour la restitution
+ */
+class RedactionSession {
+  /**
+   * @param {Object} policy - Politique compilée (redactionService.compilePolicy)
+   */
+  constructor(policy) {
+    this.policy = policy;
+    this.placeholders = new Map(); // type:valeur -> marqueur
+    this.values = new Map(); // marqueur -> { type, value, count }
+  }
+
+  /**
+   * Marqueur d'une valeur, dérivé d'un HMAC ; allongé en cas de collision avec une autre valeur
+   * @param {string} type - Type de donnée (EMAIL, PHONE...)
+   * @param {string} value - Valeur d'origine
+   * @returns {string}
+   */
+  placeholderFor(type, value) {
+    const key = `${type}:${value}`;
+    if (this.placeholders.has(key)) return this.placeholders.get(key);
+
+    const digest = crypto.createHmac('sha256', PLACEHOLDER_SECRET).update(key).digest('hex').toUpperCase();
+    let placeholder = null;
+    for (let length = 4; length <= 8 && !placeholder; length += 2) {
+      const candidate = `[${type}_${digest.slice(0, length)}]`;
+      if (!this.values.has(candidate)) placeholder = candidate;
+    }
+    placeholder = placeholder || `[${type}_${digest.slice(0, 8)}]`;
+
+    this.placeholders.set(key, placeholder);
+    this.values.set(placeholder, { type, value, count: 0 });
+    return placeholder;
+  }
+
+  /**
+   * Remplace les données détectées par leurs marqueurs
+   * @param {string} text - Texte à envoyer au modèle
+   * @returns {string}
+   */
+  redact(text) {
+    if (!this.policy.enabled || typeof text !== 'string' || !text) return text;
+
+    // Détecteurs dans l'ordre de la politique : une zone déjà masquée n'est plus examinée
+    const spans = [];
+    const overlaps = (start, end) => spans.some(span => start < span.end && end > span.start);
+    for (const detector of this.policy.detectors) {
+      for (const match of text.matchAll(detector.pattern)) {
+        const groupIndex = match.findIndex((group, index) => index > 0 && group !== undefined);
+        const value = groupIndex > 0 ? match[groupIndex] : match[0];
+        if (!value || (detector.validate && !detector.validate(value))) continue;
+
+        const start = match.index + (groupIndex > 0 ? match[0].lastIndexOf(value) : 0);
+        const end = start + value.length;
+        if (!overlaps(start, end)) spans.push({ start, end, type: detector.type, value });
+      }
+    }
+    if (spans.length === 0) return text;
+
+    let result = '';
+    let cursor = 0;
+    for (const span of spans.sort((a, b) => a.start - b.start)) {
+      const placeholder = this.placeholderFor(span.type, span.value);
+      this.values.get(placeholder).count++;
+      result += text.slice(cursor, span.start) + placeholder;
+      cursor = span.end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * Masque le contenu d'une liste de messages ({ role, content })
+   * @param {Array} messages - Messages
+   * @returns {Array}
+   */
+  redactMessages(messages) {
+    return messages.map(message => typeof message.content === 'string'
+      ? { ...message, content: this.redact(message.content) }
+      : message);
+  }
+
+  /**
+   * Remet les valeurs d'origine à la place des marqueurs connus
+   * @param {string} text - Texte produit par le modèle
+   * @returns {string}
+   */
+  restore(text) {
+    if (typeof text !== 'string' || this.values.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => this.values.get(placeholder)?.value ?? placeholder);
+  }
+
+  /**
+   * Restitue les valeurs dans toutes les chaînes d'un objet (guide, module, arguments d'outil)
+   * @param {*} value - Valeur JSON
+   * @returns {*}
+   */
+  restoreDeep(value) {
+    if (typeof value === 'string') return this.restore(value);
+    if (Array.isArray(value)) return value.map(item => this.restoreDeep(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreDeep(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Enveloppe un callback de streaming : un marqueur coupé entre deux fragments est retenu
+   * jusqu'à être complet, puis transmis avec sa valeur d'origine
+   * @param {Function} onToken - Reçoit les fragments restitués
+   * @returns {{push: Function, flush: Function}} push(fragment), flush() en fin de génération ou d'étape
+   */
+  createStreamRestorer(onToken) {
+    let pending = '';
+    return {
+      push: (delta) => {
+        pending += delta;
+        const open = pending.lastIndexOf('[');
+        const held = open !== -1 && PARTIAL_PLACEHOLDER.test(pending.slice(open)) ? pending.slice(open) : '';
+        const ready = pending.slice(0, pending.length - held.length);
+        pending = held;
+        if (ready) onToken(this.restore(ready));
+      },
+      flush: () => {
+        if (pending) onToken(this.restore(pending));
+        pending = '';
+      }
+    };
+  }
+
+  /**
+   * Données masquées pendant la génération, sans leurs valeurs (métadonnées du message)
+   * @returns {Object|null} { policy, total, entities: [{ type, placeholder, count }] }, null si rien n'a été masqué
+   */
+  summary() {
+    const entities = [...this.values]
+      .filter(([, entry]) => entry.count > 0)
+      .map(([placeholder, entry]) => ({ type: entry.type, placeholder, count: entry.count }));
+    if (entities.length === 0) return null;
+    return {
+      policy: this.policy.tenant,
+      total: entities.reduce((sum, entity) => sum + entity.count, 0),
+      entities
+    };
+  }
+}
+
+class RedactionService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Indique si le masquage est activé (LLM_REDACTION_ENABLED)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return REDACTION_ENABLED;
+  }
+
+  /**
+   * Détecteurs intégrés
+   * @returns {Array<{name: string, type: string, description: string}>}
+   */
+  getDetectors() {
+    return DETECTORS.map(({ name, type, description }) => ({ name, type, description }));
+  }
+
+  /**
+   * Politique appliquée sans politique enregistrée : tous les détecteurs intégrés
+   * @returns {Object} { tenant, enabled, detectors, terms, patterns }
+   */
+  getDefaultPolicy() {
+    return {
+      tenant: 'default',
+      enabled: true,
+      detectors: DETECTORS.map(detector => detector.name),
+      terms: [],
+      patterns: []
+    };
+  }
+
+  /**
+   * Domaine de messagerie d'une adresse (politique de l'utilisateur)
+   * @param {string|null} email - Adresse e-mail
+   * @returns {string|null}
+   */
+  getTenant(email) {
+    const domain = (email || '').split('@')[1];
+    return domain ? domain.trim().toLowerCase() : null;
+  }
+
+  /**
+   * Vérifie une politique proposée par un administrateur
+   * @param {string} tenant - Domaine de messagerie, ou « * »
+   * @param {Object} data - { enabled, detectors, terms, patterns }
+   * @returns {string|null} Message d'erreur, null si la politique est valide
+   */
+  validatePolicy(tenant, data) {
+    if (!TENANT_PATTERN.test(tenant)) return 'Le domaine doit être un nom de domaine (exemple.dz) ou « * »';
+    if (typeof data.enabled !== 'boolean') return 'enabled doit être un booléen';
+
+    const known = DETECTORS.map(detector => detector.name);
+    if (!Array.isArray(data.detectors) || data.detectors.some(name => !known.includes(name))) {
+      return `detectors doit être une liste parmi ${known.join(', ')}`;
+    }
+
+    const terms = data.terms ?? [];
+    if (!Array.isArray(terms) || terms.length > MAX_TERMS ||
+      terms.some(term => typeof term !== 'string' || term.trim().length < 2 || term.length > MAX_TERM_LENGTH)) {
+      return `terms doit être une liste d'au plus ${MAX_TERMS} termes de 2 à ${MAX_TERM_LENGTH} caractères`;
+    }
+
+    const patterns = data.patterns ?? [];
+    if (!Array.isArray(patterns) || patterns.length > MAX_PATTERNS) {
+      return `patterns doit être une liste d'au plus ${MAX_PATTERNS} expressions`;
+    }
+    for (const entry of patterns) {
+      if (!entry || !PATTERN_NAME.test(entry.name || '')) {
+        return 'Chaque expression a un nom en minuscules (lettres, chiffres, _), par exemple « matricule »';
+      }
+      if (typeof entry.pattern !== 'string' || !entry.pattern || entry.pattern.length > MAX_PATTERN_LENGTH) {
+        return `L'expression « ${entry.name} » doit faire de 1 à ${MAX_PATTERN_LENGTH} caractères`;
+      }
+      let compiled;
+      try {
+        compiled = new RegExp(entry.pattern, 'u');
+      } catch (error) {
+        return `Expression « ${entry.name} » invalide : ${error.message}`;
+      }
+      if (compiled.test('')) return `L'expression « ${entry.name} » ne doit pas accepter un texte vide`;
+      // Expressions appliquées à chaque message : un retour arrière exponentiel bloquerait le serveur
+      if (hasNestedRepetition(entry.pattern) || !runsInBoundedTime(compiled)) {
+        return `L'expression « ${entry.name} » est trop coûteuse à évaluer (répétitions imbriquées comme « (a+)+ », alternatives répétées ou références arrière)`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Prépare une politique : détecteurs intégrés actifs, puis termes et expressions du domaine
+   * @param {Object} policy - { tenant, enabled, detectors, terms, patterns }
+   * @returns {Object} { tenant, enabled, detectors: [{ name, type, pattern, validate? }] }
+   */
+  compilePolicy(policy) {
+    const custom = [];
+
+    const terms = (policy.terms || []).map(term => term.trim()).filter(Boolean);
+    if (terms.length > 0) {
+      // Termes les plus longs d'abord : « Karim Benali » avant « Karim »
+      const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+      custom.push({ name: 'terms', type: 'NAME', pattern: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'giu') });
+    }
+
+    for (const entry of policy.patterns || []) {
+      custom.push({ name: entry.name, type: entry.name.toUpperCase(), pattern: new RegExp(entry.pattern, 'gu') });
+    }
+
+    // Termes et expressions du domaine après les secrets et coordonnées (une adresse reste entière),
+    // mais avant la détection des noms de personnes, plus incertaine
+    const builtIn = DETECTORS.filter(detector => policy.detectors.includes(detector.name));
+    const detectors = [
+      ...builtIn.filter(detector => detector.name !== 'person'),
+      ...custom,
+      ...builtIn.filter(detector => detector.name === 'person')
+    ];
+
+    return { tenant: policy.tenant, enabled: REDACTION_ENABLED && policy.enabled, detectors };
+  }
+
+  /**
+   * Politiques enregistrées, gardées en mémoire quelques secondes
+   * @returns {Promise<Map<string, Object>>} domaine -> politique compilée
+   */
+  async loadPolicies() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) return this.cache;
+
+    const policies = await databaseService.getRedactionPolicies();
+    this.cache = new Map(policies.map(policy => [policy.tenant, this.compilePolicy(policy)]));
+    this.cacheExpiresAt = Date.now() + POLICY_CACHE_TTL_MS;
+    return this.cache;
+  }
+
+  /**
+   * Oublie les politiques en mémoire (après une modification par un administrateur)
+   */
+  invalidate() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Politique d'un domaine : la sienne, sinon celle de « * », sinon la politique par défaut
+   * @param {string|null} tenant - Domaine de messagerie
+   * @returns {Promise<Object>} Politique compilée
+   */
+  async getPolicy(tenant) {
+    try {
+      const policies = await this.loadPolicies();
+      return policies.get(tenant) || policies.get(DEFAULT_TENANT) || this.compilePolicy(this.getDefaultPolicy());
+    } catch (error) {
+      // Base indisponible : masquer quand même avec les détecteurs intégrés
+      console.warn('⚠️ Politiques de masquage indisponibles, détecteurs par défaut utilisés:', error.message);
+      return this.compilePolicy(this.getDefaultPolicy());
+    }
+  }
+
+  /**
+   * Politique applicable à un utilisateur (domaine de son adresse e-mail)
+   * @param {number} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} Politique compilée
+   */
+  async resolvePolicy(userId) {
+    let email = null;
+    try {
+      email = await databaseService.getUserEmail(userId);
+    } catch (error) {
+      console.warn(`⚠️ Domaine de l'utilisateur ${userId} indisponible pour le masquage:`, error.message);
+    }
+    return this.getPolicy(this.getTenant(email));
+  }
+
+  /**
+   * Indique si un texte contient des données que la politique masquerait
+   * @param {string} text - Texte à examiner
+   * @param {Object|null} [policy] - Politique compilée, la politique par défaut sinon
+   * @returns {boolean}
+   */
+  containsSensitiveData(text, policy = null) {
+    return this.createSession(policy).redact(text) !== text;
+  }
+
+  /**
+   * Ouvre une session de masquage
+   * @param {Object|null} [policy] - Politique compilée, la politique par défaut sinon
+   * @returns {RedactionSession}
+   */
+  createSession(policy = null) {
+    return new RedactionSession(policy || this.compilePolicy(this.getDefaultPolicy()));
+  }
+}
+
+module.exports = new RedactionService();
@@ -0,0 +1,237 @@
+/**
+ * Service des réponses structurées (guides pas à pas)
+ *
+ * En mode structuré, le modèle répond par un objet JSON : analyse, étapes numérotées
+ * (chemin de menu, action, résultat attendu), vérifications et lectures complémentaires.
+ * L'objet est validé avec GUIDE_SCHEMA (sous-ensemble de JSON Schema) avant d'être enregistré
+ * sur le message ; sa version Markdown sert de texte de la réponse (citations, vérification
+ * des menus, cache, export) et d'affichage pour les clients qui ignorent le guide.
+ */
+
+const languageService = require('./languageService');
+
+// Schéma d'un guide (types, champs requis et limites de taille)
+const GUIDE_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'steps'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', maxLength: 200 },
+    analysis: { type: 'string', minLength: 1, maxLength: 4000 },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 25,
+      items: {
+        type: 'object',
+        required: ['action'],
+        additionalProperties: false,
+        properties: {
+          menuPath: { type: ['string', 'null'], maxLength: 300 },
+          action: { type: 'string', minLength: 1, maxLength: 2000 },
+          expectedResult: { type: ['string', 'null'], maxLength: 1000 }
+        }
+      }
+    },
+    validation: {
+      type: 'array',
+      maxItems: 15,
+      items: { type: 'string', minLength: 1, maxLength: 1000 }
+    },
+    furtherReading: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['title'],
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 300 },
+          url: { type: ['string', 'null'], maxLength: 500 }
+        }
+      }
+    }
+  }
+};
+
+// Exemple envoyé au modèle avec la consigne de format
+const GUIDE_EXAMPLE = {
+  title: 'Titre court du guide',
+  analysis: 'Décomposition du besoin et approche retenue [1]',
+  steps: [
+    { menuPath: 'Application > Menu > Sous-menu', action: 'Ce que l\'utilisateur doit faire [1]', expectedResult: 'Ce qu\'il doit constater' }
+  ],
+  validation: ['Vérification ou test à réaliser'],
+  furtherReading: [{ title: 'Sujet ou page de documentation à consulter', url: null }]
+};
+
+// Préfixes des éléments cochables d'un guide (voir getChecklistKeys)
+const CHECKLIST_PREFIXES = { steps: 'step', validation: 'validation' };
+
+class StructuredAnswerService {
+  /**
+   * Schéma d'un guide
+   * @returns {Object}
+   */
+  getSchema() {
+    return GUIDE_SCHEMA;
+  }
+
+  /**
+   * Exemple de guide sérialisé, inséré dans la consigne envoyée au modèle
+   * @returns {string}
+   */
+  getExample() {
+    return JSON.stringify(GUIDE_EXAMPLE, null, 2);
+  }
+
+  /**
+   * Valide une valeur par rapport à un schéma
+   * @param {*} value - Valeur à valider
+   * @param {Object} schema - Schéma (type, required, properties, items, bornes)
+   * @param {string} [path] - Chemin de la valeur, pour les messages d'erreur
+   * @returns {string[]} Erreurs, vide si la valeur est valide
+   */
+  validate(value, schema = GUIDE_SCHEMA, path = 'guide') {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (!types.includes(actualType)) {
+      return [`${path} : ${types.join(' ou ')} attendu, ${actualType} reçu`];
+    }
+
+    const errors = [];
+    if (actualType === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} : texte vide`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} : plus de ${schema.maxLength} caractères`);
+    } else if (actualType === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} : au moins ${schema.minItems} élément(s) attendu(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} : plus de ${schema.maxItems} éléments`);
+      value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+    } else if (actualType === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${path}.${key} : champ requis`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (schema.properties?.[key]) {
+          errors.push(...this.validate(item, schema.properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} : champ inconnu`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Lit et valide le guide renvoyé par le modèle
+   * Tolère un bloc de code ```json autour de l'objet.
+   * @param {string} content - Texte produit par le modèle
+   * @returns {{guide: Object|null, errors: string[]}}
+   */
+  parse(content) {
+    const text = (content || '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return { guide: null, errors: ['aucun objet JSON dans la réponse'] };
+    }
+
+    let guide;
+    try {
+      guide = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return { guide: null, errors: [`JSON invalide : ${error.message}`] };
+    }
+
+    const errors = this.validate(guide);
+    return errors.length > 0 ? { guide: null, errors } : { guide: this.normalize(guide), errors: [] };
+  }
+
+  /**
+   * Nettoie un guide valide : textes sans espaces superflus, champs facultatifs renseignés
+   * @param {Object} guide - Guide validé
+   * @returns {Object}
+   */
+  normalize(guide) {
+    const clean = (value) => typeof value === 'string' && value.trim() ? value.trim() : null;
+    return {
+      title: clean(guide.title),
+      analysis: guide.analysis.trim(),
+      steps: guide.steps.map(step => ({
+        menuPath: clean(step.menuPath),
+        action: step.action.trim(),
+        expectedResult: clean(step.expectedResult)
+      })),
+      validation: (guide.validation || []).map(check => check.trim()),
+      furtherReading: (guide.furtherReading || []).map(item => ({ title: item.title.trim(), url: clean(item.url) }))
+    };
+  }
+
+  /**
+   * Applique une transformation à chaque texte d'un guide (analyse, étapes, vérifications)
+   * @param {Object} guide - Guide normalisé
+   * @param {Function} transform - (texte) => texte
+   * @returns {Object} Nouveau guide
+   */
+  mapTexts(guide, transform) {
+    const map = (value) => value === null ? null : transform(value);
+    return {
+      ...guide,
+      analysis: transform(guide.analysis),
+      steps: guide.steps.map(step => ({
+        menuPath: step.menuPath,
+        action: transform(step.action),
+        expectedResult: map(step.expectedResult)
+      })),
+      validation: guide.validation.map(transform)
+    };
+  }
+
+  /**
+   * Version Markdown d'un guide, utilisée comme texte de la réponse
+   * @param {Object} guide - Guide normalisé
+   * @param {string} [language] - Langue des intitulés (fr, en, ar)
+   * @returns {string}
+   */
+  toMarkdown(guide, language = 'fr') {
+    const t = (key) => languageService.t(language, `guide.${key}`);
+    const lines = [];
+
+    if (guide.title) lines.push(`## ${guide.title}`, '');
+    lines.push(`**🔍 ${t('analysis')}**`, '', guide.analysis, '');
+
+    lines.push(`**💡 ${t('steps')}**`, '');
+    guide.steps.forEach((step, index) => {
+      const menu = step.menuPath ? `**${step.menuPath}** — ` : '';
+      lines.push(`${index + 1}. ${menu}${step.action}`);
+      if (step.expectedResult) lines.push(`   *${t('expectedResult')} ${step.expectedResult}*`);
+    });
+    lines.push('');
+
+    if (guide.validation.length > 0) {
+      lines.push(`**✅ ${t('validation')}**`, '');
+      guide.validation.forEach(check => lines.push(`- ${check}`));
+      lines.push('');
+    }
+
+    if (guide.furtherReading.length > 0) {
+      lines.push(`**🚀 ${t('furtherReading')}**`, '');
+      guide.furtherReading.forEach(item => lines.push(item.url ? `- [${item.title}](${item.url})` : `- ${item.title}`));
+      lines.push('');
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  /**
+   * Clés des éléments cochables d'un guide : "step-1", "validation-2"...
+   * @param {Object} guide - Guide normalisé
+   * @returns {string[]}
+   */
+  getChecklistKeys(guide) {
+    return Object.entries(CHECKLIST_PREFIXES).flatMap(([field, prefix]) =>
+      (guide?.[field] || []).map((item, index) => `${prefix}-${index + 1}`));
+  }
+}
+
+module.exports = new StructuredAnswerService();
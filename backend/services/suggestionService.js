@@ -0,0 +1,221 @@
+/**
+ * Service de suggestions de questions
+ *
+ * - Questions de suivi (2 à 4) proposées avec chaque réponse, construites à partir des
+ *   étapes de la réponse, des sources récupérées et des modules préférés de l'utilisateur
+ * - Questions de démarrage par module Odoo, tirées des documents principaux de l'index
+ *
+ * Les formulations et les libellés de modules viennent des catalogues de languageService.
+ */
+
+const odooDocService = require('./odooDocService');
+const languageService = require('./languageService');
+
+const MIN_FOLLOW_UPS = 2;
+const MAX_FOLLOW_UPS = 4;
+const STARTERS_PER_MODULE = 3;
+const MAX_STARTER_MODULES = 6;
+const TOPIC_MIN_LENGTH = 8;
+const TOPIC_MAX_LENGTH = 70;
+
+// Intitulés génériques à ne pas transformer en question ("Étapes :", "Conseil :")
+const GENERIC_TOPICS = /^(?:étapes?|conseils?|astuces?|bonnes pratiques|résumé|conclusion|remarques?|note|important|exemple|prérequis|introduction)$/i;
+
+class SuggestionService {
+  constructor() {
+    // Questions de démarrage par langue, recalculées quand l'index change
+    this.starterCache = new Map();
+    this.starterCacheKey = null;
+  }
+
+  /**
+   * Questions de suivi pour une réponse
+   * @param {Object} params
+   * @param {string} params.question - Question de l'utilisateur
+   * @param {string} params.answer - Réponse générée
+   * @param {Array} params.sources - Sources renvoyées avec la réponse { title, section, subsection, cited }
+   * @param {Array<string>} params.preferredModules - Modules fréquents de l'utilisateur
+   * @param {string} [params.language] - Langue des questions (fr, en, ar)
+   * @returns {string[]} Entre 2 et 4 questions, ou aucune si la réponse est vide
+   */
+  buildFollowUps({ question, answer, sources = [], preferredModules = [], language = 'fr' }) {
+    if (!answer || !answer.trim()) return [];
+
+    const t = (key, params) => languageService.t(language, `suggestions.${key}`, params);
+    const suggestions = [];
+    const seen = new Set([this.normalize(question)]);
+    const add = (text) => {
+      const key = this.normalize(text);
+      if (suggestions.length < MAX_FOLLOW_UPS && !seen.has(key)) {
+        seen.add(key);
+        suggestions.push(text);
+      }
+    };
+
+    // Étapes et sections de la réponse
+    const topicQuestions = this.extractAnswerTopics(answer)
+      .map(topic => t('detailStep', { topic }));
+
+    // Sources récupérées, en commençant par celles qui n'ont pas été citées
+    const sourceQuestions = [...sources]
+      .sort((a, b) => Number(a.cited === true) - Number(b.cited === true))
+      .filter(source => source.title && source.title !== 'Titre non disponible')
+      .map(source => t('sourceTopic', { title: this.shorten(source.title) }));
+
+    // Lien avec un module utilisé souvent par l'utilisateur, autre que celui de la réponse
+    const answerModules = new Set(sources.map(source => this.getModuleKey(source)).filter(Boolean));
+    const relatedModule = preferredModules.find(module => !answerModules.has(module) && !this.normalize(question).includes(module));
+    const moduleQuestions = relatedModule
+      ? [t('relatedModule', { module: this.getModuleLabel(relatedModule, language) })]
+      : [];
+
+    // Une suggestion de chaque origine d'abord, puis les suivantes
+    [topicQuestions[0], sourceQuestions[0], moduleQuestions[0], ...topicQuestions.slice(1), ...sourceQuestions.slice(1)]
+      .filter(Boolean)
+      .forEach(add);
+
+    // Compléter jusqu'au minimum avec des relances génériques sur le sujet
+    if (suggestions.length < MIN_FOLLOW_UPS) {
+      add(t('pitfalls'));
+      add(t('example'));
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Intitulés d'étapes ou de sections de la réponse (titres, étapes numérotées en gras)
+   * @param {string} answer - Réponse en Markdown
+   * @returns {string[]}
+   */
+  extractAnswerTopics(answer) {
+    const topics = [];
+    const withoutCode = answer.replace(/```[\s\S]*?(?:```|$)/g, '');
+
+    for (const line of withoutCode.split('\n')) {
+      const match = line.match(/^\s*#{2,4}\s+(.+)$/) ||
+        line.match(/^\s*(?:\d+[.)]\s*)?\*\*(?:\d+[.)]\s*)?([^*]+?)\s*:?\*\*\s*:?\s*$/);
+      if (!match) continue;
+
+      const topic = match[1]
+        .replace(/\*\*/g, '')
+        .replace(/^[\d.)\s]+/, '')
+        .replace(/[\s:]+$/, '')
+        .replace(/^[^\wÀ-ÿ]+/, '')
+        .trim();
+      if (topic.length >= TOPIC_MIN_LENGTH && topic.length <= TOPIC_MAX_LENGTH && !GENERIC_TOPICS.test(topic)) {
+        topics.push(topic);
+      }
+    }
+
+    // Le premier titre reprend généralement la question : le garder en dernier recours
+    return topics.length > 1 ? [...topics.slice(1), topics[0]] : topics;
+  }
+
+  /**
+   * Questions de démarrage par module, à partir des documents principaux de l'index
+   * (FAQ d'abord, puis pages de premier niveau de chaque module)
+   * Les titres des documents restent dans la langue de la documentation.
+   * @param {string} [language] - Langue des questions et des libellés (fr, en, ar)
+   * @returns {Array<{module: string, label: string, questions: string[]}>}
+   */
+  getStarterQuestions(language = 'fr') {
+    const index = odooDocService.documentationIndex;
+    const key = `${index.size}:${odooDocService.lastUpdate}`;
+    if (this.starterCacheKey !== key) {
+      this.starterCache.clear();
+      this.starterCacheKey = key;
+    }
+    if (this.starterCache.has(language)) return this.starterCache.get(language);
+
+    const byModule = new Map();
+    for (const doc of index.values()) {
+      const module = this.getModuleKey(doc);
+      if (!module || !doc.title) continue;
+      if (!byModule.has(module)) byModule.set(module, []);
+      byModule.get(module).push(doc);
+    }
+
+    const depth = (doc) => (doc.filePath || '').split(/[\\/]/).length;
+    const rank = (doc) => (doc.metadata?.type === 'faq' ? 0 : 1);
+
+    const starters = [...byModule.entries()]
+      .map(([module, docs]) => {
+        const questions = docs
+          .sort((a, b) => rank(a) - rank(b) || depth(a) - depth(b) || (b.wordCount || 0) - (a.wordCount || 0))
+          .map(doc => this.titleToQuestion(doc.title, language))
+          .filter((question, position, all) => question && all.indexOf(question) === position)
+          .slice(0, STARTERS_PER_MODULE);
+        return { module, label: this.getModuleLabel(module, language), questions, size: docs.length };
+      })
+      .filter(entry => entry.questions.length > 0)
+      .sort((a, b) => b.size - a.size)
+      .slice(0, MAX_STARTER_MODULES)
+      .map(({ size, ...entry }) => entry);
+
+    this.starterCache.set(language, starters);
+    return starters;
+  }
+
+  /**
+   * Transforme le titre d'un document en question de démarrage
+   * @param {string} title - Titre du document ("Configuration des congés - Guide complet")
+   * @param {string} [language] - Langue de la question
+   * @returns {string|null}
+   */
+  titleToQuestion(title, language = 'fr') {
+    const topic = title.split(/\s+[-–—:]\s+/)[0].trim();
+    if (topic.length < 3 || topic.length > TOPIC_MAX_LENGTH) return null;
+    return languageService.t(language, 'suggestions.starter', { topic });
+  }
+
+  /**
+   * Libellé d'un module (clés de preferredModules et sections de la documentation)
+   * @param {string} module - Clé du module
+   * @param {string} [language] - Langue du libellé
+   * @returns {string}
+   */
+  getModuleLabel(module, language = 'fr') {
+    const label = languageService.t(language, `modules.${module}`);
+    return label === `modules.${module}` ? this.capitalize(module) : label;
+  }
+
+  /**
+   * Module d'un document ou d'une source : sous-section pour les pages `applications/`, sinon section
+   * @param {Object} doc - Document { section, subsection }
+   * @returns {string|null}
+   */
+  getModuleKey(doc) {
+    const key = doc.section === 'applications' ? doc.subsection : doc.section;
+    return key ? key.toLowerCase() : null;
+  }
+
+  /**
+   * Raccourcit un intitulé trop long pour une suggestion
+   * @param {string} text
+   * @returns {string}
+   */
+  shorten(text) {
+    return text.length > TOPIC_MAX_LENGTH ? text.substring(0, TOPIC_MAX_LENGTH - 3) + '...' : text;
+  }
+
+  /**
+   * Libellé par défaut d'un module sans traduction ("point_of_sale" -> "Point of sale")
+   * @param {string} text
+   * @returns {string}
+   */
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1).replace(/_/g, ' ');
+  }
+
+  /**
+   * Forme de comparaison d'une question (dédoublonnage)
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = new SuggestionService();
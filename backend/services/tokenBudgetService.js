@@ -0,0 +1,268 @@
+/**
+ * Service de gestion du budget de tokens
+ *
+ * Estime le nombre de tokens par modèle et ajuste les messages envoyés au LLM
+ * pour rester dans la fenêtre de contexte :
+ * - la documentation récupérée est limitée à une part fixe du budget
+ * - les extraits des pièces jointes de la question ont eux aussi une part fixe
+ * - les tours d'historique les plus anciens sont résumés puis écartés
+ * - max_tokens est réduit si la place restante ne suffit pas
+ */
+
+/**
+ * Fenêtres de contexte connues (tokens), testées dans l'ordre
+ */
+const CONTEXT_WINDOWS = [
+  { pattern: /llama-3\.[123]|llama3\.[123]/i, tokens: 131072 },
+  { pattern: /mixtral-8x7b-32768/i, tokens: 32768 },
+  { pattern: /gemma/i, tokens: 8192 },
+  { pattern: /llama3-(8|70)b-8192/i, tokens: 8192 },
+  { pattern: /gpt-4o|gpt-4-turbo|gpt-4\.1/i, tokens: 128000 },
+  { pattern: /gpt-3\.5/i, tokens: 16385 },
+  { pattern: /mock/i, tokens: 8192 }
+];
+
+/**
+ * Nombre moyen de caractères par token selon la famille de tokenizer
+ * (valeurs prudentes pour du français avec Markdown)
+ */
+const CHARS_PER_TOKEN = [
+  { pattern: /gpt/i, ratio: 3.8 },
+  { pattern: /llama|mixtral|mistral|gemma/i, ratio: 3.3 }
+];
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const DEFAULT_CHARS_PER_TOKEN = 3.3;
+const MESSAGE_OVERHEAD_TOKENS = 4; // Balises de rôle ajoutées par le format de chat
+const SAFETY_MARGIN_TOKENS = 256;
+const MIN_OUTPUT_TOKENS = 512;
+const DOCUMENTATION_SHARE = 0.4; // Part maximale de la fenêtre réservée à la documentation
+const ATTACHMENT_SHARE = 0.25; // Part maximale réservée aux extraits des pièces jointes de la question
+const SUMMARY_MAX_TOKENS = 300;
+const SUMMARY_PREVIEW_LENGTH = 120;
+
+class TokenBudgetService {
+  /**
+   * Fenêtre de contexte du modèle (surchargeable par LLM_CONTEXT_WINDOW)
+   * @param {string} model - Identifiant du modèle
+   * @returns {number} Nombre de tokens
+   */
+  getContextWindow(model = '') {
+    const override = parseInt(process.env.LLM_CONTEXT_WINDOW);
+    if (override > 0) return override;
+
+    const known = CONTEXT_WINDOWS.find(entry => entry.pattern.test(model));
+    return known ? known.tokens : DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Estime le nombre de tokens d'un texte pour un modèle donné
+   * @param {string} text - Texte à mesurer
+   * @param {string} model - Identifiant du modèle
+   * @returns {number} Estimation du nombre de tokens
+   */
+  countTokens(text, model = '') {
+    if (!text) return 0;
+    const family = CHARS_PER_TOKEN.find(entry => entry.pattern.test(model));
+    const ratio = family ? family.ratio : DEFAULT_CHARS_PER_TOKEN;
+    return Math.ceil(text.length / ratio);
+  }
+
+  /**
+   * Estime le nombre de tokens d'une liste de messages de chat
+   * @param {Array} messages - Messages { role, content }
+   * @param {string} model - Identifiant du modèle
+   * @returns {number}
+   */
+  countMessagesTokens(messages, model = '') {
+    return messages.reduce(
+      (total, message) => total + this.countTokens(message.content, model) + MESSAGE_OVERHEAD_TOKENS,
+      0
+    );
+  }
+
+  /**
+   * Sélectionne les documents qui tiennent dans la part du budget réservée à la documentation
+   *
+   * Les documents sont supposés triés par pertinence : les derniers sont écartés en premier,
+   * et le dernier document retenu peut voir son extrait tronqué.
+   *
+   * @param {Array} docs - Documents { title, excerpt, ... }
+   * @param {string} model - Identifiant du modèle
+   * @returns {{docs: Array, tokens: number, droppedCount: number, truncated: boolean}}
+   */
+  fitDocumentation(docs, model = '') {
+    const budget = Math.floor(this.getContextWindow(model) * DOCUMENTATION_SHARE);
+    const selected = [];
+    let used = 0;
+    let truncated = false;
+
+    for (const doc of docs) {
+      const text = `${doc.title || ''}\n${doc.excerpt || ''}`;
+      const tokens = this.countTokens(text, model);
+
+      if (used + tokens <= budget) {
+        selected.push(doc);
+        used += tokens;
+        continue;
+      }
+
+      // Tronquer l'extrait du document s'il reste une place raisonnable
+      const remaining = budget - used - this.countTokens(doc.title || '', model);
+      if (remaining > 100 && doc.excerpt) {
+        const family = CHARS_PER_TOKEN.find(entry => entry.pattern.test(model));
+        const maxChars = Math.floor(remaining * (family ? family.ratio : DEFAULT_CHARS_PER_TOKEN));
+        selected.push({ ...doc, excerpt: doc.excerpt.substring(0, maxChars) + '...' });
+        used += remaining;
+        truncated = true;
+      }
+      break;
+    }
+
+    if (selected.length < docs.length || truncated) {
+      console.warn(`⚠️ Budget tokens: documentation réduite à ${selected.length}/${docs.length} documents (${used}/${budget} tokens)`);
+    }
+
+    return {
+      docs: selected,
+      tokens: used,
+      droppedCount: docs.length - selected.length,
+      truncated
+    };
+  }
+
+  /**
+   * Part du budget réservée aux extraits des pièces jointes et longues saisies (voir attachmentService)
+   * @param {string} model - Identifiant du modèle
+   * @returns {number} Nombre de tokens
+   */
+  getAttachmentBudget(model = '') {
+    return Math.floor(this.getContextWindow(model) * ATTACHMENT_SHARE);
+  }
+
+  /**
+   * Construit la liste de messages envoyée au modèle en respectant la fenêtre de contexte
+   *
+   * Les tours d'historique récents sont envoyés tels quels (rôles user/assistant) ;
+   * ceux qui ne tiennent plus dans le budget sont condensés en un court résumé
+   * ajouté au prompt système.
+   *
+   * @param {Object} params
+   * @param {string} params.systemPrompt - Prompt système
+   * @param {Array} params.history - Historique chronologique { role, content, isError }
+   * @param {string} params.userPrompt - Message utilisateur final (avec documentation)
+   * @param {string} params.model - Identifiant du modèle
+   * @param {number} params.maxOutputTokens - Nombre de tokens souhaité pour la réponse
+   * @returns {{messages: Array, maxOutputTokens: number, stats: Object}}
+   */
+  buildMessages({ systemPrompt, history = [], userPrompt, model = '', maxOutputTokens }) {
+    const contextWindow = this.getContextWindow(model);
+    const outputReserve = Math.min(maxOutputTokens, Math.max(MIN_OUTPUT_TOKENS, Math.floor(contextWindow / 4)));
+
+    const turns = history
+      .filter(msg => !msg.isError && !msg.isCancelled && msg.content && (msg.role === 'user' || msg.role === 'assistant'))
+      .map(msg => ({ role: msg.role, content: msg.content }));
+
+    const fixedTokens = this.countMessagesTokens([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], model);
+
+    const historyBudget = contextWindow - outputReserve - fixedTokens - SAFETY_MARGIN_TOKENS - SUMMARY_MAX_TOKENS;
+
+    // Garder les tours les plus récents qui tiennent dans le budget
+    const kept = [];
+    let historyTokens = 0;
+    for (let index = turns.length - 1; index >= 0; index--) {
+      const tokens = this.countMessagesTokens([turns[index]], model);
+      if (historyTokens + tokens > historyBudget) break;
+      kept.unshift(turns[index]);
+      historyTokens += tokens;
+    }
+
+    // Le premier message envoyé après le système doit venir de l'utilisateur
+    while (kept.length > 0 && kept[0].role !== 'user') {
+      historyTokens -= this.countMessagesTokens([kept.shift()], model);
+    }
+
+    const older = turns.slice(0, turns.length - kept.length);
+    const summary = this.summarizeTurns(older, model);
+    const system = summary
+      ? `${systemPrompt}\n\n**Résumé des échanges plus anciens de cette conversation :**\n${summary}`
+      : systemPrompt;
+
+    const messages = [
+      { role: 'system', content: system },
+      ...kept,
+      { role: 'user', content: userPrompt }
+    ];
+
+    const promptTokens = this.countMessagesTokens(messages, model);
+    const available = contextWindow - promptTokens - SAFETY_MARGIN_TOKENS;
+    const adjustedOutput = Math.max(Math.min(maxOutputTokens, available), Math.min(MIN_OUTPUT_TOKENS, maxOutputTokens));
+
+    if (older.length > 0) {
+      console.warn(`⚠️ Budget tokens: ${older.length} message(s) ancien(s) résumé(s), ${kept.length} conservé(s) intégralement`);
+    }
+    if (adjustedOutput < maxOutputTokens) {
+      console.warn(`⚠️ Budget tokens: max_tokens réduit de ${maxOutputTokens} à ${adjustedOutput} (prompt ${promptTokens}/${contextWindow})`);
+    }
+    if (promptTokens + adjustedOutput > contextWindow) {
+      console.warn(`⚠️ Budget tokens: le prompt (${promptTokens} tokens) dépasse la fenêtre de ${contextWindow} tokens`);
+    }
+
+    return {
+      messages,
+      maxOutputTokens: adjustedOutput,
+      stats: {
+        model,
+        contextWindow,
+        promptTokens,
+        historyMessagesSent: kept.length,
+        historyMessagesSummarized: older.length
+      }
+    };
+  }
+
+  /**
+   * Calcule le max_tokens utilisable pour une liste de messages déjà construite
+   * @param {Array} messages - Messages { role, content }
+   * @param {string} model - Identifiant du modèle
+   * @param {number} maxOutputTokens - Nombre de tokens souhaité
+   * @returns {number}
+   */
+  fitOutputTokens(messages, model, maxOutputTokens) {
+    const available = this.getContextWindow(model) - this.countMessagesTokens(messages, model) - SAFETY_MARGIN_TOKENS;
+    return Math.max(Math.min(maxOutputTokens, available), Math.min(MIN_OUTPUT_TOKENS, maxOutputTokens));
+  }
+
+  /**
+   * Résumé extractif des tours écartés (aperçu de chaque message, plafonné en tokens)
+   * @param {Array} turns - Messages { role, content } à résumer, du plus ancien au plus récent
+   * @param {string} model - Identifiant du modèle
+   * @returns {string} Résumé, vide si aucun tour
+   */
+  summarizeTurns(turns, model = '') {
+    if (turns.length === 0) return '';
+
+    const lines = turns.map(turn => {
+      const role = turn.role === 'user' ? 'Utilisateur' : 'Adam';
+      const preview = turn.content.replace(/\s+/g, ' ').trim();
+      return `- **${role}** : ${preview.substring(0, SUMMARY_PREVIEW_LENGTH)}${preview.length > SUMMARY_PREVIEW_LENGTH ? '...' : ''}`;
+    });
+
+    // Garder les lignes les plus récentes si le résumé dépasse son budget
+    const selected = [];
+    let tokens = 0;
+    for (let index = lines.length - 1; index >= 0; index--) {
+      const lineTokens = this.countTokens(lines[index], model) + 1;
+      if (tokens + lineTokens > SUMMARY_MAX_TOKENS) break;
+      selected.unshift(lines[index]);
+      tokens += lineTokens;
+    }
+
+    return selected.join('\n');
+  }
+}
+
+module.exports = new TokenBudgetService();
@@ -0,0 +1,36 @@
+/**
+ * Classe de base des classifieurs de sujet
+ *
+ * Chaque classifieur expose la même interface :
+ * - predict(text) -> { probability, matched } : probabilité que la question concerne Odoo
+ *   (entre 0 et 1) et caractéristiques reconnues ayant servi à la décision
+ * - describe() -> { name, version } : identifiant enregistré avec chaque décision
+ *
+ * Les seuils d'acceptation et la bande de clarification sont appliqués par
+ * topicClassifierService, pas par les classifieurs.
+ */
+class BaseClassifier {
+  constructor(name, version) {
+    this.name = name;
+    this.version = version;
+  }
+
+  /**
+   * Probabilité qu'une question concerne Odoo
+   * @param {string} text - Question
+   * @returns {{probability: number, matched: string[]}}
+   */
+  predict(text) {
+    throw new Error(`predict() non implémenté pour le classifieur ${this.name}`);
+  }
+
+  /**
+   * Identifiant du classifieur et de son modèle
+   * @returns {{name: string, version: string}}
+   */
+  describe() {
+    return { name: this.name, version: this.version };
+  }
+}
+
+module.exports = BaseClassifier;
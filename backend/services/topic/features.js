@@ -0,0 +1,101 @@
+/**
+ * Extraction des caractéristiques d'une question pour la classification de sujet
+ *
+ * Partagée par l'entraînement (eval/trainTopicClassifier.js) et la prédiction : un modèle
+ * n'est valable que pour la version des caractéristiques avec laquelle il a été entraîné.
+ */
+
+// À incrémenter à chaque changement de normalisation ou de découpage (le modèle doit être réentraîné)
+const FEATURES_VERSION = 1;
+
+// Mots outils ignorés (fr, en, ar) : fréquents dans toutes les questions, ils n'apportent rien
+const STOPWORDS = new Set([
+  'le', 'la', 'les', 'l', 'un', 'une', 'des', 'du', 'de', 'd', 'au', 'aux', 'et', 'ou', 'a', 'en', 'dans',
+  'par', 'pour', 'sur', 'avec', 'sans', 'ce', 'cet', 'cette', 'ces', 'se', 'sa', 'son', 'ses', 'mon', 'ma',
+  'mes', 'ton', 'ta', 'tes', 'notre', 'nos', 'votre', 'vos', 'leur', 'leurs', 'je', 'tu', 'il', 'elle', 'on',
+  'nous', 'vous', 'ils', 'elles', 'me', 'te', 'y', 'ne', 'pas', 'que', 'qui', 'quoi', 'est', 'sont', 'etre',
+  'c', 'j', 'm', 'n', 's', 'qu', 'the', 'an', 'of', 'to', 'in', 'on', 'for', 'with', 'and', 'or', 'is', 'are',
+  'be', 'it', 'its', 'my', 'your', 'our', 'i', 'we', 'you', 'this', 'that', 'these', 'those', 'at', 'by',
+  'from', 'as', 'do', 'does', 'can', 'في', 'من', 'على', 'إلى', 'عن', 'مع', 'هل', 'ما', 'هذا', 'هذه',
+  'و', 'أو', 'ان', 'أن', 'التي', 'الذي'
+].map(normalize));
+
+/**
+ * Normalise un texte : minuscules, accents latins, voyelles et hamza arabes retirés (décomposition NFD)
+ * @param {string} text - Texte brut
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/\u0629/g, '\u0647');
+}
+
+// Article et particules accolés en tête des mots arabes, terminaisons du pluriel et des pronoms
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const ARABIC_SUFFIXES = ['ات', 'ون', 'ين', 'ها', 'هم', 'ه', 'ي'];
+
+/**
+ * Réduit un mot à une forme commune : pluriel latin en -s/-x, article, particules et
+ * terminaisons arabes (racinisation légère, le mot gardant au moins trois lettres)
+ * @param {string} token - Mot normalisé
+ * @returns {string}
+ */
+function stem(token) {
+  if (token.length > 4 && /^[a-z]+[sx]$/.test(token)) return token.slice(0, -1);
+  if (!/^[\u0600-\u06FF]+$/.test(token)) return token;
+
+  let word = token;
+  const prefix = ARABIC_PREFIXES.find(candidate => word.startsWith(candidate) && word.length - candidate.length >= 3);
+  if (prefix) word = word.slice(prefix.length);
+  const suffix = ARABIC_SUFFIXES.find(candidate => word.endsWith(candidate) && word.length - candidate.length >= 3);
+  if (suffix) word = word.slice(0, -suffix.length);
+  return word;
+}
+
+/**
+ * Découpe un texte en mots significatifs ; les noms techniques (res.partner, ir.ui.view) restent entiers
+ * @param {string} text - Texte brut
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const words = normalize(text).match(/[\p{L}\p{N}_]+(?:\.[\p{L}\p{N}_]+)*/gu) || [];
+  return words
+    .filter(word => !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .map(stem);
+}
+
+/**
+ * Caractéristiques binaires d'une question : mots et paires de mots consécutifs (séparés par
+ * une espace, absente des mots), sans doublons
+ * @param {string} text - Question
+ * @returns {string[]}
+ */
+function extractFeatures(text) {
+  const tokens = tokenize(text);
+  const features = new Set(tokens);
+  for (let index = 1; index < tokens.length; index++) {
+    features.add(`${tokens[index - 1]} ${tokens[index]}`);
+  }
+  return [...features];
+}
+
+/**
+ * Indique si une caractéristique est un mot seul (et non une paire de mots)
+ * @param {string} feature - Caractéristique
+ * @returns {boolean}
+ */
+function isWord(feature) {
+  return !feature.includes(' ');
+}
+
+module.exports = {
+  FEATURES_VERSION,
+  normalize,
+  tokenize,
+  extractFeatures,
+  isWord
+};
@@ -0,0 +1,70 @@
+const NaiveBayesClassifier = require('./naiveBayesClassifier');
+const KeywordClassifier = require('./keywordClassifier');
+
+/**
+ * Registre des classifieurs de sujet disponibles
+ *
+ * Le classifieur par défaut est défini par TOPIC_CLASSIFIER (naive_bayes par défaut).
+ * Un nouveau classifieur étend BaseClassifier et est ajouté à cette table.
+ */
+const CLASSIFIER_CLASSES = {
+  naive_bayes: NaiveBayesClassifier,
+  keywords: KeywordClassifier
+};
+
+const instances = new Map();
+
+/**
+ * Liste des noms de classifieurs connus
+ * @returns {string[]}
+ */
+function getClassifierNames() {
+  return Object.keys(CLASSIFIER_CLASSES);
+}
+
+/**
+ * Indique si un nom de classifieur est connu
+ * @param {string} name - Nom du classifieur
+ * @returns {boolean}
+ */
+function isKnownClassifier(name) {
+  return Object.prototype.hasOwnProperty.call(CLASSIFIER_CLASSES, name);
+}
+
+/**
+ * Nom du classifieur configuré pour l'environnement
+ * @returns {string}
+ */
+function getDefaultClassifierName() {
+  const name = (process.env.TOPIC_CLASSIFIER || 'naive_bayes').toLowerCase();
+  if (!isKnownClassifier(name)) {
+    console.warn(`⚠️ TOPIC_CLASSIFIER inconnu (${name}), utilisation de naive_bayes`);
+    return 'naive_bayes';
+  }
+  return name;
+}
+
+/**
+ * Retourne l'instance (mise en cache) d'un classifieur
+ * @param {string} [name] - Nom du classifieur, celui de l'environnement par défaut
+ * @returns {BaseClassifier}
+ */
+function getClassifier(name) {
+  const classifierName = (name || getDefaultClassifierName()).toLowerCase();
+  if (!isKnownClassifier(classifierName)) {
+    throw new Error(`Classifieur de sujet inconnu : ${classifierName}`);
+  }
+
+  if (!instances.has(classifierName)) {
+    instances.set(classifierName, new CLASSIFIER_CLASSES[classifierName]());
+  }
+  return instances.get(classifierName);
+}
+
+module.exports = {
+  getClassifier,
+  getClassifierNames,
+  isKnownClassifier,
+  getDefaultClassifierName,
+  NaiveBayesClassifier
+};
@@ -0,0 +1,24 @@
+const BaseClassifier = require('./baseClassifier');
+const { tokenize } = require('./features');
+
+// Liste historique de mots-clés ; conservée comme référence de comparaison (npm run topic:train)
+const ODOO_KEYWORDS = ['odoo', 'erp', 'crm', 'sales', 'purchase', 'inventory', 'accounting', 'hr', 'project', 'vente', 'achat', 'stock', 'comptabilite', 'paie', 'rh'];
+
+/**
+ * Classifieur par mots-clés : une question citant un mot de la liste concerne Odoo
+ *
+ * Sans nuance (probabilité 0 ou 1), il ne produit jamais de demande de clarification.
+ */
+class KeywordClassifier extends BaseClassifier {
+  constructor(config = {}) {
+    super('keywords', '1');
+    this.keywords = new Set(config.keywords || ODOO_KEYWORDS);
+  }
+
+  predict(text) {
+    const matched = [...new Set(tokenize(text))].filter(token => this.keywords.has(token));
+    return { probability: matched.length > 0 ? 1 : 0, matched };
+  }
+}
+
+module.exports = KeywordClassifier;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseClassifier = require('./baseClassifier');
+const { FEATURES_VERSION, extractFeatures, isWord } = require('./features');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, 'model.json');
+const LABELLED_QUESTIONS_PATH = path.join(__dirname, 'labelledQuestions.json');
+const LABELS = ['odoo', 'off_topic'];
+// Lissage de Laplace : une caractéristique absente d'une classe n'y a pas une probabilité nulle
+const DEFAULT_ALPHA = 1;
+// Caractéristiques retournées avec une prédiction (les plus déterminantes)
+const MATCHED_KEPT = 5;
+
+/**
+ * Classifieur bayésien naïf sur caractéristiques binaires (mots et paires de mots)
+ *
+ * Le modèle est entraîné hors ligne sur les questions étiquetées
+ * (npm run topic:train) et enregistré dans services/topic/model.json : un poids
+ * par caractéristique (log-ratio des vraisemblances Odoo / hors sujet). Les deux classes
+ * sont supposées équiprobables (la proportion des questions étiquetées reflète la collecte,
+ * pas le trafic).
+ *
+ * Le vocabulaire d'Odoo est fermé, celui des questions hors sujet ne l'est pas : un mot
+ * inconnu du modèle est donc un indice de hors sujet. Son poids est estimé par la part des
+ * mots vus une seule fois dans chaque classe (estimation de Good-Turing de la probabilité
+ * de rencontrer un mot nouveau).
+ */
+class NaiveBayesClassifier extends BaseClassifier {
+  constructor(config = {}) {
+    // config.model : modèle déjà entraîné (validation croisée), chargé depuis le fichier sinon
+    const model = config.model || NaiveBayesClassifier.loadModel(config.modelPath || process.env.TOPIC_MODEL_PATH || DEFAULT_MODEL_PATH);
+    super('naive_bayes', model.version);
+    this.model = model;
+  }
+
+  /**
+   * Charge le modèle entraîné ; s'il est absent ou construit avec d'autres caractéristiques,
+   * le modèle est réentraîné en mémoire sur les questions étiquetées
+   * @param {string} modelPath - Chemin du modèle
+   * @returns {Object} Modèle
+   */
+  static loadModel(modelPath) {
+    if (fs.existsSync(modelPath)) {
+      const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+      if (model.featuresVersion === FEATURES_VERSION) return model;
+      console.warn(`⚠️ Modèle de sujet ${modelPath} construit avec d'anciennes caractéristiques, réentraînement en mémoire (npm run topic:train)`);
+    } else {
+      console.warn(`⚠️ Modèle de sujet ${modelPath} absent, entraînement en mémoire (npm run topic:train)`);
+    }
+    return NaiveBayesClassifier.train(NaiveBayesClassifier.loadLabelledQuestions());
+  }
+
+  /**
+   * Questions étiquetées livrées avec le dépôt
+   * @param {string} [filePath] - Fichier { questions: [{ text, label, language? }] }
+   * @returns {Array<{text: string, label: string}>}
+   */
+  static loadLabelledQuestions(filePath = LABELLED_QUESTIONS_PATH) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return data.questions;
+  }
+
+  /**
+   * Entraîne un modèle
+   * @param {Array<{text: string, label: string}>} examples - Questions étiquetées (odoo ou off_topic)
+   * @param {Object} [options]
+   * @param {number} [options.alpha] - Lissage de Laplace
+   * @returns {Object} Modèle sérialisable
+   */
+  static train(examples, { alpha = DEFAULT_ALPHA } = {}) {
+    const documents = { odoo: 0, off_topic: 0 };
+    const counts = { odoo: new Map(), off_topic: new Map() };
+    const vocabulary = new Set();
+
+    for (const example of examples) {
+      if (!LABELS.includes(example.label)) {
+        throw new Error(`Étiquette inconnue « ${example.label} » pour « ${example.text} » (${LABELS.join(', ')})`);
+      }
+      documents[example.label]++;
+      for (const feature of extractFeatures(example.text)) {
+        counts[example.label].set(feature, (counts[example.label].get(feature) || 0) + 1);
+        vocabulary.add(feature);
+      }
+    }
+    if (documents.odoo === 0 || documents.off_topic === 0) {
+      throw new Error('Il faut des questions des deux classes (odoo et off_topic) pour entraîner le modèle');
+    }
+
+    const total = label => [...counts[label].values()].reduce((sum, count) => sum + count, 0);
+    const denominators = {
+      odoo: total('odoo') + alpha * vocabulary.size,
+      off_topic: total('off_topic') + alpha * vocabulary.size
+    };
+
+    // Probabilité de rencontrer un mot nouveau dans chaque classe (mots vus une seule fois / occurrences de mots)
+    const unseen = label => {
+      const words = [...counts[label]].filter(([feature]) => isWord(feature));
+      const occurrences = words.reduce((sum, [, count]) => sum + count, 0);
+      const singletons = words.filter(([, count]) => count === 1).length;
+      return (singletons + alpha) / (occurrences + 2 * alpha);
+    };
+
+    const weights = {};
+    for (const feature of [...vocabulary].sort()) {
+      const odoo = Math.log(((counts.odoo.get(feature) || 0) + alpha) / denominators.odoo);
+      const offTopic = Math.log(((counts.off_topic.get(feature) || 0) + alpha) / denominators.off_topic);
+      weights[feature] = Number((odoo - offTopic).toFixed(4));
+    }
+
+    const version = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([FEATURES_VERSION, alpha, examples.map(({ text, label }) => [text, label])]))
+      .digest('hex')
+      .slice(0, 12);
+
+    return {
+      classifier: 'naive_bayes',
+      version,
+      featuresVersion: FEATURES_VERSION,
+      trainedAt: new Date().toISOString(),
+      alpha,
+      examples: documents,
+      unknownWordWeight: Number(Math.log(unseen('odoo') / unseen('off_topic')).toFixed(4)),
+      weights
+    };
+  }
+
+  predict(text) {
+    let logit = 0;
+    const matched = [];
+
+    let unknownWords = 0;
+
+    for (const feature of extractFeatures(text)) {
+      const weight = this.model.weights[feature];
+      if (weight !== undefined) {
+        logit += weight;
+        matched.push([feature, weight]);
+      } else if (isWord(feature)) {
+        unknownWords++;
+      }
+    }
+    // Sans aucun mot connu (salutation, remerciement), rien ne permet de conclure : probabilité 0,5
+    if (matched.length > 0) logit += unknownWords * this.model.unknownWordWeight;
+
+    return {
+      probability: 1 / (1 + Math.exp(-logit)),
+      matched: matched
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .slice(0, MATCHED_KEPT)
+        .map(([feature]) => feature)
+    };
+  }
+}
+
+NaiveBayesClassifier.DEFAULT_MODEL_PATH = DEFAULT_MODEL_PATH;
+NaiveBayesClassifier.LABELLED_QUESTIONS_PATH = LABELLED_QUESTIONS_PATH;
+
+module.exports = NaiveBayesClassifier;
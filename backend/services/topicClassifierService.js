@@ -0,0 +1,159 @@
+/**
+ * Détection des questions hors sujet
+ *
+ * - Un classifieur local (services/topic, TOPIC_CLASSIFIER) donne la probabilité qu'une question concerne Odoo
+ * - Au-dessus de TOPIC_ACCEPT_THRESHOLD la question est traitée, en dessous de TOPIC_REJECT_THRESHOLD
+ *   elle est refusée ; entre les deux, l'assistant demande une précision au lieu de deviner
+ * - Une question de la bande de clarification est acceptée si, lue avec la question précédente
+ *   de la conversation, elle concerne Odoo (relance courte) ou si la recherche a trouvé de la documentation
+ * - Chaque décision est enregistrée (topic_decisions) pour être relue et enrichir les questions étiquetées ;
+ *   la question y est masquée comme pour le fournisseur LLM (redactionService)
+ */
+
+const topicClassifiers = require('./topic');
+const databaseService = require('./databaseService');
+const languageService = require('./languageService');
+const redactionService = require('./redactionService');
+
+const DEFAULT_ACCEPT_THRESHOLD = 0.55;
+const DEFAULT_REJECT_THRESHOLD = 0.2;
+// Longueur maximale d'une question enregistrée dans le journal des décisions
+const LOGGED_QUESTION_LENGTH = 1000;
+
+/**
+ * Lit un seuil de probabilité dans l'environnement
+ * @param {string} name - Variable d'environnement
+ * @param {number} fallback - Valeur par défaut
+ * @returns {number}
+ */
+function readThreshold(name, fallback) {
+  if (process.env[name] === undefined) return fallback;
+  const value = parseFloat(process.env[name]);
+  if (Number.isFinite(value) && value >= 0 && value <= 1) return value;
+  console.warn(`⚠️ ${name} invalide (${process.env[name]}), utilisation de ${fallback}`);
+  return fallback;
+}
+
+class TopicClassifierService {
+  constructor() {
+    this.thresholds = this.loadThresholds();
+  }
+
+  /**
+   * Seuils configurés ; un seuil de refus supérieur au seuil d'acceptation est ignoré
+   * @returns {{accept: number, reject: number}}
+   */
+  loadThresholds() {
+    const accept = readThreshold('TOPIC_ACCEPT_THRESHOLD', DEFAULT_ACCEPT_THRESHOLD);
+    const reject = readThreshold('TOPIC_REJECT_THRESHOLD', DEFAULT_REJECT_THRESHOLD);
+    if (reject > accept) {
+      console.warn(`⚠️ TOPIC_REJECT_THRESHOLD (${reject}) supérieur à TOPIC_ACCEPT_THRESHOLD (${accept}) : pas de bande de clarification`);
+      return { accept, reject: accept };
+    }
+    return { accept, reject };
+  }
+
+  /**
+   * Décision correspondant à une probabilité
+   * @param {number} probability - Probabilité que la question concerne Odoo
+   * @param {Object} [thresholds] - { accept, reject }, seuils configurés par défaut
+   * @returns {string} accept, clarify ou reject
+   */
+  decide(probability, thresholds = this.thresholds) {
+    if (probability >= thresholds.accept) return 'accept';
+    if (probability < thresholds.reject) return 'reject';
+    return 'clarify';
+  }
+
+  /**
+   * Classe une question
+   * @param {string} message - Question de l'utilisateur
+   * @param {Object} [options]
+   * @param {Array} [options.history] - Historique de la branche ({ role, content })
+   * @param {number} [options.documentsFound] - Nombre de documents trouvés par la recherche
+   * @param {boolean} [options.odooAttachment] - La question joint un contenu issu d'Odoo (traceback, manifeste, vue...)
+   * @param {string} [options.classifier] - Classifieur à utiliser, celui de l'environnement par défaut
+   * @returns {Object} { decision, probability, reason, contextProbability, matched, classifier, modelVersion }
+   */
+  classify(message, { history = [], documentsFound = 0, odooAttachment = false, classifier = null } = {}) {
+    const model = topicClassifiers.getClassifier(classifier);
+    const prediction = model.predict(message);
+    let decision = this.decide(prediction.probability);
+    let reason = 'question';
+    let contextProbability = null;
+
+    // Relance courte ("et pour les fournisseurs ?") : la question précédente donne le sujet
+    if (decision === 'clarify') {
+      const previousQuestion = [...history].reverse().find(entry => entry.role === 'user' && entry.content);
+      if (previousQuestion) {
+        contextProbability = model.predict(`${previousQuestion.content}\n${message}`).probability;
+        if (this.decide(contextProbability) === 'accept') {
+          decision = 'accept';
+          reason = 'context';
+        }
+      }
+    }
+
+    if (decision === 'clarify' && documentsFound > 0) {
+      decision = 'accept';
+      reason = 'documentation';
+    }
+
+    // Un traceback ou un fichier d'un module Odoo suffit à situer la question, même sans précision
+    if (decision !== 'accept' && odooAttachment) {
+      decision = 'accept';
+      reason = 'attachment';
+    }
+
+    const { name, version } = model.describe();
+    return {
+      decision,
+      probability: Number(prediction.probability.toFixed(4)),
+      reason,
+      contextProbability: contextProbability !== null ? Number(contextProbability.toFixed(4)) : null,
+      matched: prediction.matched,
+      classifier: name,
+      modelVersion: version
+    };
+  }
+
+  /**
+   * Demande de précision pour une question de la bande de clarification
+   * @param {string} [language] - Langue de la réponse (fr, en, ar)
+   * @returns {string}
+   */
+  buildClarificationResponse(language = 'fr') {
+    const t = (key) => languageService.t(language, `clarification.${key}`);
+    return [
+      t('intro'),
+      t('request'),
+      `${t('examplesTitle')}\n${t('examples').map(example => `• ${example}`).join('\n')}`
+    ].join('\n\n');
+  }
+
+  /**
+   * Enregistre une décision pour relecture (sans bloquer la réponse en cas d'erreur)
+   * @param {Object} result - Résultat de classify()
+   * @param {Object} context - { conversationId, userId, messageId, question, language, redactionPolicy? }
+   *   (politique de masquage de l'utilisateur, détecteurs intégrés par défaut)
+   * @returns {Promise<Object|null>}
+   */
+  async logDecision(result, { conversationId, userId, messageId, question, language, redactionPolicy = null }) {
+    console.log(`🏷️ Sujet : ${result.decision} (p=${result.probability}, ${result.reason}, ${result.classifier} ${result.modelVersion})`);
+    return databaseService.createTopicDecision({
+      conversationId,
+      userId,
+      messageId,
+      question: redactionService.createSession(redactionPolicy).redact(question).slice(0, LOGGED_QUESTION_LENGTH),
+      language,
+      decision: result.decision,
+      probability: result.probability,
+      reason: result.reason,
+      classifier: result.classifier,
+      modelVersion: result.modelVersion,
+      matched: result.matched
+    });
+  }
+}
+
+module.exports = new TopicClassifierService();
@@ -0,0 +1,225 @@
+/**
+ * Service de consommation de tokens et de quotas
+ *
+ * - Coût des appels au modèle selon une grille de prix par modèle (USD par million de tokens)
+ * - Quotas journaliers et mensuels de tokens selon l'offre de l'utilisateur (User.isPremium)
+ * - Synthèse de la consommation d'un utilisateur pour GET /api/usage
+ *
+ * Chaque appel au modèle (réponse, outils, auto-correction, titre, résumé, génération arrêtée) est
+ * inscrit au journal de consommation (UsageEntry), qui sert aux quotas et survit à la suppression
+ * des conversations ; les réponses gardent aussi leurs tokens pour l'affichage.
+ * Les périodes sont calculées en UTC.
+ */
+
+const databaseService = require('./databaseService');
+
+/**
+ * Prix connus (USD par million de tokens), testés dans l'ordre
+ * LLM_PRICING permet d'ajouter ou de remplacer un modèle : {"mon-modele": {"input": 0.5, "output": 1.5}}
+ */
+const MODEL_PRICING = [
+  { pattern: /llama3-70b-8192|llama-3\.[0-3]-70b/i, input: 0.59, output: 0.79 },
+  { pattern: /llama3-8b-8192|llama-3\.[0-3]-8b/i, input: 0.05, output: 0.08 },
+  { pattern: /mixtral-8x7b/i, input: 0.24, output: 0.24 },
+  { pattern: /gemma/i, input: 0.2, output: 0.2 },
+  { pattern: /gpt-4o-mini/i, input: 0.15, output: 0.6 },
+  { pattern: /gpt-4o/i, input: 2.5, output: 10 },
+  { pattern: /gpt-3\.5/i, input: 0.5, output: 1.5 }
+];
+
+// Fournisseurs sans facturation (modèles locaux, fixtures, réponses enregistrées)
+const FREE_PROVIDERS = new Set(['ollama', 'mock', 'recorded']);
+
+// Étapes dont le texte retenu constitue une réponse (décompte des réponses du journal)
+const ANSWER_STAGES = new Set(['generation', 'structured', 'addon']);
+
+/**
+ * Quotas de tokens (prompt + complétion) par offre, 0 pour illimité
+ */
+const PLAN_QUOTAS = {
+  free: {
+    daily: parseInt(process.env.QUOTA_FREE_DAILY_TOKENS ?? 50000, 10),
+    monthly: parseInt(process.env.QUOTA_FREE_MONTHLY_TOKENS ?? 1000000, 10)
+  },
+  premium: {
+    daily: parseInt(process.env.QUOTA_PREMIUM_DAILY_TOKENS ?? 500000, 10),
+    monthly: parseInt(process.env.QUOTA_PREMIUM_MONTHLY_TOKENS ?? 10000000, 10)
+  }
+};
+
+class UsageService {
+  constructor() {
+    this.customPricing = this.loadCustomPricing();
+  }
+
+  /**
+   * Lit la grille de prix personnalisée (LLM_PRICING)
+   * @returns {Object} { [modèle]: { input, output } }
+   */
+  loadCustomPricing() {
+    if (!process.env.LLM_PRICING) return {};
+    try {
+      return JSON.parse(process.env.LLM_PRICING);
+    } catch (error) {
+      console.warn('⚠️ LLM_PRICING illisible, grille de prix par défaut utilisée:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Prix d'un modèle (USD par million de tokens)
+   * @param {string} model - Nom du modèle
+   * @param {string} [provider] - Fournisseur
+   * @returns {{input: number, output: number}}
+   */
+  getPricing(model, provider = null) {
+    if (model && this.customPricing[model]) return this.customPricing[model];
+    if (FREE_PROVIDERS.has(provider)) return { input: 0, output: 0 };
+
+    const known = MODEL_PRICING.find(entry => entry.pattern.test(model || ''));
+    return known ? { input: known.input, output: known.output } : { input: 0, output: 0 };
+  }
+
+  /**
+   * Coût d'un appel au modèle
+   * @param {Object} completion - { provider, model, usage: { promptTokens, completionTokens } }
+   * @returns {number} Coût en USD
+   */
+  computeCost({ provider, model, usage }) {
+    if (!usage) return 0;
+    const pricing = this.getPricing(model, provider);
+    const cost = ((usage.promptTokens || 0) * pricing.input + (usage.completionTokens || 0) * pricing.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Additionne les appels au modèle d'une réponse (génération et auto-correction)
+   * @param {Array<Object>} completions - Résultats reçus via onCompletion
+   * @returns {{promptTokens: number, completionTokens: number, costUsd: number}}
+   */
+  sumCompletions(completions) {
+    const total = completions.reduce((sum, completion) => ({
+      promptTokens: sum.promptTokens + (completion.usage?.promptTokens || 0),
+      completionTokens: sum.completionTokens + (completion.usage?.completionTokens || 0),
+      costUsd: sum.costUsd + this.computeCost(completion)
+    }), { promptTokens: 0, completionTokens: 0, costUsd: 0 });
+
+    total.costUsd = Math.round(total.costUsd * 1e6) / 1e6;
+    return total;
+  }
+
+  /**
+   * Inscrit un appel au modèle au journal de consommation de l'utilisateur
+   * Un échec d'écriture est journalisé sans interrompre la réponse.
+   * @param {Object} account - { userId, conversationId? }
+   * @param {Object} completion - { provider, model, usage, stage, applied? } (reçu via onCompletion)
+   * @returns {Promise<Object|null>} Entrée enregistrée, null en cas d'échec
+   */
+  async recordCompletion({ userId, conversationId = null }, completion) {
+    const usage = completion.usage || {};
+    try {
+      return await databaseService.addUsageEntry({
+        userId,
+        conversationId,
+        provider: completion.provider,
+        model: completion.model,
+        stage: completion.stage,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        costUsd: this.computeCost(completion),
+        estimated: usage.estimated === true,
+        answer: completion.applied === true && ANSWER_STAGES.has(completion.stage)
+      });
+    } catch (error) {
+      console.error('❌ Erreur enregistrement de la consommation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Offre de l'utilisateur
+   * @param {Object} user - Utilisateur authentifié
+   * @returns {'free'|'premium'}
+   */
+  getPlan(user) {
+    return user?.isPremium ? 'premium' : 'free';
+  }
+
+  /**
+   * Début et fin (exclue) de la période courante, en UTC
+   * @param {'daily'|'monthly'} period - Période
+   * @param {Date} [now] - Date de référence
+   * @returns {{start: Date, end: Date}}
+   */
+  getPeriodBounds(period, now = new Date()) {
+    if (period === 'daily') {
+      const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+    }
+    return {
+      start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  /**
+   * Consommation et quota d'un utilisateur sur une période
+   * @param {Object} user - Utilisateur authentifié
+   * @param {'daily'|'monthly'} period - Période
+   * @returns {Promise<Object>} { period, limit, used, remaining, resetAt, promptTokens, completionTokens, costUsd, answers }
+   */
+  async getPeriodUsage(user, period) {
+    const { start, end } = this.getPeriodBounds(period);
+    const usage = await databaseService.getTokenUsage(user.id, start);
+    const limit = PLAN_QUOTAS[this.getPlan(user)][period];
+    const used = usage.promptTokens + usage.completionTokens;
+
+    return {
+      period,
+      limit: limit > 0 ? limit : null,
+      used,
+      remaining: limit > 0 ? Math.max(0, limit - used) : null,
+      resetAt: end.toISOString(),
+      ...usage
+    };
+  }
+
+  /**
+   * Vérifie les quotas avant une génération
+   * @param {Object} user - Utilisateur authentifié
+   * @returns {Promise<Object|null>} Quota dépassé (journalier en priorité), null si la génération est permise
+   */
+  async checkQuota(user) {
+    for (const period of ['daily', 'monthly']) {
+      if (PLAN_QUOTAS[this.getPlan(user)][period] <= 0) continue;
+
+      const usage = await this.getPeriodUsage(user, period);
+      if (usage.remaining === 0) {
+        return { period, limit: usage.limit, used: usage.used, resetAt: usage.resetAt };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Synthèse de la consommation d'un utilisateur
+   * @param {Object} user - Utilisateur authentifié
+   * @returns {Promise<Object>} { plan, daily, monthly, byModel }
+   */
+  async getUsageSummary(user) {
+    const [daily, monthly] = await Promise.all([
+      this.getPeriodUsage(user, 'daily'),
+      this.getPeriodUsage(user, 'monthly')
+    ]);
+    const byModel = await databaseService.getTokenUsageByModel(user.id, this.getPeriodBounds('monthly').start);
+
+    return {
+      plan: this.getPlan(user),
+      daily,
+      monthly,
+      byModel
+    };
+  }
+}
+
+module.exports = new UsageService();
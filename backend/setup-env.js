@@ -3,6 +3,8 @@ const crypto = require('crypto');
 
 // Génération d'une clé JWT sécurisée
 const jwtSecret = crypto.randomBytes(64).toString('hex');
+// Clé de chiffrement des clés d'API Odoo des utilisateurs (AES-256, 32 octets en base64)
+const credentialsKey = crypto.randomBytes(32).toString('base64');
 
 const envContent = `# Configuration du serveur
 NODE_ENV=development
@@ -14,9 +16,57 @@ FRONTEND_URL=http://localhost:3000
 # Origins autorisées pour CORS
 ALLOWED_ORIGINS=http://localhost:3000,http://127.0.0.1:3000
 
+# Fournisseur LLM : groq | openai | ollama | mock | recorded
+LLM_PROVIDER=groq
+
 # Configuration Groq AI
 GROQ_API_KEY=your_groq_api_key_here
 
+# API compatible OpenAI (si LLM_PROVIDER=openai)
+# OPENAI_BASE_URL=https://api.openai.com/v1
+# OPENAI_API_KEY=
+# OPENAI_MODEL=gpt-4o-mini
+
+# Ollama local (si LLM_PROVIDER=ollama)
+# OLLAMA_BASE_URL=http://localhost:11434
+# OLLAMA_MODEL=llama3
+
+# Modèles ou fournisseurs de secours (fournisseur[:modèle], séparés par des virgules)
+# LLM_FALLBACK_CHAIN=groq:llama-3.1-8b-instant,ollama
+
+# Outils de documentation appelables par le modèle (recherche, lecture d'un document)
+# LLM_TOOLS_ENABLED=true
+# LLM_TOOL_MAX_STEPS=3
+
+# Correction par le modèle des blocs de code invalides des réponses (XML, Python, manifeste)
+# LLM_CODE_REPAIR_ENABLED=true
+
+# Détection des questions hors sujet (naive_bayes ou keywords) : accepté au-dessus du premier seuil,
+# refusé sous le second, précision demandée entre les deux
+# TOPIC_CLASSIFIER=naive_bayes
+# TOPIC_ACCEPT_THRESHOLD=0.55
+# TOPIC_REJECT_THRESHOLD=0.2
+
+# Masquage des données personnelles et secrets avant l'envoi au fournisseur LLM
+# (marqueurs stables dérivés de REDACTION_SECRET, JWT_SECRET par défaut)
+# LLM_REDACTION_ENABLED=true
+# REDACTION_SECRET=
+
+# Longues saisies et pièces jointes texte : au-delà de CHAT_MAX_MESSAGE_LENGTH, le contenu collé devient
+# une pièce jointe dont seuls les passages pertinents sont envoyés au modèle
+# CHAT_MAX_MESSAGE_LENGTH=2000
+# CHAT_MAX_INPUT_LENGTH=100000
+# CHAT_MAX_ATTACHMENTS=5
+# CHAT_MAX_ATTACHMENT_LENGTH=200000
+
+# Instance Odoo interrogée en lecture seule par le modèle (jsonrpc ou xmlrpc)
+# ODOO_URL=https://mon-entreprise.odoo.com
+# ODOO_DB=
+# ODOO_USERNAME=
+# ODOO_API_KEY=
+# ODOO_PROTOCOL=jsonrpc
+# ODOO_ALLOWED_MODELS=hr.leave.type,hr.department,res.company
+
 # Configuration de cache
 CACHE_DURATION=3600000
 
@@ -28,12 +78,19 @@ DATABASE_URL="file:./dev.db"
 
 # JWT Secret pour l'authentification (généré automatiquement)
 JWT_SECRET=${jwtSecret}
+
+# Chiffrement des clés d'API des connexions Odoo (généré automatiquement, ne pas perdre)
+CREDENTIALS_ENCRYPTION_KEY=${credentialsKey}
+
+# Administrateurs : templates de prompts et expériences (e-mails séparés par des virgules)
+# ADMIN_EMAILS=
 `;
 
 try {
   fs.writeFileSync('.env', envContent);
   console.log('✅ Fichier .env créé avec succès!');
   console.log('🔐 JWT_SECRET générée automatiquement');
+  console.log('🔐 CREDENTIALS_ENCRYPTION_KEY générée automatiquement');
   console.log('📄 Vous pouvez maintenant modifier GROQ_API_KEY dans le fichier .env');
 } catch (error) {
   console.error('❌ Erreur lors de la création du fichier .env:', error);
@@ -3,6 +3,7 @@ import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { TooltipProvider } from './components/ui/tooltip';
 import { ToastProvider } from './components/ui/toast';
 import { AuthProvider } from './hooks/useAuth';
+import { LanguageProvider } from './hooks/useLanguage';
 import AuthWrapper from './components/AuthWrapper';
 import './App.css';
 
@@ -21,16 +22,18 @@ function App() {
       <TooltipProvider>
         <ToastProvider>
           <AuthProvider>
-            <BrowserRouter
-              future={{
-                v7_startTransition: true,
-                v7_relativeSplatPath: true
-              }}
-            >
-              <Routes>
-                <Route path="/*" element={<AuthWrapper />} />
-              </Routes>
-            </BrowserRouter>
+            <LanguageProvider>
+              <BrowserRouter
+                future={{
+                  v7_startTransition: true,
+                  v7_relativeSplatPath: true
+                }}
+              >
+                <Routes>
+                  <Route path="/*" element={<AuthWrapper />} />
+                </Routes>
+              </BrowserRouter>
+            </LanguageProvider>
           </AuthProvider>
         </ToastProvider>
       </TooltipProvider>
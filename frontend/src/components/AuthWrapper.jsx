@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
+import { useLanguage } from '../hooks/useLanguage';
 import LoginPage from './auth/LoginPage';
 import SignupPage from './auth/SignupPage';
 import ChatPage from '../pages/ChatPage';
@@ -8,14 +9,15 @@ import ProfilePage from '../pages/ProfilePage';
 
 const AuthWrapper = () => {
   const { user, loading, isAuthenticated } = useAuth();
+  const { t } = useLanguage();
   const [isLogin, setIsLogin] = useState(true);
 
   if (loading) {
     return (
       <div className="min-h-screen bg-background flex items-center justify-center">
-        <div className="flex items-center space-x-2">
+        <div className="flex items-center space-x-2 rtl:space-x-reverse">
           <div className="w-6 h-6 bg-primary transform rotate-45 animate-spin"></div>
-          <span className="text-lg">Chargement...</span>
+          <span className="text-lg">{t('common.loading')}</span>
         </div>
       </div>
     );
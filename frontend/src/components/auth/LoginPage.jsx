@@ -1,10 +1,12 @@
 import { useState } from 'react';
 import { useAuth } from '../../hooks/useAuth';
+import { useLanguage } from '../../hooks/useLanguage';
 import { useToast } from '../../components/ui/toast';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader } from '@/components/ui/card';
 import { Checkbox } from '@/components/ui/checkbox';
+import LanguageSwitcher from '../layout/LanguageSwitcher';
 
 const LoginPage = ({ onSwitchToSignup }) => {
   const [email, setEmail] = useState('');
@@ -14,6 +16,7 @@ const LoginPage = ({ onSwitchToSignup }) => {
   const [error, setError] = useState('');
   const { login } = useAuth();
   const { addToast } = useToast();
+  const { t } = useLanguage();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -23,28 +26,28 @@ const LoginPage = ({ onSwitchToSignup }) => {
     try {
       const result = await login(email, password);
       if (!result.success) {
-        const errorMessage = result.error || 'Email ou mot de passe incorrect';
+        const errorMessage = result.error || t('auth.login.invalidCredentials');
         setError(errorMessage);
         addToast({
           type: 'error',
-          title: 'Erreur de connexion',
+          title: t('auth.login.errorTitle'),
           description: errorMessage,
           duration: 5000
         });
       } else {
         addToast({
           type: 'success',
-          title: 'Connexion réussie',
-          description: 'Vous êtes maintenant connecté !',
+          title: t('auth.login.successTitle'),
+          description: t('auth.login.successDescription'),
           duration: 3000
         });
       }
     } catch (err) {
-      const errorMessage = 'Erreur de connexion au serveur';
+      const errorMessage = t('auth.login.serverError');
       setError(errorMessage);
       addToast({
         type: 'error',
-        title: 'Erreur de connexion',
+        title: t('auth.login.errorTitle'),
         description: errorMessage,
         duration: 5000
       });
@@ -58,18 +61,18 @@ const LoginPage = ({ onSwitchToSignup }) => {
       <Card className="w-full max-w-md">
         <CardHeader className="text-center space-y-4">
           <div className="flex items-center justify-center">
-            <div className="w-8 h-8 bg-primary transform rotate-45 mr-3"></div>
+            <div className="w-8 h-8 bg-primary transform rotate-45 me-3"></div>
             <h1 className="text-2xl font-semibold">Odoo Chatbot</h1>
           </div>
           <div className="space-y-2">
-            <h2 className="text-xl font-medium">Connectez-vous à votre compte</h2>
+            <h2 className="text-xl font-medium">{t('auth.login.title')}</h2>
             <p className="text-muted-foreground">
-              Vous n'avez pas de compte ?{' '}
+              {t('auth.login.noAccount')}{' '}
               <button
                 onClick={onSwitchToSignup}
                 className="text-primary hover:underline font-medium"
               >
-                S'inscrire
+                {t('auth.login.signupLink')}
               </button>
             </p>
           </div>
@@ -79,7 +82,7 @@ const LoginPage = ({ onSwitchToSignup }) => {
           <form onSubmit={handleSubmit} className="space-y-4">
             <div className="space-y-2">
               <label htmlFor="email" className="text-sm font-medium">
-                Email
+                {t('common.email')}
               </label>
               <Input
                 id="email"
@@ -93,7 +96,7 @@ const LoginPage = ({ onSwitchToSignup }) => {
 
             <div className="space-y-2">
               <label htmlFor="password" className="text-sm font-medium">
-                Mot de passe
+                {t('auth.login.password')}
               </label>
               <Input
                 id="password"
@@ -106,7 +109,7 @@ const LoginPage = ({ onSwitchToSignup }) => {
             </div>
 
             <div className="flex items-center justify-between">
-              <div className="flex items-center space-x-2">
+              <div className="flex items-center space-x-2 rtl:space-x-reverse">
                 <Checkbox
                   id="remember"
                   checked={rememberMe}
@@ -116,14 +119,14 @@ const LoginPage = ({ onSwitchToSignup }) => {
                   htmlFor="remember"
                   className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
                 >
-                  Se souvenir de moi
+                  {t('auth.login.rememberMe')}
                 </label>
               </div>
               <button
                 type="button"
                 className="text-sm text-primary hover:underline"
               >
-                Mot de passe oublié ?
+                {t('auth.login.forgotPassword')}
               </button>
             </div>
 
@@ -138,9 +141,11 @@ const LoginPage = ({ onSwitchToSignup }) => {
               className="w-full bg-primary hover:bg-primary-hover"
               disabled={loading}
             >
-              {loading ? 'Connexion...' : 'Se connecter'}
+              {loading ? t('auth.login.submitting') : t('auth.login.submit')}
             </Button>
           </form>
+
+          <LanguageSwitcher className="justify-center mt-6" />
         </CardContent>
       </Card>
     </div>
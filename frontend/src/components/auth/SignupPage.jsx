@@ -1,9 +1,11 @@
 import { useState } from 'react';
 import { useAuth } from '../../hooks/useAuth';
+import { useLanguage } from '../../hooks/useLanguage';
 import { useToast } from '../../components/ui/toast';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader } from '@/components/ui/card';
+import LanguageSwitcher from '../layout/LanguageSwitcher';
 
 const SignupPage = ({ onSwitchToLogin }) => {
   const [email, setEmail] = useState('');
@@ -14,6 +16,7 @@ const SignupPage = ({ onSwitchToLogin }) => {
   const [error, setError] = useState('');
   const { signup } = useAuth();
   const { addToast } = useToast();
+  const { t } = useLanguage();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -23,28 +26,28 @@ const SignupPage = ({ onSwitchToLogin }) => {
     try {
       const result = await signup(email, pseudonyme, password, confirmPassword);
       if (!result.success) {
-        const errorMessage = result.error || 'Erreur lors de l\'inscription';
+        const errorMessage = result.error || t('auth.signup.error');
         setError(errorMessage);
         addToast({
           type: 'error',
-          title: 'Erreur d\'inscription',
+          title: t('auth.signup.errorTitle'),
           description: errorMessage,
           duration: 5000
         });
       } else {
         addToast({
           type: 'success',
-          title: 'Inscription réussie',
-          description: `Bienvenue ${pseudonyme} ! Votre compte a été créé avec succès.`,
+          title: t('auth.signup.successTitle'),
+          description: t('auth.signup.successDescription', { name: pseudonyme }),
           duration: 4000
         });
       }
     } catch (err) {
-      const errorMessage = 'Erreur de connexion au serveur';
+      const errorMessage = t('auth.signup.serverError');
       setError(errorMessage);
       addToast({
         type: 'error',
-        title: 'Erreur d\'inscription',
+        title: t('auth.signup.errorTitle'),
         description: errorMessage,
         duration: 5000
       });
@@ -58,11 +61,11 @@ const SignupPage = ({ onSwitchToLogin }) => {
       <Card className="w-full max-w-md">
         <CardHeader className="text-center space-y-4">
           <div className="flex items-center justify-center">
-            <div className="w-8 h-8 bg-primary transform rotate-45 mr-3"></div>
+            <div className="w-8 h-8 bg-primary transform rotate-45 me-3"></div>
             <h1 className="text-2xl font-semibold">Odoo Chatbot</h1>
           </div>
           <p className="text-muted-foreground">
-            Créez votre compte pour commencer.
+            {t('auth.signup.subtitle')}
           </p>
         </CardHeader>
         
@@ -71,7 +74,7 @@ const SignupPage = ({ onSwitchToLogin }) => {
             <div className="space-y-2">
               <Input
                 type="email"
-                placeholder="Adresse e-mail"
+                placeholder={t('auth.signup.email')}
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
                 required
@@ -82,7 +85,7 @@ const SignupPage = ({ onSwitchToLogin }) => {
             <div className="space-y-2">
               <Input
                 type="text"
-                placeholder="Pseudonyme"
+                placeholder={t('common.pseudonym')}
                 value={pseudonyme}
                 onChange={(e) => setPseudonyme(e.target.value)}
                 required
@@ -93,7 +96,7 @@ const SignupPage = ({ onSwitchToLogin }) => {
             <div className="space-y-2">
               <Input
                 type="password"
-                placeholder="Mot de passe"
+                placeholder={t('auth.signup.password')}
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 required
@@ -104,7 +107,7 @@ const SignupPage = ({ onSwitchToLogin }) => {
             <div className="space-y-2">
               <Input
                 type="password"
-                placeholder="Confirmer le mot de passe"
+                placeholder={t('auth.signup.confirmPassword')}
                 value={confirmPassword}
                 onChange={(e) => setConfirmPassword(e.target.value)}
                 required
@@ -123,22 +126,24 @@ const SignupPage = ({ onSwitchToLogin }) => {
               className="w-full bg-primary hover:bg-primary-hover"
               disabled={loading}
             >
-              {loading ? 'Création...' : 'Créer un compte'}
+              {loading ? t('auth.signup.submitting') : t('auth.signup.submit')}
             </Button>
 
             <div className="text-center">
               <span className="text-muted-foreground">
-                Vous avez déjà un compte ?{' '}
+                {t('auth.signup.hasAccount')}{' '}
               </span>
               <button
                 type="button"
                 onClick={onSwitchToLogin}
                 className="text-primary hover:underline font-medium"
               >
-                Se connecter
+                {t('auth.signup.loginLink')}
               </button>
             </div>
           </form>
+
+          <LanguageSwitcher className="justify-center mt-6" />
         </CardContent>
       </Card>
     </div>
@@ -0,0 +1,176 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { ChevronDown, ChevronRight, Download, FileCode, Folder, FolderOpen, Loader2, Package } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Arborescence { name, path, children, file } construite à partir des chemins des fichiers
+const buildTree = (files) => {
+  const root = { name: '', path: '', children: [], file: null };
+  files.forEach(file => {
+    const parts = file.path.split('/');
+    let node = root;
+    parts.forEach((part, index) => {
+      const path = parts.slice(0, index + 1).join('/');
+      let child = node.children.find(item => item.name === part);
+      if (!child) {
+        child = { name: part, path, children: [], file: index === parts.length - 1 ? file : null };
+        node.children.push(child);
+      }
+      node = child;
+    });
+  });
+  return root.children;
+};
+
+const TreeNode = ({ node, depth, collapsed, selectedPath, onToggle, onSelect }) => {
+  const isFolder = !node.file;
+  const isCollapsed = collapsed.has(node.path);
+  const FolderIcon = isCollapsed ? Folder : FolderOpen;
+  const Chevron = isCollapsed ? ChevronRight : ChevronDown;
+
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={() => (isFolder ? onToggle(node.path) : onSelect(node.path))}
+        className={`flex w-full items-center rounded-lg px-2 py-1 text-xs font-mono text-start hover:bg-background/60 ${
+          selectedPath === node.path ? 'bg-background font-semibold' : ''
+        }`}
+        style={{ paddingInlineStart: `${depth * 12 + 8}px` }}
+      >
+        {isFolder ? (
+          <>
+            <Chevron className="w-3 h-3 me-1 flex-shrink-0 rtl:rotate-180" />
+            <FolderIcon className="w-3 h-3 me-2 flex-shrink-0 text-primary" />
+          </>
+        ) : (
+          <FileCode className="w-3 h-3 ms-4 me-2 flex-shrink-0 text-muted-foreground" />
+        )}
+        <span className="truncate">{node.name}</span>
+      </button>
+      {isFolder && !isCollapsed && (
+        <ul>
+          {node.children.map(child => (
+            <TreeNode
+              key={child.path}
+              node={child}
+              depth={depth + 1}
+              collapsed={collapsed}
+              selectedPath={selectedPath}
+              onToggle={onToggle}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Module Odoo généré : arborescence repliable, contenu du fichier sélectionné et téléchargement ZIP
+// Les conversations ne contiennent que le nom et le résumé du module : les fichiers sont chargés à l'affichage
+const AddonPreview = ({ addon, disabled = false, onDownload, onLoadFiles }) => {
+  const { t } = useLanguage();
+  const [loadedFiles, setLoadedFiles] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const filesRequested = useRef(false);
+  const files = addon.files ?? loadedFiles;
+  const tree = useMemo(() => buildTree(files ?? []), [files]);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [selectedPath, setSelectedPath] = useState(null);
+  // Manifeste affiché par défaut
+  const activePath = selectedPath
+    ?? files?.find(file => file.path.endsWith('__manifest__.py'))?.path
+    ?? files?.[0]?.path
+    ?? null;
+  const selectedFile = files?.find(file => file.path === activePath);
+
+  // Chargement unique par module affiché
+  useEffect(() => {
+    if (addon.files || !onLoadFiles || filesRequested.current) return;
+    filesRequested.current = true;
+    onLoadFiles().then(result => {
+      if (result) setLoadedFiles(result);
+      else setLoadError(true);
+    });
+  }, [addon.files, onLoadFiles]);
+
+  const toggleFolder = (path) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-start space-x-2 rtl:space-x-reverse">
+          <Package className="w-5 h-5 mt-0.5 text-primary flex-shrink-0" />
+          <div>
+            <h2 className="text-base font-semibold">{addon.name}</h2>
+            <code className="text-xs font-mono text-muted-foreground">{addon.technicalName}</code>
+          </div>
+        </div>
+        {files && (
+          <Badge variant="secondary" className="text-xs rounded-xl flex-shrink-0">
+            {t('addon.files', { count: files.length })}
+          </Badge>
+        )}
+      </div>
+
+      {addon.summary && <p className="text-sm leading-relaxed">{addon.summary}</p>}
+
+      {!files ? (
+        <div className="flex items-center gap-2 text-xs text-muted-foreground">
+          {loadError || !onLoadFiles ? t('addon.loadError') : (
+            <>
+              <Loader2 className="w-3 h-3 animate-spin" />
+              {t('addon.loadingFiles')}
+            </>
+          )}
+        </div>
+      ) : (
+        <div className="grid gap-2 md:grid-cols-[minmax(0,14rem)_minmax(0,1fr)]">
+          <ul dir="ltr" className="bg-background/50 rounded-xl border border-border py-2 max-h-80 overflow-y-auto">
+            {tree.map(node => (
+              <TreeNode
+                key={node.path}
+                node={node}
+                depth={0}
+                collapsed={collapsed}
+                selectedPath={activePath}
+                onToggle={toggleFolder}
+                onSelect={setSelectedPath}
+              />
+            ))}
+          </ul>
+          <div className="min-w-0">
+            {selectedFile ? (
+              <pre dir="ltr" className="bg-background p-3 rounded-xl text-xs overflow-auto font-mono max-h-80 h-full">
+                {selectedFile.content}
+              </pre>
+            ) : (
+              <p className="text-xs text-muted-foreground italic p-3">{t('addon.selectFile')}</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-xs text-muted-foreground">{t('addon.installHint', { technicalName: addon.technicalName })}</p>
+        {onDownload && (
+          <Button size="sm" className="rounded-xl" disabled={disabled} onClick={onDownload}>
+            <Download className="w-4 h-4 me-2" />
+            {t('addon.download')}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AddonPreview;
@@ -1,21 +1,57 @@
 import { useState, useRef, useEffect } from 'react';
-import { Send, MoreHorizontal, Menu } from 'lucide-react';
+import { Send, Square, MoreHorizontal, Menu, ListChecks, Package, Server, Paperclip, FileText, X } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/toast';
 import MessageBubble from './MessageBubble';
 import { useAuth } from '../../hooks/useAuth';
+import { useLanguage } from '../../hooks/useLanguage';
+import { useOdooConnections } from '../../hooks/useOdooConnections';
+import { toPendingAttachment } from '../../hooks/useChat';
+
+// Limites par défaut du serveur (CHAT_MAX_MESSAGE_LENGTH, CHAT_MAX_INPUT_LENGTH, CHAT_MAX_ATTACHMENTS, CHAT_MAX_ATTACHMENT_LENGTH)
+const MESSAGE_LENGTH = 2000;
+const MAX_INPUT_LENGTH = 100000;
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_LENGTH = 200000;
 
 const ChatInterface = ({ 
   activeConversation, 
   loading, 
+  streamingText = '',
+  streamingStage = null,
+  starterQuestions = [],
   onSendMessage,
+  onRegenerateMessage,
+  onEditMessage,
+  onSwitchMessageVersion,
+  onStopGeneration,
+  onUpdateGuideProgress,
+  onDownloadAddon,
+  onLoadAddonFiles,
+  onLoadAttachments,
+  onUpdateConversation,
   sidebarCollapsed = false,
   onToggleSidebar 
 }) => {
   const [message, setMessage] = useState('');
   const [localMessages, setLocalMessages] = useState([]);
+  // Mode guide pas à pas : réponses structurées en étapes à cocher
+  const [structuredMode, setStructuredMode] = useState(false);
+  // Mode module : génération d'un module Odoo téléchargeable (exclusif du mode guide)
+  const [addonMode, setAddonMode] = useState(false);
+  // Instance Odoo choisie avant le premier message d'une nouvelle conversation
+  const [draftConnectionId, setDraftConnectionId] = useState(null);
+  // Fichiers texte joints au prochain message ({ name, content })
+  const [attachments, setAttachments] = useState([]);
   const { user, logout } = useAuth();
+  const { t } = useLanguage();
+  const { addToast } = useToast();
+  const { connections: odooConnections, reload: reloadOdooConnections } = useOdooConnections();
   const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   // Tri chronologique croissant (plus anciens en haut, récents en bas)
   const sortByTimestampAsc = (messages = []) => {
@@ -33,22 +69,22 @@ const ChatInterface = ({
     }
   }, [activeConversation, loading]);
 
-  // Ajouter le message de chargement quand loading change
+  // Afficher la réponse en cours : libellé de l'étape (chat.stages.*), puis le texte au fil du flux
   useEffect(() => {
     if (loading) {
       const loadingMessage = {
         id: 'loading',
-        text: 'En train de réfléchir...',
+        text: streamingText || (streamingStage ? t(`chat.stages.${streamingStage}`) : t('chat.thinking')),
         isUser: false,
         timestamp: new Date().toISOString(),
-        isLoading: true
+        isLoading: !streamingText
       };
-      setLocalMessages(prev => [...prev, loadingMessage]);
+      setLocalMessages(prev => [...prev.filter(msg => msg.id !== 'loading'), loadingMessage]);
     } else {
       // Retirer le message de chargement
       setLocalMessages(prev => prev.filter(msg => msg.id !== 'loading'));
     }
-  }, [loading]);
+  }, [loading, streamingText, streamingStage, t]);
 
   const scrollToBottom = () => {
     if (messagesEndRef.current) {
@@ -65,24 +101,90 @@ const ChatInterface = ({
     return () => clearTimeout(timer);
   }, [localMessages, loading]);
 
+  // Envoyer un message (saisie ou question suggérée) avec affichage optimiste
+  const submitMessage = (text, files = []) => {
+    if ((!text.trim() && files.length === 0) || loading) return;
+
+    // Créer le message utilisateur
+    const userMessage = {
+      id: Date.now(),
+      text: text.trim(),
+      isUser: true,
+      timestamp: new Date().toISOString(),
+      attachments: files.length > 0 ? files.map(toPendingAttachment) : null
+    };
+    
+    // Ajouter le message utilisateur à la liste locale
+    setLocalMessages(prev => [...prev, userMessage]);
+    
+    // Envoyer le message au backend
+    onSendMessage(text.trim(), { structured: structuredMode, addon: addonMode, odooConnectionId: draftConnectionId, attachments: files });
+  };
+
+  const messageTooLong = message.length > MAX_INPUT_LENGTH;
+  const canSend = (message.trim() || attachments.length > 0) && !messageTooLong;
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (message.trim() && !loading) {
-      // Créer le message utilisateur
-      const userMessage = {
-        id: Date.now(),
-        text: message.trim(),
-        isUser: true,
-        timestamp: new Date().toISOString()
-      };
-      
-      // Ajouter le message utilisateur à la liste locale
-      setLocalMessages(prev => [...prev, userMessage]);
-      
-      // Envoyer le message au backend
-      onSendMessage(message.trim());
+    if (canSend && !loading) {
+      submitMessage(message, attachments);
       setMessage('');
+      setAttachments([]);
+    }
+  };
+
+  // Lire les fichiers choisis : texte uniquement, dans les limites du serveur
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    const added = [];
+
+    for (const file of files) {
+      if (attachments.length + added.length >= MAX_ATTACHMENTS) {
+        addToast({ type: 'error', description: t('attachments.tooMany', { max: MAX_ATTACHMENTS }), duration: 5000 });
+        break;
+      }
+      let content;
+      try {
+        content = await file.text();
+      } catch {
+        addToast({ type: 'error', description: t('attachments.readError', { name: file.name }), duration: 5000 });
+        continue;
+      }
+      if (content.includes('\u0000')) {
+        addToast({ type: 'error', description: t('attachments.notText', { name: file.name }), duration: 5000 });
+      } else if (content.length > MAX_ATTACHMENT_LENGTH) {
+        addToast({ type: 'error', description: t('attachments.tooLarge', { name: file.name, max: MAX_ATTACHMENT_LENGTH }), duration: 5000 });
+      } else if (content.trim()) {
+        added.push({ name: file.name, content });
+      }
     }
+
+    if (added.length > 0) {
+      setAttachments(prev => [...prev, ...added]);
+    }
+  };
+
+  // Régénérer une réponse : retirer la réponse et la suite de la branche en attendant la nouvelle version
+  const handleRegenerate = (targetMessage) => {
+    if (loading || !onRegenerateMessage) return;
+    setLocalMessages(prev => prev.slice(0, prev.findIndex(msg => msg.id === targetMessage.id)));
+    onRegenerateMessage(targetMessage.id);
+  };
+
+  // Modifier une question : afficher la version modifiée à la place de l'originale et de sa suite
+  const handleEdit = (targetMessage, text) => {
+    if (loading || !onEditMessage) return;
+    const editedMessage = {
+      id: Date.now(),
+      text,
+      isUser: true,
+      timestamp: new Date().toISOString(),
+      // Les pièces jointes de la question sont conservées par le serveur
+      attachments: targetMessage.attachments
+    };
+    setLocalMessages(prev => [...prev.slice(0, prev.findIndex(msg => msg.id === targetMessage.id)), editedMessage]);
+    onEditMessage(targetMessage.id, text, { structured: structuredMode, addon: addonMode });
   };
 
   const handleKeyDown = (e) => {
@@ -92,6 +194,22 @@ const ChatInterface = ({
     }
   };
 
+  // Conversation enregistrée (les conversations temporaires ont un id négatif)
+  const isSavedConversation = activeConversation?.id > 0;
+  const selectedConnectionId = isSavedConversation ? activeConversation.odooConnectionId ?? null : draftConnectionId;
+
+  const handleConnectionChange = async (value) => {
+    const connectionId = value === 'none' ? null : parseInt(value, 10);
+    if (!isSavedConversation) {
+      setDraftConnectionId(connectionId);
+      return;
+    }
+    const updated = await onUpdateConversation?.(activeConversation.id, { odooConnectionId: connectionId });
+    if (!updated) {
+      addToast({ type: 'error', description: t('odooConnections.selector.updateError'), duration: 5000 });
+    }
+  };
+
   return (
     <div className="flex-1 flex flex-col h-full overflow-hidden">
       {/* Header - Fixe */}
@@ -103,20 +221,39 @@ const ChatInterface = ({
                 onClick={onToggleSidebar}
                 variant="ghost"
                 size="sm"
-                className="mr-3 rounded-2xl"
+                className="me-3 rounded-2xl"
               >
                 <Menu className="w-4 h-4" />
               </Button>
             )}
             <h2 className="text-lg font-semibold">
-              {activeConversation?.title || 'Nouvelle conversation'}
+              {activeConversation?.title || t('chat.newConversation')}
             </h2>
           </div>
-          <div className="flex items-center space-x-3">
+          <div className="flex items-center space-x-3 rtl:space-x-reverse">
+            {(odooConnections.length > 0 || selectedConnectionId) && (
+              <Select
+                value={selectedConnectionId ? String(selectedConnectionId) : 'none'}
+                onValueChange={handleConnectionChange}
+                onOpenChange={(open) => open && reloadOdooConnections()}
+                disabled={loading}
+              >
+                <SelectTrigger className="h-8 w-44 rounded-2xl text-xs" aria-label={t('odooConnections.selector.label')} title={t('odooConnections.selector.label')}>
+                  <Server className="w-3 h-3 me-1 flex-shrink-0" />
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="none">{t('odooConnections.selector.none')}</SelectItem>
+                  {odooConnections.map(connection => (
+                    <SelectItem key={connection.id} value={String(connection.id)}>{connection.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
             <Button variant="ghost" size="sm" className="rounded-2xl">
               <MoreHorizontal className="w-4 h-4" />
             </Button>
-            <div className="flex items-center space-x-2">
+            <div className="flex items-center space-x-2 rtl:space-x-reverse">
               <span className="text-sm font-medium">{user?.pseudonyme || user?.email}</span>
               <div className="w-8 h-8 bg-gradient-to-br from-purple-400 to-pink-400 rounded-full flex items-center justify-center">
                 <span className="text-white text-sm font-medium">
@@ -129,7 +266,7 @@ const ChatInterface = ({
                 onClick={logout}
                 className="text-muted-foreground hover:text-foreground rounded-2xl"
               >
-                Déconnexion
+                {t('chat.logout')}
               </Button>
             </div>
           </div>
@@ -142,7 +279,21 @@ const ChatInterface = ({
           <div className="h-full overflow-y-auto">
             <div className="p-6 space-y-2">
               {localMessages.map((msg, idx) => (
-                <MessageBubble key={`${msg.id ?? 'noid'}-${idx}`} message={msg} user={user} />
+                <MessageBubble
+                  key={`${msg.id ?? 'noid'}-${idx}`}
+                  message={msg}
+                  user={user}
+                  disabled={loading}
+                  onEdit={handleEdit}
+                  onRegenerate={handleRegenerate}
+                  onSwitchVersion={onSwitchMessageVersion}
+                  onGuideProgressChange={onUpdateGuideProgress ? (targetMessage, checked) => onUpdateGuideProgress(targetMessage.id, checked) : undefined}
+                  onDownloadAddon={onDownloadAddon ? (targetMessage) => onDownloadAddon(targetMessage.id) : undefined}
+                  onLoadAddonFiles={onLoadAddonFiles ? (targetMessage) => onLoadAddonFiles(targetMessage.id) : undefined}
+                  onLoadAttachments={onLoadAttachments ? (targetMessage) => onLoadAttachments(targetMessage.id) : undefined}
+                  // Questions de suivi : seulement sous la dernière réponse
+                  onSuggestionClick={idx === localMessages.length - 1 && !loading ? submitMessage : undefined}
+                />
               ))}
               <div ref={messagesEndRef} />
             </div>
@@ -157,15 +308,39 @@ const ChatInterface = ({
               </div>
               <div>
                 <h3 className="text-xl font-semibold mb-2">
-                  Bienvenue sur le Chatbot Odoo
+                  {t('chat.welcomeTitle')}
                 </h3>
                 <p className="text-muted-foreground mb-1">
-                  Posez une question pour commencer une nouvelle conversation.
+                  {t('chat.welcomeStart')}
                 </p>
                 <p className="text-muted-foreground">
-                  Vous pouvez demander de l'aide sur n'importe quel sujet concernant Odoo.
+                  {t('chat.welcomeHelp')}
                 </p>
               </div>
+              {starterQuestions.length > 0 && (
+                <div className="grid gap-3 sm:grid-cols-2 max-w-3xl mx-auto pt-2 text-start">
+                  {starterQuestions.map((starter) => (
+                    <div key={starter.module} className="p-3 bg-card rounded-2xl border border-border space-y-2">
+                      <Badge variant="secondary" className="text-xs rounded-xl">
+                        {starter.label}
+                      </Badge>
+                      <div className="flex flex-col space-y-1">
+                        {starter.questions.map((question) => (
+                          <button
+                            key={question}
+                            type="button"
+                            onClick={() => submitMessage(question)}
+                            disabled={loading}
+                            className="text-start text-sm text-muted-foreground hover:text-foreground rounded-xl px-2 py-1 hover:bg-muted transition-colors"
+                          >
+                            {question}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -173,26 +348,115 @@ const ChatInterface = ({
 
       {/* Input Area - Fixe */}
       <div className="border-t border-border p-4 bg-card rounded-b-3xl flex-shrink-0">
-        <form onSubmit={handleSubmit} className="flex space-x-2">
+        {attachments.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-2">
+            {attachments.map((attachment, index) => (
+              <Badge key={`${attachment.name}-${index}`} variant="secondary" className="text-xs rounded-xl ps-2 pe-1 py-1">
+                <FileText className="w-3 h-3 me-1" />
+                <span className="max-w-[12rem] truncate">{attachment.name}</span>
+                <button
+                  type="button"
+                  onClick={() => setAttachments(prev => prev.filter((_, i) => i !== index))}
+                  className="ms-1 rounded-full p-0.5 hover:bg-background"
+                  aria-label={t('attachments.remove', { name: attachment.name })}
+                  title={t('attachments.remove', { name: attachment.name })}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </Badge>
+            ))}
+          </div>
+        )}
+        {message.length > MESSAGE_LENGTH && (
+          <p className={`text-xs mb-2 ${messageTooLong ? 'text-destructive' : 'text-muted-foreground'}`}>
+            {messageTooLong ? t('attachments.tooLong', { max: MAX_INPUT_LENGTH }) : t('attachments.pasteHint')}
+          </p>
+        )}
+        <form onSubmit={handleSubmit} className="flex space-x-2 rtl:space-x-reverse">
           <div className="flex-1 relative">
             <Textarea
               value={message}
               onChange={(e) => setMessage(e.target.value)}
               onKeyDown={handleKeyDown}
-              placeholder="Posez votre question ici... (Shift+Entrée pour une nouvelle ligne)"
+              placeholder={t('chat.placeholder')}
+              dir="auto"
               disabled={loading}
-              className="pr-12 rounded-2xl resize-none min-h-[48px] max-h-48"
+              className="pe-12 rounded-2xl resize-none min-h-[48px] max-h-48"
               rows={3}
             />
-            <Button
-              type="submit"
-              size="sm"
-              className="absolute right-1 top-1/2 transform -translate-y-1/2 h-8 w-8 p-0 rounded-2xl"
-              disabled={loading || !message.trim()}
-            >
-              <Send className="w-4 h-4" />
-            </Button>
+            {loading ? (
+              <Button
+                type="button"
+                size="sm"
+                variant="destructive"
+                onClick={onStopGeneration}
+                className="absolute end-1 top-1/2 transform -translate-y-1/2 h-8 w-8 p-0 rounded-2xl"
+                disabled={!onStopGeneration}
+                aria-label={t('chat.stop')}
+                title={t('chat.stop')}
+              >
+                <Square className="w-4 h-4" />
+              </Button>
+            ) : (
+              <Button
+                type="submit"
+                size="sm"
+                className="absolute end-1 top-1/2 transform -translate-y-1/2 h-8 w-8 p-0 rounded-2xl"
+                disabled={!canSend}
+              >
+                <Send className="w-4 h-4 rtl:-scale-x-100" />
+              </Button>
+            )}
           </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            className="hidden"
+            onChange={handleFilesSelected}
+          />
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            onClick={() => fileInputRef.current?.click()}
+            className="self-end rounded-2xl"
+            disabled={loading || attachments.length >= MAX_ATTACHMENTS}
+            aria-label={t('attachments.attach')}
+            title={t('attachments.attachHint')}
+          >
+            <Paperclip className="w-4 h-4" />
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant={structuredMode ? 'default' : 'outline'}
+            onClick={() => {
+              setStructuredMode(prev => !prev);
+              setAddonMode(false);
+            }}
+            className="self-end rounded-2xl"
+            aria-pressed={structuredMode}
+            title={t('chat.structuredModeHint')}
+          >
+            <ListChecks className="w-4 h-4 me-1" />
+            <span className="hidden sm:inline">{t('chat.structuredMode')}</span>
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant={addonMode ? 'default' : 'outline'}
+            onClick={() => {
+              setAddonMode(prev => !prev);
+              setStructuredMode(false);
+            }}
+            className="self-end rounded-2xl"
+            aria-pressed={addonMode}
+            title={t('chat.addonModeHint')}
+          >
+            <Package className="w-4 h-4 me-1" />
+            <span className="hidden sm:inline">{t('chat.addonMode')}</span>
+          </Button>
         </form>
       </div>
     </div>
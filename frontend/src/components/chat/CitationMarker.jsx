@@ -0,0 +1,53 @@
+import { Badge } from '@/components/ui/badge';
+import { HoverCard, HoverCardContent, HoverCardTrigger } from '@/components/ui/hover-card';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Marqueur de citation [n] : au survol, affiche la source de documentation correspondante
+const CitationMarker = ({ number, source }) => {
+  const { t } = useLanguage();
+
+  return (
+    <HoverCard openDelay={150} closeDelay={100}>
+      <HoverCardTrigger asChild>
+        <sup>
+          <button
+            type="button"
+            className="mx-0.5 px-1 rounded-md bg-primary/10 text-primary text-[10px] font-semibold tabular-nums hover:bg-primary/20 cursor-help"
+            aria-label={t('message.citation', { number, title: source.title })}
+          >
+            {number}
+          </button>
+        </sup>
+      </HoverCardTrigger>
+      <HoverCardContent className="w-80 rounded-2xl" align="start">
+        <div className="space-y-2">
+          <div className="flex items-start space-x-2 rtl:space-x-reverse">
+            <span className="text-xs font-semibold text-primary tabular-nums">[{number}]</span>
+            <h4 className="text-xs font-medium text-foreground">{source.title}</h4>
+          </div>
+          {(source.section || source.subsection) && (
+            <div className="flex flex-wrap gap-1">
+              {source.section && (
+                <Badge variant="secondary" className="text-xs rounded-xl">
+                  {source.section}
+                </Badge>
+              )}
+              {source.subsection && (
+                <Badge variant="outline" className="text-xs rounded-xl">
+                  {source.subsection}
+                </Badge>
+              )}
+            </div>
+          )}
+          {source.excerpt && (
+            <p className="text-xs text-muted-foreground line-clamp-6">
+              {source.excerpt}
+            </p>
+          )}
+        </div>
+      </HoverCardContent>
+    </HoverCard>
+  );
+};
+
+export default CitationMarker;
@@ -0,0 +1,42 @@
+import { FileWarning } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Langages vérifiés ayant un libellé traduit (codeCheck.languages.*)
+const LANGUAGES = ['xml', 'python', 'manifest'];
+
+// Avertissement sous la réponse : blocs de code invalides (XML, Python, manifeste) restés après correction
+const CodeCheckWarning = ({ codeCheck }) => {
+  const { t } = useLanguage();
+  const invalid = (codeCheck?.blocks || []).filter(block => !block.valid);
+  if (codeCheck?.status !== 'warning' || invalid.length === 0) return null;
+
+  return (
+    <div className="mt-3 p-3 rounded-2xl border border-amber-500/60 bg-amber-500/5 text-xs space-y-2">
+      <p className="flex items-center font-medium text-amber-700 dark:text-amber-400">
+        <FileWarning className="w-4 h-4 me-2 flex-shrink-0" />
+        {t('codeCheck.title', { count: invalid.length })}
+      </p>
+      <ul className="space-y-2">
+        {invalid.map(block => (
+          <li key={block.index}>
+            <div className="flex items-center space-x-2 rtl:space-x-reverse">
+              <Badge variant="secondary" className="text-[10px] rounded-xl">
+                {LANGUAGES.includes(block.language) ? t(`codeCheck.languages.${block.language}`) : block.language}
+              </Badge>
+              <span className="text-muted-foreground">{t('codeCheck.block', { index: block.index })}</span>
+            </div>
+            <ul dir="ltr" className="mt-1 space-y-0.5 ms-2">
+              {block.errors.map((error, index) => (
+                <li key={index} className="font-mono break-words text-foreground/80">{error}</li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+      <p className="text-muted-foreground">{t('codeCheck.hint')}</p>
+    </div>
+  );
+};
+
+export default CodeCheckWarning;
@@ -0,0 +1,53 @@
+import { AlertTriangle } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { HoverCard, HoverCardContent, HoverCardTrigger } from '@/components/ui/hover-card';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Types d'éléments vérifiés ayant un libellé traduit (grounding.types.*)
+const CLAIM_TYPES = ['menu', 'model', 'field'];
+
+// Badge d'avertissement : éléments de la réponse non confirmés par la documentation Odoo
+const GroundingWarning = ({ grounding }) => {
+  const { t } = useLanguage();
+  const flagged = (grounding?.claims || []).filter(claim => claim.status !== 'verified');
+  if (grounding?.status !== 'warning' || flagged.length === 0) return null;
+
+  return (
+    <HoverCard openDelay={150} closeDelay={100}>
+      {/* Badge n'accepte pas de ref : l'élément déclencheur est un span */}
+      <HoverCardTrigger asChild>
+        <span tabIndex={0} className="inline-flex cursor-help">
+          <Badge variant="outline" className="text-xs rounded-xl border-amber-500/60 text-amber-700 dark:text-amber-400">
+            <AlertTriangle className="w-3 h-3 me-1" />
+            {t('grounding.badge', { count: flagged.length })}
+          </Badge>
+        </span>
+      </HoverCardTrigger>
+      <HoverCardContent className="w-96 rounded-2xl" align="start">
+        <div className="space-y-2">
+          <p className="text-xs font-medium text-foreground">
+            {t('grounding.intro')}
+          </p>
+          <ul className="space-y-2">
+            {flagged.map((claim, index) => (
+              <li key={index} className="text-xs">
+                <div className="flex items-start space-x-2 rtl:space-x-reverse">
+                  <Badge variant="secondary" className="text-[10px] rounded-xl flex-shrink-0">
+                    {CLAIM_TYPES.includes(claim.type) ? t(`grounding.types.${claim.type}`) : claim.type}
+                  </Badge>
+                  <code className="font-mono break-all">{claim.text}</code>
+                </div>
+                <p className="text-muted-foreground mt-1">
+                  {t(`grounding.statuses.${claim.status}`)}
+                  {claim.documented && <> — {t('grounding.documented')} <span className="font-medium">{claim.documented}</span></>}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </HoverCardContent>
+    </HoverCard>
+  );
+};
+
+export default GroundingWarning;
@@ -0,0 +1,119 @@
+import { ListChecks } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Élément cochable du guide : clé enregistrée côté serveur ("step-1", "validation-2"...)
+const ChecklistItem = ({ id, itemKey, checked, disabled, onToggle, children }) => (
+  <li className="flex items-start space-x-3 rtl:space-x-reverse">
+    <Checkbox
+      id={id}
+      checked={checked}
+      disabled={disabled}
+      onCheckedChange={(value) => onToggle(itemKey, value === true)}
+      className="mt-1"
+    />
+    <label htmlFor={id} className={`flex-1 text-sm leading-relaxed cursor-pointer ${checked ? 'text-muted-foreground line-through' : ''}`}>
+      {children}
+    </label>
+  </li>
+);
+
+// Guide pas à pas d'une réponse structurée : étapes et vérifications à cocher
+// renderText affiche un texte du guide (Markdown en ligne, citations)
+const GuideChecklist = ({ guide, idPrefix, progress = [], disabled = false, onProgressChange, renderText }) => {
+  const { t } = useLanguage();
+  const checked = new Set(progress);
+  const total = guide.steps.length + guide.validation.length;
+
+  const toggle = (key, value) => {
+    if (!onProgressChange) return;
+    const next = new Set(checked);
+    if (value) next.add(key);
+    else next.delete(key);
+    onProgressChange([...next]);
+  };
+
+  const readOnly = disabled || !onProgressChange;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-3">
+        {guide.title && <h2 className="text-base font-semibold">{guide.title}</h2>}
+        <Badge variant="secondary" className="text-xs rounded-xl flex-shrink-0 ms-auto">
+          <ListChecks className="w-3 h-3 me-1" />
+          {t('guide.progress', { done: checked.size, total })}
+        </Badge>
+      </div>
+
+      <section>
+        <h3 className="text-sm font-semibold mb-1">🔍 {t('guide.analysis')}</h3>
+        <div className="text-sm">{renderText(guide.analysis)}</div>
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold mb-2">💡 {t('guide.steps')}</h3>
+        <ol className="space-y-3">
+          {guide.steps.map((step, index) => (
+            <ChecklistItem
+              key={`step-${index + 1}`}
+              id={`${idPrefix}-step-${index + 1}`}
+              itemKey={`step-${index + 1}`}
+              checked={checked.has(`step-${index + 1}`)}
+              disabled={readOnly}
+              onToggle={toggle}
+            >
+              <span className="font-semibold tabular-nums me-1">{index + 1}.</span>
+              {step.menuPath && (
+                <code className="bg-background px-2 py-0.5 rounded-lg text-xs font-mono me-1">{step.menuPath}</code>
+              )}
+              {renderText(step.action)}
+              {step.expectedResult && (
+                <span className="block text-xs text-muted-foreground italic mt-1">
+                  {t('guide.expectedResult')} {renderText(step.expectedResult)}
+                </span>
+              )}
+            </ChecklistItem>
+          ))}
+        </ol>
+      </section>
+
+      {guide.validation.length > 0 && (
+        <section>
+          <h3 className="text-sm font-semibold mb-2">✅ {t('guide.validation')}</h3>
+          <ul className="space-y-2">
+            {guide.validation.map((check, index) => (
+              <ChecklistItem
+                key={`validation-${index + 1}`}
+                id={`${idPrefix}-validation-${index + 1}`}
+                itemKey={`validation-${index + 1}`}
+                checked={checked.has(`validation-${index + 1}`)}
+                disabled={readOnly}
+                onToggle={toggle}
+              >
+                {renderText(check)}
+              </ChecklistItem>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {guide.furtherReading.length > 0 && (
+        <section>
+          <h3 className="text-sm font-semibold mb-1">🚀 {t('guide.furtherReading')}</h3>
+          <ul className="list-disc list-inside space-y-1 ms-4">
+            {guide.furtherReading.map((item, index) => (
+              <li key={index} className="text-sm">
+                {item.url
+                  ? <a href={item.url} target="_blank" rel="noopener noreferrer" className="underline underline-offset-2">{item.title}</a>
+                  : item.title}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default GuideChecklist;
@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronUp, ClipboardPaste, FileText, Loader2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '../../hooks/useLanguage';
+
+// Pièce jointe repliée : nom, nature, nombre de lignes et ligne de titre ; contenu d'origine au dépliage
+const AttachmentItem = ({ attachment, content, loadError = false, onExpand }) => {
+  const { t } = useLanguage();
+  const [expanded, setExpanded] = useState(false);
+  const Icon = attachment.source === 'paste' ? ClipboardPaste : FileText;
+  const Chevron = expanded ? ChevronUp : ChevronDown;
+
+  return (
+    <div className="rounded-2xl border border-border bg-card text-card-foreground shadow-sm overflow-hidden">
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => {
+          if (!expanded) onExpand?.();
+          setExpanded(prev => !prev);
+        }}
+        className="w-full h-auto justify-start px-3 py-2 rounded-none text-start font-normal"
+        aria-expanded={expanded}
+        title={expanded ? t('attachments.hide') : t('attachments.show')}
+      >
+        <Icon className="w-4 h-4 me-2 flex-shrink-0 text-muted-foreground" />
+        <span className="flex-1 min-w-0">
+          <span className="flex items-center gap-2">
+            <span className="text-xs font-medium truncate">{attachment.name || t('attachments.pasted')}</span>
+            <Badge variant="secondary" className="text-[10px] rounded-xl px-1.5 py-0">
+              {t(`attachments.kinds.${attachment.kind}`)}
+            </Badge>
+            <span className="text-[10px] text-muted-foreground whitespace-nowrap">{t('attachments.lines', { count: attachment.lines })}</span>
+          </span>
+          {attachment.headline && (
+            <span dir="ltr" className="block text-[11px] font-mono text-muted-foreground truncate">{attachment.headline}</span>
+          )}
+        </span>
+        <Chevron className="w-4 h-4 ms-2 flex-shrink-0 text-muted-foreground" />
+      </Button>
+      {expanded && (content !== undefined ? (
+        <pre dir="ltr" className="max-h-96 overflow-auto border-t border-border bg-muted/50 p-3 text-xs font-mono whitespace-pre">
+          {content}
+        </pre>
+      ) : (
+        <div className="flex items-center gap-2 border-t border-border bg-muted/50 p-3 text-xs text-muted-foreground">
+          {loadError ? t('attachments.loadError') : (
+            <>
+              <Loader2 className="w-3 h-3 animate-spin" />
+              {t('attachments.loading')}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Fichiers joints et contenus collés d'une question
+// Les conversations ne contiennent que les métadonnées : le contenu est chargé au premier dépliage
+const MessageAttachments = ({ attachments, onLoadContents }) => {
+  const [contents, setContents] = useState(null);
+  const [loadState, setLoadState] = useState('idle');
+
+  if (!attachments || attachments.length === 0) return null;
+
+  const loadContents = async () => {
+    if (!onLoadContents || loadState === 'loading' || loadState === 'loaded') return;
+    if (attachments.every(attachment => attachment.content !== undefined)) return;
+
+    setLoadState('loading');
+    const loaded = await onLoadContents();
+    if (loaded) {
+      setContents(loaded.map(attachment => attachment.content));
+      setLoadState('loaded');
+    } else {
+      setLoadState('error');
+    }
+  };
+
+  return (
+    <div className="w-full min-w-[16rem] space-y-2">
+      {attachments.map((attachment, index) => (
+        <AttachmentItem
+          key={`${attachment.name ?? 'paste'}-${index}`}
+          attachment={attachment}
+          content={attachment.content ?? contents?.[index]}
+          loadError={loadState === 'error' || (!onLoadContents && attachment.content === undefined)}
+          onExpand={loadContents}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default MessageAttachments;
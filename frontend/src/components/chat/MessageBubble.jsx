@@ -1,49 +1,226 @@
 import { useState } from 'react';
-import { BookOpen, ExternalLink, ChevronDown, ChevronUp } from 'lucide-react';
+import { BookOpen, ExternalLink, ChevronDown, ChevronUp, ChevronLeft, ChevronRight, Pencil, RefreshCw, CircleStop, ShieldCheck } from 'lucide-react';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
 import ReactMarkdown from 'react-markdown';
+import CitationMarker from './CitationMarker';
+import GroundingWarning from './GroundingWarning';
+import CodeCheckWarning from './CodeCheckWarning';
+import GuideChecklist from './GuideChecklist';
+import AddonPreview from './AddonPreview';
+import MessageAttachments from './MessageAttachments';
+import { useLanguage } from '../../hooks/useLanguage';
 
-const MessageBubble = ({ message, user }) => {
+// Marqueurs de citation [1] ou [1, 2] (hors liens Markdown) et blocs de code à laisser intacts
+const CITATION_PATTERN = /\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\](?!\()/g;
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+const CITATION_HREF_PREFIX = '#cite-';
+
+// Transformer les marqueurs qui renvoient à une source en liens internes, rendus en cartes de survol
+const linkCitations = (text, sourcesByNumber) => {
+  if (!text || sourcesByNumber.size === 0) return text;
+
+  const linkSegment = (segment) => segment.replace(CITATION_PATTERN, (match, numbers) => {
+    const known = numbers.split(',').map(value => parseInt(value.trim(), 10)).filter(number => sourcesByNumber.has(number));
+    return known.length > 0
+      ? known.map(number => `[${number}](${CITATION_HREF_PREFIX}${number})`).join('')
+      : match;
+  });
+
+  let result = '';
+  let lastIndex = 0;
+  for (const code of text.matchAll(CODE_PATTERN)) {
+    result += linkSegment(text.slice(lastIndex, code.index)) + code[0];
+    lastIndex = code.index + code[0].length;
+  }
+  return result + linkSegment(text.slice(lastIndex));
+};
+
+// Types de données masquées ayant un libellé traduit (redaction.types.*), les expressions propres à un domaine gardent leur nom
+const REDACTION_TYPES = ['EMAIL', 'PHONE', 'IBAN', 'API_KEY', 'PASSWORD', 'SECRET', 'PERSON', 'NAME'];
+
+// Détail des données masquées avant l'envoi au modèle : « Adresse e-mail ×2, Téléphone »
+const redactionHint = (redaction, t) => {
+  const counts = new Map();
+  redaction.entities.forEach(entity => counts.set(entity.type, (counts.get(entity.type) || 0) + entity.count));
+  const details = [...counts].map(([type, count]) => {
+    const label = REDACTION_TYPES.includes(type) ? t(`redaction.types.${type}`) : type.toLowerCase();
+    return count > 1 ? `${label} ×${count}` : label;
+  });
+  return `${t('redaction.hint')} ${details.join(', ')}`;
+};
+
+// Navigation entre les versions d'un message (ex. "2/3")
+const VersionSwitcher = ({ message, disabled, onSwitchVersion }) => {
+  const { t } = useLanguage();
+  const siblingIds = message.siblingIds || [];
+  if (siblingIds.length < 2 || !onSwitchVersion) return null;
+
+  const index = message.siblingIndex ?? siblingIds.indexOf(message.id);
+
+  return (
+    <div className="flex items-center text-xs text-muted-foreground">
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-6 w-6 p-0 rounded-xl"
+        disabled={disabled || index <= 0}
+        onClick={() => onSwitchVersion(siblingIds[index - 1])}
+        aria-label={t('message.previousVersion')}
+      >
+        <ChevronLeft className="w-3 h-3 rtl:rotate-180" />
+      </Button>
+      <span className="tabular-nums">{index + 1}/{siblingIds.length}</span>
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-6 w-6 p-0 rounded-xl"
+        disabled={disabled || index >= siblingIds.length - 1}
+        onClick={() => onSwitchVersion(siblingIds[index + 1])}
+        aria-label={t('message.nextVersion')}
+      >
+        <ChevronRight className="w-3 h-3 rtl:rotate-180" />
+      </Button>
+    </div>
+  );
+};
+
+const MessageBubble = ({ message, user, disabled = false, onEdit, onRegenerate, onSwitchVersion, onSuggestionClick, onGuideProgressChange, onDownloadAddon, onLoadAddonFiles, onLoadAttachments }) => {
   const [showSources, setShowSources] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(message.text);
+  const { t, formatTime } = useLanguage();
+
+  // Sources indexées par numéro de citation (les anciens messages n'ont pas de numéro enregistré)
+  const sourcesByNumber = new Map((message.sources || []).map((source, index) => [source.index ?? index + 1, source]));
 
-  const formatTime = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString('fr-FR', {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  // Réponses en arabe affichées de droite à gauche ; sinon direction déduite du texte
+  const textDirection = message.language === 'ar' ? 'rtl' : 'auto';
+
+  // Seuls les messages enregistrés (avec leurs versions) peuvent être modifiés ou régénérés
+  const isPersisted = Array.isArray(message.siblingIds);
+
+  const submitEdit = () => {
+    if (!draft.trim() || draft.trim() === message.text) {
+      setIsEditing(false);
+      return;
+    }
+    setIsEditing(false);
+    onEdit(message, draft.trim());
   };
 
+  // Rendu Markdown des réponses de l'assistant (marqueurs de citation en cartes de survol)
+  const markdownComponents = {
+    p: ({children}) => <p className="mb-3 last:mb-0 leading-relaxed">{children}</p>,
+    strong: ({children}) => <strong className="font-semibold">{children}</strong>,
+    em: ({children}) => <em className="italic">{children}</em>,
+    code: ({children}) => <code className="bg-background px-2 py-1 rounded-lg text-xs font-mono">{children}</code>,
+    pre: ({children}) => <pre className="bg-background p-3 rounded-xl text-xs overflow-x-auto font-mono">{children}</pre>,
+    ul: ({children}) => <ul className="list-disc list-inside space-y-2 ms-4 mb-3">{children}</ul>,
+    ol: ({children}) => <ol className="list-decimal list-inside space-y-2 ms-4 mb-3">{children}</ol>,
+    li: ({children}) => <li className="text-sm leading-relaxed">{children}</li>,
+    blockquote: ({children}) => <blockquote className="border-s-4 border-primary/30 ps-4 italic bg-background/50 py-2 rounded-e-lg mb-3">{children}</blockquote>,
+    h1: ({children}) => <h1 className="text-lg font-bold mb-3 mt-4 first:mt-0">{children}</h1>,
+    h2: ({children}) => <h2 className="text-base font-semibold mb-2 mt-3 first:mt-0">{children}</h2>,
+    h3: ({children}) => <h3 className="text-sm font-semibold mb-2 mt-2 first:mt-0">{children}</h3>,
+    br: () => <br className="mb-2" />,
+    a: ({href, children}) => {
+      const number = href?.startsWith(CITATION_HREF_PREFIX)
+        ? parseInt(href.slice(CITATION_HREF_PREFIX.length), 10)
+        : null;
+      if (sourcesByNumber.has(number)) {
+        return <CitationMarker number={number} source={sourcesByNumber.get(number)} />;
+      }
+      return <a href={href} target="_blank" rel="noopener noreferrer" className="underline underline-offset-2">{children}</a>;
+    },
+  };
+
+  // Textes du guide : Markdown sans paragraphes, pour rester dans la ligne de la case à cocher
+  const renderInlineMarkdown = (text) => (
+    <ReactMarkdown components={{ ...markdownComponents, p: ({children}) => <span>{children}</span> }} skipHtml={false}>
+      {linkCitations(text, sourcesByNumber)}
+    </ReactMarkdown>
+  );
+
   // Détecter si c'est un message utilisateur (par la présence de l'ID utilisateur ou par la structure)
   const isUserMessage = message.isUser || message.userId || message.sender === 'user';
 
   if (isUserMessage) {
     return (
       <div className="flex justify-end mb-6">
-        <div className="flex items-end space-x-3 max-w-2xl">
+        <div className="flex items-end space-x-3 rtl:space-x-reverse max-w-2xl">
           <div className="flex flex-col items-end space-y-2">
-            <div className="bg-primary text-primary-foreground rounded-2xl rounded-br-md px-4 py-3 shadow-sm">
-              <ReactMarkdown 
-                components={{
-                  p: ({children}) => <p className="mb-2 last:mb-0">{children}</p>,
-                  strong: ({children}) => <strong className="font-semibold">{children}</strong>,
-                  em: ({children}) => <em className="italic">{children}</em>,
-                  code: ({children}) => <code className="bg-primary-foreground/20 px-1 py-0.5 rounded text-xs">{children}</code>,
-                  pre: ({children}) => <pre className="bg-primary-foreground/20 p-2 rounded text-xs overflow-x-auto">{children}</pre>,
-                  ul: ({children}) => <ul className="list-disc list-inside space-y-1">{children}</ul>,
-                  ol: ({children}) => <ol className="list-decimal list-inside space-y-1">{children}</ol>,
-                  li: ({children}) => <li className="text-sm">{children}</li>,
-                  blockquote: ({children}) => <blockquote className="border-l-4 border-primary-foreground/30 pl-3 italic">{children}</blockquote>,
-                  h1: ({children}) => <h1 className="text-lg font-bold mb-2">{children}</h1>,
-                  h2: ({children}) => <h2 className="text-base font-semibold mb-2">{children}</h2>,
-                  h3: ({children}) => <h3 className="text-sm font-semibold mb-1">{children}</h3>,
-                }}
-              >
-                {message.text}
-              </ReactMarkdown>
-            </div>
-            <div className="text-xs text-muted-foreground">
-              {formatTime(message.timestamp)}
+            <MessageAttachments
+              attachments={message.attachments}
+              onLoadContents={isPersisted && onLoadAttachments ? () => onLoadAttachments(message) : undefined}
+            />
+            {isEditing ? (
+              <div className="w-full min-w-[20rem] space-y-2">
+                <Textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  className="rounded-2xl resize-none"
+                  rows={3}
+                  autoFocus
+                />
+                <div className="flex justify-end space-x-2 rtl:space-x-reverse">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="rounded-2xl"
+                    onClick={() => {
+                      setDraft(message.text);
+                      setIsEditing(false);
+                    }}
+                  >
+                    {t('common.cancel')}
+                  </Button>
+                  <Button size="sm" className="rounded-2xl" disabled={disabled || !draft.trim()} onClick={submitEdit}>
+                    {t('common.send')}
+                  </Button>
+                </div>
+              </div>
+            ) : message.text && (
+              <div dir={textDirection} className="bg-primary text-primary-foreground rounded-2xl rounded-ee-md px-4 py-3 shadow-sm">
+                <ReactMarkdown 
+                  components={{
+                    p: ({children}) => <p className="mb-2 last:mb-0">{children}</p>,
+                    strong: ({children}) => <strong className="font-semibold">{children}</strong>,
+                    em: ({children}) => <em className="italic">{children}</em>,
+                    code: ({children}) => <code className="bg-primary-foreground/20 px-1 py-0.5 rounded text-xs">{children}</code>,
+                    pre: ({children}) => <pre className="bg-primary-foreground/20 p-2 rounded text-xs overflow-x-auto">{children}</pre>,
+                    ul: ({children}) => <ul className="list-disc list-inside space-y-1">{children}</ul>,
+                    ol: ({children}) => <ol className="list-decimal list-inside space-y-1">{children}</ol>,
+                    li: ({children}) => <li className="text-sm">{children}</li>,
+                    blockquote: ({children}) => <blockquote className="border-s-4 border-primary-foreground/30 ps-3 italic">{children}</blockquote>,
+                    h1: ({children}) => <h1 className="text-lg font-bold mb-2">{children}</h1>,
+                    h2: ({children}) => <h2 className="text-base font-semibold mb-2">{children}</h2>,
+                    h3: ({children}) => <h3 className="text-sm font-semibold mb-1">{children}</h3>,
+                  }}
+                >
+                  {message.text}
+                </ReactMarkdown>
+              </div>
+            )}
+            <div className="flex items-center space-x-2 rtl:space-x-reverse text-xs text-muted-foreground">
+              <VersionSwitcher message={message} disabled={disabled} onSwitchVersion={onSwitchVersion} />
+              {isPersisted && onEdit && !isEditing && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 w-6 p-0 rounded-xl"
+                  disabled={disabled}
+                  onClick={() => {
+                    setDraft(message.text);
+                    setIsEditing(true);
+                  }}
+                  aria-label={t('message.editQuestion')}
+                >
+                  <Pencil className="w-3 h-3" />
+                </Button>
+              )}
+              <span>{formatTime(message.timestamp)}</span>
             </div>
           </div>
           <div className="w-10 h-10 bg-gradient-to-br from-purple-400 to-pink-400 rounded-full flex items-center justify-center flex-shrink-0">
@@ -58,11 +235,11 @@ const MessageBubble = ({ message, user }) => {
 
   return (
     <div className="flex justify-start mb-6">
-      <div className="flex items-start space-x-3 max-w-2xl">
+      <div className="flex items-start space-x-3 rtl:space-x-reverse max-w-2xl">
         <div className="w-10 h-10 rounded-full flex items-center justify-center flex-shrink-0 bg-white border-2 border-gray-200">
           <img 
             src="/logo_schwing_stetter_transparent.png" 
-            alt="Adam - Expert Odoo" 
+            alt={t('message.avatarAlt')} 
             className="w-8 h-8 rounded-full object-cover"
             onError={(e) => {
               e.target.style.display = 'none';
@@ -74,37 +251,47 @@ const MessageBubble = ({ message, user }) => {
           </div>
         </div>
         <div className="flex flex-col space-y-2">
-          <div className="flex items-center space-x-2 mb-1">
+          <div className="flex items-center space-x-2 rtl:space-x-reverse mb-1">
             <span className="text-sm font-semibold text-foreground">Adam</span>
             <Badge variant="secondary" className="text-xs rounded-xl">
-              Expert Odoo
+              {t('message.expertBadge')}
             </Badge>
           </div>
-          <div className={`bg-muted text-foreground rounded-2xl rounded-bl-md px-4 py-3 shadow-sm border border-border ${
+          <div dir={textDirection} className={`bg-muted text-foreground rounded-2xl rounded-es-md px-4 py-3 shadow-sm border border-border ${
             message.isError ? 'border-destructive bg-destructive/10' : ''
           } ${
             message.isLoading ? 'animate-pulse' : ''
           }`}>
-            <ReactMarkdown 
-              components={{
-                p: ({children}) => <p className="mb-3 last:mb-0 leading-relaxed">{children}</p>,
-                strong: ({children}) => <strong className="font-semibold">{children}</strong>,
-                em: ({children}) => <em className="italic">{children}</em>,
-                code: ({children}) => <code className="bg-background px-2 py-1 rounded-lg text-xs font-mono">{children}</code>,
-                pre: ({children}) => <pre className="bg-background p-3 rounded-xl text-xs overflow-x-auto font-mono">{children}</pre>,
-                ul: ({children}) => <ul className="list-disc list-inside space-y-2 ml-4 mb-3">{children}</ul>,
-                ol: ({children}) => <ol className="list-decimal list-inside space-y-2 ml-4 mb-3">{children}</ol>,
-                li: ({children}) => <li className="text-sm leading-relaxed">{children}</li>,
-                blockquote: ({children}) => <blockquote className="border-l-4 border-primary/30 pl-4 italic bg-background/50 py-2 rounded-r-lg mb-3">{children}</blockquote>,
-                h1: ({children}) => <h1 className="text-lg font-bold mb-3 mt-4 first:mt-0">{children}</h1>,
-                h2: ({children}) => <h2 className="text-base font-semibold mb-2 mt-3 first:mt-0">{children}</h2>,
-                h3: ({children}) => <h3 className="text-sm font-semibold mb-2 mt-2 first:mt-0">{children}</h3>,
-                br: () => <br className="mb-2" />,
-              }}
-              skipHtml={false}
-            >
-              {message.text}
-            </ReactMarkdown>
+            {message.addon ? (
+              <AddonPreview
+                addon={message.addon}
+                disabled={disabled}
+                onDownload={isPersisted && onDownloadAddon ? () => onDownloadAddon(message) : undefined}
+                onLoadFiles={isPersisted && onLoadAddonFiles ? () => onLoadAddonFiles(message) : undefined}
+              />
+            ) : message.guide ? (
+              <GuideChecklist
+                guide={message.guide}
+                idPrefix={`guide-${message.id}`}
+                progress={message.guideProgress || []}
+                disabled={disabled}
+                onProgressChange={isPersisted && onGuideProgressChange ? (checked) => onGuideProgressChange(message, checked) : undefined}
+                renderText={renderInlineMarkdown}
+              />
+            ) : (
+              <ReactMarkdown components={markdownComponents} skipHtml={false}>
+                {linkCitations(message.text, sourcesByNumber)}
+              </ReactMarkdown>
+            )}
+
+            <CodeCheckWarning codeCheck={message.codeCheck} />
+
+            {message.isCancelled && (
+              <div className={`flex items-center text-xs text-muted-foreground italic ${message.text ? 'mt-3 pt-3 border-t border-border' : ''}`}>
+                <CircleStop className="w-4 h-4 me-2" />
+                <span>{message.text ? t('message.interrupted') : t('message.stoppedBeforeAnswer')}</span>
+              </div>
+            )}
             
             {message.sources && message.sources.length > 0 && (
               <div className="mt-3 pt-3 border-t border-border">
@@ -114,12 +301,12 @@ const MessageBubble = ({ message, user }) => {
                   onClick={() => setShowSources(!showSources)}
                   className="flex items-center text-xs text-muted-foreground hover:text-foreground p-0 h-auto font-medium mb-2"
                 >
-                  <BookOpen className="w-4 h-4 mr-2" />
-                  <span>Sources de documentation ({message.sources.length})</span>
+                  <BookOpen className="w-4 h-4 me-2" />
+                  <span>{t('message.sources', { count: message.sources.length })}</span>
                   {showSources ? (
-                    <ChevronUp className="w-4 h-4 ml-2" />
+                    <ChevronUp className="w-4 h-4 ms-2" />
                   ) : (
-                    <ChevronDown className="w-4 h-4 ml-2" />
+                    <ChevronDown className="w-4 h-4 ms-2" />
                   )}
                 </Button>
                 
@@ -130,6 +317,7 @@ const MessageBubble = ({ message, user }) => {
                         <div className="flex items-start justify-between">
                           <div className="flex-1">
                             <h4 className="text-xs font-medium text-foreground">
+                              <span className="text-primary font-semibold tabular-nums me-1">[{source.index ?? index + 1}]</span>
                               {source.title}
                             </h4>
                             {source.section && (
@@ -143,7 +331,7 @@ const MessageBubble = ({ message, user }) => {
                               </p>
                             )}
                           </div>
-                          <ExternalLink className="w-3 h-3 text-muted-foreground ml-2 flex-shrink-0" />
+                          <ExternalLink className="w-3 h-3 text-muted-foreground ms-2 flex-shrink-0" />
                         </div>
                       </div>
                     ))}
@@ -152,17 +340,65 @@ const MessageBubble = ({ message, user }) => {
               </div>
             )}
             
-            {message.contextUsed && (
-              <div className="mt-2">
-                <Badge variant="outline" className="text-xs rounded-xl">
-                  Basé sur la documentation Odoo
-                </Badge>
+            {(message.contextUsed || message.fromCache || message.codeCheck?.repaired || message.redaction || message.grounding?.status === 'warning') && (
+              <div className="mt-2 flex flex-wrap gap-2">
+                {message.contextUsed && (
+                  <Badge variant="outline" className="text-xs rounded-xl">
+                    {t('message.basedOnDocs')}
+                  </Badge>
+                )}
+                {message.fromCache && (
+                  <Badge variant="secondary" className="text-xs rounded-xl" title={t('message.fromCacheHint')}>
+                    {t('message.fromCache')}
+                  </Badge>
+                )}
+                {message.codeCheck?.repaired && (
+                  <Badge variant="outline" className="text-xs rounded-xl" title={t('codeCheck.repairedHint')}>
+                    {t('codeCheck.repaired')}
+                  </Badge>
+                )}
+                {message.redaction && (
+                  <Badge variant="outline" className="text-xs rounded-xl" title={redactionHint(message.redaction, t)}>
+                    <ShieldCheck className="w-3 h-3 me-1" />
+                    {t('redaction.badge', { count: message.redaction.total })}
+                  </Badge>
+                )}
+                <GroundingWarning grounding={message.grounding} />
               </div>
             )}
           </div>
-          <div className="text-xs text-muted-foreground">
-            {formatTime(message.timestamp)}
+          <div className="flex items-center space-x-2 rtl:space-x-reverse text-xs text-muted-foreground">
+            <span>{formatTime(message.timestamp)}</span>
+            <VersionSwitcher message={message} disabled={disabled} onSwitchVersion={onSwitchVersion} />
+            {isPersisted && onRegenerate && (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-6 w-6 p-0 rounded-xl"
+                disabled={disabled}
+                onClick={() => onRegenerate(message)}
+                aria-label={t('message.regenerate')}
+              >
+                <RefreshCw className="w-3 h-3" />
+              </Button>
+            )}
           </div>
+          {onSuggestionClick && message.suggestions?.length > 0 && (
+            <div className="flex flex-wrap gap-2 pt-1">
+              {message.suggestions.map((suggestion) => (
+                <Button
+                  key={suggestion}
+                  variant="outline"
+                  size="sm"
+                  className="h-auto py-1.5 px-3 rounded-2xl text-xs font-normal text-start whitespace-normal"
+                  disabled={disabled}
+                  onClick={() => onSuggestionClick(suggestion)}
+                >
+                  {suggestion}
+                </Button>
+              ))}
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,53 @@
+import { Languages } from 'lucide-react';
+import { Button } from '../ui/button';
+import { useToast } from '../ui/toast';
+import { useLanguage } from '../../hooks/useLanguage';
+import { LANGUAGES } from '../../i18n';
+
+/**
+ * Sélecteur de langue de l'interface
+ * Le choix est enregistré dans UserSettings.language quand l'utilisateur est connecté
+ */
+const LanguageSwitcher = ({ showLabel = false, className = '' }) => {
+  const { language, setLanguage, t } = useLanguage();
+  const { addToast } = useToast();
+
+  const handleChange = async (code) => {
+    if (code === language) return;
+
+    const saved = await setLanguage(code);
+    if (!saved) {
+      addToast({
+        type: 'error',
+        title: t('language.label'),
+        description: t('language.saveError'),
+        duration: 5000
+      });
+    }
+  };
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <Languages className="w-4 h-4 text-muted-foreground shrink-0" aria-hidden="true" />
+      {showLabel && <span className="text-sm font-medium">{t('language.label')}</span>}
+      <div role="group" aria-label={t('language.label')} className="flex items-center gap-1">
+        {Object.entries(LANGUAGES).map(([code, { label }]) => (
+          <Button
+            key={code}
+            type="button"
+            variant={code === language ? 'default' : 'ghost'}
+            size="sm"
+            lang={code}
+            aria-pressed={code === language}
+            onClick={() => handleChange(code)}
+            className="h-8 px-2"
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -1,11 +1,14 @@
 import { useState, useRef, useEffect } from 'react';
-import { Plus, MessageSquare, Archive, Settings, HelpCircle, Search, X, Menu, User, Palette, Bell, Database, Info, GripVertical } from 'lucide-react';
+import { Plus, MessageSquare, Archive, Settings, HelpCircle, Search, X, Menu, User, Palette, Bell, Database, Info, GripVertical, Languages, Server } from 'lucide-react';
 import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
 import { Badge } from '../ui/badge';
 import { useAuth } from '../../hooks/useAuth';
+import { useLanguage } from '../../hooks/useLanguage';
 import { Switch } from '../ui/switch';
+import LanguageSwitcher from './LanguageSwitcher';
+import OdooConnectionsPanel from '../profile/OdooConnectionsPanel';
 
 const Sidebar = ({ 
   conversations, 
@@ -18,6 +21,7 @@ const Sidebar = ({
   onToggleCollapse
 }) => {
   const { user, logout } = useAuth();
+  const { t, dir } = useLanguage();
   const [showSettings, setShowSettings] = useState(false);
   const [showHelp, setShowHelp] = useState(false);
   const [showProfile, setShowProfile] = useState(false);
@@ -51,14 +55,9 @@ const Sidebar = ({
   // Fonction pour sauvegarder le titre modifié
   const saveConversationTitle = () => {
     if (editingConversation && editTitle.trim()) {
-      const updatedConversation = {
-        ...editingConversation,
-        title: editTitle.trim()
-      };
-      
-      // Appeler la fonction de mise à jour passée en prop
+      // Appeler la fonction de mise à jour passée en prop (id, champs modifiés)
       if (onUpdateConversation) {
-        onUpdateConversation(updatedConversation);
+        onUpdateConversation(editingConversation.id, { title: editTitle.trim() });
       }
       
       // Fermer l'édition
@@ -72,7 +71,8 @@ const Sidebar = ({
     const handleMouseMove = (e) => {
       if (!isResizing) return;
       
-      const newWidth = e.clientX;
+      // En RTL, la barre latérale est à droite : la largeur se mesure depuis le bord droit
+      const newWidth = dir === 'rtl' ? window.innerWidth - e.clientX : e.clientX;
       const minWidth = 280; // Largeur minimale
       const maxWidth = 600; // Largeur maximale
       
@@ -98,7 +98,7 @@ const Sidebar = ({
       document.body.style.cursor = '';
       document.body.style.userSelect = '';
     };
-  }, [isResizing]);
+  }, [isResizing, dir]);
 
   // Filtrer les conversations selon la recherche
   const filteredConversations = conversations.filter(conv =>
@@ -107,7 +107,7 @@ const Sidebar = ({
 
   if (collapsed) {
     return (
-      <div className="w-16 bg-card border-r border-border flex flex-col h-full items-center py-4 relative rounded-r-3xl">
+      <div className="w-16 bg-card border-e border-border flex flex-col h-full items-center py-4 relative rounded-e-3xl">
         <Button onClick={onToggleCollapse} variant="ghost" size="sm" className="w-10 h-10 p-0 mb-4 rounded-2xl">
           <Menu className="w-4 h-4" />
         </Button>
@@ -138,14 +138,14 @@ const Sidebar = ({
     <>
       <div 
         ref={sidebarRef}
-        className="bg-card border-r border-border flex flex-col h-full relative rounded-r-3xl"
+        className="bg-card border-e border-border flex flex-col h-full relative rounded-e-3xl"
         style={{ width: `${sidebarWidth}px` }}
       >
         {/* Header */}
         <div className="p-4 border-b border-border rounded-t-3xl">
           <div className="flex items-center justify-between mb-4">
             <div className="flex items-center">
-              <div className="w-6 h-6 bg-primary transform rotate-45 mr-2"></div>
+              <div className="w-6 h-6 bg-primary transform rotate-45 me-2"></div>
               <h1 className="text-lg font-semibold">Odoo Chatbot</h1>
             </div>
             <Button onClick={onToggleCollapse} variant="ghost" size="sm" className="w-8 h-8 p-0">
@@ -153,20 +153,20 @@ const Sidebar = ({
             </Button>
           </div>
           <Button onClick={onNewChat} className="w-full rounded-2xl">
-            <Plus className="w-4 h-4 mr-2" />
-            Nouvelle conversation
+            <Plus className="w-4 h-4 me-2" />
+            {t('sidebar.newConversation')}
           </Button>
         </div>
 
         {/* Search */}
         <div className="p-4 border-b border-border rounded-xl">
           <div className="relative">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground w-4 h-4" />
+            <Search className="absolute start-3 top-1/2 transform -translate-y-1/2 text-muted-foreground w-4 h-4" />
             <Input 
-              placeholder="Rechercher dans les conversations..." 
+              placeholder={t('sidebar.searchPlaceholder')} 
               value={searchQuery} 
               onChange={(e) => setSearchQuery(e.target.value)}
-              className="pl-12 bg-input rounded-2xl"
+              className="ps-12 bg-input rounded-2xl"
             />
           </div>
         </div>
@@ -189,10 +189,10 @@ const Sidebar = ({
                      <div className="flex-1 min-w-0">
                        <h3 className="font-medium truncate">{conversation.title}</h3>
                        <p className="text-sm text-muted-foreground truncate">
-                         {conversation.messages.length} messages
+                         {t('sidebar.messageCount', { count: conversation.messages.length })}
                        </p>
                      </div>
-                     <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                     <div className="flex items-center space-x-1 rtl:space-x-reverse opacity-0 group-hover:opacity-100 transition-opacity">
                        <Button
                          variant="ghost"
                          size="sm"
@@ -202,7 +202,7 @@ const Sidebar = ({
                            setEditingConversation(conversation);
                            setEditTitle(conversation.title);
                          }}
-                         title="Modifier le titre"
+                         title={t('sidebar.editTitle')}
                        >
                          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
@@ -214,11 +214,11 @@ const Sidebar = ({
                          className="w-6 h-6 p-0 hover:bg-destructive/10 hover:text-destructive rounded-lg"
                          onClick={(e) => {
                            e.stopPropagation();
-                           if (window.confirm(`Êtes-vous sûr de vouloir supprimer la conversation "${conversation.title}" ?`)) {
+                           if (window.confirm(t('sidebar.confirmDelete', { title: conversation.title }))) {
                              onDeleteConversation(conversation.id);
                            }
                          }}
-                         title="Supprimer la conversation"
+                         title={t('sidebar.deleteConversation')}
                        >
                          <X className="w-3 h-3" />
                        </Button>
@@ -230,7 +230,7 @@ const Sidebar = ({
           ) : (
             <div className="p-4 text-center text-muted-foreground">
               <MessageSquare className="w-8 h-8 mx-auto mb-2 opacity-50" />
-              <p>Aucune conversation</p>
+              <p>{t('sidebar.noConversations')}</p>
             </div>
           )}
         </div>
@@ -238,22 +238,22 @@ const Sidebar = ({
         {/* Footer */}
         <div className="p-4 border-t border-border space-y-2 rounded-b-3xl">
           <Button variant="ghost" className="w-full justify-start rounded-2xl" onClick={() => setShowProfile(true)}>
-            <User className="w-4 h-4 mr-2" />
-            Mon Compte
+            <User className="w-4 h-4 me-2" />
+            {t('account.title')}
           </Button>
           <Button variant="ghost" className="w-full justify-start rounded-2xl" onClick={() => setShowSettings(true)}>
-            <Settings className="w-4 h-4 mr-2" />
-            Paramètres
+            <Settings className="w-4 h-4 me-2" />
+            {t('sidebar.settings')}
           </Button>
           <Button variant="ghost" className="w-full justify-start rounded-2xl" onClick={() => setShowHelp(true)}>
-            <HelpCircle className="w-4 h-4 mr-2" />
-            Aide et FAQ
+            <HelpCircle className="w-4 h-4 me-2" />
+            {t('sidebar.help')}
           </Button>
         </div>
 
         {/* Handle de redimensionnement */}
         <div
-          className="absolute right-0 top-0 bottom-0 w-2 bg-transparent hover:bg-primary/20 cursor-col-resize group flex items-center justify-center"
+          className="absolute end-0 top-0 bottom-0 w-2 bg-transparent hover:bg-primary/20 cursor-col-resize group flex items-center justify-center"
           onMouseDown={(e) => {
             e.preventDefault();
             setIsResizing(true);
@@ -269,11 +269,11 @@ const Sidebar = ({
           {/* Header fixe */}
           <DialogHeader className="px-6 pt-6 pb-4 border-b border-border flex-shrink-0">
             <DialogTitle className="text-xl font-bold flex items-center">
-              <User className="w-5 h-5 mr-2 text-primary" />
-              Mon Compte
+              <User className="w-5 h-5 me-2 text-primary" />
+              {t('account.title')}
             </DialogTitle>
             <DialogDescription className="text-muted-foreground">
-              Gérez votre profil et vos préférences
+              {t('account.description')}
             </DialogDescription>
           </DialogHeader>
           
@@ -283,15 +283,15 @@ const Sidebar = ({
             {/* Profil principal */}
             <div className="bg-muted/30 rounded-xl p-4 mx-auto w-full max-w-sm md:max-w-md max-h-[45vh] overflow-y-auto">
               <div className="flex items-center mb-4">
-                <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-pink-500 rounded-full flex items-center justify-center mr-4">
+                <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-pink-500 rounded-full flex items-center justify-center me-4">
                   <span className="text-white text-lg font-bold">
                     {user?.pseudonyme?.[0]?.toUpperCase() || user?.email?.[0]?.toUpperCase() || 'U'}
                   </span>
                 </div>
                 <div className="space-y-1">
-                  <h3 className="text-lg font-bold">{user?.pseudonyme || 'Utilisateur'}</h3>
+                  <h3 className="text-lg font-bold">{user?.pseudonyme || t('common.user')}</h3>
                   <p className="text-muted-foreground text-sm">{user?.email || 'email@example.com'}</p>
-                  <p className="text-xs text-muted-foreground">Membre depuis 2024</p>
+                  <p className="text-xs text-muted-foreground">{t('account.memberSince')}</p>
                 </div>
               </div>
             </div>
@@ -299,41 +299,41 @@ const Sidebar = ({
             {/* Actions du compte */}
             <div className="bg-muted/30 rounded-xl p-4 mx-auto w-full max-w-sm md:max-w-md max-h-[45vh] overflow-y-auto">
               <h3 className="text-lg font-bold mb-4 flex items-center">
-                <Settings className="w-4 h-4 mr-2 text-primary" />
-                Actions du compte
+                <Settings className="w-4 h-4 me-2 text-primary" />
+                {t('account.actions')}
               </h3>
               <div className="space-y-3">
                 <Button 
                   variant="outline" 
-                  className="w-full justify-start h-12 text-left rounded-xl"
+                  className="w-full justify-start h-12 text-start rounded-xl"
                   onClick={() => setShowEditProfile(true)}
                 >
-                  <div className="flex items-center space-x-3">
+                  <div className="flex items-center space-x-3 rtl:space-x-reverse">
                     <User className="w-4 h-4 text-muted-foreground" />
                     <div>
-                      <p className="font-medium text-sm">Modifier mon profil</p>
-                      <p className="text-xs text-muted-foreground">Changer pseudonyme et informations</p>
+                      <p className="font-medium text-sm">{t('account.editProfile')}</p>
+                      <p className="text-xs text-muted-foreground">{t('account.editProfileHint')}</p>
                     </div>
                   </div>
                 </Button>
                 
                 <Button 
                   variant="outline" 
-                  className="w-full justify-start h-12 text-left rounded-xl"
+                  className="w-full justify-start h-12 text-start rounded-xl"
                   onClick={() => setShowNotifications(true)}
                 >
-                  <div className="flex items-center space-x-3">
+                  <div className="flex items-center space-x-3 rtl:space-x-reverse">
                     <Bell className="w-4 h-4 text-muted-foreground" />
                     <div>
-                      <p className="font-medium text-sm">Préférences de notification</p>
-                      <p className="text-xs text-muted-foreground">Gérer vos alertes et notifications</p>
+                      <p className="font-medium text-sm">{t('account.notifications')}</p>
+                      <p className="text-xs text-muted-foreground">{t('account.notificationsHint')}</p>
                     </div>
                   </div>
                 </Button>
                 
                 <Button 
                   variant="outline" 
-                  className="w-full justify-start h-12 text-left rounded-xl"
+                  className="w-full justify-start h-12 text-start rounded-xl"
                   onClick={() => {
                     const data = {
                       user: user,
@@ -351,21 +351,21 @@ const Sidebar = ({
                     URL.revokeObjectURL(url);
                   }}
                 >
-                  <div className="flex items-center space-x-3">
+                  <div className="flex items-center space-x-3 rtl:space-x-reverse">
                     <Database className="w-4 h-4 text-muted-foreground" />
                     <div>
-                      <p className="font-medium text-sm">Exporter mes données</p>
-                      <p className="text-xs text-muted-foreground">Télécharger toutes vos conversations</p>
+                      <p className="font-medium text-sm">{t('account.exportData')}</p>
+                      <p className="text-xs text-muted-foreground">{t('account.exportDataHint')}</p>
                     </div>
                   </div>
                 </Button>
                 
-                <Button variant="destructive" className="w-full justify-start h-12 text-left rounded-xl" onClick={logout}>
-                  <div className="flex items-center space-x-3">
+                <Button variant="destructive" className="w-full justify-start h-12 text-start rounded-xl" onClick={logout}>
+                  <div className="flex items-center space-x-3 rtl:space-x-reverse">
                     <X className="w-4 h-4" />
                     <div>
-                      <p className="font-medium text-sm">Se déconnecter</p>
-                      <p className="text-xs">Fermer votre session actuelle</p>
+                      <p className="font-medium text-sm">{t('account.logout')}</p>
+                      <p className="text-xs">{t('account.logoutHint')}</p>
                     </div>
                   </div>
                 </Button>
@@ -375,19 +375,19 @@ const Sidebar = ({
             {/* Statistiques */}
             <div className="bg-muted/30 rounded-xl p-4">
               <h3 className="text-lg font-bold mb-4 flex items-center">
-                <Database className="w-4 h-4 mr-2 text-primary" />
-                Statistiques
+                <Database className="w-4 h-4 me-2 text-primary" />
+                {t('account.stats')}
               </h3>
               <div className="grid grid-cols-2 gap-3">
                 <div className="text-center p-3 bg-background rounded-xl border border-border">
                   <p className="text-2xl font-bold text-primary">{conversations.length}</p>
-                  <p className="text-xs text-muted-foreground">Conversations</p>
+                  <p className="text-xs text-muted-foreground">{t('common.conversations')}</p>
                 </div>
                 <div className="text-center p-3 bg-background rounded-xl border border-border">
                   <p className="text-2xl font-bold text-primary">
                     {conversations.reduce((total, conv) => total + conv.messages.length, 0)}
                   </p>
-                  <p className="text-xs text-muted-foreground">Messages</p>
+                  <p className="text-xs text-muted-foreground">{t('common.messages')}</p>
                 </div>
               </div>
             </div>
@@ -402,34 +402,62 @@ const Sidebar = ({
           {/* Header fixe */}
           <DialogHeader className="px-6 pt-6 pb-4 border-b border-border flex-shrink-0">
             <DialogTitle className="text-xl font-bold flex items-center">
-              <Settings className="w-5 h-5 mr-2 text-primary" />
-              Paramètres
+              <Settings className="w-5 h-5 me-2 text-primary" />
+              {t('settings.title')}
             </DialogTitle>
             <DialogDescription className="text-muted-foreground">
-              Personnalisez votre expérience de l'application
+              {t('settings.description')}
             </DialogDescription>
           </DialogHeader>
           
           {/* Contenu scrollable */}
           <div className="flex-1 overflow-y-auto px-6 pb-6">
             <div className="space-y-5 pt-4">
+              {/* Langue */}
+              <div className="bg-muted/30 rounded-xl p-4 mx-auto w-full max-w-sm md:max-w-md">
+                <div className="flex items-center mb-4">
+                  <div className="w-8 h-8 bg-gradient-to-br from-blue-500 to-indigo-500 rounded-lg flex items-center justify-center me-3">
+                    <Languages className="w-4 h-4 text-white" />
+                  </div>
+                  <div>
+                    <h3 className="text-lg font-bold">{t('language.label')}</h3>
+                    <p className="text-xs text-muted-foreground">{t('language.description')}</p>
+                  </div>
+                </div>
+                <LanguageSwitcher className="p-3 bg-background rounded-xl border border-border" />
+              </div>
+
+              {/* Instances Odoo */}
+              <div className="bg-muted/30 rounded-xl p-4 mx-auto w-full max-w-sm md:max-w-md">
+                <div className="flex items-center mb-4">
+                  <div className="w-8 h-8 bg-gradient-to-br from-emerald-500 to-teal-500 rounded-lg flex items-center justify-center me-3">
+                    <Server className="w-4 h-4 text-white" />
+                  </div>
+                  <div>
+                    <h3 className="text-lg font-bold">{t('odooConnections.title')}</h3>
+                    <p className="text-xs text-muted-foreground">{t('odooConnections.description')}</p>
+                  </div>
+                </div>
+                <OdooConnectionsPanel embedded />
+              </div>
+
               {/* Apparence */}
               <div className="bg-muted/30 rounded-xl p-4 mx-auto w-full max-w-sm md:max-w-md max-h-[45vh] overflow-y-auto">
                 <div className="flex items-center mb-4">
-                <div className="w-8 h-8 bg-gradient-to-br from-purple-500 to-pink-500 rounded-lg flex items-center justify-center mr-3">
+                <div className="w-8 h-8 bg-gradient-to-br from-purple-500 to-pink-500 rounded-lg flex items-center justify-center me-3">
                   <Palette className="w-4 h-4 text-white" />
                 </div>
                 <div>
-                  <h3 className="text-lg font-bold">Apparence</h3>
-                  <p className="text-xs text-muted-foreground">Personnalisez l'interface</p>
+                  <h3 className="text-lg font-bold">{t('settings.appearance')}</h3>
+                  <p className="text-xs text-muted-foreground">{t('settings.appearanceHint')}</p>
                 </div>
               </div>
               
               <div className="space-y-3">
                 <div className="flex items-center justify-between p-3 bg-background rounded-xl border border-border">
                   <div className="space-y-0.5">
-                    <p className="font-medium text-sm">Mode sombre</p>
-                    <p className="text-xs text-muted-foreground">Interface sombre pour les yeux</p>
+                    <p className="font-medium text-sm">{t('settings.darkMode')}</p>
+                    <p className="text-xs text-muted-foreground">{t('settings.darkModeHint')}</p>
                   </div>
                   <Switch 
                     checked={appSettings.darkMode}
@@ -439,8 +467,8 @@ const Sidebar = ({
                 
                 <div className="flex items-center justify-between p-3 bg-background rounded-xl border border-border">
                   <div className="space-y-0.5">
-                    <p className="font-medium text-sm">Animations fluides</p>
-                    <p className="text-xs text-muted-foreground">Transitions et animations</p>
+                    <p className="font-medium text-sm">{t('settings.smoothAnimations')}</p>
+                    <p className="text-xs text-muted-foreground">{t('settings.smoothAnimationsHint')}</p>
                   </div>
                   <Switch 
                     checked={appSettings.smoothAnimations}
@@ -450,8 +478,8 @@ const Sidebar = ({
                 
                 <div className="flex items-center justify-between p-3 bg-background rounded-xl border border-border">
                   <div className="space-y-0.5">
-                    <p className="font-medium text-sm">Mode compact</p>
-                    <p className="text-xs text-muted-foreground">Interface plus dense</p>
+                    <p className="font-medium text-sm">{t('settings.compactMode')}</p>
+                    <p className="text-xs text-muted-foreground">{t('settings.compactModeHint')}</p>
                   </div>
                   <Switch 
                     checked={appSettings.compactMode}
@@ -464,20 +492,20 @@ const Sidebar = ({
             {/* Chat */}
             <div className="bg-muted/30 rounded-xl p-4 mx-auto w-full max-w-sm md:max-w-md max-h-[45vh] overflow-y-auto">
               <div className="flex items-center mb-4">
-                <div className="w-8 h-8 bg-gradient-to-br from-green-500 to-emerald-500 rounded-lg flex items-center justify-center mr-3">
+                <div className="w-8 h-8 bg-gradient-to-br from-green-500 to-emerald-500 rounded-lg flex items-center justify-center me-3">
                   <MessageSquare className="w-4 h-4 text-white" />
                 </div>
                 <div>
-                  <h3 className="text-lg font-bold">Chat</h3>
-                  <p className="text-xs text-muted-foreground">Préférences pour vos échanges</p>
+                  <h3 className="text-lg font-bold">{t('settings.chat')}</h3>
+                  <p className="text-xs text-muted-foreground">{t('settings.chatHint')}</p>
                 </div>
               </div>
               
               <div className="space-y-3">
                 <div className="flex items-center justify-between p-3 bg-background rounded-xl border border-border">
                   <div className="space-y-0.5">
-                    <p className="font-medium text-sm">Notifications sonores</p>
-                    <p className="text-xs text-muted-foreground">Son pour les nouvelles réponses</p>
+                    <p className="font-medium text-sm">{t('settings.sound')}</p>
+                    <p className="text-xs text-muted-foreground">{t('settings.soundHint')}</p>
                   </div>
                   <Switch 
                     checked={appSettings.soundNotifications}
@@ -487,8 +515,8 @@ const Sidebar = ({
                 
                 <div className="flex items-center justify-between p-3 bg-background rounded-xl border border-border">
                   <div className="space-y-0.5">
-                    <p className="font-medium text-sm">Sauvegarde automatique</p>
-                    <p className="text-xs text-muted-foreground">Sauvegarder automatiquement vos conversations</p>
+                    <p className="font-medium text-sm">{t('settings.autoSave')}</p>
+                    <p className="text-xs text-muted-foreground">{t('settings.autoSaveHint')}</p>
                   </div>
                   <Switch 
                     checked={appSettings.autoSaveConversations}
@@ -498,8 +526,8 @@ const Sidebar = ({
                 
                 <div className="flex items-center justify-between p-3 bg-background rounded-xl border border-border">
                   <div className="space-y-0.5">
-                    <p className="font-medium text-sm">Formatage Markdown</p>
-                    <p className="text-xs text-muted-foreground">Afficher le formatage riche dans les réponses</p>
+                    <p className="font-medium text-sm">{t('settings.markdown')}</p>
+                    <p className="text-xs text-muted-foreground">{t('settings.markdownHint')}</p>
                   </div>
                   <Switch 
                     checked={appSettings.markdownFormatting}
@@ -512,12 +540,12 @@ const Sidebar = ({
             {/* Données */}
             <div className="bg-muted/30 rounded-xl p-4 mx-auto w-full max-w-sm md:max-w-md max-h-[45vh] overflow-y-auto">
               <div className="flex items-center mb-4">
-                <div className="w-8 h-8 bg-gradient-to-br from-orange-500 to-red-500 rounded-lg flex items-center justify-center mr-3">
+                <div className="w-8 h-8 bg-gradient-to-br from-orange-500 to-red-500 rounded-lg flex items-center justify-center me-3">
                   <Database className="w-4 h-4 text-white" />
                 </div>
                 <div>
-                  <h3 className="text-lg font-bold">Données</h3>
-                  <p className="text-xs text-muted-foreground">Gérez vos données de stockage</p>
+                  <h3 className="text-lg font-bold">{t('settings.data')}</h3>
+                  <p className="text-xs text-muted-foreground">{t('settings.dataHint')}</p>
                 </div>
               </div>
               
@@ -525,8 +553,8 @@ const Sidebar = ({
                 <div className="p-3 bg-background rounded-xl border border-border">
                   <div className="flex items-center justify-between mb-2">
                     <div className="space-y-0.5">
-                      <p className="font-medium text-sm">Conversations sauvegardées</p>
-                      <p className="text-xs text-muted-foreground">{conversations.length} conversation(s)</p>
+                      <p className="font-medium text-sm">{t('settings.savedConversations')}</p>
+                      <p className="text-xs text-muted-foreground">{t('settings.conversationCount', { count: conversations.length })}</p>
                     </div>
                     <Button 
                       variant="outline" 
@@ -550,7 +578,7 @@ const Sidebar = ({
                         URL.revokeObjectURL(url);
                       }}
                     >
-                      Exporter
+                      {t('settings.export')}
                     </Button>
                   </div>
                   <div className="w-full bg-muted rounded-full h-1.5">
@@ -563,22 +591,22 @@ const Sidebar = ({
                 
                 <div className="flex items-center justify-between p-3 bg-background rounded-xl border border-border">
                   <div className="space-y-0.5">
-                    <p className="font-medium text-sm">Vider le cache</p>
-                    <p className="text-xs text-muted-foreground">Supprimer toutes les données locales</p>
+                    <p className="font-medium text-sm">{t('settings.clearCache')}</p>
+                    <p className="text-xs text-muted-foreground">{t('settings.clearCacheHint')}</p>
                   </div>
                   <Button 
                     variant="destructive" 
                     size="sm" 
                     className="text-xs rounded-lg"
                     onClick={() => {
-                      if (window.confirm('Êtes-vous sûr de vouloir vider le cache ? Toutes vos conversations seront supprimées.')) {
+                      if (window.confirm(t('settings.confirmClearCache'))) {
                         localStorage.removeItem(`odoo_chatbot_conversations_${user.email}`);
                         localStorage.removeItem('odoo_chatbot_settings');
                         window.location.reload();
                       }
                     }}
                   >
-                    Vider
+                    {t('settings.clear')}
                   </Button>
                 </div>
               </div>
@@ -594,11 +622,11 @@ const Sidebar = ({
           {/* Header fixe */}
           <DialogHeader className="px-6 pt-6 pb-4 border-b border-border flex-shrink-0">
             <DialogTitle className="text-xl font-bold flex items-center">
-              <HelpCircle className="w-5 h-5 mr-2 text-primary" />
-              Aide & FAQ
+              <HelpCircle className="w-5 h-5 me-2 text-primary" />
+              {t('help.title')}
             </DialogTitle>
             <DialogDescription className="text-muted-foreground">
-              Questions fréquentes et assistance
+              {t('help.description')}
             </DialogDescription>
           </DialogHeader>
           
@@ -608,14 +636,14 @@ const Sidebar = ({
               {/* À propos du Chatbot */}
               <div className="bg-muted/30 rounded-xl p-4">
                 <h3 className="font-bold text-lg mb-3 flex items-center">
-                  <div className="w-6 h-6 bg-gradient-to-br from-blue-500 to-purple-500 rounded-lg flex items-center justify-center mr-2">
+                  <div className="w-6 h-6 bg-gradient-to-br from-blue-500 to-purple-500 rounded-lg flex items-center justify-center me-2">
                     <span className="text-white text-xs">🤖</span>
                   </div>
-                  À propos d'Adam
+                  {t('help.about')}
                 </h3>
                 <div className="space-y-2 text-sm text-muted-foreground">
-                  <p>Je suis <strong>Adam</strong>, votre assistant IA spécialisé dans Odoo v17. Je travaille chez <strong>Schwing Stetter Algérie</strong>.</p>
-                  <p>Mes connaissances proviennent de la documentation officielle Odoo.</p>
+                  <p>{t('help.aboutIntro')}</p>
+                  <p>{t('help.aboutSource')}</p>
                 </div>
               </div>
             </div>
@@ -623,23 +651,23 @@ const Sidebar = ({
               {/* Questions Fréquentes */}
               <div className="bg-muted/30 rounded-xl p-4">
                 <h3 className="font-bold text-lg mb-3 flex items-center">
-                  <div className="w-6 h-6 bg-gradient-to-br from-green-500 to-teal-500 rounded-lg flex items-center justify-center mr-2">
+                  <div className="w-6 h-6 bg-gradient-to-br from-green-500 to-teal-500 rounded-lg flex items-center justify-center me-2">
                     <span className="text-white text-xs">❓</span>
                   </div>
-                  Questions Fréquentes
+                  {t('help.faq')}
                 </h3>
                 <div className="space-y-2">
                   <div className="bg-background rounded-xl p-3 border border-border">
-                    <h4 className="font-medium mb-1 text-sm">Comment créer une nouvelle conversation ?</h4>
-                    <p className="text-xs text-muted-foreground">Cliquez sur "Nouvelle conversation" dans la barre latérale.</p>
+                    <h4 className="font-medium mb-1 text-sm">{t('help.newConversationQuestion')}</h4>
+                    <p className="text-xs text-muted-foreground">{t('help.newConversationAnswer')}</p>
                   </div>
                   <div className="bg-background rounded-xl p-3 border border-border">
-                    <h4 className="font-medium mb-1 text-sm">Comment rechercher dans mes conversations ?</h4>
-                    <p className="text-xs text-muted-foreground">Utilisez la barre de recherche en haut de la barre latérale.</p>
+                    <h4 className="font-medium mb-1 text-sm">{t('help.searchQuestion')}</h4>
+                    <p className="text-xs text-muted-foreground">{t('help.searchAnswer')}</p>
                   </div>
                   <div className="bg-background rounded-xl p-3 border border-border">
-                    <h4 className="font-medium mb-1 text-sm">Mes conversations sont-elles sauvegardées ?</h4>
-                    <p className="text-xs text-muted-foreground">Oui, toutes vos conversations sont automatiquement sauvegardées.</p>
+                    <h4 className="font-medium mb-1 text-sm">{t('help.savedQuestion')}</h4>
+                    <p className="text-xs text-muted-foreground">{t('help.savedAnswer')}</p>
                   </div>
                 </div>
               </div>
@@ -647,26 +675,26 @@ const Sidebar = ({
             {/* Raccourcis Clavier */}
             <div className="bg-muted/30 rounded-xl p-4">
               <h3 className="font-bold text-lg mb-3 flex items-center">
-                <div className="w-6 h-6 bg-gradient-to-br from-purple-500 to-pink-500 rounded-lg flex items-center justify-center mr-2">
+                <div className="w-6 h-6 bg-gradient-to-br from-purple-500 to-pink-500 rounded-lg flex items-center justify-center me-2">
                   <span className="text-white text-xs">⌨️</span>
                 </div>
-                Raccourcis
+                {t('help.shortcuts')}
               </h3>
               <div className="grid grid-cols-1 gap-2 text-xs text-muted-foreground">
                 <div className="flex justify-between p-2 bg-background rounded-lg border border-border">
                   <span><strong>Ctrl + N</strong></span>
-                  <span>Nouvelle conversation</span>
+                  <span>{t('help.shortcutNewConversation')}</span>
                 </div>
                 <div className="flex justify-between p-2 bg-background rounded-lg border border-border">
                   <span><strong>Ctrl + K</strong></span>
-                  <span>Focus recherche</span>
+                  <span>{t('help.shortcutSearch')}</span>
                 </div>
               </div>
             </div>
 
             {/* Footer */}
             <div className="text-center text-xs text-muted-foreground pt-2 border-t border-border">
-              <p>Développé avec ❤️ par Adam</p>
+              <p>{t('help.footer')}</p>
               <p className="text-xs opacity-70">Schwing Stetter Algérie • v1.0.0</p>
             </div>
           </div>
@@ -678,33 +706,33 @@ const Sidebar = ({
         <DialogContent className="max-w-md rounded-2xl">
           <DialogHeader className="pb-4">
             <DialogTitle className="text-xl font-bold flex items-center">
-              <User className="w-5 h-5 mr-2 text-primary" />
-              Modifier mon profil
+              <User className="w-5 h-5 me-2 text-primary" />
+              {t('account.editProfile')}
             </DialogTitle>
             <DialogDescription className="text-muted-foreground">
-              Mettez à jour vos informations personnelles
+              {t('account.editProfileDescription')}
             </DialogDescription>
           </DialogHeader>
           <div className="space-y-4">
             <div className="space-y-2">
-              <label className="text-sm font-medium">Pseudonyme</label>
+              <label className="text-sm font-medium">{t('common.pseudonym')}</label>
               <Input 
-                placeholder="Votre pseudonyme" 
+                placeholder={t('account.pseudonymPlaceholder')} 
                 defaultValue={user?.pseudonyme}
                 className="rounded-xl"
               />
             </div>
             <div className="space-y-2">
-              <label className="text-sm font-medium">Email</label>
+              <label className="text-sm font-medium">{t('common.email')}</label>
               <Input 
-                placeholder="Votre email" 
+                placeholder={t('account.emailPlaceholder')} 
                 defaultValue={user?.email}
                 className="rounded-xl"
                 disabled
               />
-              <p className="text-xs text-muted-foreground">L'email ne peut pas être modifié</p>
+              <p className="text-xs text-muted-foreground">{t('account.emailLocked')}</p>
             </div>
-            <div className="flex space-x-3 pt-4">
+            <div className="flex space-x-3 rtl:space-x-reverse pt-4">
               <Button 
                 className="flex-1 rounded-xl"
                 onClick={() => {
@@ -712,14 +740,14 @@ const Sidebar = ({
                   setShowEditProfile(false);
                 }}
               >
-                Sauvegarder
+                {t('common.save')}
               </Button>
               <Button 
                 variant="outline" 
                 className="flex-1 rounded-xl"
                 onClick={() => setShowEditProfile(false)}
               >
-                Annuler
+                {t('common.cancel')}
               </Button>
             </div>
           </div>
@@ -731,50 +759,50 @@ const Sidebar = ({
         <DialogContent className="max-w-md rounded-2xl">
           <DialogHeader className="pb-4">
             <DialogTitle className="text-xl font-bold flex items-center">
-              <Bell className="w-5 h-5 mr-2 text-primary" />
-              Notifications
+              <Bell className="w-5 h-5 me-2 text-primary" />
+              {t('notifications.title')}
             </DialogTitle>
             <DialogDescription className="text-muted-foreground">
-              Gérez vos préférences de notification
+              {t('notifications.description')}
             </DialogDescription>
           </DialogHeader>
           <div className="space-y-4">
             <div className="space-y-4">
               <div className="flex items-center justify-between p-3 bg-muted/30 rounded-xl">
                 <div>
-                  <p className="font-medium text-sm">Notifications de réponse</p>
-                  <p className="text-xs text-muted-foreground">Recevoir une notification quand Adam répond</p>
+                  <p className="font-medium text-sm">{t('notifications.responses')}</p>
+                  <p className="text-xs text-muted-foreground">{t('notifications.responsesHint')}</p>
                 </div>
                 <Switch defaultChecked={true} />
               </div>
               <div className="flex items-center justify-between p-3 bg-muted/30 rounded-xl">
                 <div>
-                  <p className="font-medium text-sm">Son de notification</p>
-                  <p className="text-xs text-muted-foreground">Jouer un son lors des notifications</p>
+                  <p className="font-medium text-sm">{t('notifications.sound')}</p>
+                  <p className="text-xs text-muted-foreground">{t('notifications.soundHint')}</p>
                 </div>
                 <Switch defaultChecked={false} />
               </div>
               <div className="flex items-center justify-between p-3 bg-muted/30 rounded-xl">
                 <div>
-                  <p className="font-medium text-sm">Notifications bureau</p>
-                  <p className="text-xs text-muted-foreground">Afficher des notifications sur le bureau</p>
+                  <p className="font-medium text-sm">{t('notifications.desktop')}</p>
+                  <p className="text-xs text-muted-foreground">{t('notifications.desktopHint')}</p>
                 </div>
                 <Switch defaultChecked={true} />
               </div>
             </div>
-            <div className="flex space-x-3 pt-4">
+            <div className="flex space-x-3 rtl:space-x-reverse pt-4">
               <Button 
                 className="flex-1 rounded-xl"
                 onClick={() => setShowNotifications(false)}
               >
-                Sauvegarder
+                {t('common.save')}
               </Button>
               <Button 
                 variant="outline" 
                 className="flex-1 rounded-xl"
                 onClick={() => setShowNotifications(false)}
               >
-                Annuler
+                {t('common.cancel')}
               </Button>
             </div>
           </div>
@@ -786,22 +814,22 @@ const Sidebar = ({
         <DialogContent className="max-w-md rounded-2xl">
            <DialogHeader className="pb-4">
              <DialogTitle className="text-xl font-bold flex items-center">
-               <svg className="w-5 h-5 mr-2 text-primary" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+               <svg className="w-5 h-5 me-2 text-primary" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
                </svg>
-               Modifier le titre
+               {t('conversationTitle.title')}
              </DialogTitle>
              <DialogDescription className="text-muted-foreground">
-               Modifiez le titre de votre conversation
+               {t('conversationTitle.description')}
              </DialogDescription>
            </DialogHeader>
            <div className="space-y-4">
              <div className="space-y-2">
-               <label className="text-sm font-medium">Titre de la conversation</label>
+               <label className="text-sm font-medium">{t('conversationTitle.label')}</label>
                <Input 
                  value={editTitle}
                  onChange={(e) => setEditTitle(e.target.value)}
-                 placeholder="Entrez le nouveau titre..."
+                 placeholder={t('conversationTitle.placeholder')}
                  className="rounded-xl"
                  onKeyPress={(e) => {
                    if (e.key === 'Enter') {
@@ -810,13 +838,13 @@ const Sidebar = ({
                  }}
                />
              </div>
-             <div className="flex space-x-3 pt-4">
+             <div className="flex space-x-3 rtl:space-x-reverse pt-4">
                <Button 
                  className="flex-1 rounded-xl"
                  onClick={saveConversationTitle}
                  disabled={!editTitle.trim()}
                >
-                 Sauvegarder
+                 {t('common.save')}
                </Button>
                <Button 
                  variant="outline" 
@@ -826,7 +854,7 @@ const Sidebar = ({
                    setEditTitle('');
                  }}
                >
-                 Annuler
+                 {t('common.cancel')}
                </Button>
              </div>
            </div>
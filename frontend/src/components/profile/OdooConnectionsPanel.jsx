@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { Server, Plus, Pencil, Trash2, PlugZap, Save, X } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Badge } from '../ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { useToast } from '../ui/toast';
+import { useLanguage } from '../../hooks/useLanguage';
+import { useOdooConnections } from '../../hooks/useOdooConnections';
+
+const EMPTY_FORM = { name: '', url: '', database: '', username: '', apiKey: '', protocol: 'jsonrpc' };
+
+/**
+ * Instances Odoo de l'utilisateur : liste avec le résultat du dernier test,
+ * formulaire d'ajout et de modification (la clé d'API n'est jamais réaffichée)
+ * `embedded` retire le cadre et le titre (panneau affiché dans la fenêtre des paramètres)
+ */
+const OdooConnectionsPanel = ({ embedded = false }) => {
+  const { t, formatDate } = useLanguage();
+  const { addToast } = useToast();
+  const { connections, loading, error, createConnection, updateConnection, deleteConnection, testConnection } = useOdooConnections();
+  // null : formulaire fermé, 'new' : ajout, sinon id de la connexion modifiée
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+
+  const openForm = (connection = null) => {
+    setEditingId(connection ? connection.id : 'new');
+    setForm(connection
+      ? { name: connection.name, url: connection.url, database: connection.database, username: connection.username, apiKey: '', protocol: connection.protocol }
+      : EMPTY_FORM);
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await createConnection(form);
+      } else {
+        // Clé d'API vide : la clé enregistrée est conservée
+        const { apiKey, ...fields } = form;
+        await updateConnection(editingId, apiKey ? form : fields);
+      }
+      addToast({ type: 'success', description: t('odooConnections.saved'), duration: 3000 });
+      closeForm();
+    } catch (saveError) {
+      addToast({ type: 'error', title: t('odooConnections.saveError'), description: saveError.message, duration: 5000 });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (connection) => {
+    if (!window.confirm(t('odooConnections.deleteConfirm', { name: connection.name }))) return;
+    try {
+      await deleteConnection(connection.id);
+      if (editingId === connection.id) closeForm();
+    } catch (deleteError) {
+      addToast({ type: 'error', title: t('odooConnections.deleteError'), description: deleteError.message, duration: 5000 });
+    }
+  };
+
+  const handleTest = async (connection) => {
+    setTestingId(connection.id);
+    try {
+      const test = await testConnection(connection.id);
+      addToast({
+        type: test.status === 'ok' ? 'success' : 'error',
+        title: t(test.status === 'ok' ? 'odooConnections.testOk' : 'odooConnections.testError'),
+        description: test.message,
+        duration: 5000
+      });
+    } catch (testError) {
+      addToast({ type: 'error', title: t('odooConnections.testError'), description: testError.message, duration: 5000 });
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const renderStatus = (connection) => {
+    if (!connection.lastTestStatus) {
+      return <Badge variant="outline">{t('odooConnections.neverTested')}</Badge>;
+    }
+    return (
+      <Badge
+        variant={connection.lastTestStatus === 'ok' ? 'secondary' : 'destructive'}
+        title={`${t('odooConnections.lastTested', { date: formatDate(connection.lastTestedAt) })} : ${connection.lastTestMessage || ''}`}
+      >
+        {t(connection.lastTestStatus === 'ok' ? 'odooConnections.testOk' : 'odooConnections.testError')}
+      </Badge>
+    );
+  };
+
+  const renderField = (field, props = {}) => (
+    <div className="space-y-1">
+      <label htmlFor={`odoo-connection-${field}`} className="text-sm font-medium text-muted-foreground">
+        {t(`odooConnections.fields.${field}`)}
+      </label>
+      <Input id={`odoo-connection-${field}`} value={form[field]} onChange={updateField(field)} {...props} />
+    </div>
+  );
+
+  const renderForm = () => (
+    <form onSubmit={handleSubmit} className="space-y-3 p-4 bg-background rounded-xl border border-border">
+      {renderField('name', { placeholder: t('odooConnections.fields.namePlaceholder'), required: true, maxLength: 100 })}
+      {renderField('url', { placeholder: 'https://mon-entreprise.odoo.com', type: 'url', required: true })}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {renderField('database', { required: true, maxLength: 100 })}
+        {renderField('username', { required: true, maxLength: 200, autoComplete: 'off' })}
+      </div>
+      <div className="space-y-1">
+        {renderField('apiKey', {
+          type: 'password',
+          autoComplete: 'new-password',
+          required: editingId === 'new',
+          placeholder: editingId === 'new' ? '' : t('odooConnections.fields.apiKeyKeep')
+        })}
+        <p className="text-xs text-muted-foreground">{t('odooConnections.fields.apiKeyHint')}</p>
+      </div>
+      <div className="space-y-1">
+        <span className="text-sm font-medium text-muted-foreground">{t('odooConnections.fields.protocol')}</span>
+        <Select value={form.protocol} onValueChange={(protocol) => setForm(prev => ({ ...prev, protocol }))}>
+          <SelectTrigger aria-label={t('odooConnections.fields.protocol')}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="jsonrpc">JSON-RPC</SelectItem>
+            <SelectItem value="xmlrpc">XML-RPC</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="flex space-x-2 rtl:space-x-reverse pt-2">
+        <Button type="submit" size="sm" disabled={saving} className="flex items-center space-x-2 rtl:space-x-reverse">
+          <Save className="w-4 h-4" />
+          <span>{t('common.save')}</span>
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={closeForm} className="flex items-center space-x-2 rtl:space-x-reverse">
+          <X className="w-4 h-4" />
+          <span>{t('common.cancel')}</span>
+        </Button>
+      </div>
+    </form>
+  );
+
+  const content = (
+    <div className="space-y-3">
+      {error && <p className="text-sm text-destructive">{t('odooConnections.loadError')}</p>}
+      {loading && connections.length === 0 && <p className="text-sm text-muted-foreground">{t('common.loading')}</p>}
+      {!loading && !error && connections.length === 0 && editingId === null && (
+        <p className="text-sm text-muted-foreground">{t('odooConnections.empty')}</p>
+      )}
+
+      {connections.map(connection => (
+        editingId === connection.id ? (
+          <div key={connection.id}>{renderForm()}</div>
+        ) : (
+          <div key={connection.id} className="p-3 bg-background rounded-xl border border-border space-y-2">
+            <div className="flex items-start justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-medium text-sm truncate">{connection.name}</p>
+                <p className="text-xs text-muted-foreground truncate" dir="ltr">
+                  {connection.username} @ {connection.url} ({connection.database})
+                </p>
+              </div>
+              {renderStatus(connection)}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" size="sm" className="text-xs rounded-lg" disabled={testingId === connection.id} onClick={() => handleTest(connection)}>
+                <PlugZap className="w-3 h-3 me-1" />
+                {testingId === connection.id ? t('odooConnections.testing') : t('odooConnections.test')}
+              </Button>
+              <Button variant="outline" size="sm" className="text-xs rounded-lg" onClick={() => openForm(connection)}>
+                <Pencil className="w-3 h-3 me-1" />
+                {t('odooConnections.edit')}
+              </Button>
+              <Button variant="outline" size="sm" className="text-xs rounded-lg text-destructive" onClick={() => handleDelete(connection)}>
+                <Trash2 className="w-3 h-3 me-1" />
+                {t('odooConnections.delete')}
+              </Button>
+            </div>
+          </div>
+        )
+      ))}
+
+      {editingId === 'new' ? renderForm() : (
+        <Button variant="outline" size="sm" className="rounded-lg" onClick={() => openForm()} disabled={editingId !== null}>
+          <Plus className="w-4 h-4 me-1" />
+          {t('odooConnections.add')}
+        </Button>
+      )}
+    </div>
+  );
+
+  if (embedded) return content;
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-8">
+      <h2 className="text-2xl font-bold flex items-center mb-2">
+        <Server className="w-6 h-6 me-3 text-primary" />
+        {t('odooConnections.title')}
+      </h2>
+      <p className="text-sm text-muted-foreground mb-6">{t('odooConnections.description')}</p>
+      {content}
+    </div>
+  );
+};
+
+export default OdooConnectionsPanel;
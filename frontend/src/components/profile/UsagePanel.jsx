@@ -0,0 +1,111 @@
+import { useEffect, useState } from 'react';
+import { Gauge } from 'lucide-react';
+import { Badge } from '../ui/badge';
+import { Progress } from '../ui/progress';
+import { useAuth } from '../../hooks/useAuth';
+import { useLanguage } from '../../hooks/useLanguage';
+import { LANGUAGES } from '../../i18n';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Consommation de tokens de l'utilisateur : quotas du jour et du mois, coût estimé et détail par modèle
+ */
+const UsagePanel = () => {
+  const { token } = useAuth();
+  const { language, t, formatDate } = useLanguage();
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+
+    const loadUsage = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/usage`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        setUsage(data.usage);
+      } catch (loadError) {
+        console.error('Erreur chargement consommation:', loadError);
+        setError(true);
+      }
+    };
+
+    loadUsage();
+  }, [token]);
+
+  const numberFormat = new Intl.NumberFormat(LANGUAGES[language].locale);
+  const costFormat = new Intl.NumberFormat(LANGUAGES[language].locale, { style: 'currency', currency: 'USD', maximumFractionDigits: 4 });
+
+  const renderPeriod = (period) => {
+    const limited = period.limit !== null;
+    const percent = limited ? Math.min(100, Math.round((period.used / period.limit) * 100)) : 0;
+
+    return (
+      <div className="space-y-2">
+        <div className="flex justify-between text-sm">
+          <span className="font-medium">{t(`usage.${period.period}`)}</span>
+          <span className={percent >= 90 ? 'text-destructive font-medium' : 'text-muted-foreground'}>
+            {limited
+              ? t('usage.tokens', { used: numberFormat.format(period.used), limit: numberFormat.format(period.limit) })
+              : t('usage.unlimitedTokens', { used: numberFormat.format(period.used) })}
+          </span>
+        </div>
+        {limited && <Progress value={percent} className="h-2 rtl:rotate-180" aria-label={t(`usage.${period.period}`)} />}
+        <p className="text-xs text-muted-foreground">{t('usage.resetsAt', { date: formatDate(period.resetAt) })}</p>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold flex items-center">
+          <Gauge className="w-5 h-5 me-2 text-primary" />
+          {t('usage.title')}
+        </h3>
+        {usage && (
+          <Badge variant={usage.plan === 'premium' ? 'default' : 'secondary'}>
+            {t(`usage.plan.${usage.plan}`)}
+          </Badge>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-destructive">{t('usage.loadError')}</p>}
+      {!usage && !error && <p className="text-sm text-muted-foreground">{t('common.loading')}</p>}
+
+      {usage && (
+        <div className="space-y-5">
+          {renderPeriod(usage.daily)}
+          {renderPeriod(usage.monthly)}
+
+          <div className="flex justify-between text-sm pt-3 border-t border-border">
+            <span className="text-muted-foreground">{t('usage.cost')}</span>
+            <span className="font-medium">{costFormat.format(usage.monthly.costUsd)}</span>
+          </div>
+
+          {usage.byModel.length > 0 ? (
+            <div className="space-y-2">
+              <p className="text-sm font-medium">{t('usage.byModel')}</p>
+              {usage.byModel.map(entry => (
+                <div key={entry.model} className="flex justify-between gap-2 text-xs">
+                  <span className="truncate text-muted-foreground" dir="ltr" title={entry.model}>{entry.model}</span>
+                  <span className="shrink-0">
+                    {numberFormat.format(entry.promptTokens + entry.completionTokens)} · {t('usage.answers', { count: entry.answers })}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-muted-foreground">{t('usage.empty')}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsagePanel;
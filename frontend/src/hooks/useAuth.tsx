@@ -4,6 +4,7 @@ interface User {
   id: number;
   email: string;
   pseudonyme: string;
+  isPremium?: boolean;
   createdAt?: string;
   settings?: any;
 }
@@ -1,5 +1,6 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useAuth } from './useAuth';
+import { useLanguage } from './useLanguage';
 import { useToast } from '../components/ui/toast';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
@@ -11,22 +12,198 @@ interface Message {
   isUser: boolean;
   timestamp: string;
   sources?: any[];
+  // Vérification des menus, modèles et champs cités par rapport à la documentation
+  grounding?: {
+    status: 'verified' | 'warning' | 'no_claims' | 'unavailable';
+    claims: { type: string; text: string; status: string; documented?: string }[];
+    summary: { verified: number; unverified: number; contradicted: number };
+  } | null;
+  // Vérification des blocs de code (XML, Python, manifeste), corrigés une fois par le modèle si besoin
+  codeCheck?: {
+    status: 'valid' | 'warning' | 'no_code';
+    blocks: { index: number; language: string; line: number; valid: boolean; errors: string[] }[];
+    summary: { valid: number; invalid: number };
+    repaired: boolean;
+  } | null;
+  // Questions de suivi proposées sous la réponse
+  suggestions?: string[];
+  // Langue de la question et de la réponse
+  language?: 'fr' | 'en' | 'ar' | null;
+  // Réponse servie depuis le cache des réponses
+  fromCache?: boolean;
   isError?: boolean;
+  isCancelled?: boolean;
+  // Arbre des messages : versions partageant le même parent
+  parentId?: number | null;
+  siblingIds?: number[];
+  siblingIndex?: number;
+  // Réponse structurée (guide pas à pas) et éléments cochés par l'utilisateur
+  guide?: Guide | null;
+  guideProgress?: string[];
+  // Module Odoo généré (fichiers validés, téléchargeables en archive ZIP)
+  addon?: Addon | null;
+  // Données personnelles et secrets masqués avant l'envoi au modèle (sans leurs valeurs)
+  redaction?: {
+    policy: string;
+    total: number;
+    entities: { type: string; placeholder: string; count: number }[];
+  } | null;
+  // Fichiers joints et contenus collés de la question (contenu d'origine, hors du texte)
+  attachments?: MessageAttachment[] | null;
+}
+
+export interface MessageAttachment {
+  name: string | null;
+  source: 'file' | 'paste';
+  kind: 'traceback' | 'manifest' | 'xml' | 'python' | 'log' | 'text';
+  size: number;
+  lines: number;
+  // Contenu d'origine : absent des conversations chargées, lu au dépliage (loadAttachments)
+  content?: string;
+  headline: string;
+  summary: string | null;
+}
+
+// Fichier texte joint à une question
+export interface AttachmentInput {
+  name: string;
+  content: string;
+}
+
+export interface Guide {
+  title: string | null;
+  analysis: string;
+  steps: { menuPath: string | null; action: string; expectedResult: string | null }[];
+  validation: string[];
+  furtherReading: { title: string; url: string | null }[];
+}
+
+export interface Addon {
+  technicalName: string;
+  name: string;
+  summary: string | null;
+  // Fichiers : présents dans la réponse qui génère le module, lus à l'affichage ensuite (loadAddonFiles)
+  files?: AddonFile[];
+}
+
+export interface AddonFile {
+  path: string;
+  content: string;
+}
+
+// Options d'envoi d'une question
+interface SendOptions {
+  // Demander une réponse structurée (guide pas à pas)
+  structured?: boolean;
+  // Demander la génération d'un module Odoo
+  addon?: boolean;
+  // Instance Odoo d'une nouvelle conversation (ignorée pour une conversation existante)
+  odooConnectionId?: number | null;
+  // Fichiers texte joints à la question
+  attachments?: AttachmentInput[];
 }
 
 interface Conversation {
   id: number;
   title: string;
+  // Instance Odoo interrogée par l'assistant (null : documentation seule)
+  odooConnectionId?: number | null;
   messages: Message[];
   createdAt: string;
   updatedAt: string;
 }
 
+// Questions de démarrage d'un module Odoo (état vide du chat)
+export interface StarterModule {
+  module: string;
+  label: string;
+  questions: string[];
+}
+
+// Étapes du pipeline annoncées par le flux SSE
+export type ChatStage = 'searching' | 'generating' | 'self_correcting' | 'repairing_code';
+
+// Contenu des événements du flux (stage, token, done, error)
+interface StreamEventPayload {
+  stage?: ChatStage;
+  delta?: string;
+  message?: string;
+  success?: boolean;
+  conversationId?: number;
+  messageId?: number;
+  userMessageId?: number;
+  cancelled?: boolean;
+  titlePending?: boolean;
+}
+
+// Délai d'inactivité maximal entre deux événements du flux
+const STREAM_IDLE_TIMEOUT = 60000;
+
+// Titre généré en arrière-plan après le premier échange : nombre de relectures et intervalle
+const TITLE_REFRESH_ATTEMPTS = 3;
+const TITLE_REFRESH_DELAY = 2500;
+
+// Pièce jointe affichée avant la réponse du serveur (nature et ligne de titre déterminées côté serveur)
+export const toPendingAttachment = (attachment: AttachmentInput): MessageAttachment => ({
+  name: attachment.name,
+  source: 'file',
+  kind: 'text',
+  size: attachment.content.length,
+  lines: attachment.content.split('\n').length,
+  content: attachment.content,
+  headline: '',
+  summary: null,
+});
+
+/**
+ * Lit un flux Server-Sent Events depuis une réponse fetch et appelle onEvent
+ * pour chaque événement complet reçu
+ */
+const readEventStream = async (
+  response: Response,
+  onEvent: (event: string, data: StreamEventPayload) => void,
+  onActivity?: () => void
+) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onActivity?.();
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop() ?? '';
+
+    for (const block of blocks) {
+      let event = 'message';
+      const dataLines: string[] = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      }
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join('\n')));
+      }
+    }
+  }
+};
+
 export const useChat = () => {
   const [conversations, setConversations] = useState<Conversation[]>([]);
   const [activeConversation, setActiveConversation] = useState<Conversation | null>(null);
   const [loading, setLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState('');
+  const [streamingStage, setStreamingStage] = useState<ChatStage | null>(null);
+  const [starterQuestions, setStarterQuestions] = useState<StarterModule[]>([]);
+  // Génération en cours : contrôleur du flux, conversation concernée et arrêt demandé par l'utilisateur
+  const streamControllerRef = useRef<AbortController | null>(null);
+  const streamConversationIdRef = useRef<number | null>(null);
+  const stoppedByUserRef = useRef(false);
   const { user, token, isAuthenticated } = useAuth();
+  const { language, t, formatDate, formatTime } = useLanguage();
   const { addToast } = useToast();
 
   // Charger les conversations depuis la base de données
@@ -40,6 +217,29 @@ export const useChat = () => {
     }
   }, [isAuthenticated, token]);
 
+  // Questions de démarrage par module, issues de l'index de documentation
+  // Rechargées à chaque changement de langue de l'interface
+  useEffect(() => {
+    if (!isAuthenticated || !token) return;
+
+    const loadStarterQuestions = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/chat/starters?language=${language}`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          if (data.success) setStarterQuestions(data.modules);
+        }
+      } catch (error) {
+        console.error('❌ Erreur chargement questions de démarrage:', error);
+      }
+    };
+
+    loadStarterQuestions();
+  }, [isAuthenticated, token, language]);
+
   const loadConversations = async () => {
     try {
       const response = await fetch(`${API_BASE_URL}/conversations`, {
@@ -94,19 +294,124 @@ export const useChat = () => {
     return null;
   };
 
-  const sendMessage = async (message) => {
-    if (!message || !message.trim() || !token) return;
+  /**
+   * Relit le titre d'une conversation jusqu'à ce que le titre généré en arrière-plan soit disponible
+   * Seul le titre est mis à jour, pour ne pas écraser les messages affichés entre-temps
+   */
+  const refreshConversationTitle = (conversationId: number, previousTitle: string, attempt = 1) => {
+    setTimeout(async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/conversations`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const data = response.ok ? await response.json() : null;
+        const title = data?.conversations?.find(c => c.id === conversationId)?.title;
+
+        if (title && title !== previousTitle) {
+          setConversations(prev => prev.map(c => (c.id === conversationId ? { ...c, title } : c)));
+          setActiveConversation(prev => (prev?.id === conversationId ? { ...prev, title } : prev));
+        } else if (attempt < TITLE_REFRESH_ATTEMPTS) {
+          refreshConversationTitle(conversationId, previousTitle, attempt + 1);
+        }
+      } catch (error) {
+        console.error('❌ Erreur rafraîchissement du titre:', error);
+      }
+    }, TITLE_REFRESH_DELAY);
+  };
+
+  /**
+   * Envoie une requête au pipeline de chat en SSE et diffuse l'étape et le texte en cours
+   * Retourne le payload de l'événement `done`
+   */
+  const requestChatStream = async (path: string, body: Record<string, unknown>): Promise<StreamEventPayload> => {
+    // Timeout d'inactivité : réarmé à chaque événement reçu du flux
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    streamConversationIdRef.current = null;
+    stoppedByUserRef.current = false;
+    let timeoutId = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT);
+    const resetIdleTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT);
+    };
+
+    setStreamingText('');
+    setStreamingStage(null);
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      clearTimeout(timeoutId);
+      if (response.status === 400) {
+        // Saisie refusée (message trop long, pièce jointe invalide...) : afficher le motif du serveur
+        const payload = await response.json().catch(() => null);
+        throw new Error(payload?.message || t('chat.errors.invalidRequest'));
+      } else if (response.status === 401) {
+        throw new Error(t('chat.errors.sessionExpired'));
+      } else if (response.status === 404) {
+        throw new Error(t('chat.errors.serviceUnavailable'));
+      } else if (response.status === 429) {
+        // Quota atteint : motif traduit par le serveur et date de renouvellement (quota.resetAt, sinon Retry-After)
+        const payload = await response.json().catch(() => null);
+        const retryAfter = Number(payload?.retryAfter ?? response.headers.get('Retry-After'));
+        const resetAt = payload?.quota?.resetAt ?? (retryAfter > 0 ? Date.now() + retryAfter * 1000 : null);
+        const retry = resetAt ? t('chat.errors.retryAt', { date: formatDate(resetAt), time: formatTime(resetAt) }) : '';
+        throw new Error([payload?.message || t('chat.errors.tooManyRequests'), retry].filter(Boolean).join(' '));
+      } else {
+        throw new Error(t('chat.errors.serverError', { status: response.status, statusText: response.statusText }));
+      }
+    }
+
+    let data: StreamEventPayload | null = null;
+    try {
+      await readEventStream(response, (event, payload) => {
+        if (event === 'start') {
+          streamConversationIdRef.current = payload.conversationId ?? null;
+        } else if (event === 'stage') {
+          setStreamingStage(payload.stage);
+          // L'auto-correction régénère la réponse : repartir d'un brouillon vide
+          if (payload.stage === 'self_correcting' || payload.stage === 'repairing_code') setStreamingText('');
+        } else if (event === 'token') {
+          setStreamingText(prev => prev + payload.delta);
+        } else if (event === 'done') {
+          data = payload;
+        } else if (event === 'error') {
+          throw new Error(payload.message || t('chat.errors.generationFailed'));
+        }
+      }, resetIdleTimeout);
+    } finally {
+      clearTimeout(timeoutId);
+      streamControllerRef.current = null;
+    }
+
+    if (!data) {
+      throw new Error(t('chat.errors.streamInterrupted'));
+    }
+
+    return data;
+  };
+
+  const sendMessage = async (message, options: SendOptions = {}) => {
+    const attachments = options.attachments ?? [];
+    // Une question sans texte est acceptée avec des pièces jointes (analyse du contenu joint)
+    if ((!message || !message.trim()) && attachments.length === 0) return;
+    if (!token) return;
 
     setLoading(true);
-    const trimmedMessage = message.trim();
+    const trimmedMessage = (message || '').trim();
 
     try {
       const conversationId = activeConversation?.id || null;
 
-      // Timeout pour les requêtes
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 secondes
-
       console.log(`📤 Envoi du message: "${trimmedMessage.substring(0, 50)}..." 
                    ${conversationId ? `dans la conversation ${conversationId}` : 'nouvelle conversation'}`);
 
@@ -117,6 +422,7 @@ export const useChat = () => {
         text: trimmedMessage,
         isUser: true,
         timestamp: new Date().toISOString(),
+        attachments: attachments.length > 0 ? attachments.map(toPendingAttachment) : null,
       } as Message;
 
       if (activeConversation) {
@@ -131,7 +437,8 @@ export const useChat = () => {
         // Pas de conversation active: créer une temporaire locale
         const tempConv: Conversation = {
           id: tempConversationId,
-          title: 'Nouvelle conversation',
+          title: t('chat.newConversation'),
+          odooConnectionId: options.odooConnectionId ?? null,
           messages: [optimisticUserMessage],
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString(),
@@ -140,35 +447,15 @@ export const useChat = () => {
         setActiveConversation(tempConv);
       }
 
-      const response = await fetch(`${API_BASE_URL}/chat`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ 
-          message: trimmedMessage,
-          conversationId: conversationId
-        }),
-        signal: controller.signal,
+      const data = await requestChatStream('/chat/stream', {
+        message: trimmedMessage,
+        attachments: attachments.length > 0 ? attachments : undefined,
+        conversationId: conversationId,
+        structured: options.structured === true,
+        addon: options.addon === true,
+        odooConnectionId: conversationId ? undefined : options.odooConnectionId ?? null
       });
 
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('🔐 Session expirée. Veuillez vous reconnecter.');
-        } else if (response.status === 404) {
-          throw new Error('🔌 Service non disponible. Le backend est-il démarré ?');
-        } else if (response.status === 429) {
-          throw new Error('⏰ Trop de requêtes. Veuillez patienter avant de renvoyer un message.');
-        } else {
-          throw new Error(`❌ Erreur serveur: ${response.status} ${response.statusText}`);
-        }
-      }
-
-      const data = await response.json();
-
       if (data.success) {
         console.log(`✅ Réponse reçue pour la conversation ${data.conversationId}`);
         
@@ -188,32 +475,46 @@ export const useChat = () => {
           if (refreshed) setActiveConversation(refreshed);
         }
 
+        // Le titre définitif est généré côté serveur après la réponse
+        if (data.titlePending && data.conversationId) {
+          const current = freshConversations?.find(c => c.id === data.conversationId);
+          refreshConversationTitle(data.conversationId, current?.title ?? '');
+        }
+
         return data;
       } else {
-        throw new Error(data.message || 'Erreur lors de l\'envoi du message');
+        throw new Error(data.message || t('chat.errors.sendFailed'));
       }
 
     } catch (error) {
+      // Arrêt demandé par l'utilisateur : afficher la question et le marqueur enregistrés par le serveur
+      if (stoppedByUserRef.current) {
+        const freshConversations = await loadConversationsAndReturn();
+        const refreshed = freshConversations?.find(c => c.id === (streamConversationIdRef.current ?? activeConversation?.id));
+        if (refreshed) setActiveConversation(refreshed);
+        return null;
+      }
+
       console.error('❌ Erreur sendMessage:', error);
       
-      let errorMessage = '❌ Une erreur est survenue';
-      let toastDescription = 'Une erreur inattendue s\'est produite';
+      let errorMessage: string;
+      let toastDescription: string;
       
       if (error.name === 'AbortError') {
-        errorMessage = '⏱️ Timeout: La requête a pris trop de temps. Vérifiez votre connexion.';
-        toastDescription = 'La requête a pris trop de temps. Vérifiez votre connexion.';
+        errorMessage = `⏱️ ${t('chat.errors.timeout')}`;
+        toastDescription = t('chat.errors.timeout');
       } else if (error.message.includes('fetch')) {
-        errorMessage = '🔌 Impossible de se connecter au serveur\n\nLe backend n\'est pas accessible sur le port 3001.\n\n**Solutions possibles :**\n• Vérifiez que le script `.\\start.ps1` a bien démarré les deux services\n• Redémarrez l\'application avec `.\\start.ps1`\n• Attendez quelques secondes que le backend se lance complètement\n\nSi le problème persiste, contactez l\'administrateur.';
-        toastDescription = 'Le backend n\'est pas accessible. Vérifiez que le serveur est démarré.';
+        errorMessage = t('chat.errors.backendUnreachableHelp');
+        toastDescription = t('chat.errors.backendUnreachable');
       } else {
-        errorMessage = error.message || 'Une erreur inattendue s\'est produite';
-        toastDescription = error.message || 'Une erreur inattendue s\'est produite';
+        errorMessage = error.message || t('chat.errors.unexpected');
+        toastDescription = error.message || t('chat.errors.unexpected');
       }
 
       // Afficher l'erreur avec Toast
       addToast({
         type: 'error',
-        title: 'Erreur de communication',
+        title: t('chat.errors.communicationTitle'),
         description: toastDescription,
         duration: 7000
       });
@@ -248,9 +549,252 @@ export const useChat = () => {
       throw error;
     } finally {
       setLoading(false);
+      setStreamingText('');
+      setStreamingStage(null);
     }
   };
 
+  /**
+   * Relance une requête de branche (régénération ou modification) sur la conversation active
+   * puis recharge les conversations pour afficher la nouvelle branche active
+   */
+  const runBranchRequest = async (path: string, body: Record<string, unknown>, errorTitle: string) => {
+    if (!activeConversation || !token) return;
+
+    setLoading(true);
+    try {
+      const data = await requestChatStream(path, { conversationId: activeConversation.id, ...body });
+      if (!data.success) {
+        throw new Error(data.message || t('chat.errors.generationFailed'));
+      }
+      return data;
+    } catch (error) {
+      if (stoppedByUserRef.current) return null;
+
+      console.error(`❌ Erreur ${path}:`, error);
+      addToast({
+        type: 'error',
+        title: errorTitle,
+        description: error.name === 'AbortError'
+          ? t('chat.errors.timeout')
+          : error.message || t('chat.errors.unexpected'),
+        duration: 7000
+      });
+    } finally {
+      // Succès ou échec : la branche affichée doit refléter l'état du serveur
+      const freshConversations = await loadConversationsAndReturn();
+      const refreshed = freshConversations?.find(c => c.id === activeConversation.id);
+      if (refreshed) setActiveConversation(refreshed);
+
+      setLoading(false);
+      setStreamingText('');
+      setStreamingStage(null);
+    }
+  };
+
+  // Génère une nouvelle version d'une réponse de l'assistant
+  const regenerateMessage = (messageId: number) =>
+    runBranchRequest('/chat/regenerate', { messageId }, t('chat.errors.regenerateTitle'));
+
+  // Modifie une question : crée une nouvelle branche à partir de ce message
+  const editMessage = (messageId: number, message: string, options: SendOptions = {}) => {
+    if (!message || !message.trim()) return;
+    return runBranchRequest('/chat/edit', {
+      messageId,
+      message: message.trim(),
+      structured: options.structured === true,
+      addon: options.addon === true
+    }, t('chat.errors.editTitle'));
+  };
+
+  // Affiche une autre version d'un message (navigation entre branches sœurs)
+  const switchMessageVersion = async (messageId: number) => {
+    if (!activeConversation || !token) return;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/conversations/${activeConversation.id}/messages/${messageId}/activate`,
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          const updated = { ...activeConversation, messages: data.messages };
+          setConversations(conversations.map(conv => conv.id === updated.id ? updated : conv));
+          setActiveConversation(updated);
+        }
+      } else {
+        console.error('❌ Erreur changement de version:', response.status);
+      }
+    } catch (error) {
+      console.error('❌ Erreur réseau changement de version:', error);
+    }
+  };
+
+  /**
+   * Enregistre les éléments cochés du guide d'une réponse
+   * Mise à jour optimiste, annulée si le serveur refuse l'enregistrement
+   */
+  const updateGuideProgress = async (messageId: number, checked: string[]) => {
+    if (!activeConversation || !token) return;
+
+    const conversation = activeConversation;
+    const applyProgress = (progress: string[]) => {
+      const updated = {
+        ...conversation,
+        messages: conversation.messages.map(msg => msg.id === messageId ? { ...msg, guideProgress: progress } : msg)
+      };
+      setConversations(prev => prev.map(conv => conv.id === updated.id ? updated : conv));
+      setActiveConversation(updated);
+    };
+    const previous = conversation.messages.find(msg => msg.id === messageId)?.guideProgress ?? [];
+    applyProgress(checked);
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/conversations/${conversation.id}/messages/${messageId}/guide-progress`,
+        {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ checked }),
+        }
+      );
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur enregistrement du guide:', error);
+      applyProgress(previous);
+      addToast({
+        type: 'error',
+        description: t('guide.saveError'),
+        duration: 5000
+      });
+    }
+  };
+
+  /**
+   * Charge les fichiers du module généré dans une réponse
+   * @returns Fichiers du module, null en cas d'échec
+   */
+  const loadAddonFiles = async (messageId: number): Promise<AddonFile[] | null> => {
+    if (!activeConversation || !token) return null;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/conversations/${activeConversation.id}/messages/${messageId}/addon/files`,
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.success ? data.files : null;
+    } catch (error) {
+      console.error('❌ Erreur chargement des fichiers du module:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Charge le contenu d'origine des pièces jointes d'une question
+   * @returns Pièces jointes avec `content`, null en cas d'échec
+   */
+  const loadAttachments = async (messageId: number): Promise<MessageAttachment[] | null> => {
+    if (!activeConversation || !token) return null;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/conversations/${activeConversation.id}/messages/${messageId}/attachments`,
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.success ? data.attachments : null;
+    } catch (error) {
+      console.error('❌ Erreur chargement des pièces jointes:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Télécharge l'archive ZIP du module généré dans une réponse
+   */
+  const downloadAddon = async (messageId: number) => {
+    if (!activeConversation || !token) return;
+
+    const addon = activeConversation.messages.find(msg => msg.id === messageId)?.addon;
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/conversations/${activeConversation.id}/messages/${messageId}/addon`,
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${addon?.technicalName || 'module'}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Erreur téléchargement du module:', error);
+      addToast({
+        type: 'error',
+        description: t('addon.downloadError'),
+        duration: 5000
+      });
+    }
+  };
+
+  /**
+   * Arrête la génération en cours : le serveur conserve la question et enregistre
+   * un marqueur de réponse interrompue. Sans conversation connue, le flux est simplement coupé.
+   */
+  const stopGeneration = async () => {
+    if (!streamControllerRef.current) return;
+    stoppedByUserRef.current = true;
+
+    const conversationId = streamConversationIdRef.current;
+    if (conversationId) {
+      try {
+        const response = await fetch(`${API_BASE_URL}/chat/cancel`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ conversationId }),
+        });
+        // Le flux se termine alors normalement avec une réponse marquée "cancelled"
+        if (response.ok) return;
+      } catch (error) {
+        console.error('❌ Erreur réseau annulation:', error);
+      }
+    }
+
+    streamControllerRef.current?.abort();
+  };
+
   const updateConversation = async (conversationId, updates) => {
     try {
       const response = await fetch(`${API_BASE_URL}/conversations/${conversationId}`, {
@@ -333,10 +877,21 @@ export const useChat = () => {
     activeConversation,
     setActiveConversation,
     sendMessage,
+    regenerateMessage,
+    editMessage,
+    switchMessageVersion,
+    updateGuideProgress,
+    downloadAddon,
+    loadAddonFiles,
+    loadAttachments,
+    stopGeneration,
     updateConversation,
     deleteConversation,
     newConversation,
     loading,
+    streamingText,
+    streamingStage,
+    starterQuestions,
     reloadConversations: loadConversations,
   };
 };
\ No newline at end of file
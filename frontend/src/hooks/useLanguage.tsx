@@ -0,0 +1,94 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState, ReactNode } from 'react';
+import { useAuth } from './useAuth';
+import { DEFAULT_LANGUAGE, LANGUAGES, Language, normalizeLanguage, translate } from '../i18n';
+
+interface LanguageContextType {
+  language: Language;
+  dir: 'ltr' | 'rtl';
+  setLanguage: (language: Language) => Promise<boolean>;
+  t: (key: string, params?: Record<string, string | number>) => string;
+  formatTime: (date: string | number | Date) => string;
+  formatDate: (date: string | number | Date) => string;
+}
+
+const LanguageContext = createContext<LanguageContextType | undefined>(undefined);
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+const STORAGE_KEY = 'odoo_chatbot_language';
+
+// Langue au démarrage : dernier choix sur cet appareil, sinon langue du navigateur, sinon français
+const getInitialLanguage = (): Language =>
+  normalizeLanguage(localStorage.getItem(STORAGE_KEY))
+  || normalizeLanguage(navigator.language)
+  || DEFAULT_LANGUAGE;
+
+export const LanguageProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
+  const { user, token } = useAuth();
+  const [language, setLanguageState] = useState<Language>(getInitialLanguage);
+
+  // La préférence enregistrée sur le compte (UserSettings.language) l'emporte à la connexion
+  const savedLanguage = normalizeLanguage(user?.settings?.language);
+  useEffect(() => {
+    if (savedLanguage) {
+      setLanguageState(savedLanguage);
+      localStorage.setItem(STORAGE_KEY, savedLanguage);
+    }
+  }, [savedLanguage]);
+
+  // Langue et sens d'écriture du document (l'arabe bascule toute l'interface en RTL)
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = LANGUAGES[language].dir;
+  }, [language]);
+
+  const setLanguage = useCallback(async (nextLanguage: Language): Promise<boolean> => {
+    setLanguageState(nextLanguage);
+    localStorage.setItem(STORAGE_KEY, nextLanguage);
+
+    if (!token) return true;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/settings`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ language: nextLanguage }),
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('Erreur enregistrement langue:', error);
+      return false;
+    }
+  }, [token]);
+
+  const value = useMemo<LanguageContextType>(() => {
+    const { locale, dir } = LANGUAGES[language];
+    const timeFormat = new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit' });
+    const dateFormat = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+
+    return {
+      language,
+      dir,
+      setLanguage,
+      t: (key, params) => translate(language, key, params),
+      formatTime: (date) => timeFormat.format(new Date(date)),
+      formatDate: (date) => dateFormat.format(new Date(date)),
+    };
+  }, [language, setLanguage]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (context === undefined) {
+    throw new Error('useLanguage must be used within a LanguageProvider');
+  }
+  return context;
+};
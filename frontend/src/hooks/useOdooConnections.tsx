@@ -0,0 +1,113 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+// Connexion à une instance Odoo de l'utilisateur (la clé d'API n'est jamais renvoyée)
+export interface OdooConnection {
+  id: number;
+  name: string;
+  url: string;
+  database: string;
+  username: string;
+  protocol: 'jsonrpc' | 'xmlrpc';
+  lastTestedAt: string | null;
+  lastTestStatus: 'ok' | 'error' | null;
+  lastTestMessage: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Champs du formulaire ; apiKey facultative en modification (conservée si vide)
+export interface OdooConnectionInput {
+  name?: string;
+  url?: string;
+  database?: string;
+  username?: string;
+  apiKey?: string;
+  protocol?: 'jsonrpc' | 'xmlrpc';
+}
+
+/**
+ * Connexions Odoo de l'utilisateur : liste, enregistrement, modification, suppression et test
+ * Les méthodes d'écriture lèvent une erreur portant le message du serveur.
+ */
+export const useOdooConnections = () => {
+  const { token } = useAuth();
+  const [connections, setConnections] = useState<OdooConnection[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(false);
+
+  const request = useCallback(async (path: string, options: RequestInit = {}) => {
+    const response = await fetch(`${API_BASE_URL}/odoo-connections${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    return data;
+  }, [token]);
+
+  const reload = useCallback(async () => {
+    if (!token) return;
+
+    setLoading(true);
+    try {
+      const data = await request('');
+      setConnections(data.connections);
+      setError(false);
+    } catch (loadError) {
+      console.error('❌ Erreur chargement des connexions Odoo:', loadError);
+      setError(true);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, request]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const replaceConnection = (connection: OdooConnection) => {
+    setConnections(prev => prev.map(item => item.id === connection.id ? connection : item));
+  };
+
+  const createConnection = async (input: OdooConnectionInput): Promise<OdooConnection> => {
+    const data = await request('', { method: 'POST', body: JSON.stringify(input) });
+    setConnections(prev => [...prev, data.connection]);
+    return data.connection;
+  };
+
+  const updateConnection = async (connectionId: number, input: OdooConnectionInput): Promise<OdooConnection> => {
+    const data = await request(`/${connectionId}`, { method: 'PUT', body: JSON.stringify(input) });
+    replaceConnection(data.connection);
+    return data.connection;
+  };
+
+  const deleteConnection = async (connectionId: number) => {
+    await request(`/${connectionId}`, { method: 'DELETE' });
+    setConnections(prev => prev.filter(item => item.id !== connectionId));
+  };
+
+  const testConnection = async (connectionId: number): Promise<{ status: 'ok' | 'error'; message: string }> => {
+    const data = await request(`/${connectionId}/test`, { method: 'POST' });
+    replaceConnection(data.connection);
+    return data.test;
+  };
+
+  return {
+    connections,
+    loading,
+    error,
+    reload,
+    createConnection,
+    updateConnection,
+    deleteConnection,
+    testConnection,
+  };
+};
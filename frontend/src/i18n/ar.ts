@@ -0,0 +1,353 @@
+import type { Translations } from './fr';
+
+// Catalogue arabe (interface affichée de droite à gauche)
+const ar: Translations = {
+  common: {
+    cancel: 'إلغاء',
+    save: 'حفظ',
+    send: 'إرسال',
+    loading: 'جارٍ التحميل...',
+    email: 'البريد الإلكتروني',
+    pseudonym: 'اسم المستخدم',
+    user: 'مستخدم',
+    conversations: 'المحادثات',
+    messages: 'الرسائل',
+  },
+  language: {
+    label: 'اللغة',
+    description: 'لغة الواجهة وإجابات آدم',
+    saveError: 'تعذّر حفظ اللغة. سيبقى اختيارك مفعّلًا على هذا الجهاز.',
+  },
+  auth: {
+    login: {
+      title: 'سجّل الدخول إلى حسابك',
+      noAccount: 'ليس لديك حساب؟',
+      signupLink: 'إنشاء حساب',
+      password: 'كلمة المرور',
+      rememberMe: 'تذكّرني',
+      forgotPassword: 'نسيت كلمة المرور؟',
+      submit: 'تسجيل الدخول',
+      submitting: 'جارٍ تسجيل الدخول...',
+      invalidCredentials: 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+      errorTitle: 'خطأ في تسجيل الدخول',
+      serverError: 'تعذّر الاتصال بالخادم',
+      successTitle: 'تم تسجيل الدخول',
+      successDescription: 'لقد سجّلت الدخول بنجاح!',
+    },
+    signup: {
+      subtitle: 'أنشئ حسابك للبدء.',
+      email: 'عنوان البريد الإلكتروني',
+      password: 'كلمة المرور',
+      confirmPassword: 'تأكيد كلمة المرور',
+      submit: 'إنشاء حساب',
+      submitting: 'جارٍ الإنشاء...',
+      hasAccount: 'لديك حساب بالفعل؟',
+      loginLink: 'تسجيل الدخول',
+      error: 'فشل إنشاء الحساب',
+      errorTitle: 'خطأ في إنشاء الحساب',
+      serverError: 'تعذّر الاتصال بالخادم',
+      successTitle: 'تم إنشاء الحساب',
+      successDescription: 'مرحبًا {name}! تم إنشاء حسابك بنجاح.',
+    },
+  },
+  chat: {
+    newConversation: 'محادثة جديدة',
+    logout: 'تسجيل الخروج',
+    thinking: 'جارٍ التفكير...',
+    stages: {
+      searching: 'جارٍ البحث في الوثائق...',
+      generating: 'جارٍ كتابة الإجابة...',
+      self_correcting: 'جارٍ التحقق من الإجابة وتحسينها...',
+      repairing_code: 'جارٍ تصحيح مقاطع الشيفرة...',
+    },
+    welcomeTitle: 'مرحبًا بك في مساعد Odoo',
+    welcomeStart: 'اطرح سؤالًا لبدء محادثة جديدة.',
+    welcomeHelp: 'يمكنك طلب المساعدة في أي موضوع يخص Odoo.',
+    placeholder: 'اكتب سؤالك هنا... (Shift+Enter لسطر جديد)',
+    stop: 'إيقاف الإنشاء',
+    structuredMode: 'دليل خطوة بخطوة',
+    structuredModeHint: 'استلام الإجابة على شكل خطوات يمكن تحديدها',
+    addonMode: 'وحدة Odoo',
+    addonModeHint: 'إنشاء وحدة Odoo 17 قابلة للتثبيت انطلاقًا من احتياجك',
+    errors: {
+      invalidRequest: '❌ طلب غير صالح.',
+      sessionExpired: '🔐 انتهت الجلسة. يرجى تسجيل الدخول مجددًا.',
+      serviceUnavailable: '🔌 الخدمة غير متاحة. هل الخادم الخلفي قيد التشغيل؟',
+      serverError: '❌ خطأ في الخادم: {status} {statusText}',
+      generationFailed: 'خطأ أثناء إنشاء الإجابة',
+      streamInterrupted: '❌ انقطع تدفق الإجابة قبل اكتماله.',
+      sendFailed: 'خطأ أثناء إرسال الرسالة',
+      unexpected: 'حدث خطأ غير متوقع',
+      timeout: 'استغرق الطلب وقتًا طويلًا. تحقق من اتصالك.',
+      backendUnreachable: 'لا يمكن الوصول إلى الخادم الخلفي. تحقق من أن الخادم قيد التشغيل.',
+      backendUnreachableHelp: '🔌 تعذر الاتصال بالخادم\n\nلا يمكن الوصول إلى الخادم الخلفي على المنفذ 3001.\n\n**حلول ممكنة:**\n• تحقق من أن السكربت `.\\start.ps1` قد شغّل الخدمتين\n• أعد تشغيل التطبيق باستخدام `.\\start.ps1`\n• انتظر بضع ثوانٍ حتى يكتمل تشغيل الخادم الخلفي\n\nإذا استمرت المشكلة، تواصل مع المسؤول.',
+      communicationTitle: 'خطأ في الاتصال',
+      regenerateTitle: 'خطأ في إعادة الإنشاء',
+      editTitle: 'خطأ في التعديل',
+      tooManyRequests: '⏰ طلبات كثيرة جدًا. يرجى الانتظار قبل إرسال رسالة أخرى.',
+      retryAt: 'يمكنك الإرسال مجددًا يوم {date} على الساعة {time}.',
+    },
+  },
+  message: {
+    previousVersion: 'النسخة السابقة',
+    nextVersion: 'النسخة التالية',
+    editQuestion: 'تعديل السؤال',
+    regenerate: 'إعادة إنشاء الإجابة',
+    expertBadge: 'خبير Odoo',
+    avatarAlt: 'آدم - خبير Odoo',
+    interrupted: 'تم إيقاف الإجابة',
+    stoppedBeforeAnswer: 'توقف الإنشاء قبل الإجابة',
+    sources: 'مصادر الوثائق ({count})',
+    basedOnDocs: 'مستند إلى وثائق Odoo',
+    fromCache: 'إجابة محفوظة',
+    fromCacheHint: 'سؤال طُرح مؤخرًا: أعد التوليد للحصول على إجابة جديدة',
+    citation: 'المصدر {number}: {title}',
+  },
+  guide: {
+    analysis: 'تحليلي',
+    steps: 'الخطوات',
+    expectedResult: 'النتيجة المتوقعة:',
+    validation: 'التحقق',
+    furtherReading: 'للمزيد',
+    progress: '{done}/{total} مكتمل',
+    saveError: 'تعذر حفظ تقدم الدليل.',
+  },
+  addon: {
+    files: '{count} ملف',
+    download: 'تنزيل (.zip)',
+    downloadError: 'تعذر تنزيل الوحدة.',
+    loadingFiles: 'جارٍ تحميل الملفات...',
+    loadError: 'تعذر تحميل ملفات الوحدة.',
+    installHint: 'انسخ المجلد {technicalName} إلى addons_path ثم ثبّت الوحدة من التطبيقات.',
+    selectFile: 'اختر ملفًا لعرض محتواه.',
+  },
+  grounding: {
+    badge: 'للتحقق ({count})',
+    intro: 'لم يتم العثور على هذه العناصر كما هي في وثائق Odoo:',
+    documented: 'في الوثائق:',
+    types: {
+      menu: 'قائمة',
+      model: 'نموذج',
+      field: 'حقل',
+    },
+    statuses: {
+      unverified: 'غير موجود في الوثائق',
+      contradicted: 'يتعارض مع الوثائق',
+    },
+  },
+  codeCheck: {
+    title: '{count} مقطع شيفرة غير صالح: تحقق منها قبل استخدامها',
+    block: 'المقطع {index}',
+    hint: 'لم يكفِ التصحيح التلقائي. اطلب نسخة جديدة أو صحّح هذه الأسطر قبل تثبيت الوحدة.',
+    repaired: 'تم تصحيح الشيفرة',
+    repairedHint: 'تم تصحيح مقاطع شيفرة غير صالحة تلقائيًا',
+    languages: {
+      xml: 'XML',
+      python: 'Python',
+      manifest: 'ملف البيان',
+    },
+  },
+  redaction: {
+    badge: 'تم إخفاء {count} من البيانات',
+    hint: 'استُبدلت بعلامات قبل إرسالها إلى النموذج، ثم أُعيدت في الإجابة:',
+    types: {
+      EMAIL: 'بريد إلكتروني',
+      PHONE: 'رقم هاتف',
+      IBAN: 'IBAN',
+      API_KEY: 'مفتاح API',
+      PASSWORD: 'كلمة مرور',
+      SECRET: 'مفتاح خاص',
+      PERSON: 'اسم شخص',
+      NAME: 'مصطلح محمي',
+    },
+  },
+  attachments: {
+    attach: 'إرفاق ملف',
+    attachHint: 'إرفاق ملف نصي (تتبّع الخطأ، ‎__manifest__.py، واجهة XML، سجل...)',
+    pasted: 'نص ملصق',
+    remove: 'إزالة {name}',
+    lines: '{count} سطرًا',
+    show: 'عرض المحتوى',
+    hide: 'إخفاء المحتوى',
+    loading: 'جارٍ تحميل المحتوى...',
+    loadError: 'تعذّر تحميل المحتوى',
+    pasteHint: 'نص طويل: سيُرسل الكود والسجلات الملصقة كمرفق، ولا يُرسل إلى النموذج إلا المقاطع المفيدة للسؤال',
+    tooLong: 'تجاوزت الرسالة {max} حرف: أرفق هذا المحتوى كملف',
+    tooMany: '{max} مرفقات كحد أقصى لكل رسالة',
+    tooLarge: '«{name}» يتجاوز {max} حرف',
+    notText: '«{name}» ليس ملفًا نصيًا',
+    readError: 'تعذّرت قراءة «{name}»',
+    kinds: {
+      traceback: 'تتبّع الخطأ',
+      manifest: 'ملف البيان',
+      xml: 'XML',
+      python: 'Python',
+      log: 'سجل',
+      text: 'نص',
+    },
+  },
+  sidebar: {
+    newConversation: 'محادثة جديدة',
+    searchPlaceholder: 'البحث في المحادثات...',
+    messageCount: '{count} رسائل',
+    editTitle: 'تعديل العنوان',
+    deleteConversation: 'حذف المحادثة',
+    confirmDelete: 'هل أنت متأكد من حذف المحادثة "{title}"؟',
+    noConversations: 'لا توجد محادثات',
+    settings: 'الإعدادات',
+    help: 'المساعدة والأسئلة الشائعة',
+  },
+  account: {
+    title: 'حسابي',
+    description: 'إدارة ملفك الشخصي وتفضيلاتك',
+    memberSince: 'عضو منذ 2024',
+    actions: 'إجراءات الحساب',
+    editProfile: 'تعديل ملفي الشخصي',
+    editProfileHint: 'تغيير اسم المستخدم والمعلومات',
+    editProfileDescription: 'حدّث معلوماتك الشخصية',
+    pseudonymPlaceholder: 'اسم المستخدم',
+    emailPlaceholder: 'بريدك الإلكتروني',
+    emailLocked: 'لا يمكن تغيير البريد الإلكتروني',
+    notifications: 'تفضيلات الإشعارات',
+    notificationsHint: 'إدارة التنبيهات والإشعارات',
+    exportData: 'تصدير بياناتي',
+    exportDataHint: 'تنزيل جميع محادثاتك',
+    logout: 'تسجيل الخروج',
+    logoutHint: 'إنهاء جلستك الحالية',
+    stats: 'الإحصائيات',
+  },
+  settings: {
+    title: 'الإعدادات',
+    description: 'خصّص تجربتك في التطبيق',
+    appearance: 'المظهر',
+    appearanceHint: 'خصّص الواجهة',
+    darkMode: 'الوضع الداكن',
+    darkModeHint: 'واجهة داكنة مريحة للعين',
+    smoothAnimations: 'حركات سلسة',
+    smoothAnimationsHint: 'الانتقالات والحركات',
+    compactMode: 'الوضع المضغوط',
+    compactModeHint: 'واجهة أكثر كثافة',
+    chat: 'المحادثة',
+    chatHint: 'تفضيلات محادثاتك',
+    sound: 'إشعارات صوتية',
+    soundHint: 'صوت عند وصول إجابة جديدة',
+    autoSave: 'الحفظ التلقائي',
+    autoSaveHint: 'حفظ محادثاتك تلقائيًا',
+    markdown: 'تنسيق Markdown',
+    markdownHint: 'عرض التنسيق الغني في الإجابات',
+    data: 'البيانات',
+    dataHint: 'إدارة بياناتك المخزنة',
+    savedConversations: 'المحادثات المحفوظة',
+    conversationCount: '{count} محادثة',
+    export: 'تصدير',
+    clearCache: 'مسح ذاكرة التخزين المؤقت',
+    clearCacheHint: 'حذف جميع البيانات المحلية',
+    clear: 'مسح',
+    confirmClearCache: 'هل أنت متأكد من مسح ذاكرة التخزين المؤقت؟ سيتم حذف جميع محادثاتك.',
+  },
+  help: {
+    title: 'المساعدة والأسئلة الشائعة',
+    description: 'الأسئلة الشائعة والدعم',
+    about: 'عن آدم',
+    aboutIntro: 'أنا آدم، مساعدك الذكي المتخصص في Odoo v17. أعمل في Schwing Stetter Algérie.',
+    aboutSource: 'تأتي معارفي من وثائق Odoo الرسمية.',
+    faq: 'الأسئلة الشائعة',
+    newConversationQuestion: 'كيف أبدأ محادثة جديدة؟',
+    newConversationAnswer: 'انقر على "محادثة جديدة" في الشريط الجانبي.',
+    searchQuestion: 'كيف أبحث في محادثاتي؟',
+    searchAnswer: 'استخدم شريط البحث في أعلى الشريط الجانبي.',
+    savedQuestion: 'هل يتم حفظ محادثاتي؟',
+    savedAnswer: 'نعم، يتم حفظ جميع محادثاتك تلقائيًا.',
+    shortcuts: 'اختصارات لوحة المفاتيح',
+    shortcutNewConversation: 'محادثة جديدة',
+    shortcutSearch: 'الانتقال إلى البحث',
+    footer: 'طُوّر بكل ❤️ من قِبل آدم',
+  },
+  notifications: {
+    title: 'الإشعارات',
+    description: 'إدارة تفضيلات الإشعارات',
+    responses: 'إشعارات الإجابات',
+    responsesHint: 'تلقي إشعار عندما يجيب آدم',
+    sound: 'صوت الإشعار',
+    soundHint: 'تشغيل صوت مع الإشعارات',
+    desktop: 'إشعارات سطح المكتب',
+    desktopHint: 'عرض الإشعارات على سطح المكتب',
+  },
+  conversationTitle: {
+    title: 'تعديل العنوان',
+    description: 'عدّل عنوان محادثتك',
+    label: 'عنوان المحادثة',
+    placeholder: 'أدخل العنوان الجديد...',
+  },
+  usage: {
+    title: 'الاستهلاك',
+    plan: {
+      free: 'الباقة المجانية',
+      premium: 'بريميوم',
+    },
+    daily: 'اليوم',
+    monthly: 'هذا الشهر',
+    tokens: '{used} / {limit} رمز',
+    unlimitedTokens: '{used} رمز (غير محدود)',
+    resetsAt: 'يتجدد في {date}',
+    cost: 'التكلفة التقديرية لهذا الشهر',
+    byModel: 'حسب النموذج (هذا الشهر)',
+    answers: '{count} إجابة',
+    empty: 'لا يوجد استهلاك هذا الشهر',
+    loadError: 'تعذر تحميل الاستهلاك',
+  },
+  odooConnections: {
+    title: 'مثيلات Odoo الخاصة بي',
+    description: 'اربط قاعدة بيانات Odoo الخاصة بك: سيتمكن المساعد من الاطلاع على وحداتك وحقولك وسجلاتك (قراءة فقط).',
+    empty: 'لا توجد مثيلات مسجلة',
+    add: 'إضافة مثيل',
+    edit: 'تعديل',
+    delete: 'حذف',
+    deleteConfirm: 'حذف الاتصال «{name}»؟ ستعود المحادثات التي تستخدمه إلى التوثيق فقط.',
+    test: 'اختبار',
+    testing: 'جارٍ الاختبار...',
+    testOk: 'نجح الاتصال',
+    testError: 'فشل الاتصال',
+    neverTested: 'لم يُختبر بعد',
+    lastTested: 'اختُبر في {date}',
+    saved: 'تم حفظ الاتصال',
+    saveError: 'تعذر حفظ الاتصال',
+    deleteError: 'تعذر حذف الاتصال',
+    loadError: 'تعذر تحميل مثيلات Odoo الخاصة بك',
+    fields: {
+      name: 'الاسم',
+      namePlaceholder: 'الإنتاج',
+      url: 'عنوان المثيل',
+      database: 'قاعدة البيانات',
+      username: 'اسم المستخدم',
+      apiKey: 'مفتاح API',
+      apiKeyHint: 'يُنشأ من التفضيلات > أمان الحساب. يُشفَّر على الخادم ولا يُعرض مرة أخرى.',
+      apiKeyKeep: 'اتركه فارغًا للاحتفاظ بالمفتاح الحالي',
+      protocol: 'البروتوكول',
+    },
+    selector: {
+      label: 'مثيل Odoo',
+      none: 'التوثيق فقط',
+      updateError: 'تعذر تغيير مثيل المحادثة',
+    },
+  },
+  profile: {
+    back: 'العودة إلى المحادثة',
+    info: 'معلومات الملف الشخصي',
+    edit: 'تعديل',
+    security: 'الأمان والوصول',
+    changePassword: 'تغيير كلمة المرور',
+    changePasswordHint: 'تحديث كلمة المرور الخاصة بك',
+    appInfo: 'معلومات',
+    version: 'إصدار التطبيق',
+    lastLogin: 'آخر تسجيل دخول',
+    today: 'اليوم',
+    status: 'الحالة',
+    active: 'نشط',
+    helpTitle: 'هل تحتاج إلى مساعدة؟',
+    helpText: 'فريقنا هنا لمرافقتك',
+    contactSupport: 'التواصل مع الدعم',
+  },
+};
+
+export default ar;
@@ -0,0 +1,353 @@
+import type { Translations } from './fr';
+
+// Catalogue anglais
+const en: Translations = {
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    send: 'Send',
+    loading: 'Loading...',
+    email: 'Email',
+    pseudonym: 'Username',
+    user: 'User',
+    conversations: 'Conversations',
+    messages: 'Messages',
+  },
+  language: {
+    label: 'Language',
+    description: 'Language of the interface and of Adam\'s answers',
+    saveError: 'The language could not be saved. Your choice still applies on this device.',
+  },
+  auth: {
+    login: {
+      title: 'Sign in to your account',
+      noAccount: 'Don\'t have an account?',
+      signupLink: 'Sign up',
+      password: 'Password',
+      rememberMe: 'Remember me',
+      forgotPassword: 'Forgot your password?',
+      submit: 'Sign in',
+      submitting: 'Signing in...',
+      invalidCredentials: 'Incorrect email or password',
+      errorTitle: 'Sign-in error',
+      serverError: 'Could not reach the server',
+      successTitle: 'Signed in',
+      successDescription: 'You are now signed in!',
+    },
+    signup: {
+      subtitle: 'Create your account to get started.',
+      email: 'Email address',
+      password: 'Password',
+      confirmPassword: 'Confirm password',
+      submit: 'Create account',
+      submitting: 'Creating...',
+      hasAccount: 'Already have an account?',
+      loginLink: 'Sign in',
+      error: 'Sign-up failed',
+      errorTitle: 'Sign-up error',
+      serverError: 'Could not reach the server',
+      successTitle: 'Account created',
+      successDescription: 'Welcome {name}! Your account has been created.',
+    },
+  },
+  chat: {
+    newConversation: 'New conversation',
+    logout: 'Sign out',
+    thinking: 'Thinking...',
+    stages: {
+      searching: 'Searching the documentation...',
+      generating: 'Writing the answer...',
+      self_correcting: 'Checking and improving the answer...',
+      repairing_code: 'Fixing code blocks...',
+    },
+    welcomeTitle: 'Welcome to the Odoo Chatbot',
+    welcomeStart: 'Ask a question to start a new conversation.',
+    welcomeHelp: 'You can ask for help on any Odoo topic.',
+    placeholder: 'Ask your question here... (Shift+Enter for a new line)',
+    stop: 'Stop generating',
+    structuredMode: 'Step-by-step guide',
+    structuredModeHint: 'Get the answer as steps you can tick off',
+    addonMode: 'Odoo module',
+    addonModeHint: 'Generate an installable Odoo 17 module from your requirements',
+    errors: {
+      invalidRequest: '❌ Invalid request.',
+      sessionExpired: '🔐 Session expired. Please log in again.',
+      serviceUnavailable: '🔌 Service unavailable. Is the backend running?',
+      serverError: '❌ Server error: {status} {statusText}',
+      generationFailed: 'Error while generating the answer',
+      streamInterrupted: '❌ The response stream was interrupted before the end.',
+      sendFailed: 'Error while sending the message',
+      unexpected: 'An unexpected error occurred',
+      timeout: 'The request took too long. Check your connection.',
+      backendUnreachable: 'The backend is not reachable. Check that the server is running.',
+      backendUnreachableHelp: '🔌 Unable to connect to the server\n\nThe backend is not reachable on port 3001.\n\n**Possible solutions:**\n• Check that the `.\\start.ps1` script started both services\n• Restart the application with `.\\start.ps1`\n• Wait a few seconds for the backend to finish starting\n\nIf the problem persists, contact the administrator.',
+      communicationTitle: 'Communication error',
+      regenerateTitle: 'Regeneration error',
+      editTitle: 'Edit error',
+      tooManyRequests: '⏰ Too many requests. Please wait before sending another message.',
+      retryAt: 'You can send again on {date} at {time}.',
+    },
+  },
+  message: {
+    previousVersion: 'Previous version',
+    nextVersion: 'Next version',
+    editQuestion: 'Edit question',
+    regenerate: 'Regenerate answer',
+    expertBadge: 'Odoo expert',
+    avatarAlt: 'Adam - Odoo expert',
+    interrupted: 'Answer interrupted',
+    stoppedBeforeAnswer: 'Generation stopped before the answer',
+    sources: 'Documentation sources ({count})',
+    basedOnDocs: 'Based on the Odoo documentation',
+    fromCache: 'Cached answer',
+    fromCacheHint: 'Asked recently: regenerate to get a fresh answer',
+    citation: 'Source {number}: {title}',
+  },
+  guide: {
+    analysis: 'My analysis',
+    steps: 'Steps',
+    expectedResult: 'Expected result:',
+    validation: 'Validation',
+    furtherReading: 'Going further',
+    progress: '{done}/{total} done',
+    saveError: 'Could not save the guide progress.',
+  },
+  addon: {
+    files: '{count} file(s)',
+    download: 'Download (.zip)',
+    downloadError: 'Could not download the module.',
+    loadingFiles: 'Loading files...',
+    loadError: 'Could not load the module files.',
+    installHint: 'Copy the {technicalName} folder into your addons_path, then install the module from Apps.',
+    selectFile: 'Select a file to view its content.',
+  },
+  grounding: {
+    badge: 'To check ({count})',
+    intro: 'These items were not found as written in the Odoo documentation:',
+    documented: 'documented:',
+    types: {
+      menu: 'Menu',
+      model: 'Model',
+      field: 'Field',
+    },
+    statuses: {
+      unverified: 'Not found in the documentation',
+      contradicted: 'Contradicted by the documentation',
+    },
+  },
+  codeCheck: {
+    title: '{count} invalid code block(s): check them before use',
+    block: 'Block {index}',
+    hint: 'Automatic repair was not enough. Ask for a new version or fix these lines before installing the module.',
+    repaired: 'Code fixed',
+    repairedHint: 'Invalid code blocks were fixed automatically',
+    languages: {
+      xml: 'XML',
+      python: 'Python',
+      manifest: 'Manifest',
+    },
+  },
+  redaction: {
+    badge: '{count} item(s) masked',
+    hint: 'Replaced with placeholders before being sent to the model, then restored in the answer:',
+    types: {
+      EMAIL: 'Email address',
+      PHONE: 'Phone number',
+      IBAN: 'IBAN',
+      API_KEY: 'API key',
+      PASSWORD: 'Password',
+      SECRET: 'Private key',
+      PERSON: 'Person name',
+      NAME: 'Protected term',
+    },
+  },
+  attachments: {
+    attach: 'Attach a file',
+    attachHint: 'Attach a text file (traceback, __manifest__.py, XML view, log...)',
+    pasted: 'Pasted text',
+    remove: 'Remove {name}',
+    lines: '{count} lines',
+    show: 'Show content',
+    hide: 'Hide content',
+    loading: 'Loading content...',
+    loadError: 'Unable to load the content',
+    pasteHint: 'Long text: pasted code and logs will be sent as an attachment, and only the passages relevant to the question go to the model',
+    tooLong: 'The message exceeds {max} characters: attach this content as a file',
+    tooMany: '{max} attachments at most per message',
+    tooLarge: '"{name}" exceeds {max} characters',
+    notText: '"{name}" is not a text file',
+    readError: 'Unable to read "{name}"',
+    kinds: {
+      traceback: 'Traceback',
+      manifest: 'Manifest',
+      xml: 'XML',
+      python: 'Python',
+      log: 'Log',
+      text: 'Text',
+    },
+  },
+  sidebar: {
+    newConversation: 'New conversation',
+    searchPlaceholder: 'Search conversations...',
+    messageCount: '{count} messages',
+    editTitle: 'Rename',
+    deleteConversation: 'Delete conversation',
+    confirmDelete: 'Are you sure you want to delete the conversation "{title}"?',
+    noConversations: 'No conversations',
+    settings: 'Settings',
+    help: 'Help & FAQ',
+  },
+  account: {
+    title: 'My account',
+    description: 'Manage your profile and preferences',
+    memberSince: 'Member since 2024',
+    actions: 'Account actions',
+    editProfile: 'Edit my profile',
+    editProfileHint: 'Change your username and details',
+    editProfileDescription: 'Update your personal information',
+    pseudonymPlaceholder: 'Your username',
+    emailPlaceholder: 'Your email',
+    emailLocked: 'The email cannot be changed',
+    notifications: 'Notification preferences',
+    notificationsHint: 'Manage your alerts and notifications',
+    exportData: 'Export my data',
+    exportDataHint: 'Download all your conversations',
+    logout: 'Sign out',
+    logoutHint: 'End your current session',
+    stats: 'Statistics',
+  },
+  settings: {
+    title: 'Settings',
+    description: 'Customize your experience of the application',
+    appearance: 'Appearance',
+    appearanceHint: 'Customize the interface',
+    darkMode: 'Dark mode',
+    darkModeHint: 'A darker interface, easier on the eyes',
+    smoothAnimations: 'Smooth animations',
+    smoothAnimationsHint: 'Transitions and animations',
+    compactMode: 'Compact mode',
+    compactModeHint: 'A denser interface',
+    chat: 'Chat',
+    chatHint: 'Preferences for your conversations',
+    sound: 'Sound notifications',
+    soundHint: 'Play a sound for new answers',
+    autoSave: 'Auto-save',
+    autoSaveHint: 'Save your conversations automatically',
+    markdown: 'Markdown formatting',
+    markdownHint: 'Show rich formatting in answers',
+    data: 'Data',
+    dataHint: 'Manage your stored data',
+    savedConversations: 'Saved conversations',
+    conversationCount: '{count} conversation(s)',
+    export: 'Export',
+    clearCache: 'Clear cache',
+    clearCacheHint: 'Delete all local data',
+    clear: 'Clear',
+    confirmClearCache: 'Are you sure you want to clear the cache? All your conversations will be deleted.',
+  },
+  help: {
+    title: 'Help & FAQ',
+    description: 'Frequently asked questions and support',
+    about: 'About Adam',
+    aboutIntro: 'I\'m Adam, your AI assistant specialized in Odoo v17. I work at Schwing Stetter Algérie.',
+    aboutSource: 'My knowledge comes from the official Odoo documentation.',
+    faq: 'Frequently asked questions',
+    newConversationQuestion: 'How do I start a new conversation?',
+    newConversationAnswer: 'Click "New conversation" in the sidebar.',
+    searchQuestion: 'How do I search my conversations?',
+    searchAnswer: 'Use the search bar at the top of the sidebar.',
+    savedQuestion: 'Are my conversations saved?',
+    savedAnswer: 'Yes, all your conversations are saved automatically.',
+    shortcuts: 'Shortcuts',
+    shortcutNewConversation: 'New conversation',
+    shortcutSearch: 'Focus search',
+    footer: 'Built with ❤️ by Adam',
+  },
+  notifications: {
+    title: 'Notifications',
+    description: 'Manage your notification preferences',
+    responses: 'Answer notifications',
+    responsesHint: 'Get notified when Adam answers',
+    sound: 'Notification sound',
+    soundHint: 'Play a sound with notifications',
+    desktop: 'Desktop notifications',
+    desktopHint: 'Show notifications on the desktop',
+  },
+  conversationTitle: {
+    title: 'Rename conversation',
+    description: 'Change the title of your conversation',
+    label: 'Conversation title',
+    placeholder: 'Enter the new title...',
+  },
+  usage: {
+    title: 'Usage',
+    plan: {
+      free: 'Free plan',
+      premium: 'Premium',
+    },
+    daily: 'Today',
+    monthly: 'This month',
+    tokens: '{used} / {limit} tokens',
+    unlimitedTokens: '{used} tokens (unlimited)',
+    resetsAt: 'Resets on {date}',
+    cost: 'Estimated cost this month',
+    byModel: 'By model (this month)',
+    answers: '{count} answers',
+    empty: 'No usage this month',
+    loadError: 'Unable to load usage',
+  },
+  odooConnections: {
+    title: 'My Odoo instances',
+    description: 'Connect your Odoo database: the assistant can then look up your modules, fields and records (read-only).',
+    empty: 'No instance registered',
+    add: 'Add an instance',
+    edit: 'Edit',
+    delete: 'Delete',
+    deleteConfirm: 'Delete the "{name}" connection? Conversations using it will fall back to documentation only.',
+    test: 'Test',
+    testing: 'Testing...',
+    testOk: 'Connection successful',
+    testError: 'Connection failed',
+    neverTested: 'Never tested',
+    lastTested: 'Tested on {date}',
+    saved: 'Connection saved',
+    saveError: 'Unable to save the connection',
+    deleteError: 'Unable to delete the connection',
+    loadError: 'Unable to load your Odoo instances',
+    fields: {
+      name: 'Name',
+      namePlaceholder: 'Production',
+      url: 'Instance URL',
+      database: 'Database',
+      username: 'Login',
+      apiKey: 'API key',
+      apiKeyHint: 'Created in Preferences > Account Security. Encrypted on the server, never shown again.',
+      apiKeyKeep: 'Leave empty to keep the current key',
+      protocol: 'Protocol',
+    },
+    selector: {
+      label: 'Odoo instance',
+      none: 'Documentation only',
+      updateError: 'Unable to change the conversation\'s instance',
+    },
+  },
+  profile: {
+    back: 'Back to chat',
+    info: 'Profile information',
+    edit: 'Edit',
+    security: 'Security and access',
+    changePassword: 'Change my password',
+    changePasswordHint: 'Update your password',
+    appInfo: 'Information',
+    version: 'App version',
+    lastLogin: 'Last sign-in',
+    today: 'Today',
+    status: 'Status',
+    active: 'Active',
+    helpTitle: 'Need help?',
+    helpText: 'Our team is here to help you',
+    contactSupport: 'Contact support',
+  },
+};
+
+export default en;
@@ -0,0 +1,353 @@
+// Catalogue français (langue de référence : les autres catalogues reprennent ses clés)
+const fr = {
+  common: {
+    cancel: 'Annuler',
+    save: 'Sauvegarder',
+    send: 'Envoyer',
+    loading: 'Chargement...',
+    email: 'Email',
+    pseudonym: 'Pseudonyme',
+    user: 'Utilisateur',
+    conversations: 'Conversations',
+    messages: 'Messages',
+  },
+  language: {
+    label: 'Langue',
+    description: 'Langue de l\'interface et des réponses d\'Adam',
+    saveError: 'Impossible d\'enregistrer la langue. Le choix reste actif sur cet appareil.',
+  },
+  auth: {
+    login: {
+      title: 'Connectez-vous à votre compte',
+      noAccount: 'Vous n\'avez pas de compte ?',
+      signupLink: 'S\'inscrire',
+      password: 'Mot de passe',
+      rememberMe: 'Se souvenir de moi',
+      forgotPassword: 'Mot de passe oublié ?',
+      submit: 'Se connecter',
+      submitting: 'Connexion...',
+      invalidCredentials: 'Email ou mot de passe incorrect',
+      errorTitle: 'Erreur de connexion',
+      serverError: 'Erreur de connexion au serveur',
+      successTitle: 'Connexion réussie',
+      successDescription: 'Vous êtes maintenant connecté !',
+    },
+    signup: {
+      subtitle: 'Créez votre compte pour commencer.',
+      email: 'Adresse e-mail',
+      password: 'Mot de passe',
+      confirmPassword: 'Confirmer le mot de passe',
+      submit: 'Créer un compte',
+      submitting: 'Création...',
+      hasAccount: 'Vous avez déjà un compte ?',
+      loginLink: 'Se connecter',
+      error: 'Erreur lors de l\'inscription',
+      errorTitle: 'Erreur d\'inscription',
+      serverError: 'Erreur de connexion au serveur',
+      successTitle: 'Inscription réussie',
+      successDescription: 'Bienvenue {name} ! Votre compte a été créé avec succès.',
+    },
+  },
+  chat: {
+    newConversation: 'Nouvelle conversation',
+    logout: 'Déconnexion',
+    thinking: 'En train de réfléchir...',
+    stages: {
+      searching: 'Recherche dans la documentation...',
+      generating: 'Rédaction de la réponse...',
+      self_correcting: 'Vérification et amélioration de la réponse...',
+      repairing_code: 'Correction des blocs de code...',
+    },
+    welcomeTitle: 'Bienvenue sur le Chatbot Odoo',
+    welcomeStart: 'Posez une question pour commencer une nouvelle conversation.',
+    welcomeHelp: 'Vous pouvez demander de l\'aide sur n\'importe quel sujet concernant Odoo.',
+    placeholder: 'Posez votre question ici... (Shift+Entrée pour une nouvelle ligne)',
+    stop: 'Arrêter la génération',
+    structuredMode: 'Guide pas à pas',
+    structuredModeHint: 'Recevoir la réponse sous forme d\'étapes à cocher',
+    addonMode: 'Module Odoo',
+    addonModeHint: 'Générer un module Odoo 17 installable à partir de votre besoin',
+    errors: {
+      invalidRequest: '❌ Requête invalide.',
+      sessionExpired: '🔐 Session expirée. Veuillez vous reconnecter.',
+      serviceUnavailable: '🔌 Service non disponible. Le backend est-il démarré ?',
+      serverError: '❌ Erreur serveur : {status} {statusText}',
+      generationFailed: 'Erreur lors de la génération de la réponse',
+      streamInterrupted: '❌ Le flux de réponse s\'est interrompu avant la fin.',
+      sendFailed: 'Erreur lors de l\'envoi du message',
+      unexpected: 'Une erreur inattendue s\'est produite',
+      timeout: 'La requête a pris trop de temps. Vérifiez votre connexion.',
+      backendUnreachable: 'Le backend n\'est pas accessible. Vérifiez que le serveur est démarré.',
+      backendUnreachableHelp: '🔌 Impossible de se connecter au serveur\n\nLe backend n\'est pas accessible sur le port 3001.\n\n**Solutions possibles :**\n• Vérifiez que le script `.\\start.ps1` a bien démarré les deux services\n• Redémarrez l\'application avec `.\\start.ps1`\n• Attendez quelques secondes que le backend se lance complètement\n\nSi le problème persiste, contactez l\'administrateur.',
+      communicationTitle: 'Erreur de communication',
+      regenerateTitle: 'Erreur de régénération',
+      editTitle: 'Erreur de modification',
+      tooManyRequests: '⏰ Trop de requêtes. Veuillez patienter avant de renvoyer un message.',
+      retryAt: 'Nouvel envoi possible le {date} à {time}.',
+    },
+  },
+  message: {
+    previousVersion: 'Version précédente',
+    nextVersion: 'Version suivante',
+    editQuestion: 'Modifier la question',
+    regenerate: 'Régénérer la réponse',
+    expertBadge: 'Expert Odoo',
+    avatarAlt: 'Adam - Expert Odoo',
+    interrupted: 'Réponse interrompue',
+    stoppedBeforeAnswer: 'Génération arrêtée avant la réponse',
+    sources: 'Sources de documentation ({count})',
+    basedOnDocs: 'Basé sur la documentation Odoo',
+    fromCache: 'Réponse en cache',
+    fromCacheHint: 'Question déjà posée récemment : régénérez pour obtenir une nouvelle réponse',
+    citation: 'Source {number} : {title}',
+  },
+  guide: {
+    analysis: 'Mon analyse',
+    steps: 'Étapes',
+    expectedResult: 'Résultat attendu :',
+    validation: 'Validation',
+    furtherReading: 'Pour aller plus loin',
+    progress: '{done}/{total} terminé(s)',
+    saveError: 'Impossible d\'enregistrer la progression du guide.',
+  },
+  addon: {
+    files: '{count} fichier(s)',
+    download: 'Télécharger (.zip)',
+    downloadError: 'Impossible de télécharger le module.',
+    loadingFiles: 'Chargement des fichiers...',
+    loadError: 'Impossible de charger les fichiers du module.',
+    installHint: 'Copiez le dossier {technicalName} dans votre addons_path puis installez le module depuis Applications.',
+    selectFile: 'Sélectionnez un fichier pour afficher son contenu.',
+  },
+  grounding: {
+    badge: 'À vérifier ({count})',
+    intro: 'Ces éléments n\'ont pas été trouvés tels quels dans la documentation Odoo :',
+    documented: 'documenté :',
+    types: {
+      menu: 'Menu',
+      model: 'Modèle',
+      field: 'Champ',
+    },
+    statuses: {
+      unverified: 'Introuvable dans la documentation',
+      contradicted: 'Contredit par la documentation',
+    },
+  },
+  codeCheck: {
+    title: '{count} bloc(s) de code invalide(s) : vérifiez-les avant de les utiliser',
+    block: 'Bloc {index}',
+    hint: 'La correction automatique n\'a pas suffi. Demandez une nouvelle version ou corrigez ces lignes avant d\'installer le module.',
+    repaired: 'Code corrigé',
+    repairedHint: 'Des blocs de code invalides ont été corrigés automatiquement',
+    languages: {
+      xml: 'XML',
+      python: 'Python',
+      manifest: 'Manifeste',
+    },
+  },
+  redaction: {
+    badge: '{count} donnée(s) masquée(s)',
+    hint: 'Remplacées par des marqueurs avant l\'envoi au modèle, puis restituées dans la réponse :',
+    types: {
+      EMAIL: 'Adresse e-mail',
+      PHONE: 'Téléphone',
+      IBAN: 'IBAN',
+      API_KEY: 'Clé d\'API',
+      PASSWORD: 'Mot de passe',
+      SECRET: 'Clé privée',
+      PERSON: 'Nom de personne',
+      NAME: 'Terme protégé',
+    },
+  },
+  attachments: {
+    attach: 'Joindre un fichier',
+    attachHint: 'Joindre un fichier texte (traceback, __manifest__.py, vue XML, journal...)',
+    pasted: 'Texte collé',
+    remove: 'Retirer {name}',
+    lines: '{count} lignes',
+    show: 'Afficher le contenu',
+    hide: 'Masquer le contenu',
+    loading: 'Chargement du contenu...',
+    loadError: 'Impossible de charger le contenu',
+    pasteHint: 'Texte long : le code et les journaux collés seront envoyés comme pièce jointe, seuls les passages utiles à la question partent au modèle',
+    tooLong: 'Le message dépasse {max} caractères : joignez ce contenu en fichier',
+    tooMany: '{max} pièces jointes au maximum par message',
+    tooLarge: '« {name} » dépasse {max} caractères',
+    notText: '« {name} » n\'est pas un fichier texte',
+    readError: 'Impossible de lire « {name} »',
+    kinds: {
+      traceback: 'Traceback',
+      manifest: 'Manifeste',
+      xml: 'XML',
+      python: 'Python',
+      log: 'Journal',
+      text: 'Texte',
+    },
+  },
+  sidebar: {
+    newConversation: 'Nouvelle conversation',
+    searchPlaceholder: 'Rechercher dans les conversations...',
+    messageCount: '{count} messages',
+    editTitle: 'Modifier le titre',
+    deleteConversation: 'Supprimer la conversation',
+    confirmDelete: 'Êtes-vous sûr de vouloir supprimer la conversation "{title}" ?',
+    noConversations: 'Aucune conversation',
+    settings: 'Paramètres',
+    help: 'Aide et FAQ',
+  },
+  account: {
+    title: 'Mon Compte',
+    description: 'Gérez votre profil et vos préférences',
+    memberSince: 'Membre depuis 2024',
+    actions: 'Actions du compte',
+    editProfile: 'Modifier mon profil',
+    editProfileHint: 'Changer pseudonyme et informations',
+    editProfileDescription: 'Mettez à jour vos informations personnelles',
+    pseudonymPlaceholder: 'Votre pseudonyme',
+    emailPlaceholder: 'Votre email',
+    emailLocked: 'L\'email ne peut pas être modifié',
+    notifications: 'Préférences de notification',
+    notificationsHint: 'Gérer vos alertes et notifications',
+    exportData: 'Exporter mes données',
+    exportDataHint: 'Télécharger toutes vos conversations',
+    logout: 'Se déconnecter',
+    logoutHint: 'Fermer votre session actuelle',
+    stats: 'Statistiques',
+  },
+  settings: {
+    title: 'Paramètres',
+    description: 'Personnalisez votre expérience de l\'application',
+    appearance: 'Apparence',
+    appearanceHint: 'Personnalisez l\'interface',
+    darkMode: 'Mode sombre',
+    darkModeHint: 'Interface sombre pour les yeux',
+    smoothAnimations: 'Animations fluides',
+    smoothAnimationsHint: 'Transitions et animations',
+    compactMode: 'Mode compact',
+    compactModeHint: 'Interface plus dense',
+    chat: 'Chat',
+    chatHint: 'Préférences pour vos échanges',
+    sound: 'Notifications sonores',
+    soundHint: 'Son pour les nouvelles réponses',
+    autoSave: 'Sauvegarde automatique',
+    autoSaveHint: 'Sauvegarder automatiquement vos conversations',
+    markdown: 'Formatage Markdown',
+    markdownHint: 'Afficher le formatage riche dans les réponses',
+    data: 'Données',
+    dataHint: 'Gérez vos données de stockage',
+    savedConversations: 'Conversations sauvegardées',
+    conversationCount: '{count} conversation(s)',
+    export: 'Exporter',
+    clearCache: 'Vider le cache',
+    clearCacheHint: 'Supprimer toutes les données locales',
+    clear: 'Vider',
+    confirmClearCache: 'Êtes-vous sûr de vouloir vider le cache ? Toutes vos conversations seront supprimées.',
+  },
+  help: {
+    title: 'Aide & FAQ',
+    description: 'Questions fréquentes et assistance',
+    about: 'À propos d\'Adam',
+    aboutIntro: 'Je suis Adam, votre assistant IA spécialisé dans Odoo v17. Je travaille chez Schwing Stetter Algérie.',
+    aboutSource: 'Mes connaissances proviennent de la documentation officielle Odoo.',
+    faq: 'Questions Fréquentes',
+    newConversationQuestion: 'Comment créer une nouvelle conversation ?',
+    newConversationAnswer: 'Cliquez sur "Nouvelle conversation" dans la barre latérale.',
+    searchQuestion: 'Comment rechercher dans mes conversations ?',
+    searchAnswer: 'Utilisez la barre de recherche en haut de la barre latérale.',
+    savedQuestion: 'Mes conversations sont-elles sauvegardées ?',
+    savedAnswer: 'Oui, toutes vos conversations sont automatiquement sauvegardées.',
+    shortcuts: 'Raccourcis',
+    shortcutNewConversation: 'Nouvelle conversation',
+    shortcutSearch: 'Focus recherche',
+    footer: 'Développé avec ❤️ par Adam',
+  },
+  notifications: {
+    title: 'Notifications',
+    description: 'Gérez vos préférences de notification',
+    responses: 'Notifications de réponse',
+    responsesHint: 'Recevoir une notification quand Adam répond',
+    sound: 'Son de notification',
+    soundHint: 'Jouer un son lors des notifications',
+    desktop: 'Notifications bureau',
+    desktopHint: 'Afficher des notifications sur le bureau',
+  },
+  conversationTitle: {
+    title: 'Modifier le titre',
+    description: 'Modifiez le titre de votre conversation',
+    label: 'Titre de la conversation',
+    placeholder: 'Entrez le nouveau titre...',
+  },
+  usage: {
+    title: 'Consommation',
+    plan: {
+      free: 'Offre gratuite',
+      premium: 'Premium',
+    },
+    daily: 'Aujourd\'hui',
+    monthly: 'Ce mois-ci',
+    tokens: '{used} / {limit} tokens',
+    unlimitedTokens: '{used} tokens (illimité)',
+    resetsAt: 'Renouvelé le {date}',
+    cost: 'Coût estimé du mois',
+    byModel: 'Par modèle (ce mois-ci)',
+    answers: '{count} réponses',
+    empty: 'Aucune consommation ce mois-ci',
+    loadError: 'Impossible de charger la consommation',
+  },
+  odooConnections: {
+    title: 'Mes instances Odoo',
+    description: 'Connectez votre base Odoo : l\'assistant pourra consulter vos modules, champs et enregistrements (lecture seule).',
+    empty: 'Aucune instance enregistrée',
+    add: 'Ajouter une instance',
+    edit: 'Modifier',
+    delete: 'Supprimer',
+    deleteConfirm: 'Supprimer la connexion « {name} » ? Les conversations qui l\'utilisent repasseront en documentation seule.',
+    test: 'Tester',
+    testing: 'Test en cours...',
+    testOk: 'Connexion réussie',
+    testError: 'Échec de la connexion',
+    neverTested: 'Jamais testée',
+    lastTested: 'Testée le {date}',
+    saved: 'Connexion enregistrée',
+    saveError: 'Impossible d\'enregistrer la connexion',
+    deleteError: 'Impossible de supprimer la connexion',
+    loadError: 'Impossible de charger vos instances Odoo',
+    fields: {
+      name: 'Nom',
+      namePlaceholder: 'Production',
+      url: 'URL de l\'instance',
+      database: 'Base de données',
+      username: 'Identifiant',
+      apiKey: 'Clé d\'API',
+      apiKeyHint: 'Créée dans Préférences > Sécurité du compte. Chiffrée sur le serveur, jamais réaffichée.',
+      apiKeyKeep: 'Laisser vide pour conserver la clé actuelle',
+      protocol: 'Protocole',
+    },
+    selector: {
+      label: 'Instance Odoo',
+      none: 'Documentation seule',
+      updateError: 'Impossible de changer l\'instance de la conversation',
+    },
+  },
+  profile: {
+    back: 'Retour au chat',
+    info: 'Informations du profil',
+    edit: 'Modifier',
+    security: 'Sécurité et accès',
+    changePassword: 'Changer mon mot de passe',
+    changePasswordHint: 'Mettre à jour votre mot de passe',
+    appInfo: 'Informations',
+    version: 'Version app',
+    lastLogin: 'Dernière connexion',
+    today: 'Aujourd\'hui',
+    status: 'Statut',
+    active: 'Actif',
+    helpTitle: 'Besoin d\'aide ?',
+    helpText: 'Notre équipe est là pour vous accompagner',
+    contactSupport: 'Contacter le support',
+  },
+};
+
+export type Translations = typeof fr;
+
+export default fr;
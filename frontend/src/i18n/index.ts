@@ -0,0 +1,44 @@
+import fr from './fr';
+import en from './en';
+import ar from './ar';
+
+export type Language = 'fr' | 'en' | 'ar';
+
+// Langues de l'interface : libellé affiché dans le sélecteur, sens d'écriture et locale Intl
+export const LANGUAGES: Record<Language, { label: string; dir: 'ltr' | 'rtl'; locale: string }> = {
+  fr: { label: 'Français', dir: 'ltr', locale: 'fr-FR' },
+  en: { label: 'English', dir: 'ltr', locale: 'en-US' },
+  ar: { label: 'العربية', dir: 'rtl', locale: 'ar-DZ' },
+};
+
+export const DEFAULT_LANGUAGE: Language = 'fr';
+
+const catalogs = { fr, en, ar };
+
+/**
+ * Ramène un code de langue ("en-US", "AR"...) à une langue de l'interface, null sinon
+ */
+export const normalizeLanguage = (value?: string | null): Language | null => {
+  const code = (value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return code in LANGUAGES ? (code as Language) : null;
+};
+
+/**
+ * Texte traduit pour une clé pointée ("chat.placeholder")
+ * Une clé absente est lue dans le catalogue français, puis renvoyée telle quelle.
+ * Les valeurs `{nom}` sont remplacées par `params.nom`.
+ */
+export const translate = (
+  language: Language,
+  key: string,
+  params: Record<string, string | number> = {}
+): string => {
+  const lookup = (catalog: unknown): unknown => key.split('.').reduce<unknown>(
+    (node, part) => (node && typeof node === 'object' ? (node as Record<string, unknown>)[part] : undefined),
+    catalog
+  );
+  const value = lookup(catalogs[language]) ?? lookup(catalogs[DEFAULT_LANGUAGE]);
+
+  if (typeof value !== 'string') return key;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { useAuth } from '../hooks/useAuth';
-import { useChat } from '../hooks/useChat';
+import { useChat, type AttachmentInput } from '../hooks/useChat';
 import Sidebar from '../components/layout/Sidebar';
 import ChatInterface from '../components/chat/ChatInterface';
 
@@ -12,16 +12,27 @@ export default function ChatPage() {
     conversations,
     activeConversation,
     loading,
+    streamingText,
+    streamingStage,
+    starterQuestions,
     sendMessage,
+    regenerateMessage,
+    editMessage,
+    switchMessageVersion,
+    updateGuideProgress,
+    downloadAddon,
+    loadAddonFiles,
+    loadAttachments,
+    stopGeneration,
     newConversation,
     setActiveConversation,
     deleteConversation,
     updateConversation
   } = useChat();
 
-  const handleSendMessage = async (message: string) => {
+  const handleSendMessage = async (message: string, options?: { structured?: boolean; addon?: boolean; odooConnectionId?: number | null; attachments?: AttachmentInput[] }) => {
     try {
-      await sendMessage(message);
+      await sendMessage(message, options);
     } catch (error) {
       console.error('Erreur envoi message:', error);
     }
@@ -57,7 +68,19 @@ export default function ChatPage() {
         <ChatInterface
           activeConversation={activeConversation}
           loading={loading}
+          streamingText={streamingText}
+          streamingStage={streamingStage}
+          starterQuestions={starterQuestions}
           onSendMessage={handleSendMessage}
+          onRegenerateMessage={regenerateMessage}
+          onEditMessage={editMessage}
+          onSwitchMessageVersion={switchMessageVersion}
+          onUpdateConversation={updateConversation}
+          onStopGeneration={stopGeneration}
+          onUpdateGuideProgress={updateGuideProgress}
+          onDownloadAddon={downloadAddon}
+          onLoadAddonFiles={loadAddonFiles}
+          onLoadAttachments={loadAttachments}
           sidebarCollapsed={sidebarCollapsed}
           onToggleSidebar={() => setSidebarCollapsed(!sidebarCollapsed)}
         />
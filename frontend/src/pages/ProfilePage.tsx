@@ -1,12 +1,17 @@
 import { useState } from 'react';
-import { User, Settings, Bell, Shield, Download, Trash2, Edit, ArrowLeft, Save, X } from 'lucide-react';
+import { User, Settings, Bell, Shield, Download, Trash2, Edit, ArrowLeft, Save, X, Languages } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { useAuth } from '../hooks/useAuth';
+import { useLanguage } from '../hooks/useLanguage';
+import LanguageSwitcher from '../components/layout/LanguageSwitcher';
+import UsagePanel from '../components/profile/UsagePanel';
+import OdooConnectionsPanel from '../components/profile/OdooConnectionsPanel';
 import { useNavigate } from 'react-router-dom';
 
 const ProfilePage = () => {
   const { user, logout } = useAuth();
+  const { t } = useLanguage();
   const navigate = useNavigate();
   const [isEditing, setIsEditing] = useState(false);
   const [editForm, setEditForm] = useState({
@@ -33,18 +38,18 @@ const ProfilePage = () => {
       <div className="border-b border-border bg-card">
         <div className="container mx-auto px-6 py-4">
           <div className="flex items-center justify-between">
-            <div className="flex items-center space-x-4">
+            <div className="flex items-center space-x-4 rtl:space-x-reverse">
               <Button 
                 variant="ghost" 
                 size="sm" 
                 onClick={() => navigate('/chat')}
-                className="flex items-center space-x-2"
+                className="flex items-center space-x-2 rtl:space-x-reverse"
               >
-                <ArrowLeft className="w-4 h-4" />
-                <span>Retour au chat</span>
+                <ArrowLeft className="w-4 h-4 rtl:rotate-180" />
+                <span>{t('profile.back')}</span>
               </Button>
             </div>
-            <h1 className="text-2xl font-bold">Mon Compte</h1>
+            <h1 className="text-2xl font-bold">{t('account.title')}</h1>
             <div className="w-20"></div> {/* Spacer pour centrer le titre */}
           </div>
         </div>
@@ -55,24 +60,24 @@ const ProfilePage = () => {
         <div className="max-w-4xl mx-auto">
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             
-            {/* Colonne de gauche - Profil principal */}
+            {/* Colonne principale - Profil */}
             <div className="lg:col-span-2 space-y-8">
               
               {/* Section Profil */}
               <div className="bg-card border border-border rounded-xl p-8">
                 <div className="flex items-center justify-between mb-6">
                   <h2 className="text-2xl font-bold flex items-center">
-                    <User className="w-6 h-6 mr-3 text-primary" />
-                    Informations du profil
+                    <User className="w-6 h-6 me-3 text-primary" />
+                    {t('profile.info')}
                   </h2>
                   {!isEditing && (
                     <Button 
                       variant="outline" 
                       onClick={() => setIsEditing(true)}
-                      className="flex items-center space-x-2"
+                      className="flex items-center space-x-2 rtl:space-x-reverse"
                     >
                       <Edit className="w-4 h-4" />
-                      <span>Modifier</span>
+                      <span>{t('profile.edit')}</span>
                     </Button>
                   )}
                 </div>
@@ -81,52 +86,52 @@ const ProfilePage = () => {
                   <div className="space-y-6">
                     <div className="space-y-2">
                       <label className="text-sm font-medium text-muted-foreground">
-                        Pseudonyme
+                        {t('common.pseudonym')}
                       </label>
                       <Input
                         value={editForm.pseudonyme}
                         onChange={(e) => setEditForm(prev => ({ ...prev, pseudonyme: e.target.value }))}
-                        placeholder="Votre pseudonyme"
+                        placeholder={t('account.pseudonymPlaceholder')}
                         className="text-lg"
                       />
                     </div>
                     
                     <div className="space-y-2">
                       <label className="text-sm font-medium text-muted-foreground">
-                        Email
+                        {t('common.email')}
                       </label>
                       <Input
                         value={editForm.email}
                         onChange={(e) => setEditForm(prev => ({ ...prev, email: e.target.value }))}
-                        placeholder="Votre email"
+                        placeholder={t('account.emailPlaceholder')}
                         type="email"
                         className="text-lg"
                       />
                     </div>
 
-                    <div className="flex space-x-3 pt-4">
-                      <Button onClick={handleSave} className="flex items-center space-x-2">
+                    <div className="flex space-x-3 rtl:space-x-reverse pt-4">
+                      <Button onClick={handleSave} className="flex items-center space-x-2 rtl:space-x-reverse">
                         <Save className="w-4 h-4" />
-                        <span>Sauvegarder</span>
+                        <span>{t('common.save')}</span>
                       </Button>
-                      <Button variant="outline" onClick={handleCancel} className="flex items-center space-x-2">
+                      <Button variant="outline" onClick={handleCancel} className="flex items-center space-x-2 rtl:space-x-reverse">
                         <X className="w-4 h-4" />
-                        <span>Annuler</span>
+                        <span>{t('common.cancel')}</span>
                       </Button>
                     </div>
                   </div>
                 ) : (
                   <div className="space-y-6">
-                    <div className="flex items-center space-x-6">
+                    <div className="flex items-center space-x-6 rtl:space-x-reverse">
                       <div className="w-24 h-24 bg-gradient-to-br from-purple-400 to-pink-400 rounded-full flex items-center justify-center">
                         <span className="text-white text-3xl font-bold">
                           {user?.pseudonyme?.[0]?.toUpperCase() || user?.email?.[0]?.toUpperCase() || 'U'}
                         </span>
                       </div>
                       <div className="space-y-2">
-                        <h3 className="text-2xl font-semibold">{user?.pseudonyme || 'Utilisateur'}</h3>
+                        <h3 className="text-2xl font-semibold">{user?.pseudonyme || t('common.user')}</h3>
                         <p className="text-muted-foreground text-lg">{user?.email || 'email@example.com'}</p>
-                        <p className="text-sm text-muted-foreground">Membre depuis 2024</p>
+                        <p className="text-sm text-muted-foreground">{t('account.memberSince')}</p>
                       </div>
                     </div>
                   </div>
@@ -136,55 +141,68 @@ const ProfilePage = () => {
               {/* Section Sécurité */}
               <div className="bg-card border border-border rounded-xl p-8">
                 <h2 className="text-2xl font-bold flex items-center mb-6">
-                  <Shield className="w-6 h-6 mr-3 text-primary" />
-                  Sécurité et accès
+                  <Shield className="w-6 h-6 me-3 text-primary" />
+                  {t('profile.security')}
                 </h2>
                 <div className="space-y-4">
-                  <Button variant="outline" className="w-full justify-start h-14 text-left">
-                    <div className="flex items-center space-x-3">
+                  <Button variant="outline" className="w-full justify-start h-14 text-start">
+                    <div className="flex items-center space-x-3 rtl:space-x-reverse">
                       <Shield className="w-5 h-5 text-muted-foreground" />
                       <div>
-                        <p className="font-medium">Changer mon mot de passe</p>
-                        <p className="text-sm text-muted-foreground">Mettre à jour votre mot de passe</p>
+                        <p className="font-medium">{t('profile.changePassword')}</p>
+                        <p className="text-sm text-muted-foreground">{t('profile.changePasswordHint')}</p>
                       </div>
                     </div>
                   </Button>
                   
-                  <Button variant="outline" className="w-full justify-start h-14 text-left">
-                    <div className="flex items-center space-x-3">
+                  <Button variant="outline" className="w-full justify-start h-14 text-start">
+                    <div className="flex items-center space-x-3 rtl:space-x-reverse">
                       <Bell className="w-5 h-5 text-muted-foreground" />
                       <div>
-                        <p className="font-medium">Préférences de notification</p>
-                        <p className="text-sm text-muted-foreground">Gérer vos alertes et notifications</p>
+                        <p className="font-medium">{t('account.notifications')}</p>
+                        <p className="text-sm text-muted-foreground">{t('account.notificationsHint')}</p>
                       </div>
                     </div>
                   </Button>
                 </div>
               </div>
 
+              {/* Section Langue */}
+              <div className="bg-card border border-border rounded-xl p-8">
+                <h2 className="text-2xl font-bold flex items-center mb-2">
+                  <Languages className="w-6 h-6 me-3 text-primary" />
+                  {t('language.label')}
+                </h2>
+                <p className="text-sm text-muted-foreground mb-6">{t('language.description')}</p>
+                <LanguageSwitcher />
+              </div>
+
+              {/* Section Instances Odoo */}
+              <OdooConnectionsPanel />
+
               {/* Section Actions */}
               <div className="bg-card border border-border rounded-xl p-8">
                 <h2 className="text-2xl font-bold flex items-center mb-6">
-                  <Settings className="w-6 h-6 mr-3 text-primary" />
-                  Actions du compte
+                  <Settings className="w-6 h-6 me-3 text-primary" />
+                  {t('account.actions')}
                 </h2>
                 <div className="space-y-4">
-                  <Button variant="outline" className="w-full justify-start h-14 text-left">
-                    <div className="flex items-center space-x-3">
+                  <Button variant="outline" className="w-full justify-start h-14 text-start">
+                    <div className="flex items-center space-x-3 rtl:space-x-reverse">
                       <Download className="w-5 h-5 text-muted-foreground" />
                       <div>
-                        <p className="font-medium">Exporter mes données</p>
-                        <p className="text-sm text-muted-foreground">Télécharger toutes vos conversations</p>
+                        <p className="font-medium">{t('account.exportData')}</p>
+                        <p className="text-sm text-muted-foreground">{t('account.exportDataHint')}</p>
                       </div>
                     </div>
                   </Button>
                   
-                  <Button variant="destructive" className="w-full justify-start h-14 text-left" onClick={logout}>
-                    <div className="flex items-center space-x-3">
+                  <Button variant="destructive" className="w-full justify-start h-14 text-start" onClick={logout}>
+                    <div className="flex items-center space-x-3 rtl:space-x-reverse">
                       <X className="w-5 h-5" />
                       <div>
-                        <p className="font-medium">Se déconnecter</p>
-                        <p className="text-sm">Fermer votre session actuelle</p>
+                        <p className="font-medium">{t('account.logout')}</p>
+                        <p className="text-sm">{t('account.logoutHint')}</p>
                       </div>
                     </div>
                   </Button>
@@ -192,51 +210,54 @@ const ProfilePage = () => {
               </div>
             </div>
 
-            {/* Colonne de droite - Statistiques et infos */}
+            {/* Colonne secondaire - Statistiques et infos */}
             <div className="space-y-6">
               
               {/* Statistiques */}
               <div className="bg-card border border-border rounded-xl p-6">
-                <h3 className="text-xl font-bold mb-4">📊 Statistiques</h3>
+                <h3 className="text-xl font-bold mb-4">📊 {t('account.stats')}</h3>
                 <div className="space-y-4">
                   <div className="text-center p-4 bg-muted/50 rounded-lg">
                     <p className="text-3xl font-bold text-primary">1</p>
-                    <p className="text-sm text-muted-foreground">Conversations</p>
+                    <p className="text-sm text-muted-foreground">{t('common.conversations')}</p>
                   </div>
                   <div className="text-center p-4 bg-muted/50 rounded-lg">
                     <p className="text-3xl font-bold text-primary">0</p>
-                    <p className="text-sm text-muted-foreground">Messages</p>
+                    <p className="text-sm text-muted-foreground">{t('common.messages')}</p>
                   </div>
                 </div>
               </div>
 
+              {/* Consommation de tokens et quotas */}
+              <UsagePanel />
+
               {/* Informations techniques */}
               <div className="bg-card border border-border rounded-xl p-6">
-                <h3 className="text-xl font-bold mb-4">🔧 Informations</h3>
+                <h3 className="text-xl font-bold mb-4">🔧 {t('profile.appInfo')}</h3>
                 <div className="space-y-3 text-sm">
                   <div className="flex justify-between">
-                    <span className="text-muted-foreground">Version app</span>
+                    <span className="text-muted-foreground">{t('profile.version')}</span>
                     <span className="font-medium">1.0.0</span>
                   </div>
                   <div className="flex justify-between">
-                    <span className="text-muted-foreground">Dernière connexion</span>
-                    <span className="font-medium">Aujourd'hui</span>
+                    <span className="text-muted-foreground">{t('profile.lastLogin')}</span>
+                    <span className="font-medium">{t('profile.today')}</span>
                   </div>
                   <div className="flex justify-between">
-                    <span className="text-muted-foreground">Statut</span>
-                    <span className="text-green-600 font-medium">Actif</span>
+                    <span className="text-muted-foreground">{t('profile.status')}</span>
+                    <span className="text-green-600 font-medium">{t('profile.active')}</span>
                   </div>
                 </div>
               </div>
 
               {/* Support */}
               <div className="bg-gradient-to-br from-blue-50 to-indigo-50 dark:from-blue-900/20 dark:to-indigo-900/20 border border-border rounded-xl p-6">
-                <h3 className="text-xl font-bold mb-3">💬 Besoin d'aide ?</h3>
+                <h3 className="text-xl font-bold mb-3">💬 {t('profile.helpTitle')}</h3>
                 <p className="text-sm text-muted-foreground mb-4">
-                  Notre équipe est là pour vous accompagner
+                  {t('profile.helpText')}
                 </p>
                 <Button variant="outline" className="w-full">
-                  Contacter le support
+                  {t('profile.contactSupport')}
                 </Button>
               </div>
             </div>